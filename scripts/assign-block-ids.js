@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Assign Block Ids Script
+ *
+ * Gives every chapter block a stable `id` (see scripts/lib/block-ids.js):
+ * new ids for source-language blocks that have none, and for each
+ * translation the id of the source block it translates. Blocks that
+ * already have an id keep it, so running it again changes nothing.
+ *
+ * Run it after adding blocks or chapters; with --check it only reports
+ * blocks without an id and exits non-zero if there are any.
+ *
+ * Usage:
+ *   node scripts/assign-block-ids.js            # All languages
+ *   node scripts/assign-block-ids.js es         # Source language and Spanish
+ *   node scripts/assign-block-ids.js --check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, SOURCE_LANG, listLanguages, assertLanguage, loadChapters, chapterPath } = require('./lib/book');
+const { collectIds, assignIds, copyIds } = require('./lib/block-ids');
+
+function parseArgs(argv) {
+  const options = { languages: [], check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--check') {
+      options.check = true;
+    } else {
+      options.languages.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Blocks without an id in a chapter
+function countMissing(chapter) {
+  return chapter.sections.reduce((sum, section) => sum + section.content.filter(block => !block.id).length, 0);
+}
+
+function saveChapter(lang, chapter) {
+  fs.writeFileSync(chapterPath(lang, chapter.number), JSON.stringify(chapter, null, 2) + '\n', 'utf8');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    options.languages.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const translations = options.languages.length > 0
+    ? options.languages.filter(lang => lang !== SOURCE_LANG)
+    : listLanguages().filter(lang => lang !== SOURCE_LANG);
+
+  console.log(`\n🔖 ${options.check ? 'Checking' : 'Assigning'} block ids: ${[SOURCE_LANG, ...translations].join(', ')}\n`);
+
+  let sourceChapters;
+  let targets;
+  try {
+    sourceChapters = loadChapters(SOURCE_LANG);
+    targets = translations.map(lang => ({ lang, chapters: loadChapters(lang) }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.check) {
+    let missing = 0;
+    [{ lang: SOURCE_LANG, chapters: sourceChapters }, ...targets].forEach(({ lang, chapters }) => {
+      chapters.forEach(chapter => {
+        const count = countMissing(chapter);
+        if (count === 0) return;
+        missing += count;
+        console.error(`   ❌ ${path.relative(ROOT_DIR, chapterPath(lang, chapter.number))}: ${count} block(s) without id`);
+      });
+    });
+    if (missing > 0) {
+      console.error(`\n❌ ${missing} block(s) without id (run: node scripts/assign-block-ids.js)`);
+      process.exit(1);
+    }
+    console.log('✅ Every block has an id');
+    return;
+  }
+
+  // New ids must not repeat an id of any language
+  const taken = collectIds([sourceChapters, ...targets.map(t => t.chapters)].flat());
+
+  sourceChapters.forEach(chapter => {
+    const added = assignIds(chapter, taken);
+    if (added === 0) return;
+    saveChapter(SOURCE_LANG, chapter);
+    console.log(`   ✅ ${path.relative(ROOT_DIR, chapterPath(SOURCE_LANG, chapter.number))}: ${added} new id(s)`);
+  });
+
+  targets.forEach(({ lang, chapters }) => {
+    const used = collectIds(chapters);
+    chapters.forEach(chapter => {
+      const source = sourceChapters.find(ch => ch.number === chapter.number);
+      const { copied, added } = source
+        ? copyIds(source, chapter, used, taken)
+        : { copied: 0, added: assignIds(chapter, taken) };
+      if (copied + added === 0) return;
+      saveChapter(lang, chapter);
+      const relative = path.relative(ROOT_DIR, chapterPath(lang, chapter.number));
+      console.log(`   ✅ ${relative}: ${copied} id(s) from ${SOURCE_LANG}` +
+        (added ? `, ⚠️  ${added} block(s) not in ${SOURCE_LANG} got a new id` : ''));
+    });
+  });
+
+  console.log('\n✨ Done (check translations with: npm run parity)\n');
+}
+
+main();
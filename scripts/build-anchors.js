@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Build Anchors
+ *
+ * Post-build step for dist/, run right after the pages are generated and
+ * before the other post-build steps:
+ *   - renders the blocks the page generator does not know (sub-headings,
+ *     lists, epigraphs, breaks, meditations) into the chapter pages
+ *   - gives every block of every chapter page its anchor as its id
+ *     (id="p-k3x9qa", from the block ids of the chapter JSON), so every
+ *     paragraph can be linked to, and adds the block anchors script and
+ *     styles for its "copy link" button
+ *   - writes the short links of every block to dist/_redirects
+ *     (/p/k3x9qa → /ch3/#p-k3x9qa, /es/p/k3x9qa → /es/ch3/#p-k3x9qa), so a
+ *     shared link follows its block when chapters are reorganized
+ *
+ * Block ids live in the chapter JSON (node scripts/assign-block-ids.js).
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/build-anchors.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DIST_DIR, listLanguages, loadChapters, blockAnchor } = require('./lib/book');
+const { langRoot, pageDir, setTags, renderMissingBlocks, setBlockIds, labelsAttr, copyClientFiles } = require('./lib/pages');
+
+const STYLE_TAG = '<link rel="stylesheet" href="/css/anchors.css">';
+const REDIRECTS_FILE = path.join(DIST_DIR, '_redirects');
+
+// Our part of _redirects, so rules from elsewhere survive a rebuild
+const BEGIN = '# Block links (scripts/build-anchors.js)';
+const END = '# End of block links';
+
+function scriptTag(lang) {
+  return `<script src="/js/anchors.js" data-root="${langRoot(lang)}"${labelsAttr(lang, 'anchors')} defer></script>`;
+}
+
+// Short link rules for the blocks of a chapter. Temporary (302) redirects,
+// so browsers do not cache where a block used to be
+function redirectRules(lang, chapter) {
+  const root = langRoot(lang);
+  return chapter.sections.flatMap(section => section.content.flatMap((block, i) => (block.id
+    ? [`${root}p/${block.id}  ${root}${chapter.id}/#${blockAnchor(section.id, i, block.id)}  302`]
+    : [])));
+}
+
+// Replace our part of _redirects (or add it), keeping everything else
+function writeRedirects(rules) {
+  const existing = fs.existsSync(REDIRECTS_FILE) ? fs.readFileSync(REDIRECTS_FILE, 'utf8') : '';
+  const start = existing.indexOf(BEGIN);
+  const end = existing.indexOf(END);
+  const others = start !== -1 && end > start
+    ? existing.slice(0, start) + existing.slice(end + END.length).replace(/^\n/, '')
+    : existing;
+
+  const block = [BEGIN, ...rules, END].join('\n') + '\n';
+  const content = others.trim() ? `${others.trimEnd()}\n\n${block}` : block;
+  fs.writeFileSync(REDIRECTS_FILE, content, 'utf8');
+}
+
+function main() {
+  console.log('\n🔖 Adding block anchors to chapter pages...\n');
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found (run: npm run build)');
+    process.exit(1);
+  }
+
+  copyClientFiles(['anchors.js', 'anchors.css']);
+
+  const rules = [];
+  let pageCount = 0;
+
+  listLanguages().forEach(lang => {
+    let chapters;
+    try {
+      chapters = loadChapters(lang);
+    } catch (error) {
+      console.error(`❌ ${lang.toUpperCase()}: ${error.message}`);
+      process.exit(1);
+    }
+
+    chapters.forEach(chapter => {
+      rules.push(...redirectRules(lang, chapter));
+
+      const page = path.join(pageDir(lang, chapter.id), 'index.html');
+      if (!fs.existsSync(page)) return;
+
+      const html = fs.readFileSync(page, 'utf8');
+      const rendered = renderMissingBlocks(html, chapter);
+      const { html: withIds, problems } = setBlockIds(rendered.html, chapter);
+      // A section neither step can match is reported by both
+      new Set([...rendered.problems, ...problems]).forEach(problem => console.warn(`   ⚠️  ${path.relative(ROOT_DIR, page)}: ${problem}`));
+
+      // The labels change with ui.json, so drop the old tag first
+      const updated = setTags(withIds.replace(/ {4}<script src="\/js\/anchors\.js"[^\n]*\n/, ''),
+        { head: STYLE_TAG, body: scriptTag(lang) }, true);
+      if (updated !== html) fs.writeFileSync(page, updated, 'utf8');
+      pageCount++;
+    });
+  });
+
+  writeRedirects(rules);
+  console.log(`   ✅ Anchors on ${pageCount} chapter page(s)`);
+  console.log(`   ↪️  ${rules.length} short link(s) in ${path.relative(ROOT_DIR, REDIRECTS_FILE)}`);
+
+  console.log('\n✨ Block anchors built\n');
+}
+
+main();
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+/**
+ * Build Changelog
+ *
+ * What changed between two editions of the book (scripts/lib/changelog.js):
+ * for every language, the chapters added or removed, the titles renamed
+ * and every passage added, removed or revised, with the revised words
+ * marked. Printed as a report, and built as the "What's new in this
+ * edition" page (dist/whats-new/, dist/<lang>/whats-new/) when dist/
+ * exists.
+ *
+ * Editions are "current" (i18n/ as it is now), a snapshot taken with
+ * scripts/snapshot-edition.js, or any git revision (see
+ * scripts/lib/editions.js). By default the current text is compared with
+ * the newest snapshot of an earlier edition; without one there is nothing
+ * to compare and no page is built.
+ *
+ * Page labels come from the "changelog" strings of ui.json (English ones
+ * for languages that do not have them).
+ *
+ * Usage:
+ *   node scripts/build-changelog.js                       # Newest earlier snapshot → current
+ *   node scripts/build-changelog.js --from v1.0 --to v1.1
+ *   node scripts/build-changelog.js --from HEAD~20 --lang es
+ *   node scripts/build-changelog.js --json changelog.json # Also write the changes as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Domain Configuration
+const DOMAIN = process.env.DOMAIN || 'reiki.chuchurex.cl';
+const SITE_URL = `https://${DOMAIN}`;
+
+const { ROOT_DIR, DIST_DIR, SOURCE_LANG, listLanguages, assertLanguage, languageInfo, loadBook } = require('./lib/book');
+const { escapeText, escapeAttr } = require('./lib/inline');
+const { cleanText } = require('./lib/text');
+const { CURRENT, editionTag, listSnapshots, loadEdition } = require('./lib/editions');
+const { diffChapters, diffWords, summarize } = require('./lib/changelog');
+const { langRoot, alternateLinks, pageDir, copyClientFiles } = require('./lib/pages');
+
+// Words of unchanged text kept around a change in the report
+const CONTEXT_WORDS = 6;
+
+function parseArgs(argv) {
+  const options = { from: null, to: CURRENT, languages: [], json: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from' && argv[i + 1]) {
+      options.from = argv[++i];
+    } else if (arg === '--to' && argv[i + 1]) {
+      options.to = argv[++i];
+    } else if (arg === '--lang' && argv[i + 1]) {
+      options.languages.push(argv[++i]);
+    } else if (arg === '--json' && argv[i + 1]) {
+      options.json = argv[++i];
+    }
+  }
+
+  return options;
+}
+
+// The snapshot to compare `to` with: the newest one of an earlier edition
+function defaultFrom(to) {
+  const snapshots = listSnapshots();
+  if (to === CURRENT) {
+    const currentTag = editionTag(loadBook(SOURCE_LANG).ui.meta.version);
+    const earlier = snapshots.filter(snapshot => snapshot.tag !== currentTag);
+    return earlier.length > 0 ? earlier[earlier.length - 1].tag : null;
+  }
+  const index = snapshots.findIndex(snapshot => snapshot.tag === to);
+  return index > 0 ? snapshots[index - 1].tag : null;
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Report: changed words in [-...-]{+...+}, long unchanged runs shortened
+function plainDiff(ops) {
+  return ops.map((op, i) => {
+    if (op.op === 'del') return `[-${op.text}-]`;
+    if (op.op === 'ins') return `{+${op.text}+}`;
+    const words = op.text.split(/(\s+)/);
+    const keep = CONTEXT_WORDS * 2;
+    if (i === 0 && words.length > keep) return '…' + words.slice(-keep).join('');
+    if (i === ops.length - 1 && words.length > keep) return words.slice(0, keep).join('') + '…';
+    if (words.length > keep * 2) return words.slice(0, keep).join('') + ' … ' + words.slice(-keep).join('');
+    return op.text;
+  }).join('');
+}
+
+function shorten(text, length = 80) {
+  const plain = cleanText(text);
+  return plain.length > length ? plain.slice(0, length) + '…' : plain;
+}
+
+function printChanges(changes) {
+  changes.forEach(chapter => {
+    const icon = { added: '🆕', removed: '🗑️ ', changed: '📖' }[chapter.status];
+    console.log(`\n   ${icon} Chapter ${chapter.number}: ${chapter.title}` +
+      (chapter.status === 'changed' ? '' : ` (${chapter.status}, ${chapter.blockCount} blocks)`));
+    chapter.titles.forEach(title => {
+      console.log(`      🏷️  ${title.key}: ${title.before || '∅'} → ${title.after || '∅'}`);
+    });
+    chapter.blocks.forEach(block => {
+      if (block.status === 'added') {
+        console.log(`      ➕ ${block.anchor}: ${shorten(block.after.join(' '))}`);
+      } else if (block.status === 'removed') {
+        console.log(`      ➖ ${block.anchor}: ${shorten(block.before.join(' '))}`);
+      } else if (block.formatting) {
+        console.log(`      🎨 ${block.anchor}: formatting only`);
+      } else {
+        const diffs = block.diff.filter(ops => ops.some(op => op.op !== 'same'));
+        console.log(`      ✏️  ${block.anchor}: ${diffs.map(plainDiff).join(' ¶ ')}`);
+      }
+    });
+  });
+}
+
+function summaryLine(stats) {
+  const { chapters, blocks, words } = stats;
+  const parts = [`${chapters.changed} chapter(s) revised`];
+  if (chapters.added) parts.push(`${chapters.added} added`);
+  if (chapters.removed) parts.push(`${chapters.removed} removed`);
+  return `${parts.join(', ')}; ${blocks.added} passage(s) added, ${blocks.removed} removed, ${blocks.changed} revised ` +
+    `(+${words.added}/−${words.removed} words)`;
+}
+
+// A word diff as HTML
+function diffHtml(ops) {
+  return ops.map(op => {
+    const text = escapeText(op.text);
+    if (op.op === 'del') return `<del>${text}</del>`;
+    if (op.op === 'ins') return `<ins>${text}</ins>`;
+    return text;
+  }).join('');
+}
+
+function renderBlock(block, chapter, lang, labels) {
+  const status = block.formatting ? labels.formatting : labels[block.status];
+  const link = block.status === 'removed'
+    ? ''
+    : ` <a href="${escapeAttr(`${langRoot(lang)}${chapter.id}/#${block.anchor}`)}" class="changelog-link">¶</a>`;
+
+  let body;
+  if (block.status === 'added') {
+    body = block.after.map(text => `<p><ins>${escapeText(cleanText(text))}</ins></p>`).join('');
+  } else if (block.status === 'removed') {
+    body = block.before.map(text => `<p><del>${escapeText(cleanText(text))}</del></p>`).join('');
+  } else {
+    body = block.diff.map(ops => `<p>${diffHtml(ops)}</p>`).join('');
+  }
+
+  return `                    <li class="changelog-block changelog-${block.status}">
+                        <span class="changelog-status">${escapeText(status)}</span>${link}
+                        <div class="changelog-text">${body}</div>
+                    </li>`;
+}
+
+function renderChapter(chapter, lang, labels) {
+  const heading = chapter.status === 'removed'
+    ? escapeText(chapter.title)
+    : `<a href="${langRoot(lang)}${chapter.id}/">${escapeText(chapter.title)}</a>`;
+  const badge = chapter.status === 'changed'
+    ? ''
+    : ` <span class="changelog-badge">${escapeText(chapter.status === 'added' ? labels.newChapter : labels.removedChapter)}</span>`;
+
+  const titles = chapter.titles.map(title => `                    <li class="changelog-block changelog-renamed">
+                        <span class="changelog-status">${escapeText(labels.renamed)}</span>
+                        <div class="changelog-text"><p>${diffHtml(diffWords(title.before || '', title.after || ''))}</p></div>
+                    </li>`);
+  const blocks = chapter.blocks.map(block => renderBlock(block, chapter, lang, labels));
+  const list = titles.length + blocks.length > 0
+    ? `\n                <ol class="changelog-blocks">\n${[...titles, ...blocks].join('\n')}\n                </ol>`
+    : '';
+
+  return `            <section class="changelog-chapter" id="${chapter.id}">
+                <h2 class="changelog-chapter-title">${heading}${badge}</h2>${list}
+            </section>`;
+}
+
+/**
+ * "What's new" page of a language.
+ * @returns {string} HTML
+ */
+function generateChangelogPage(lang, from, to, changes, stats) {
+  const { ui } = loadBook(lang);
+  const labels = { ...loadBook(SOURCE_LANG).ui.changelog, ...ui.changelog };
+  const summary = fill(labels.summary, {
+    chapters: stats.chapters.changed + stats.chapters.added + stats.chapters.removed,
+    added: stats.blocks.added,
+    removed: stats.blocks.removed,
+    changed: stats.blocks.changed
+  });
+
+  const body = changes.length > 0
+    ? changes.map(chapter => renderChapter(chapter, lang, labels)).join('\n\n')
+    : `            <p class="changelog-empty">${escapeText(labels.noChanges)}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${languageInfo(lang).dir}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeText(labels.title)} | ${escapeText(ui.bookTitle)}</title>
+    <meta name="description" content="${escapeAttr(summary)}">
+    <link rel="canonical" href="${SITE_URL}${langRoot(lang)}whats-new/">
+${alternateLinks(SITE_URL, 'whats-new/')}
+
+    <meta name="theme-color" content="#0d0d0f">
+    <link rel="icon" type="image/svg+xml" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>✧</text></svg>">
+
+    <link rel="preload" href="/fonts/cormorant-garamond-400.woff2" as="font" type="font/woff2" crossorigin>
+    <link rel="stylesheet" href="/fonts/fonts.css">
+    <link rel="stylesheet" href="/css/main.css?v=${Date.now()}">
+    <link rel="stylesheet" href="/css/changelog.css">
+</head>
+<body>
+    <button class="toggle theme-toggle" onclick="toggleTheme()" aria-label="Toggle Theme">☀</button>
+
+    <div class="layout">
+        <main class="main changelog" style="max-width: 50rem; margin: 0 auto; padding: 2rem;">
+
+            <a href="${langRoot(lang)}" class="back-link">← ${escapeText(ui.nav.backToIndex)}</a>
+
+            <header class="changelog-header">
+                <h1 class="changelog-title">${escapeText(labels.title)}</h1>
+                <p class="changelog-editions">${escapeText(fill(labels.compared, { from: from.label, to: to.label }))}</p>
+                <p class="changelog-summary">${escapeText(summary)}</p>
+            </header>
+
+${body}
+
+        </main>
+    </div>
+
+    <script>
+        // Theme toggle
+        function toggleTheme() {
+            const html = document.documentElement;
+            const newTheme = html.getAttribute('data-theme') === 'light' ? 'dark' : 'light';
+            html.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+            updateThemeButton(newTheme);
+        }
+
+        function updateThemeButton(theme) {
+            document.querySelector('.theme-toggle').textContent = theme === 'light' ? '☀' : '☽';
+        }
+
+        const savedTheme = localStorage.getItem('theme') || 'dark';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+        updateThemeButton(savedTheme);
+    </script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let languages;
+  try {
+    options.languages.forEach(assertLanguage);
+    languages = options.languages.length > 0 ? options.languages : listLanguages();
+    if (!options.from) options.from = defaultFrom(options.to);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('\n📰 Building changelog...');
+  if (!options.from) {
+    console.log('   ⏭️  No earlier edition to compare with (take a snapshot with: npm run snapshot, or pass --from <rev>)\n');
+    return;
+  }
+
+  const writePages = fs.existsSync(DIST_DIR);
+  if (writePages) copyClientFiles(['changelog.css']);
+
+  const report = [];
+  for (const lang of languages) {
+    let from;
+    let to;
+    try {
+      from = loadEdition(options.from, lang);
+      to = loadEdition(options.to, lang);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    const changes = diffChapters(from.chapters, to.chapters);
+    const stats = summarize(changes);
+    report.push({ lang, from: { ref: from.ref, label: from.label }, to: { ref: to.ref, label: to.label }, stats, chapters: changes });
+
+    console.log(`\n🌍 ${languageInfo(lang).name} (${lang}): ${from.label} → ${to.label}`);
+    printChanges(changes);
+    console.log(`   📊 ${summaryLine(stats)}`);
+
+    if (writePages) {
+      let html;
+      try {
+        html = generateChangelogPage(lang, from, to, changes, stats);
+      } catch (error) {
+        console.error(`❌ ${lang.toUpperCase()}: ${error.message}`);
+        process.exit(1);
+      }
+      const dir = pageDir(lang, 'whats-new');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
+      console.log(`   ✅ ${path.relative(ROOT_DIR, path.join(dir, 'index.html'))}`);
+    }
+  }
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n', 'utf8');
+    console.log(`\n📄 JSON: ${options.json}`);
+  }
+  if (!writePages) console.log('\n   ⏭️  dist/ not found, no page built (run: npm run build)');
+
+  console.log('\n✨ Changelog built\n');
+}
+
+main();
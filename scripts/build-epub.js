@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Build EPUB
+ *
+ * Packages each language as an EPUB 3 book: chapters, glossary as linked
+ * notes, about page, navigation document and the site fonts (dist/fonts).
+ * Chapters with a concatenated audiobook (audio/<lang>/chN/chN-<lang>.mp3
+ * and its .timing.json) are embedded with a SMIL media overlay, so
+ * e-readers highlight the paragraph being read.
+ * Every file is run through a structural check after it is written.
+ *
+ * Usage:
+ *   node scripts/build-epub.js          # All languages
+ *   node scripts/build-epub.js es       # Only Spanish
+ *
+ * Output: books/epub/reiki-<lang>.epub
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DOMAIN = process.env.DOMAIN || 'reiki.chuchurex.cl';
+
+const { ROOT_DIR, DIST_DIR, AUDIO_DIR, listLanguages, assertLanguage, loadBook, loadJSON } = require('./lib/book');
+const { buildEpub, checkEpub } = require('./lib/epub');
+
+const OUTPUT_DIR = path.join(ROOT_DIR, 'books', 'epub');
+const FONTS_DIR = path.join(DIST_DIR, 'fonts');
+
+// Timing maps and MP3s of the chapters that have a finished audiobook
+function findOverlays(book) {
+  const overlays = {};
+  book.chapters.forEach(chapter => {
+    const base = path.join(AUDIO_DIR, book.lang, chapter.id, `${chapter.id}-${book.lang}`);
+    if (fs.existsSync(`${base}.mp3`) && fs.existsSync(`${base}.timing.json`)) {
+      overlays[chapter.number] = { timing: loadJSON(`${base}.timing.json`), audioFile: `${base}.mp3` };
+    }
+  });
+  return overlays;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    args.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const languages = args.length > 0 ? args : listLanguages();
+
+  console.log('\n📖 Building EPUB books...\n');
+
+  if (!fs.existsSync(path.join(FONTS_DIR, 'fonts.css'))) {
+    console.warn(`⚠️  ${path.relative(ROOT_DIR, FONTS_DIR)}/fonts.css not found, fonts will not be embedded\n`);
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  let failed = false;
+
+  languages.forEach(lang => {
+    let buffer;
+    let overlayCount;
+    try {
+      const book = loadBook(lang);
+      const overlays = findOverlays(book);
+      overlayCount = Object.keys(overlays).length;
+      buffer = buildEpub(book, { fontsDir: FONTS_DIR, domain: DOMAIN, overlays });
+    } catch (error) {
+      console.error(`❌ ${lang.toUpperCase()}: ${error.message}`);
+      failed = true;
+      return;
+    }
+
+    const outputFile = path.join(OUTPUT_DIR, `reiki-${lang}.epub`);
+    fs.writeFileSync(outputFile, buffer);
+
+    const problems = checkEpub(fs.readFileSync(outputFile));
+    if (problems.length > 0) {
+      console.error(`❌ ${path.relative(ROOT_DIR, outputFile)}`);
+      problems.forEach(problem => console.error(`   ${problem}`));
+      failed = true;
+      return;
+    }
+
+    const sizeKB = (buffer.length / 1024).toFixed(0);
+    const audio = overlayCount > 0 ? `, ${overlayCount} chapter(s) with read-along audio` : '';
+    console.log(`   ✅ ${path.relative(ROOT_DIR, outputFile)} (${sizeKB} KB${audio})`);
+  });
+
+  console.log('');
+  if (failed) process.exit(1);
+  console.log('✨ EPUB books built and checked\n');
+}
+
+main();
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Build Full Audiobook
+ *
+ * Joins the finished chapter MP3s of a language (audio/<lang>/chN/chN-<lang>.mp3)
+ * into one audiobook, in two formats:
+ *   - M4B with chapter markers (audiobook apps)
+ *   - MP3 with ID3 CHAP/CTOC chapter frames (everything else)
+ * Chapter titles come from the chapter JSON, book tags from ui.json, and a
+ * cover image is embedded when one is found. Finally the "all" entry of
+ * i18n/<lang>/media.json gets the public URL of the MP3.
+ *
+ * Usage:
+ *   node scripts/build-full-audiobook.js <lang> [--cover <image>] [--no-media]
+ *   node scripts/build-full-audiobook.js es
+ *   node scripts/build-full-audiobook.js en --cover art/cover-en.jpg
+ *
+ * Output: audio/<lang>/full/reiki-<lang>.m4b and reiki-<lang>.mp3
+ *
+ * Cover lookup when --cover is not given: i18n/<lang>/cover.jpg|png, then
+ * cover.jpg|png at the repository root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { ROOT_DIR, I18N_DIR, AUDIO_DIR, assertLanguage, loadBook } = require('./lib/book');
+const { probeDuration } = require('./lib/audio-timing');
+const { layoutChapters, bookMetadata, renderFfmetadata } = require('./lib/audiobook');
+
+// Public location of the audio files (media.json URLs)
+const MEDIA_BASE_URL = (process.env.MEDIA_BASE_URL || 'https://static.eluno.org/sanacion/audiobook/audio').replace(/\/$/, '');
+
+function parseArgs(argv) {
+  const options = { positional: [], cover: null, media: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--cover') {
+      options.cover = argv[++i];
+    } else if (arg === '--no-media') {
+      options.media = false;
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function findCover(lang, explicit) {
+  if (explicit) {
+    const file = path.resolve(explicit);
+    if (!fs.existsSync(file)) throw new Error(`Cover image not found: ${explicit}`);
+    return file;
+  }
+  const candidates = ['jpg', 'png'].flatMap(ext => [
+    path.join(I18N_DIR, lang, `cover.${ext}`),
+    path.join(ROOT_DIR, `cover.${ext}`)
+  ]);
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+function ffmpeg(args) {
+  execFileSync('ffmpeg', ['-v', 'error', '-y', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+}
+
+// Set "all".audio in media.json, keeping the rest of the file as is
+function updateMedia(lang, url) {
+  const file = path.join(I18N_DIR, lang, 'media.json');
+  const media = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  media.all = { audio: '', pdf: '', youtube: '', ...media.all, audio: url };
+
+  // "all" stays first, as in the hand-written files. JS objects always put
+  // the numeric chapter keys first, so the entries are written out by hand.
+  const keys = ['all', ...Object.keys(media).filter(key => key !== 'all')];
+  const body = keys
+    .map(key => `  ${JSON.stringify(key)}: ${JSON.stringify(media[key], null, 2).replace(/\n/g, '\n  ')}`)
+    .join(',\n');
+  fs.writeFileSync(file, `{\n${body}\n}\n`, 'utf8');
+  return file;
+}
+
+function buildFullAudiobook(lang, options) {
+  const book = loadBook(lang);
+  const outputDir = path.join(AUDIO_DIR, lang, 'full');
+  const baseName = `reiki-${lang}`;
+
+  // Chapter files, all required
+  const files = book.chapters.map(ch => path.join(AUDIO_DIR, lang, ch.id, `${ch.id}-${lang}.mp3`));
+  const missing = files.filter(file => !fs.existsSync(file));
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.length} chapter file(s):\n` +
+      missing.map(file => `   - ${path.relative(ROOT_DIR, file)}\n`).join('') +
+      `   Run: node scripts/build-reiki-audiobook.js all ${lang}`);
+  }
+
+  console.log(`📚 ${book.ui.bookTitle} (${lang.toUpperCase()}), ${files.length} chapters`);
+
+  const chapters = layoutChapters(book.chapters, files.map(probeDuration));
+  chapters.forEach(ch => {
+    const minutes = ((ch.end - ch.start) / 60000).toFixed(1);
+    console.log(`   ${String(ch.number).padStart(2)}. ${ch.title} (${minutes} min)`);
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const listFile = path.join(outputDir, 'concat-list.txt');
+  const metadataFile = path.join(outputDir, 'metadata.txt');
+  fs.writeFileSync(listFile, files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n') + '\n', 'utf8');
+  fs.writeFileSync(metadataFile, renderFfmetadata(bookMetadata(book), chapters), 'utf8');
+
+  const cover = findCover(lang, options.cover);
+  console.log(cover
+    ? `   🖼️  Cover: ${path.relative(ROOT_DIR, cover)}`
+    : '   ⚠️  No cover image found (use --cover <image>)');
+
+  const inputs = ['-f', 'concat', '-safe', '0', '-i', listFile, '-i', metadataFile, ...(cover ? ['-i', cover] : [])];
+  const maps = ['-map', '0:a', '-map_metadata', '1', '-map_chapters', '1'];
+
+  // M4B: AAC in MP4 with chapter atoms, cover as attached picture
+  const m4b = path.join(outputDir, `${baseName}.m4b`);
+  console.log(`\n🎵 Rendering ${path.basename(m4b)}...`);
+  ffmpeg([
+    ...inputs, ...maps,
+    ...(cover ? ['-map', '2:v', '-c:v', 'copy', '-disposition:v:0', 'attached_pic'] : []),
+    '-c:a', 'aac', '-b:a', '64k', '-movflags', '+faststart',
+    '-f', 'ipod', m4b
+  ]);
+
+  // MP3: stream copy, ID3v2.3 with CHAP/CTOC frames and APIC cover
+  const mp3 = path.join(outputDir, `${baseName}.mp3`);
+  console.log(`🎵 Rendering ${path.basename(mp3)}...`);
+  ffmpeg([
+    ...inputs, ...maps,
+    ...(cover ? ['-map', '2:v', '-c:v', 'copy', '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)'] : []),
+    '-c:a', 'copy', '-id3v2_version', '3', '-write_id3v1', '1',
+    mp3
+  ]);
+
+  [m4b, mp3].forEach(file => {
+    const sizeMB = (fs.statSync(file).size / 1024 / 1024).toFixed(1);
+    console.log(`   ✅ ${path.relative(ROOT_DIR, file)} (${sizeMB} MB)`);
+  });
+
+  const total = chapters[chapters.length - 1].end / 1000;
+  console.log(`   ⏱️  Total: ${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`);
+
+  if (options.media) {
+    const url = `${MEDIA_BASE_URL}/${lang}/${path.basename(mp3)}`;
+    const mediaFile = updateMedia(lang, url);
+    console.log(`\n📝 ${path.relative(ROOT_DIR, mediaFile)}: "all".audio = ${url}`);
+    console.log(`   Upload ${path.relative(ROOT_DIR, outputDir)}/ to ${MEDIA_BASE_URL}/${lang}/`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [lang] = options.positional;
+
+  if (!lang) {
+    console.log('Usage: node scripts/build-full-audiobook.js <lang> [--cover <image>] [--no-media]');
+    console.log('Example: node scripts/build-full-audiobook.js es');
+    process.exit(1);
+  }
+
+  console.log(`\n🎧 Full Audiobook\n`);
+
+  try {
+    assertLanguage(lang);
+    buildFullAudiobook(lang, options);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('\n✨ Full audiobook ready\n');
+}
+
+main();
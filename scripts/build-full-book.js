@@ -15,76 +15,37 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const DOMAIN = process.env.DOMAIN || 'reiki.chuchurex.cl';
 const SITE_URL = `https://${DOMAIN}`;
 
-// Configuration
-const I18N_DIR = path.join(__dirname, '..', 'i18n');
-const DIST_DIR = path.join(__dirname, '..', 'dist');
-
-// Load JSON file
-function loadJSON(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {
-    console.warn(`Warning: Could not load ${filePath}`);
-    return null;
-  }
-}
-
-// Process text with emphasis
-function processText(text) {
-  // Replace **text** with <strong>
-  text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-
-  // Replace *text* or <em>text</em> with <em>
-  text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-
-  // Keep existing <em> tags
-  text = text.replace(/<em>/g, '<em>').replace(/<\/em>/g, '</em>');
-
-  return text;
-}
+const { listLanguages, languageInfo, loadBook, blockAnchor, sectionTitle, titleAnchor } = require('./lib/book');
+const { createNotes, renderBlock, renderFootnotes, renderGlossary } = require('./lib/text');
+const { langRoot, alternateLinks, pageDir, labelsAttr } = require('./lib/pages');
 
 // Generate full book HTML
 function generateFullBook(lang) {
-  const langDir = path.join(I18N_DIR, lang, 'chapters');
-
-  // Get all chapter files
-  const chapterFiles = fs.readdirSync(langDir)
-    .filter(f => f.endsWith('.json'))
-    .sort((a, b) => {
-      const numA = parseInt(a.match(/\d+/)[0]);
-      const numB = parseInt(b.match(/\d+/)[0]);
-      return numA - numB;
-    });
+  const { chapters, glossary, references, ui } = loadBook(lang);
+  const notes = createNotes(glossary, references);
 
-  console.log(`📖 Processing ${chapterFiles.length} chapters for ${lang.toUpperCase()}...`);
+  console.log(`📖 Processing ${chapters.length} chapters for ${lang.toUpperCase()}...`);
 
-  // Load all chapters
-  const chapters = chapterFiles.map(file => {
-    const chapter = loadJSON(path.join(langDir, file));
-    if (chapter) {
-      console.log(`   ✅ Chapter ${chapter.number}: ${chapter.title}`);
-    }
-    return chapter;
-  }).filter(c => c !== null);
+  chapters.forEach(chapter => {
+    console.log(`   ✅ Chapter ${chapter.number}: ${chapter.title}`);
+  });
 
-  // Get translations
-  const isSpanish = lang === 'es';
-  const pageTitle = isSpanish ? 'Libro Completo' : 'Full Book';
-  const bookTitle = isSpanish ? 'Las Enseñanzas' : 'The Teachings';
-  const description = isSpanish
-    ? 'Una guía completa de la práctica de sanación Reiki.'
-    : 'A complete guide to Reiki healing practice.';
+  // Page strings come from the language's ui.json
+  const { locale, dir } = languageInfo(lang);
+  const pageTitle = ui.nav.fullBook;
+  const { bookTitle, description } = ui;
+  const pageUrl = `${SITE_URL}${langRoot(lang)}full-book/`;
 
   // Generate HTML
   let html = `<!DOCTYPE html>
-<html lang="${lang}">
+<html lang="${lang}" dir="${dir}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${pageTitle} | ${DOMAIN}</title>
     <meta name="description" content="${description}">
     <meta name="robots" content="noindex, nofollow">
-    <link rel="canonical" href="${SITE_URL}/${lang === 'en' ? '' : lang + '/'}full-book/">
+    <link rel="canonical" href="${pageUrl}">
 
     <!-- Google tag (gtag.js) -->
     <script async src="https://www.googletagmanager.com/gtag/js?id=G-9LDPDW8V6E"></script>
@@ -95,14 +56,14 @@ function generateFullBook(lang) {
       gtag('config', 'G-9LDPDW8V6E');
     </script>
 
-    <link rel="alternate" hreflang="en" href="${SITE_URL}/full-book/">
-    <link rel="alternate" hreflang="es" href="${SITE_URL}/es/full-book/">
+${alternateLinks(SITE_URL, 'full-book/')}
 
     <meta property="og:type" content="book">
-    <meta property="og:url" content="${SITE_URL}/${lang === 'en' ? '' : lang + '/'}full-book/">
+    <meta property="og:url" content="${pageUrl}">
     <meta property="og:title" content="${pageTitle}">
     <meta property="og:description" content="${description}">
-    <meta property="og:locale" content="${lang === 'es' ? 'es_ES' : 'en_US'}">
+    <meta property="og:locale" content="${locale}">
+${listLanguages().filter(l => l !== lang).map(l => `    <meta property="og:locale:alternate" content="${languageInfo(l).locale}">`).join('\n')}
 
     <meta name="twitter:card" content="summary_large_image">
     <meta name="theme-color" content="#0d0d0f">
@@ -112,7 +73,9 @@ function generateFullBook(lang) {
     <link rel="preload" href="/fonts/cormorant-garamond-400.woff2" as="font" type="font/woff2" crossorigin>
     <link rel="preload" href="/fonts/spectral-400.woff2" as="font" type="font/woff2" crossorigin>
     <link rel="stylesheet" href="/fonts/fonts.css">
-    <link rel="stylesheet" href="${lang === 'en' ? '..' : '../..'}css/main.css?v=${Date.now()}">
+    <link rel="stylesheet" href="/css/main.css?v=${Date.now()}">
+    <link rel="stylesheet" href="/css/meditation.css">
+    <link rel="stylesheet" href="/css/anchors.css">
 
     <style>
         /* Full book specific styles */
@@ -160,8 +123,80 @@ function generateFullBook(lang) {
             opacity: 0.8;
         }
 
+        .footnotes {
+            margin-top: 2rem;
+            padding-top: 1rem;
+            border-top: 1px solid var(--border);
+            font-size: 0.85rem;
+            color: var(--text2);
+        }
+
+        .footnotes li {
+            margin: 0 0 0.4rem 1.5rem;
+        }
+
+        .footnote-back {
+            text-decoration: none;
+        }
+
+        .glossary dt {
+            font-family: "Cormorant Garamond", serif;
+            color: var(--gold);
+            margin-top: 1rem;
+        }
+
+        .glossary dd {
+            color: var(--text2);
+            font-size: 0.9rem;
+        }
+
+        .section-title {
+            font-family: var(--serif);
+            font-size: 1.6rem;
+            margin: 3rem 0 1.5rem;
+        }
+
+        .subheading {
+            font-family: var(--serif);
+            font-size: 1.25rem;
+            margin: 2.5rem 0 1rem;
+        }
+
+        h5.subheading {
+            font-size: 1.05rem;
+            font-style: italic;
+        }
+
+        .epigraph {
+            margin: 2rem 0 2.5rem 30%;
+            font-style: italic;
+            color: var(--text2);
+        }
+
+        .epigraph-attribution {
+            margin-top: 0.5rem;
+            text-align: right;
+            font-style: normal;
+            font-size: 0.9rem;
+        }
+
+        hr.break {
+            border: 0;
+            margin: 2.5rem 0;
+            text-align: center;
+        }
+
+        hr.break::after {
+            content: "✧";
+            opacity: 0.4;
+        }
+
         /* Print styles */
         @media print {
+            .section-title, .subheading {
+                break-after: avoid;
+                page-break-after: avoid;
+            }
             .toggle, .back-link, .chapter-separator {
                 display: none;
             }
@@ -174,11 +209,11 @@ function generateFullBook(lang) {
     <div class="layout">
         <main class="main" style="max-width: 50rem; margin: 0 auto; padding: 2rem;">
 
-            <a href="${lang === 'en' ? '/' : '/es/'}" class="back-link">← ${isSpanish ? 'Volver al índice' : 'Back to index'}</a>
+            <a href="${langRoot(lang)}" class="back-link">← ${ui.nav.backToIndex}</a>
 
             <header class="full-book-header">
                 <h1 class="full-book-title">${bookTitle}</h1>
-                <p class="full-book-subtitle">${isSpanish ? 'Libro Completo' : 'Full Book'}</p>
+                <p class="full-book-subtitle">${pageTitle}</p>
             </header>
 `;
 
@@ -188,6 +223,8 @@ function generateFullBook(lang) {
       html += `\n            <div class="chapter-separator">✧ ✧ ✧</div>\n\n`;
     }
 
+    notes.startChapter(`ch${chapter.number}`);
+
     html += `            <article class="chapter" id="ch${chapter.number}">
                 <header class="ch-head">
                     <div class="ch-head-top">
@@ -202,28 +239,38 @@ function generateFullBook(lang) {
       html += `
                 <section class="section" id="${section.id}">
 `;
+      const title = sectionTitle(chapter, section);
+      if (title) {
+        html += `                    <h3 class="section-title" id="${titleAnchor(section.id)}">${title}</h3>\n`;
+      }
 
       // Add content blocks
-      section.content.forEach(block => {
-        const processedText = processText(block.text);
-        if (block.type === 'paragraph') {
-          html += `                    <p>${processedText}</p>\n`;
-        } else if (block.type === 'quote') {
-          html += `                    <blockquote>${processedText}</blockquote>\n`;
+      section.content.forEach((block, index) => {
+        try {
+          html += `                    ${renderBlock(block, notes, blockAnchor(section.id, index, block.id))}\n`;
+        } catch (error) {
+          throw new Error(`${chapter.id} › ${section.id}: ${error.message}`);
         }
       });
 
       html += `                </section>\n`;
     });
 
+    html += renderFootnotes(notes, '                ');
     html += `            </article>\n`;
   });
 
+  // Glossary of every term used above
+  const glossaryHtml = renderGlossary(notes, ui.nav.notesPanel, '            ');
+  if (glossaryHtml) {
+    html += `\n            <div class="chapter-separator">✧ ✧ ✧</div>\n\n${glossaryHtml}`;
+  }
+
   // Close HTML
   html += `
             <div class="chapter-separator">✧ ✧ ✧</div>
 
-            <a href="${lang === 'en' ? '/' : '/es/'}" class="back-link">← ${isSpanish ? 'Volver al índice' : 'Back to index'}</a>
+            <a href="${langRoot(lang)}" class="back-link">← ${ui.nav.backToIndex}</a>
 
         </main>
     </div>
@@ -249,6 +296,8 @@ function generateFullBook(lang) {
         document.documentElement.setAttribute('data-theme', savedTheme);
         updateThemeButton(savedTheme);
     </script>
+    <script src="/js/anchors.js" data-root="${langRoot(lang)}"${labelsAttr(lang, 'anchors')} defer></script>
+    <script src="/js/meditation.js"${labelsAttr(lang, 'meditation')} defer></script>
 </body>
 </html>`;
 
@@ -259,15 +308,19 @@ function generateFullBook(lang) {
 function buildFullBooks() {
   console.log('\n📚 Building full book versions...\n');
 
-  const languages = ['en', 'es'];
+  const languages = listLanguages();
 
   languages.forEach(lang => {
-    const html = generateFullBook(lang);
+    let html;
+    try {
+      html = generateFullBook(lang);
+    } catch (error) {
+      console.error(`\n❌ ${lang.toUpperCase()}: ${error.message}\n`);
+      process.exit(1);
+    }
 
     // Create output directory
-    const outputDir = lang === 'en'
-      ? path.join(DIST_DIR, 'full-book')
-      : path.join(DIST_DIR, lang, 'full-book');
+    const outputDir = pageDir(lang, 'full-book');
 
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
@@ -282,8 +335,9 @@ function buildFullBooks() {
 
   console.log('\n✨ Full book versions built successfully!\n');
   console.log('Access them at:');
-  console.log(`   - English: ${SITE_URL}/full-book/`);
-  console.log(`   - Spanish: ${SITE_URL}/es/full-book/`);
+  languages.forEach(lang => {
+    console.log(`   - ${lang.toUpperCase()}: ${SITE_URL}${langRoot(lang)}full-book/`);
+  });
   console.log('');
 }
 
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Build Meditation
+ *
+ * Post-build step for the chapter pages in dist/: adds the guided
+ * meditation script and styles to every page with a meditation block, so
+ * its steps become a timed exercise with Start / Pause / Next controls.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/build-meditation.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DIST_DIR, listLanguages, loadChapters } = require('./lib/book');
+const { pageDir, setTags, labelsAttr, copyClientFiles } = require('./lib/pages');
+
+const STYLE_TAG = '<link rel="stylesheet" href="/css/meditation.css">';
+
+function scriptTag(lang) {
+  return `<script src="/js/meditation.js"${labelsAttr(lang, 'meditation')} defer></script>`;
+}
+
+function main() {
+  console.log('\n🧘 Adding guided meditations to chapter pages...\n');
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found (run: npm run build)');
+    process.exit(1);
+  }
+
+  copyClientFiles(['meditation.js', 'meditation.css']);
+
+  let enabledCount = 0;
+
+  listLanguages().forEach(lang => {
+    loadChapters(lang).forEach(chapter => {
+      const page = path.join(pageDir(lang, chapter.id), 'index.html');
+      if (!fs.existsSync(page)) return;
+
+      const enabled = chapter.sections.some(section => section.content.some(block => block.type === 'meditation'));
+      if (enabled) {
+        enabledCount++;
+        console.log(`   ✅ ${path.relative(ROOT_DIR, page)}`);
+      }
+
+      // The labels change with ui.json, so drop the old tag first
+      const html = fs.readFileSync(page, 'utf8');
+      const updated = setTags(html.replace(/ {4}<script src="\/js\/meditation\.js"[^\n]*\n/, ''),
+        { head: STYLE_TAG, body: scriptTag(lang) }, enabled);
+      if (updated !== html) fs.writeFileSync(page, updated, 'utf8');
+    });
+  });
+
+  console.log(`\n✨ Guided meditation on ${enabledCount} chapter page(s)\n`);
+}
+
+main();
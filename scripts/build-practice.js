@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Build Practice Page
+ *
+ * Generates the session timer page (dist/practice/, dist/<lang>/practice/)
+ * from i18n/<lang>/practice.json: the hand positions of a session, each
+ * with its default minutes, instructions and a link to the passage of the
+ * book it comes from. The timer script (scripts/client/practice.js) scales
+ * the positions to the chosen session length, marks every transition with
+ * a soft tone and a vibration, and keeps its state across reloads. Its
+ * labels are the "practice" strings of ui.json (English ones for any a
+ * language lacks).
+ *
+ * Languages without a practice.json get no page.
+ *
+ * Usage:
+ *   node scripts/build-practice.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Domain Configuration
+const DOMAIN = process.env.DOMAIN || 'reiki.chuchurex.cl';
+const SITE_URL = `https://${DOMAIN}`;
+
+const { ROOT_DIR, DIST_DIR, SOURCE_LANG, listLanguages, languageInfo, loadBook, resolveAnchor, blockAnchor } = require('./lib/book');
+const { processText } = require('./lib/text');
+const { escapeText, escapeAttr } = require('./lib/inline');
+const { langRoot, alternateLinks, pageDir, labelsAttr, copyClientFiles } = require('./lib/pages');
+
+// Link to the chapter passage a position is taken from
+function sourceLink(book, see, label) {
+  const target = resolveAnchor(book.chapters, see);
+  if (!target) {
+    throw new Error(`practice.json: "${see}" is not a section id or block anchor (run: npm run validate)`);
+  }
+  const { chapter, section, block } = target;
+  const anchor = block === null ? section.id : blockAnchor(section.id, block, section.content[block].id);
+  const href = `${langRoot(book.lang)}${chapter.id}/#${anchor}`;
+  return `<a href="${escapeAttr(href)}" class="practice-source">${escapeText(label)}: ${escapeText(chapter.title)}</a>`;
+}
+
+function renderPosition(book, position, labels) {
+  const source = position.see ? `\n                    ${sourceLink(book, position.see, labels.read)}` : '';
+  return `                <li class="practice-position" id="position-${position.id}" data-minutes="${position.minutes}">
+                    <h2 class="practice-position-title">${escapeText(position.title)} <span class="practice-minutes">${position.minutes} min</span></h2>
+                    <p>${processText(position.text)}</p>${source}
+                </li>`;
+}
+
+/**
+ * Session timer page for a language.
+ * @param {string} lang
+ * @returns {string|null} HTML, or null without a practice.json
+ */
+function generatePracticePage(lang) {
+  const book = loadBook(lang);
+  const { practice, ui } = book;
+  if (!practice) return null;
+
+  const labels = { ...loadBook(SOURCE_LANG).ui.practice, ...ui.practice };
+  const total = practice.positions.reduce((sum, position) => sum + position.minutes, 0);
+  const label = key => escapeText(labels[key]);
+
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${languageInfo(lang).dir}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeText(practice.title)} | ${DOMAIN}</title>
+    <meta name="description" content="${escapeAttr(practice.description || '')}">
+    <link rel="canonical" href="${SITE_URL}${langRoot(lang)}practice/">
+${alternateLinks(SITE_URL, 'practice/')}
+
+    <meta name="theme-color" content="#0d0d0f">
+    <link rel="icon" type="image/svg+xml" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>✧</text></svg>">
+
+    <link rel="preload" href="/fonts/cormorant-garamond-400.woff2" as="font" type="font/woff2" crossorigin>
+    <link rel="stylesheet" href="/fonts/fonts.css">
+    <link rel="stylesheet" href="/css/main.css?v=${Date.now()}">
+    <link rel="stylesheet" href="/css/practice.css">
+</head>
+<body>
+    <button class="toggle theme-toggle" onclick="toggleTheme()" aria-label="Toggle Theme">☀</button>
+
+    <div class="layout">
+        <main class="main practice" style="max-width: 50rem; margin: 0 auto; padding: 2rem;">
+
+            <a href="${langRoot(lang)}" class="back-link">← ${escapeText(ui.nav.backToIndex)}</a>
+
+            <header class="practice-header">
+                <h1 class="practice-title">${escapeText(practice.title)}</h1>
+${practice.intro ? `                <p class="practice-intro">${processText(practice.intro)}</p>\n` : ''}            </header>
+
+            <section class="practice-timer" hidden>
+                <label class="practice-total">${label('total')}
+                    <input type="number" min="1" max="240" step="1" value="${total}" data-default="${total}">
+                </label>
+                <div class="practice-display" aria-live="polite">
+                    <div class="practice-current"></div>
+                    <div class="practice-clock">0:00</div>
+                    <div class="practice-remaining"></div>
+                    <div class="practice-progress"><div class="practice-progress-bar"></div></div>
+                </div>
+                <div class="practice-controls">
+                    <button type="button" class="practice-toggle">${label('start')}</button>
+                    <button type="button" class="practice-next">${label('next')}</button>
+                    <button type="button" class="practice-reset">${label('reset')}</button>
+                </div>
+                <div class="practice-cues">
+                    <label><input type="checkbox" class="practice-sound" checked> ${label('sound')}</label>
+                    <label><input type="checkbox" class="practice-vibration" checked> ${label('vibration')}</label>
+                </div>
+            </section>
+
+            <ol class="practice-positions">
+${practice.positions.map(position => renderPosition(book, position, labels)).join('\n')}
+            </ol>
+
+        </main>
+    </div>
+
+    <script>
+        // Theme toggle
+        function toggleTheme() {
+            const html = document.documentElement;
+            const newTheme = html.getAttribute('data-theme') === 'light' ? 'dark' : 'light';
+            html.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+            updateThemeButton(newTheme);
+        }
+
+        function updateThemeButton(theme) {
+            document.querySelector('.theme-toggle').textContent = theme === 'light' ? '☀' : '☽';
+        }
+
+        const savedTheme = localStorage.getItem('theme') || 'dark';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+        updateThemeButton(savedTheme);
+    </script>
+    <script src="/js/practice.js"${labelsAttr(lang, 'practice')} defer></script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  console.log('\n⏱️  Building session timer pages...\n');
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found (run: npm run build)');
+    process.exit(1);
+  }
+
+  copyClientFiles(['practice.js', 'practice.css']);
+
+  let count = 0;
+  listLanguages().forEach(lang => {
+    let html;
+    try {
+      html = generatePracticePage(lang);
+    } catch (error) {
+      console.error(`❌ ${lang.toUpperCase()}: ${error.message}`);
+      process.exit(1);
+    }
+    if (!html) return;
+
+    const dir = pageDir(lang, 'practice');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
+    count++;
+    console.log(`   ✅ ${path.relative(ROOT_DIR, path.join(dir, 'index.html'))}`);
+  });
+
+  console.log(`\n✨ ${count} session timer page(s) built\n`);
+}
+
+main();
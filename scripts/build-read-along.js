@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Build Read-Along
+ *
+ * Post-build step for the chapter pages in dist/: for every chapter with a
+ * timing map (audio/<lang>/chN/chN-<lang>.timing.json, written by
+ * concat-chapter-audio.js) it copies the map next to the page as
+ * timing.json and adds the read-along script and styles, which highlight
+ * the paragraph being spoken, seek on click and remember the position.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/build-read-along.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DIST_DIR, AUDIO_DIR, listLanguages, loadChapters } = require('./lib/book');
+const { pageDir, setTags, copyClientFiles } = require('./lib/pages');
+
+const STYLE_TAG = '<link rel="stylesheet" href="/css/read-along.css">';
+const SCRIPT_TAG = '<script src="/js/read-along.js" data-timing="timing.json" defer></script>';
+
+function main() {
+  console.log('\n🎧 Adding read-along to chapter pages...\n');
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found (run: npm run build)');
+    process.exit(1);
+  }
+
+  copyClientFiles(['read-along.js', 'read-along.css']);
+
+  let enabledCount = 0;
+
+  listLanguages().forEach(lang => {
+    loadChapters(lang).forEach(chapter => {
+      const dir = pageDir(lang, chapter.id);
+      const page = path.join(dir, 'index.html');
+      if (!fs.existsSync(page)) return;
+
+      const timingFile = path.join(AUDIO_DIR, lang, chapter.id, `${chapter.id}-${lang}.timing.json`);
+      const target = path.join(dir, 'timing.json');
+      const enabled = fs.existsSync(timingFile);
+
+      if (enabled) {
+        fs.copyFileSync(timingFile, target);
+        enabledCount++;
+        console.log(`   ✅ ${path.relative(ROOT_DIR, page)}`);
+      } else if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+      }
+
+      const html = fs.readFileSync(page, 'utf8');
+      const updated = setTags(html, { head: STYLE_TAG, body: SCRIPT_TAG }, enabled);
+      if (updated !== html) fs.writeFileSync(page, updated, 'utf8');
+    });
+  });
+
+  if (enabledCount === 0) {
+    console.log('   ⚠️  No timing maps found (run: node scripts/concat-chapter-audio.js <chapter> <lang>)');
+  }
+  console.log(`\n✨ Read-along enabled on ${enabledCount} chapter page(s)\n`);
+}
+
+main();
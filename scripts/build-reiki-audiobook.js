@@ -6,67 +6,109 @@
  * Combines all 3 steps:
  * 1. Prepare chunks
  * 2. Generate audio
- * 3. Concatenate final MP3
+ * 3. Concatenate final MP3 (after the audio QA check, with loudness normalization)
  *
  * Usage:
- *   node scripts/build-reiki-audiobook.js <chapter-number> <lang>
+ *   node scripts/build-reiki-audiobook.js <chapter-number> <lang> [--provider <name>] [--voice <id>] [--concurrency <n>]
  *   node scripts/build-reiki-audiobook.js 1 en
+ *   node scripts/build-reiki-audiobook.js 1 en --provider local
  *   node scripts/build-reiki-audiobook.js all en
  *   node scripts/build-reiki-audiobook.js all es
+ *   node scripts/build-reiki-audiobook.js all es --concurrency 4
+ *   node scripts/build-reiki-audiobook.js all es --force   # Render finished chapters again
+ *
+ * Steps run in this process. Re-running an interrupted `all` build resumes
+ * where it stopped: after preparing a chapter's chunks, a chapter whose
+ * journal.json has every chunk done with an unchanged cache key and whose
+ * MP3 is newer than its chunks and journal is skipped (no synthesis, audio
+ * QA or concatenation). In the other chapters only the chunks missing from
+ * audio/cache/ are synthesized.
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
+const { assertLanguage, resolveChapterArg } = require('./lib/book');
+const { prepareChapterChunks } = require('./prepare-audio-chunks');
+const { generateChapterAudio, isChapterAudioCurrent } = require('./generate-chapter-audio');
+const { concatChapterAudio } = require('./concat-chapter-audio');
 
-function runCommand(command, description) {
+async function runStep(description, step) {
   console.log(`\n${'='.repeat(60)}`);
   console.log(`  ${description}`);
   console.log('='.repeat(60));
 
   try {
-    execSync(command, { stdio: 'inherit' });
-    return true;
+    return { ok: true, result: await step() };
   } catch (error) {
     console.error(`\n❌ Failed: ${description}`);
+    console.error(`   ${error.message}`);
+    return { ok: false };
+  }
+}
+
+// Finished with these chunks and this voice; on an unreadable journal or a
+// provider that cannot be set up, step 2 reports the problem
+function isFinished(chapterNum, lang, ttsOptions) {
+  try {
+    return isChapterAudioCurrent(chapterNum, lang, ttsOptions);
+  } catch (error) {
     return false;
   }
 }
 
-function buildChapter(chapterNum, lang) {
+// Returns the chunks that failed permanently (empty on success), or null
+// when a step failed as a whole
+async function buildChapter(chapterNum, lang, ttsOptions, force) {
   console.log(`\n${'━'.repeat(60)}`);
   console.log(`📚 Building Chapter ${chapterNum} (${lang.toUpperCase()})`);
   console.log('━'.repeat(60));
 
   // Step 1: Prepare chunks
-  if (!runCommand(
-    `node scripts/prepare-audio-chunks.js ${chapterNum} ${lang}`,
-    'Step 1/3: Preparing audio chunks'
-  )) {
-    return false;
+  const prepare = await runStep('Step 1/3: Preparing audio chunks',
+    () => prepareChapterChunks(chapterNum, lang));
+  if (!prepare.ok) return null;
+
+  if (!force && isFinished(chapterNum, lang, ttsOptions)) {
+    console.log(`\n⏭️  Chapter ${chapterNum} is up to date (journal.json), skipping steps 2 and 3 (--force to render it again)`);
+    return [];
   }
 
   // Step 2: Generate audio
-  if (!runCommand(
-    `node scripts/generate-chapter-audio.js ${chapterNum} ${lang}`,
-    'Step 2/3: Generating audio with Fish Audio API'
-  )) {
-    return false;
-  }
+  const generate = await runStep('Step 2/3: Generating audio with TTS provider',
+    () => generateChapterAudio(chapterNum, lang, ttsOptions));
+  if (!generate.ok) return null;
+  if (generate.result.errorCount > 0) return generate.result.failed;
 
   // Step 3: Concatenate
-  if (!runCommand(
-    `node scripts/concat-chapter-audio.js ${chapterNum} ${lang}`,
-    'Step 3/3: Concatenating final audiobook'
-  )) {
-    return false;
+  const concat = await runStep('Step 3/3: Concatenating final audiobook',
+    () => concatChapterAudio(chapterNum, lang));
+  if (!concat.ok) return null;
+
+  return [];
+}
+
+function parseArgs(argv) {
+  const options = { positional: [], tts: {}, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--provider') {
+      options.tts.provider = argv[++i];
+    } else if (arg === '--voice') {
+      options.tts.voice = argv[++i];
+    } else if (arg === '--concurrency') {
+      options.tts.concurrency = parseInt(argv[++i]);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      options.positional.push(arg);
+    }
   }
 
-  return true;
+  return options;
 }
 
-function main() {
-  const args = process.argv.slice(2);
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const args = options.positional;
 
   if (args.length < 2) {
     console.log('');
@@ -79,6 +121,9 @@ function main() {
     console.log('  node scripts/build-reiki-audiobook.js 1 en      # Single chapter');
     console.log('  node scripts/build-reiki-audiobook.js all en    # All chapters English');
     console.log('  node scripts/build-reiki-audiobook.js all es    # All chapters Spanish');
+    console.log('  node scripts/build-reiki-audiobook.js 1 en --provider local   # Offline draft (espeak-ng/piper)');
+    console.log('  node scripts/build-reiki-audiobook.js all es --concurrency 4  # Parallel synthesis');
+    console.log('  node scripts/build-reiki-audiobook.js all es --force          # Render finished chapters again');
     console.log('');
     process.exit(1);
   }
@@ -86,8 +131,12 @@ function main() {
   const chapterArg = args[0];
   const lang = args[1];
 
-  if (!['en', 'es'].includes(lang)) {
-    console.error('❌ Language must be "en" or "es"');
+  let chapterNums;
+  try {
+    assertLanguage(lang);
+    chapterNums = resolveChapterArg(chapterArg, lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
@@ -101,39 +150,45 @@ function main() {
   const startTime = Date.now();
   let successCount = 0;
   let failCount = 0;
+  const failedChunks = [];
+
+  const build = async chapterNum => {
+    const failed = await buildChapter(chapterNum, lang, options.tts, options.force);
+    if (failed && failed.length === 0) {
+      successCount++;
+      return true;
+    }
+    failCount++;
+    if (failed) failedChunks.push(...failed);
+    return false;
+  };
 
   if (chapterArg === 'all') {
-    console.log(`\n📚 Building all 11 chapters in ${lang.toUpperCase()}...\n`);
-
-    for (let i = 1; i <= 11; i++) {
-      if (buildChapter(i, lang)) {
-        successCount++;
-      } else {
-        failCount++;
-        console.error(`\n⚠️  Chapter ${i} failed. Continuing with next chapter...\n`);
+    const total = chapterNums.length;
+    console.log(`\n📚 Building all ${total} chapters in ${lang.toUpperCase()}...\n`);
+
+    for (const chapterNum of chapterNums) {
+      if (!await build(chapterNum)) {
+        console.error(`\n⚠️  Chapter ${chapterNum} failed. Continuing with next chapter...\n`);
       }
     }
 
     console.log('\n' + '━'.repeat(60));
     console.log('📊 SUMMARY');
     console.log('━'.repeat(60));
-    console.log(`✅ Success: ${successCount}/11 chapters`);
+    console.log(`✅ Success: ${successCount}/${total} chapters`);
     if (failCount > 0) {
-      console.log(`❌ Failed: ${failCount}/11 chapters`);
+      console.log(`❌ Failed: ${failCount}/${total} chapters`);
     }
 
   } else {
-    const chapterNum = parseInt(chapterArg);
-    if (isNaN(chapterNum) || chapterNum < 1 || chapterNum > 11) {
-      console.error('❌ Chapter number must be between 1 and 11');
-      process.exit(1);
-    }
+    await build(chapterNums[0]);
+  }
 
-    if (buildChapter(chapterNum, lang)) {
-      successCount = 1;
-    } else {
-      failCount = 1;
-    }
+  if (failedChunks.length > 0) {
+    console.log(`\n❌ Chunks that failed after all retries (${failedChunks.length}):`);
+    failedChunks.forEach(f => console.log(`   - ${f.id} (${f.attempts} attempt(s)): ${f.error}`));
+    console.log('   Run the same command again to retry only these.');
   }
 
   const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -155,4 +210,7 @@ function main() {
   }
 }
 
-main();
+main().catch(error => {
+  console.error('❌ Fatal error:', error.message);
+  process.exit(1);
+});
@@ -1,10 +1,24 @@
 #!/usr/bin/env node
 
 /**
- * Build Review Version from RAFA_REIKI_COMPLETO2.json
+ * Build Review Version
  *
- * Generates a single HTML file with all chapters for review
- * Perfect for screen readers and continuous reading
+ * Side-by-side edition for reviewing a translation: every block of the
+ * source language next to its translation, chapter by chapter, each
+ * marked with its review state from the translation memory (approved,
+ * machine, changed, edited, missing; see scripts/lib/review.js), so the
+ * blocks changed since they were last approved stand out.
+ *
+ * Reviewers comment on blocks and suggest corrections in the page
+ * (scripts/client/review.js). Comments stay in the browser until exported
+ * as JSON; accepted corrections are written back into the chapters with
+ * scripts/import-review.js.
+ *
+ * Output: dist/<lang>/revision/index.html (not linked from the site).
+ *
+ * Usage:
+ *   node scripts/build-review-version.js          # Every translated language
+ *   node scripts/build-review-version.js es       # Only Spanish
  */
 
 const fs = require('fs');
@@ -15,60 +29,112 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const DOMAIN = process.env.DOMAIN || 'reiki.chuchurex.cl';
 const SITE_URL = `https://${DOMAIN}`;
 
-// Configuration
-const SOURCE_FILE = path.join(__dirname, '..', 'RAFA_REIKI_COMPLETO2.json');
-const DIST_DIR = path.join(__dirname, '..', 'dist');
-
-// Load JSON file
-function loadJSON(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {
-    console.error(`❌ Error loading ${filePath}: ${e.message}`);
-    return null;
-  }
+const {
+  ROOT_DIR, SOURCE_LANG, listLanguages, assertLanguage, languageInfo, loadBook, blockTexts
+} = require('./lib/book');
+const { createNotes, renderBlock, renderFootnotes, renderGlossary } = require('./lib/text');
+const { escapeText, escapeAttr } = require('./lib/inline');
+const { openMemory } = require('./lib/translation-memory');
+const { unitStates, sectionRows } = require('./lib/review');
+const { langRoot, pageDir, labelsAttr, copyClientFiles } = require('./lib/pages');
+
+// Data attributes of a row the reviewer can comment on
+function rowData(chapter, entry) {
+  if (!entry) return '';
+  const texts = entry.target || [];
+  return ` data-key="${escapeAttr(entry.unit.key)}" data-chapter="${chapter.id}" data-hash="${entry.hash}"` +
+    ` data-state="${entry.state}" data-count="${entry.unit.texts.length}" data-texts="${escapeAttr(JSON.stringify(texts))}"`;
 }
 
-// Process text with emphasis
-function processText(text) {
-  // Replace **text** with <strong>
-  text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-
-  // Replace *text* or <em>text</em> with <em>
-  text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-
-  // Keep existing <em> tags
-  text = text.replace(/<em>/g, '<em>').replace(/<\/em>/g, '</em>');
-
-  return text;
+function row(className, data, sourceHtml, targetHtml, langs) {
+  return `                <div class="review-row ${className}"${data}>
+                    <div class="review-source" lang="${langs.source}">${sourceHtml}</div>
+                    <div class="review-target" lang="${langs.target}" dir="${langs.dir}">${targetHtml || '<p class="review-empty">—</p>'}</div>
+                </div>\n`;
 }
 
-// Generate review HTML
-function generateReviewHTML() {
-  console.log('\n📖 Generando versión de revisión...\n');
+// Rows of one chapter: titles, then each section's blocks side by side
+function chapterHtml(chapter, target, states, notes, langs) {
+  const titleRow = (key, sourceText, targetText, tag, attrs = '') => {
+    const wrap = text => text ? `<${tag}${attrs}>${escapeText(text)}</${tag}>` : '';
+    return row('review-heading', rowData(chapter, states.get(key)), wrap(sourceText), wrap(targetText), langs);
+  };
+
+  notes.source.startChapter(`${langs.source}-${chapter.id}`);
+  notes.target.startChapter(`${langs.target}-${chapter.id}`);
+
+  let html = `            <article class="chapter" id="${chapter.id}">\n`;
+  html += titleRow(`${chapter.id}.numberText`, chapter.numberText, target && target.numberText, 'div', ' class="ch-num"');
+  html += titleRow(`${chapter.id}.title`, chapter.title, target && target.title, 'h2');
+
+  chapter.sections.forEach(section => {
+    const targetSection = target && target.sections.find(s => s.id === section.id);
+    // Every section title is a unit, even the ones pages leave out for repeating the chapter title
+    if (section.title) {
+      html += titleRow(`${section.id}.title`, section.title, targetSection && targetSection.title, 'h3');
+    }
 
-  // Load source file
-  const chapters = loadJSON(SOURCE_FILE);
-  if (!chapters) {
-    console.error('❌ No se pudo cargar el archivo fuente');
-    process.exit(1);
+    sectionRows(section, targetSection).forEach(({ source, target: block }) => {
+      const render = (b, n) => {
+        if (!b) return '';
+        try {
+          return renderBlock(b, n);
+        } catch (error) {
+          throw new Error(`${chapter.id} › ${section.id}: ${error.message}`);
+        }
+      };
+      const entry = source && source.id && blockTexts(source).length > 0 ? states.get(source.id) : null;
+      const className = source ? `review-${source.type}` : 'review-extra';
+      html += row(className, rowData(chapter, entry), render(source, notes.source), render(block, notes.target), langs);
+    });
+  });
+
+  const footnotes = [renderFootnotes(notes.source, '                    '), renderFootnotes(notes.target, '                    ')];
+  if (footnotes.some(Boolean)) {
+    html += `                <div class="review-row review-notes">
+                    <div class="review-source">\n${footnotes[0]}                    </div>
+                    <div class="review-target">\n${footnotes[1]}                    </div>
+                </div>\n`;
   }
 
-  console.log(`✅ Cargados ${chapters.length} capítulos\n`);
+  html += `            </article>\n`;
+  return html;
+}
 
-  // Show chapter list
-  chapters.forEach(ch => {
-    console.log(`   ${ch.number}. ${ch.title}`);
+// Generate review HTML for one language
+function generateReviewHTML(lang) {
+  const source = loadBook(SOURCE_LANG);
+  const book = loadBook(lang);
+  const memory = openMemory(lang);
+  const { name, dir } = languageInfo(lang);
+  const langs = { source: SOURCE_LANG, target: lang, dir };
+
+  // Source terms link to the source edition's glossary, target terms to the one below
+  const notes = {
+    source: createNotes(source.glossary, source.references, { glossaryHref: `${langRoot(SOURCE_LANG)}full-book/` }),
+    target: createNotes(book.glossary, book.references)
+  };
+
+  const counts = {};
+  let body = '';
+  source.chapters.forEach((chapter, index) => {
+    const target = book.chapters.find(ch => ch.number === chapter.number) || null;
+    const states = unitStates(chapter, target, memory);
+    states.forEach(({ state }) => { counts[state] = (counts[state] || 0) + 1; });
+
+    if (index > 0) body += `\n            <div class="chapter-separator">✧ ✧ ✧</div>\n\n`;
+    body += chapterHtml(chapter, target, states, notes, langs);
   });
 
-  // Generate HTML
-  let html = `<!DOCTYPE html>
-<html lang="es">
+  const glossaryHtml = renderGlossary(notes.target, book.ui.nav.notesPanel, '            ');
+  const summary = Object.entries(counts).map(([state, n]) => `${n} ${state}`).join(', ');
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Versión de Revisión - Nueva Edición | ${DOMAIN}</title>
-    <meta name="description" content="Versión de revisión del libro completo para lectura con lector de pantalla.">
+    <title>Review: ${escapeText(name)} | ${DOMAIN}</title>
     <meta name="robots" content="noindex, nofollow">
 
     <!-- Google tag (gtag.js) -->
@@ -85,132 +151,24 @@ function generateReviewHTML() {
     <link rel="preload" href="/fonts/cormorant-garamond-400.woff2" as="font" type="font/woff2" crossorigin>
     <link rel="preload" href="/fonts/spectral-400.woff2" as="font" type="font/woff2" crossorigin>
     <link rel="stylesheet" href="/fonts/fonts.css">
-    <link rel="stylesheet" href="../css/main.css?v=${Date.now()}">
-
-    <style>
-        /* Review version specific styles */
-        .review-header {
-            text-align: center;
-            margin: 3rem 0 4rem;
-            padding-bottom: 2rem;
-            border-bottom: 1px solid var(--border);
-        }
-
-        .review-title {
-            font-size: 2.5rem;
-            margin-bottom: 0.5rem;
-            font-family: var(--serif);
-        }
-
-        .review-subtitle {
-            font-size: 1.2rem;
-            opacity: 0.7;
-            font-weight: 300;
-            margin-bottom: 1rem;
-        }
-
-        .review-badge {
-            display: inline-block;
-            padding: 0.5rem 1rem;
-            background: var(--accent);
-            color: var(--bg);
-            border-radius: 4px;
-            font-size: 0.9rem;
-            font-weight: 600;
-            margin-top: 1rem;
-        }
-
-        .chapter-separator {
-            margin: 4rem 0;
-            text-align: center;
-            opacity: 0.3;
-        }
-
-        .chapter {
-            margin-bottom: 4rem;
-        }
-
-        .back-link {
-            display: inline-block;
-            margin: 2rem 0;
-            padding: 0.75rem 1.5rem;
-            background: var(--accent);
-            color: var(--bg);
-            text-decoration: none;
-            border-radius: 4px;
-            transition: opacity 0.2s;
-        }
-
-        .back-link:hover {
-            opacity: 0.8;
-        }
-
-        /* Print styles */
-        @media print {
-            .toggle, .back-link, .chapter-separator, .review-badge {
-                display: none;
-            }
-        }
-    </style>
+    <link rel="stylesheet" href="/css/main.css?v=${Date.now()}">
+    <link rel="stylesheet" href="/css/review.css">
 </head>
 <body>
-    <button class="toggle theme-toggle" onclick="toggleTheme()" aria-label="Cambiar Tema">☀</button>
+    <button class="toggle theme-toggle" onclick="toggleTheme()" aria-label="Toggle Theme">☀</button>
 
     <div class="layout">
-        <main class="main" style="max-width: 50rem; margin: 0 auto; padding: 2rem;">
+        <main class="main review" data-lang="${lang}" data-source-lang="${SOURCE_LANG}">
 
-            <a href="/es/" class="back-link">← Volver al índice</a>
+            <a href="${langRoot(lang)}" class="back-link">← ${escapeText(book.ui.nav.backToIndex)}</a>
 
             <header class="review-header">
-                <h1 class="review-title">Las Enseñanzas</h1>
-                <p class="review-subtitle">Versión de Revisión - Nueva Edición</p>
-                <span class="review-badge">VERSIÓN PARA REVISIÓN</span>
+                <h1 class="review-title">${escapeText(book.ui.bookTitle)}</h1>
+                <p class="review-subtitle">${escapeText(languageInfo(SOURCE_LANG).nativeName)} → ${escapeText(languageInfo(lang).nativeName)}</p>
+                <p class="review-summary">${summary}</p>
             </header>
-`;
-
-  // Add each chapter
-  chapters.forEach((chapter, index) => {
-    if (index > 0) {
-      html += `\n            <div class="chapter-separator">✧ ✧ ✧</div>\n\n`;
-    }
-
-    html += `            <article class="chapter" id="ch${chapter.number}">
-                <header class="ch-head">
-                    <div class="ch-head-top">
-                        <div class="ch-num">${chapter.numberText}</div>
-                    </div>
-                    <h2 class="ch-title">${chapter.title}</h2>
-                </header>
-`;
-
-    // Add sections
-    chapter.sections.forEach(section => {
-      html += `
-                <section class="section" id="${section.id}">
-`;
-
-      // Add content blocks
-      section.content.forEach(block => {
-        const processedText = processText(block.text);
-        if (block.type === 'paragraph') {
-          html += `                    <p>${processedText}</p>\n`;
-        } else if (block.type === 'quote') {
-          html += `                    <blockquote>${processedText}</blockquote>\n`;
-        }
-      });
-
-      html += `                </section>\n`;
-    });
-
-    html += `            </article>\n`;
-  });
-
-  // Close HTML
-  html += `
-            <div class="chapter-separator">✧ ✧ ✧</div>
-
-            <a href="/es/" class="back-link">← Volver al índice</a>
 
+${body}${glossaryHtml ? `\n            <div class="chapter-separator">✧ ✧ ✧</div>\n\n${glossaryHtml}` : ''}
         </main>
     </div>
 
@@ -235,37 +193,53 @@ function generateReviewHTML() {
         document.documentElement.setAttribute('data-theme', savedTheme);
         updateThemeButton(savedTheme);
     </script>
+    <script src="/js/review.js"${labelsAttr(lang, 'review')} defer></script>
 </body>
 </html>`;
 
-  return html;
+  return { html, summary };
 }
 
 // Build review version
 function buildReviewVersion() {
-  console.log('\n📚 Construyendo versión de revisión...\n');
-
-  const html = generateReviewHTML();
+  const args = process.argv.slice(2);
 
-  // Create output directory
-  const outputDir = path.join(DIST_DIR, 'revision');
+  try {
+    args.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  const languages = args.length > 0 ? args : listLanguages().filter(lang => lang !== SOURCE_LANG);
+  if (languages.includes(SOURCE_LANG)) {
+    console.error(`❌ ${SOURCE_LANG} is the source language`);
+    process.exit(1);
   }
 
-  // Write HTML file
-  const outputFile = path.join(outputDir, 'index.html');
-  fs.writeFileSync(outputFile, html, 'utf8');
+  console.log('\n📚 Building review versions...\n');
+  copyClientFiles(['review.js', 'review.css']);
+
+  languages.forEach(lang => {
+    let result;
+    try {
+      result = generateReviewHTML(lang);
+    } catch (error) {
+      console.error(`\n❌ ${lang.toUpperCase()}: ${error.message}\n`);
+      process.exit(1);
+    }
 
-  const fileSize = (fs.statSync(outputFile).size / 1024).toFixed(1);
+    const outputDir = pageDir(lang, 'revision');
+    fs.mkdirSync(outputDir, { recursive: true });
+    const outputFile = path.join(outputDir, 'index.html');
+    fs.writeFileSync(outputFile, result.html, 'utf8');
+
+    const fileSize = (fs.statSync(outputFile).size / 1024).toFixed(1);
+    console.log(`   ✅ ${path.relative(ROOT_DIR, outputFile)} (${fileSize} KB): ${result.summary}`);
+    console.log(`      ${SITE_URL}${langRoot(lang)}revision/`);
+  });
 
-  console.log(`\n✅ Archivo generado: ${outputFile}`);
-  console.log(`📦 Tamaño: ${fileSize} KB`);
-  console.log('\n✨ Versión de revisión lista!\n');
-  console.log('🔗 URL de acceso:');
-  console.log(`   ${SITE_URL}/revision/`);
-  console.log('');
+  console.log('\n✨ Review versions built\n');
 }
 
 // Run
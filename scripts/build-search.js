@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Build Search
+ *
+ * Post-build step for dist/: writes a paragraph-level search index per
+ * language (dist/search/index.json, dist/<lang>/search/index.json, see
+ * scripts/lib/search.js) and adds the search box to the sidebar of every
+ * chapter page and index page. Results link to the paragraph
+ * (/chN/#<section>-p<N>). Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/build-search.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DIST_DIR, listLanguages, loadBook } = require('./lib/book');
+const { buildSearchIndex } = require('./lib/search');
+const { langRoot, pageDir, setTags, labelsAttr, copyClientFiles } = require('./lib/pages');
+
+const STYLE_TAG = '<link rel="stylesheet" href="/css/search.css">';
+
+function scriptTags(lang) {
+  return [
+    '<script src="/js/search-text.js" defer></script>',
+    `<script src="/js/search.js" data-index="${langRoot(lang)}search/index.json"${labelsAttr(lang, 'search')} defer></script>`
+  ].join('\n    ');
+}
+
+function main() {
+  console.log('\n🔎 Building search...\n');
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error('❌ dist/ not found (run: npm run build)');
+    process.exit(1);
+  }
+
+  copyClientFiles(['search-text.js', 'search.js', 'search.css']);
+
+  listLanguages().forEach(lang => {
+    let book;
+    try {
+      book = loadBook(lang);
+    } catch (error) {
+      console.error(`❌ ${lang.toUpperCase()}: ${error.message}`);
+      process.exit(1);
+    }
+
+    const index = buildSearchIndex(book, langRoot(lang));
+    const indexDir = pageDir(lang, 'search');
+    const indexFile = path.join(indexDir, 'index.json');
+    fs.mkdirSync(indexDir, { recursive: true });
+    fs.writeFileSync(indexFile, JSON.stringify(index), 'utf8');
+
+    const sizeKB = (fs.statSync(indexFile).size / 1024).toFixed(1);
+    console.log(`   📇 ${path.relative(ROOT_DIR, indexFile)}: ${index.docs.length} paragraphs, ` +
+      `${Object.keys(index.terms).length} terms (${sizeKB} KB)`);
+
+    const tags = { head: STYLE_TAG, body: scriptTags(lang) };
+    const pages = [pageDir(lang, ''), ...book.chapters.map(chapter => pageDir(lang, chapter.id))]
+      .map(dir => path.join(dir, 'index.html'))
+      .filter(page => fs.existsSync(page));
+
+    pages.forEach(page => {
+      // The labels change with ui.json, so drop the old tags first
+      const html = fs.readFileSync(page, 'utf8');
+      const updated = setTags(html.replace(/ {4}<script src="\/js\/search-text\.js"[^\n]*\n {4}<script src="\/js\/search\.js"[^\n]*\n/, ''),
+        tags, true);
+      if (updated !== html) fs.writeFileSync(page, updated, 'utf8');
+    });
+    console.log(`   ✅ Search box on ${pages.length} ${lang.toUpperCase()} page(s)`);
+  });
+
+  console.log('\n✨ Search built\n');
+}
+
+main();
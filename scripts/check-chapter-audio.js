@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Check Chapter Audio Script
+ *
+ * QA pass over the generated chunks of a chapter (scripts/lib/audio-qa.js):
+ * measures loudness, true peak, duration against the text length, sample
+ * rate and channels of every chunk, and writes the results to chN/qa.json.
+ * Chunks flagged for regeneration (near-silent, clipped, cut off or
+ * repeated) can then be synthesized again with
+ * `generate-chapter-audio.js <N> <lang> --regenerate`.
+ *
+ * concat-chapter-audio.js runs this check before every render.
+ *
+ * Usage:
+ *   node scripts/check-chapter-audio.js <chapter-number> <lang> [--verbose]
+ *   node scripts/check-chapter-audio.js 1 en
+ *   node scripts/check-chapter-audio.js all es
+ *
+ * Exits with code 1 when any chunk is flagged for regeneration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AUDIO_DIR, assertLanguage, resolveChapterArg } = require('./lib/book');
+const { OUTPUT_FORMAT, LOUDNESS, measureChunk, analyzeChunks } = require('./lib/audio-qa');
+
+function checkChapterAudio(chapterNum, lang, options = {}) {
+  const audioDir = path.join(AUDIO_DIR, lang, `ch${chapterNum}`);
+  const chunksFile = path.join(audioDir, 'chunks.json');
+  const chunksDir = path.join(audioDir, 'chunks');
+
+  if (!fs.existsSync(chunksFile)) {
+    throw new Error(`Chunks file not found: ${chunksFile}\n   Run: node scripts/prepare-audio-chunks.js ${chapterNum} ${lang}`);
+  }
+
+  if (!fs.existsSync(chunksDir)) {
+    throw new Error(`Chunks directory not found: ${chunksDir}\n   Run: node scripts/generate-chapter-audio.js ${chapterNum} ${lang}`);
+  }
+
+  const chunksData = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
+
+  const missingChunks = chunksData.chunks
+    .filter(chunk => !fs.existsSync(path.join(chunksDir, `${chunk.id}.mp3`)))
+    .map(chunk => chunk.id);
+
+  if (missingChunks.length > 0) {
+    throw new Error(`Missing ${missingChunks.length} audio chunks:\n` +
+      missingChunks.map(id => `   - ${id}.mp3\n`).join('') +
+      `\n   Run: node scripts/generate-chapter-audio.js ${chapterNum} ${lang}`);
+  }
+
+  console.log(`🔎 Checking audio for Chapter ${chapterNum}: ${chunksData.title}`);
+
+  const measurements = {};
+  chunksData.chunks.forEach(chunk => {
+    try {
+      measurements[chunk.id] = measureChunk(path.join(chunksDir, `${chunk.id}.mp3`));
+    } catch (error) {
+      throw new Error(`Could not measure ${chunk.id}.mp3: ${error.message}`);
+    }
+  });
+
+  const analysis = analyzeChunks(chunksData.chunks, measurements, lang);
+  const report = {
+    chapter: chunksData.chapter,
+    lang,
+    checked: new Date().toISOString(),
+    targets: { ...LOUDNESS, ...OUTPUT_FORMAT },
+    ...analysis
+  };
+
+  fs.writeFileSync(path.join(audioDir, 'qa.json'), JSON.stringify(report, null, 2), 'utf8');
+
+  console.log(`   📊 ${report.chunks.length} chunks, median ${report.median} LUFS`);
+
+  report.chunks.forEach(result => {
+    if (result.problems.length === 0) {
+      if (options.verbose) {
+        console.log(`   ✅ ${result.id}: ${result.integrated} LUFS, ${result.truePeak} dBTP, ${result.duration}s`);
+      }
+      return;
+    }
+    result.problems.forEach(p => {
+      const icon = p.severity === 'regenerate' ? '❌' : '⚠️ ';
+      console.log(`   ${icon} ${result.id}: ${p.message}`);
+    });
+  });
+
+  if (report.flagged.length > 0) {
+    console.log(`\n   🔁 ${report.flagged.length} chunk(s) to regenerate:`);
+    console.log(`      node scripts/generate-chapter-audio.js ${chapterNum} ${lang} --regenerate`);
+  } else {
+    console.log(`   ✅ No chunks to regenerate${report.warnings ? ` (${report.warnings} evened out by the render)` : ''}`);
+  }
+
+  return report;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const positional = args.filter(arg => arg !== '--verbose');
+
+  if (positional.length < 2) {
+    console.log('Usage: node scripts/check-chapter-audio.js <chapter-number|all> <lang> [--verbose]');
+    console.log('Example: node scripts/check-chapter-audio.js 1 en');
+    process.exit(1);
+  }
+
+  const lang = positional[1];
+
+  let chapters;
+  try {
+    assertLanguage(lang);
+    chapters = resolveChapterArg(positional[0], lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`\n🎬 Audio QA\n`);
+
+  let flagged = 0;
+  for (const chapterNum of chapters) {
+    try {
+      flagged += checkChapterAudio(chapterNum, lang, { verbose }).flagged.length;
+    } catch (error) {
+      console.error(`\n❌ ${error.message}`);
+      process.exit(1);
+    }
+    console.log('');
+  }
+
+  if (flagged > 0) {
+    console.log(`⚠️  ${flagged} chunk(s) flagged for regeneration (details in chN/qa.json)`);
+    process.exit(1);
+  }
+  console.log('🎉 Audio QA passed');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  checkChapterAudio
+};
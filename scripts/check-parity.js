@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Check Translation Parity Script
+ *
+ * Compares every translated chapter with the English source, section by
+ * section and block by block: section ids, block counts and types,
+ * {term:...} and {ref:...} markers, <em> usage and length ratios.
+ *
+ * Usage:
+ *   node scripts/check-parity.js                      # All translations
+ *   node scripts/check-parity.js es                   # Only Spanish
+ *   node scripts/check-parity.js es --json            # JSON report to stdout
+ *   node scripts/check-parity.js es --json parity.json
+ *   node scripts/check-parity.js es --strict          # Exit 1 on any error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, SOURCE_LANG, listLanguages, assertLanguage, loadChapters, chapterPath } = require('./lib/book');
+const { compareChapters } = require('./lib/parity');
+
+function parseArgs(argv) {
+  const options = { languages: [], json: false, jsonFile: null, strict: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+      if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+        options.jsonFile = argv[++i];
+      }
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else {
+      options.languages.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parity report for one target language.
+ * @param {string} lang
+ */
+function checkLanguage(lang) {
+  const sourceChapters = loadChapters(SOURCE_LANG);
+  const targetChapters = loadChapters(lang);
+
+  const chapters = sourceChapters.map(source => {
+    const target = targetChapters.find(ch => ch.number === source.number) || null;
+    const { lengthRatio, issues } = compareChapters(source, target);
+
+    return {
+      number: source.number,
+      source: path.relative(ROOT_DIR, chapterPath(SOURCE_LANG, source.number)),
+      target: target ? path.relative(ROOT_DIR, chapterPath(lang, target.number)) : null,
+      lengthRatio,
+      issues
+    };
+  });
+
+  targetChapters
+    .filter(target => !sourceChapters.some(ch => ch.number === target.number))
+    .forEach(target => chapters.push({
+      number: target.number,
+      source: null,
+      target: path.relative(ROOT_DIR, chapterPath(lang, target.number)),
+      lengthRatio: null,
+      issues: [{ severity: 'error', kind: 'extra-chapter', section: null, sourceIndex: null, targetIndex: null,
+        message: `chapter ${target.number} has no ${SOURCE_LANG} source` }]
+    }));
+
+  const all = chapters.flatMap(ch => ch.issues);
+
+  return {
+    source: SOURCE_LANG,
+    target: lang,
+    summary: {
+      chapters: chapters.length,
+      errors: all.filter(i => i.severity === 'error').length,
+      warnings: all.filter(i => i.severity === 'warning').length
+    },
+    chapters
+  };
+}
+
+function printReport(report) {
+  console.log(`\n🌍 Parity ${report.source.toUpperCase()} → ${report.target.toUpperCase()}\n`);
+
+  report.chapters.forEach(ch => {
+    const ratio = ch.lengthRatio !== null ? ` (length ×${ch.lengthRatio})` : '';
+    if (ch.issues.length === 0) {
+      console.log(`   ✅ Chapter ${ch.number}${ratio}`);
+      return;
+    }
+
+    console.log(`   ${ch.issues.some(i => i.severity === 'error') ? '❌' : '⚠️ '} Chapter ${ch.number}${ratio}`);
+    ch.issues.forEach(issue => {
+      const where = [
+        issue.section,
+        issue.sourceIndex !== null ? `${report.source}#${issue.sourceIndex}` : null,
+        issue.targetIndex !== null ? `${report.target}#${issue.targetIndex}` : null
+      ].filter(Boolean).join(' ');
+      console.log(`      ${issue.severity === 'error' ? '✗' : '!'} [${issue.kind}] ${where ? where + ': ' : ''}${issue.message}`);
+    });
+  });
+
+  console.log(`\n   📊 ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    options.languages.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const languages = options.languages.length > 0
+    ? options.languages
+    : listLanguages().filter(lang => lang !== SOURCE_LANG);
+
+  const reports = languages.map(checkLanguage);
+
+  if (options.json) {
+    const json = JSON.stringify({ generatedAt: new Date().toISOString(), reports }, null, 2);
+    if (options.jsonFile) {
+      fs.writeFileSync(options.jsonFile, json + '\n', 'utf8');
+      reports.forEach(printReport);
+      console.log(`\n💾 Saved: ${options.jsonFile}\n`);
+    } else {
+      console.log(json);
+    }
+  } else {
+    reports.forEach(printReport);
+    console.log('');
+  }
+
+  if (options.strict && reports.some(r => r.summary.errors > 0)) {
+    process.exit(1);
+  }
+}
+
+main();
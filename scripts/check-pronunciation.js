@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Check Pronunciation Coverage Script
+ *
+ * Lists what the TTS lexicon (i18n/<lang>/pronunciation.json) does not
+ * cover yet: every glossary term, and every capitalized word that does
+ * not start a sentence (names, places, divine titles), with how often and
+ * in which chapters it appears. Add an entry for each one, with a spoken
+ * form where the voice gets it wrong or empty ({}) where it reads fine.
+ *
+ * Usage:
+ *   node scripts/check-pronunciation.js                 # All languages
+ *   node scripts/check-pronunciation.js es              # Only Spanish
+ *   node scripts/check-pronunciation.js es --json       # JSON report to stdout
+ *   node scripts/check-pronunciation.js es --json report.json
+ *   node scripts/check-pronunciation.js --strict        # Exit 1 if anything is uncovered
+ */
+
+const fs = require('fs');
+const { listLanguages, assertLanguage, loadBook } = require('./lib/book');
+const { createLexicon, findUncovered } = require('./lib/pronunciation');
+
+function parseArgs(argv) {
+  const options = { languages: [], json: false, jsonFile: null, strict: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+      if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+        options.jsonFile = argv[++i];
+      }
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else {
+      options.languages.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Coverage report for one language.
+ * @param {string} lang
+ */
+function checkLanguage(lang) {
+  const book = loadBook(lang);
+  const lexicon = createLexicon(book.pronunciation);
+  const { glossary, words } = findUncovered(book, lexicon);
+
+  return {
+    lang,
+    summary: {
+      entries: Object.keys(book.pronunciation).length,
+      glossary: glossary.length,
+      words: words.length
+    },
+    glossary,
+    words
+  };
+}
+
+function printReport(report) {
+  console.log(`\n🗣️  Pronunciation ${report.lang.toUpperCase()} (${report.summary.entries} lexicon entries)\n`);
+
+  if (report.glossary.length === 0 && report.words.length === 0) {
+    console.log('   ✅ Every glossary term and capitalized word is covered');
+    return;
+  }
+
+  if (report.glossary.length > 0) {
+    console.log(`   📖 Glossary terms (${report.glossary.length}):`);
+    report.glossary.forEach(term => console.log(`      - ${term.title} (${term.id})`));
+  }
+
+  if (report.words.length > 0) {
+    console.log(`   🔤 Capitalized words (${report.words.length}):`);
+    report.words.forEach(word => {
+      console.log(`      - ${word.word} ×${word.count} (ch ${word.chapters.join(', ')})`);
+    });
+  }
+
+  console.log(`\n   📊 ${report.summary.glossary + report.summary.words} uncovered, add them to i18n/${report.lang}/pronunciation.json`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    options.languages.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const languages = options.languages.length > 0 ? options.languages : listLanguages();
+
+  let reports;
+  try {
+    reports = languages.map(checkLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    const json = JSON.stringify({ generatedAt: new Date().toISOString(), reports }, null, 2);
+    if (options.jsonFile) {
+      fs.writeFileSync(options.jsonFile, json + '\n', 'utf8');
+      reports.forEach(printReport);
+      console.log(`\n💾 Saved: ${options.jsonFile}\n`);
+    } else {
+      console.log(json);
+    }
+  } else {
+    reports.forEach(printReport);
+    console.log('');
+  }
+
+  if (options.strict && reports.some(r => r.summary.glossary + r.summary.words > 0)) {
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,86 @@
+/**
+ * Block Anchors
+ *
+ * Browser script for chapter pages and the full book (copied to dist/js/
+ * and injected by scripts/build-anchors.js). Gives every block, which the
+ * build already gave its stable anchor as id, a "copy link" button shown
+ * on hover:
+ *   - data-labels holds the button's labels (the "anchors" strings of ui.json)
+ *   - the button copies the block's short link (/p/k3x9qa, /es/p/k3x9qa),
+ *     which redirects to whichever chapter holds the block
+ *   - an old positional link (#ch3-main-p4) is moved to the block's anchor
+ */
+(function () {
+    const script = document.currentScript;
+    const root = (script && script.dataset.root) || '/';
+    const BLOCKS = ':scope > p, :scope > blockquote, :scope > .subheading, :scope > ul, :scope > ol, :scope > hr, :scope > .meditation';
+    const COPIED = 'block-link-copied';
+
+    // Button labels in the page's language, from its ui.json
+    const labels = JSON.parse((script && script.dataset.labels) || '{}');
+
+    // The block an old positional anchor ("ch3-main-p4") points at
+    function byPosition(id) {
+        const match = id.match(/^(.+)-p(\d+)$/);
+        const section = match && document.getElementById(match[1]);
+        return section ? section.querySelectorAll(BLOCKS)[parseInt(match[2]) - 1] || null : null;
+    }
+
+    function shortLink(el) {
+        return location.origin + root + 'p/' + el.id.replace(/^p-/, '');
+    }
+
+    function copy(text) {
+        if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+        return Promise.reject(new Error('Clipboard unavailable'));
+    }
+
+    // Copy-link button at the start of a block; lists and rules get none
+    function addButton(el) {
+        if (el.querySelector(':scope > .block-link') || /^(UL|OL|HR)$/.test(el.tagName)) return;
+        const link = document.createElement('a');
+        link.className = 'block-link';
+        link.href = '#' + el.id;
+        link.textContent = '¶';
+        link.title = labels.copy;
+        link.setAttribute('aria-label', labels.copy);
+        link.addEventListener('click', e => {
+            e.preventDefault();
+            history.replaceState(null, '', '#' + el.id);
+            copy(shortLink(el)).then(() => {
+                link.classList.add(COPIED);
+                link.title = labels.copied;
+                setTimeout(() => {
+                    link.classList.remove(COPIED);
+                    link.title = labels.copy;
+                }, 1500);
+            }, () => {
+                location.hash = el.id;
+            });
+        });
+        el.prepend(link);
+    }
+
+    // Scroll to the hash, moving an old positional one to the block's anchor
+    function showHash() {
+        const id = decodeURIComponent(location.hash.replace(/^#/, ''));
+        if (!id) return;
+        let el = document.getElementById(id);
+        if (!el) {
+            el = byPosition(id);
+            if (el && el.id) history.replaceState(null, '', '#' + el.id);
+        }
+        if (el) el.scrollIntoView({ block: 'center' });
+    }
+
+    function init() {
+        document.querySelectorAll('.section [id^="p-"]').forEach(el => {
+            if (el.matches('.meditation-step')) return;
+            addButton(el);
+        });
+        showHash();
+    }
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+    else init();
+})();
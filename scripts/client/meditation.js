@@ -0,0 +1,159 @@
+/**
+ * Guided Meditation
+ *
+ * Browser script for chapter pages with meditation blocks (copied to
+ * dist/js/ and injected by scripts/build-meditation.js). Turns each
+ * .meditation list into a step-by-step exercise:
+ *   - Start / Pause, Next and Restart controls
+ *   - the current step is highlighted and its hold time counts down
+ *   - when a hold ends the next step starts, with a soft chime when the
+ *     block has data-chime="true"
+ * Without the script the steps read as a numbered list with their times.
+ */
+(function () {
+    const script = document.currentScript;
+    const ACTIVE = 'meditation-active';
+    const DONE = 'meditation-done';
+
+    // Control labels: the "meditation" strings of the language's ui.json
+    const labels = JSON.parse((script && script.dataset.labels) || '{}');
+
+    function formatTime(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0');
+    }
+
+    // Short bell tone with WebAudio (no audio file needed)
+    let audioContext = null;
+    function chime() {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return;
+        try {
+            audioContext = audioContext || new Context();
+            const now = audioContext.currentTime;
+            [[528, 0.25, 2], [1056, 0.12, 3]].forEach(([frequency, volume, decay]) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(volume, now);
+                gain.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+                oscillator.connect(gain).connect(audioContext.destination);
+                oscillator.start(now);
+                oscillator.stop(now + decay);
+            });
+        } catch (e) {
+            // Audio blocked or unavailable: the exercise goes on silently
+        }
+    }
+
+    function button(text, className) {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = className;
+        el.textContent = text;
+        return el;
+    }
+
+    function init(block) {
+        const steps = Array.from(block.querySelectorAll('.meditation-step'));
+        if (steps.length === 0) return;
+
+        const holds = steps.map(step => parseFloat(step.dataset.hold) || 0);
+        const withChime = block.dataset.chime === 'true';
+
+        const controls = document.createElement('div');
+        controls.className = 'meditation-controls';
+        const toggle = button(labels.start, 'meditation-toggle');
+        const next = button(labels.next, 'meditation-next');
+        const restart = button(labels.restart, 'meditation-restart');
+        const status = document.createElement('span');
+        status.className = 'meditation-status';
+        status.setAttribute('aria-live', 'polite');
+        controls.append(toggle, next, restart, status);
+        block.appendChild(controls);
+
+        let current = -1;      // Step being held
+        let remaining = 0;     // Seconds left in it
+        let timer = null;
+        let lastTick = 0;
+
+        function render() {
+            steps.forEach((step, i) => {
+                step.classList.toggle(ACTIVE, i === current);
+                step.classList.toggle(DONE, current !== -1 && i < current);
+                const hold = step.querySelector('.meditation-hold');
+                if (hold) hold.textContent = formatTime(i === current ? remaining : holds[i]);
+            });
+            toggle.textContent = timer ? labels.pause : (current === -1 ? labels.start : labels.resume);
+            next.disabled = current === -1;
+        }
+
+        function stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+
+        function goTo(index) {
+            if (index >= steps.length) {
+                stop();
+                current = -1;
+                render();
+                steps.forEach(step => step.classList.add(DONE));
+                status.textContent = labels.finished;
+                return;
+            }
+            if (index > 0 && withChime) chime();
+            current = index;
+            remaining = holds[index];
+            status.textContent = (index + 1) + ' / ' + steps.length;
+            if (timer && steps[index].getBoundingClientRect().top > window.innerHeight - 80) {
+                steps[index].scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            render();
+        }
+
+        function tick() {
+            const now = Date.now();
+            remaining -= (now - lastTick) / 1000;
+            lastTick = now;
+            if (remaining <= 0) goTo(current + 1);
+            else render();
+        }
+
+        function start() {
+            if (current === -1) goTo(0);
+            lastTick = Date.now();
+            timer = setInterval(tick, 250);
+            render();
+        }
+
+        toggle.addEventListener('click', () => {
+            if (timer) stop();
+            else start();
+            render();
+        });
+        next.addEventListener('click', () => {
+            if (current !== -1) goTo(current + 1);
+        });
+        restart.addEventListener('click', () => {
+            stop();
+            current = -1;
+            status.textContent = '';
+            steps.forEach(step => step.classList.remove(DONE));
+            render();
+        });
+
+        block.classList.add('meditation-enhanced');
+        render();
+    }
+
+    function initAll() {
+        document.querySelectorAll('.meditation').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAll);
+    } else {
+        initAll();
+    }
+})();
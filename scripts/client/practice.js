@@ -0,0 +1,275 @@
+/**
+ * Session Timer
+ *
+ * Browser script for the practice page (built by scripts/build-practice.js).
+ * Times a session position by position:
+ *   - the default minutes of each position are scaled to the session
+ *     length the practitioner sets
+ *   - every transition plays a soft tone and vibrates (each can be turned
+ *     off) and highlights the next position
+ *   - the timer keeps running from timestamps, so state saved in
+ *     localStorage survives a reload or a phone going to sleep
+ *   - the screen is kept awake while the timer runs, where supported
+ *
+ * Labels come from the "practice" strings of ui.json, in data-labels.
+ */
+(function () {
+    const script = document.currentScript;
+    const labels = JSON.parse((script && script.dataset.labels) || '{}');
+
+    const timer = document.querySelector('.practice-timer');
+    if (!timer) return;
+
+    const items = Array.from(document.querySelectorAll('.practice-position'));
+    if (items.length === 0) return;
+
+    const ACTIVE = 'practice-position-active';
+    const DONE = 'practice-position-done';
+    const STORAGE_KEY = 'practice:' + (document.documentElement.lang || 'en');
+
+    const totalInput = timer.querySelector('.practice-total input');
+    const toggle = timer.querySelector('.practice-toggle');
+    const next = timer.querySelector('.practice-next');
+    const reset = timer.querySelector('.practice-reset');
+    const soundInput = timer.querySelector('.practice-sound');
+    const vibrationInput = timer.querySelector('.practice-vibration');
+    const current = timer.querySelector('.practice-current');
+    const clock = timer.querySelector('.practice-clock');
+    const remaining = timer.querySelector('.practice-remaining');
+    const bar = timer.querySelector('.practice-progress-bar');
+
+    const minutes = items.map(item => parseFloat(item.dataset.minutes) || 1);
+    const defaultTotal = parseFloat(totalInput.dataset.default) || minutes.reduce((a, b) => a + b, 0);
+
+    function initialState() {
+        return {
+            total: defaultTotal,
+            sound: true,
+            vibration: true,
+            index: 0,          // Position being held (items.length = finished)
+            elapsed: 0,        // Seconds spent in it before `startedAt`
+            startedAt: null    // ms timestamp while running
+        };
+    }
+
+    function loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved.index === 'number') return Object.assign(initialState(), saved);
+        } catch (e) {
+            // Broken or unavailable storage: start fresh
+        }
+        return initialState();
+    }
+
+    function saveState() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            // Private mode or storage full: state is just not kept
+        }
+    }
+
+    let state = loadState();
+
+    // Seconds of each position for the chosen session length
+    function durations() {
+        const sum = minutes.reduce((a, b) => a + b, 0);
+        return minutes.map(m => m / sum * state.total * 60);
+    }
+
+    function formatTime(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0');
+    }
+
+    // Soft two-tone bell with WebAudio
+    let audioContext = null;
+    function tone(final) {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return;
+        try {
+            audioContext = audioContext || new Context();
+            const now = audioContext.currentTime;
+            const notes = final ? [[528, 0], [660, 0.35], [792, 0.7]] : [[528, 0], [792, 0.2]];
+            notes.forEach(([frequency, delay]) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.0001, now + delay);
+                gain.gain.exponentialRampToValueAtTime(0.2, now + delay + 0.02);
+                gain.gain.exponentialRampToValueAtTime(0.0001, now + delay + 2);
+                oscillator.connect(gain).connect(audioContext.destination);
+                oscillator.start(now + delay);
+                oscillator.stop(now + delay + 2);
+            });
+        } catch (e) {
+            // Audio blocked or unavailable
+        }
+    }
+
+    function cue(final) {
+        if (state.sound) tone(final);
+        if (state.vibration && navigator.vibrate) navigator.vibrate(final ? [300, 150, 300, 150, 300] : [200]);
+    }
+
+    // Keep the screen on while the timer runs
+    let wakeLock = null;
+    function holdWakeLock(on) {
+        if (!('wakeLock' in navigator)) return;
+        if (on && !wakeLock) {
+            navigator.wakeLock.request('screen')
+                .then(lock => {
+                    wakeLock = lock;
+                    lock.addEventListener('release', () => { wakeLock = null; });
+                })
+                .catch(() => {});
+        } else if (!on && wakeLock) {
+            wakeLock.release().catch(() => {});
+        }
+    }
+
+    const isRunning = () => state.startedAt !== null;
+    const isFinished = () => state.index >= items.length;
+
+    // Seconds into the current position right now
+    function elapsedNow() {
+        return state.elapsed + (isRunning() ? (Date.now() - state.startedAt) / 1000 : 0);
+    }
+
+    // Move past every position whose time is up; `live` plays the cues
+    function advance(live) {
+        if (!isRunning()) return;
+        const seconds = durations();
+        let elapsed = elapsedNow();
+        let moved = false;
+
+        while (state.index < items.length && elapsed >= seconds[state.index]) {
+            elapsed -= seconds[state.index];
+            state.index++;
+            moved = true;
+        }
+        if (!moved) return;
+
+        if (isFinished()) {
+            state.elapsed = 0;
+            state.startedAt = null;
+            holdWakeLock(false);
+        } else {
+            state.elapsed = elapsed;
+            state.startedAt = Date.now();
+        }
+        saveState();
+        if (live) cue(isFinished());
+    }
+
+    function render() {
+        const seconds = durations();
+        const elapsed = isFinished() ? 0 : elapsedNow();
+
+        items.forEach((item, i) => {
+            item.classList.toggle(ACTIVE, i === state.index && (isRunning() || elapsed > 0));
+            item.classList.toggle(DONE, i < state.index);
+            const label = item.querySelector('.practice-minutes');
+            if (label) label.textContent = formatTime(seconds[i]);
+        });
+
+        const left = isFinished() ? 0 : seconds.slice(state.index).reduce((a, b) => a + b, 0) - elapsed;
+        const total = state.total * 60;
+
+        if (isFinished()) {
+            current.textContent = labels.finished;
+            clock.textContent = '0:00';
+        } else {
+            const title = items[state.index].querySelector('.practice-position-title');
+            current.textContent = (state.index + 1) + ' / ' + items.length + ' · ' +
+                (title ? title.firstChild.textContent.trim() : '');
+            clock.textContent = formatTime(seconds[state.index] - elapsed);
+        }
+        remaining.textContent = formatTime(left) + ' ' + labels.remaining;
+        bar.style.width = Math.min(100, (total - left) / total * 100) + '%';
+
+        const fresh = state.index === 0 && state.elapsed === 0 && !isRunning();
+        toggle.textContent = isRunning() ? labels.pause : (fresh || isFinished() ? labels.start : labels.resume);
+        next.disabled = fresh || isFinished();
+        totalInput.value = state.total;
+        soundInput.checked = state.sound;
+        vibrationInput.checked = state.vibration;
+    }
+
+    function start() {
+        if (isFinished()) state = Object.assign(initialState(), { total: state.total, sound: state.sound, vibration: state.vibration });
+        if (state.index === 0 && state.elapsed === 0) cue(false);
+        state.startedAt = Date.now();
+        holdWakeLock(true);
+    }
+
+    function pause() {
+        state.elapsed = elapsedNow();
+        state.startedAt = null;
+        holdWakeLock(false);
+    }
+
+    toggle.addEventListener('click', () => {
+        if (isRunning()) pause();
+        else start();
+        saveState();
+        render();
+    });
+
+    next.addEventListener('click', () => {
+        if (isFinished()) return;
+        state.index++;
+        state.elapsed = 0;
+        if (isFinished()) {
+            state.startedAt = null;
+            holdWakeLock(false);
+        } else if (isRunning()) {
+            state.startedAt = Date.now();
+        }
+        cue(isFinished());
+        saveState();
+        render();
+    });
+
+    reset.addEventListener('click', () => {
+        holdWakeLock(false);
+        state = Object.assign(initialState(), { total: state.total, sound: state.sound, vibration: state.vibration });
+        saveState();
+        render();
+    });
+
+    totalInput.addEventListener('change', () => {
+        const value = parseFloat(totalInput.value);
+        if (value > 0) state.total = value;
+        advance(false);
+        saveState();
+        render();
+    });
+
+    soundInput.addEventListener('change', () => {
+        state.sound = soundInput.checked;
+        saveState();
+    });
+
+    vibrationInput.addEventListener('change', () => {
+        state.vibration = vibrationInput.checked;
+        saveState();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && isRunning()) holdWakeLock(true);
+    });
+
+    // Catch up on time that passed while the page was closed, without cues
+    advance(false);
+    if (isRunning()) holdWakeLock(true);
+    timer.hidden = false;
+    render();
+
+    setInterval(() => {
+        if (!isRunning()) return;
+        advance(true);
+        render();
+    }, 500);
+})();
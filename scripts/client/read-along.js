@@ -0,0 +1,171 @@
+/**
+ * Read-Along
+ *
+ * Browser script for chapter pages (copied to dist/js/ and injected by
+ * scripts/build-read-along.js). Loads the chapter's timing map and links
+ * the audio player to the text:
+ *   - highlights the paragraph being spoken and scrolls it into view
+ *   - clicking a paragraph while the player is open seeks the audio there
+ *   - the playback position is remembered per chapter in localStorage
+ */
+(function () {
+    const script = document.currentScript;
+    const timingUrl = script && script.dataset.timing;
+    const ACTIVE = 'read-along-active';
+    const SAVE_EVERY = 5; // seconds of playback between position saves
+    const USER_SCROLL_GRACE = 4000; // ms without auto-scroll after the reader scrolls
+
+    function storageKey(timing) {
+        return 'readAlong:' + timing.lang + ':ch' + timing.chapter;
+    }
+
+    function loadPosition(timing) {
+        try {
+            const value = parseFloat(localStorage.getItem(storageKey(timing)));
+            return isNaN(value) ? 0 : value;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function savePosition(timing, seconds) {
+        try {
+            if (seconds > 0) localStorage.setItem(storageKey(timing), seconds.toFixed(1));
+            else localStorage.removeItem(storageKey(timing));
+        } catch (e) {
+            // Private mode or storage full: position is just not remembered
+        }
+    }
+
+    // Element a timing entry points at: its anchor id when the page has one,
+    // otherwise the n-th block of its section; the intro maps to the title
+    // and a section title to its section
+    function findElement(entry) {
+        if (entry.block === null && entry.section) {
+            return document.getElementById(entry.anchor) || document.getElementById(entry.section);
+        }
+        if (entry.block === null) {
+            const chapter = document.getElementById(entry.anchor);
+            return chapter && (chapter.querySelector('.ch-title') || chapter);
+        }
+        const byId = document.getElementById(entry.anchor);
+        if (byId) return byId;
+        const section = document.getElementById(entry.section);
+        if (!section) return null;
+        return section.querySelectorAll(':scope > p, :scope > blockquote, :scope > .subheading, :scope > ul, :scope > ol, :scope > hr, :scope > .meditation')[entry.block] || null;
+    }
+
+    // Index of the entry playing at `time` (last one that has started)
+    function entryAt(entries, time) {
+        let lo = 0;
+        let hi = entries.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (entries[mid].start <= time) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    function isInView(el) {
+        const rect = el.getBoundingClientRect();
+        return rect.top >= 60 && rect.bottom <= window.innerHeight - 60;
+    }
+
+    function init(timing) {
+        const panel = document.getElementById('audio-panel-' + timing.chapter);
+        const audio = panel && panel.querySelector('audio');
+        if (!audio) return;
+
+        const items = timing.entries
+            .map(entry => ({ entry, el: findElement(entry) }))
+            .filter(item => item.el);
+        if (items.length === 0) return;
+
+        const entries = items.map(item => item.entry);
+        let current = -1;
+        let lastSaved = 0;
+        let userScrolledAt = 0;
+
+        function highlight(index) {
+            if (index === current) return;
+            if (current !== -1) items[current].el.classList.remove(ACTIVE);
+            current = index;
+            if (index === -1) return;
+
+            const el = items[index].el;
+            el.classList.add(ACTIVE);
+            if (!audio.paused && Date.now() - userScrolledAt > USER_SCROLL_GRACE && !isInView(el)) {
+                el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+
+        // Restore the saved position once the browser knows the duration
+        const saved = loadPosition(timing);
+        if (saved > 0) {
+            const restore = () => {
+                if (audio.currentTime === 0 && saved < audio.duration) audio.currentTime = saved;
+            };
+            if (audio.readyState >= 1) restore();
+            else audio.addEventListener('loadedmetadata', restore, { once: true });
+        }
+
+        audio.addEventListener('timeupdate', () => {
+            highlight(entryAt(entries, audio.currentTime));
+            if (Math.abs(audio.currentTime - lastSaved) >= SAVE_EVERY) {
+                lastSaved = audio.currentTime;
+                savePosition(timing, audio.currentTime);
+            }
+        });
+        audio.addEventListener('pause', () => savePosition(timing, audio.currentTime));
+        audio.addEventListener('ended', () => {
+            savePosition(timing, 0);
+            highlight(-1);
+        });
+        window.addEventListener('pagehide', () => {
+            if (audio.currentTime > 0 && !audio.ended) savePosition(timing, audio.currentTime);
+        });
+
+        ['wheel', 'touchmove'].forEach(type => {
+            window.addEventListener(type, () => { userScrolledAt = Date.now(); }, { passive: true });
+        });
+
+        // Click a paragraph to play from there (only while the player is open)
+        items.forEach((item, index) => {
+            item.el.classList.add('read-along-block');
+            item.el.addEventListener('click', e => {
+                if (!panel.classList.contains('active')) return;
+                if (e.target.closest('a, button, .term, .ref')) return;
+                if (window.getSelection && String(window.getSelection())) return;
+
+                audio.currentTime = item.entry.start;
+                highlight(index);
+                if (audio.paused) audio.play().catch(() => {});
+            });
+        });
+
+        // Blocks only look clickable while the player is open
+        const syncPanelState = () => document.body.classList.toggle('read-along-on', panel.classList.contains('active'));
+        new MutationObserver(syncPanelState).observe(panel, { attributes: true, attributeFilter: ['class'] });
+        syncPanelState();
+    }
+
+    if (!timingUrl) return;
+
+    fetch(timingUrl)
+        .then(response => (response.ok ? response.json() : null))
+        .then(timing => {
+            if (!timing || !Array.isArray(timing.entries)) return;
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => init(timing));
+            } else {
+                init(timing);
+            }
+        })
+        .catch(() => {});
+})();
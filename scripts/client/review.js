@@ -0,0 +1,339 @@
+/**
+ * Translation Review
+ *
+ * Browser script for the side-by-side review edition (copied to dist/js/
+ * by scripts/build-review-version.js). Every row with a data-key is a
+ * unit the reviewer can comment on:
+ *   - a badge shows its review state (data-state), and the toolbar filters
+ *     rows by state or by comment, or hides what needs no review
+ *   - the comment button opens an editor for a comment, a corrected
+ *     translation and a status (open, accepted, rejected)
+ *   - comments are kept in localStorage ("review:<lang>") until exported
+ *     as JSON for scripts/import-review.js; an export from another
+ *     reviewer can be imported to merge it
+ *
+ * A comment made against an older source text (its hash no longer matches
+ * the row) is marked as outdated.
+ */
+(function () {
+    const script = document.currentScript;
+    const main = document.querySelector('.main.review');
+    if (!main) return;
+
+    const lang = main.dataset.lang;
+    const STORAGE_KEY = 'review:' + lang;
+    const STATES = ['approved', 'machine', 'changed', 'edited', 'missing'];
+    const STATUSES = ['open', 'accepted', 'rejected'];
+
+    // The "review" strings of the language's ui.json; {n} is a count
+    const labels = JSON.parse((script && script.dataset.labels) || '{}');
+    const count = (text, n) => text.replace('{n}', n);
+
+    const rows = Array.from(main.querySelectorAll('.review-row[data-key]'));
+    const rowsByKey = new Map(rows.map(row => [row.dataset.key, row]));
+
+    // { reviewer, comments: { key: comment } }
+    function load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data && data.comments) return data;
+        } catch (e) {
+            // Corrupt storage: start over
+        }
+        return { reviewer: '', comments: {} };
+    }
+
+    const store = load();
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        } catch (e) {
+            // Storage full or disabled: comments live until the page closes
+        }
+        updateStatus();
+    }
+
+    function rowTexts(row) {
+        try {
+            return JSON.parse(row.dataset.texts || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    // The saved comment, shown under the row
+    function renderNote(row) {
+        const old = row.querySelector(':scope > .review-note');
+        if (old) old.remove();
+
+        const comment = store.comments[row.dataset.key];
+        row.classList.toggle('has-comment', Boolean(comment));
+        if (!comment) return;
+
+        const note = el('div', 'review-note review-note-' + comment.status);
+        const status = el('span', 'review-note-status', labels.statuses[comment.status]);
+        if (comment.hash !== row.dataset.hash) {
+            note.classList.add('review-note-stale');
+            status.title = labels.stale;
+        }
+        note.appendChild(status);
+        if (comment.comment) note.appendChild(el('span', '', comment.comment));
+        if (comment.correction) note.appendChild(el('p', 'review-note-correction', comment.correction.join('\n')));
+        note.addEventListener('click', () => openEditor(row));
+        row.appendChild(note);
+    }
+
+    function closeEditor(row) {
+        const editor = row.querySelector(':scope > .review-editor');
+        if (editor) editor.remove();
+        renderNote(row);
+    }
+
+    function openEditor(row) {
+        if (row.querySelector(':scope > .review-editor')) return;
+        const note = row.querySelector(':scope > .review-note');
+        if (note) note.remove();
+
+        const key = row.dataset.key;
+        const existing = store.comments[key];
+        const original = rowTexts(row);
+        const count = parseInt(row.dataset.count) || 1;
+        const editor = el('form', 'review-editor');
+
+        editor.appendChild(el('label', '', labels.comment));
+        const comment = el('textarea');
+        comment.rows = 2;
+        comment.value = existing ? existing.comment || '' : '';
+        editor.appendChild(comment);
+
+        const suggestLabel = el('label');
+        const suggest = el('input');
+        suggest.type = 'checkbox';
+        suggest.checked = Boolean(existing && existing.correction);
+        suggestLabel.append(suggest, ' ' + labels.suggest);
+        editor.appendChild(suggestLabel);
+
+        const fields = el('div', 'review-editor-correction');
+        const texts = [];
+        for (let i = 0; i < count; i++) {
+            const field = el('textarea');
+            field.rows = 3;
+            field.dir = row.querySelector('.review-target').dir || 'auto';
+            field.value = existing && existing.correction ? existing.correction[i] || '' : original[i] || '';
+            texts.push(field);
+            fields.appendChild(field);
+        }
+        fields.hidden = !suggest.checked;
+        suggest.addEventListener('change', () => { fields.hidden = !suggest.checked; });
+        editor.appendChild(fields);
+
+        editor.appendChild(el('label', '', labels.status));
+        const status = el('select');
+        STATUSES.forEach(value => {
+            const option = el('option', '', labels.statuses[value]);
+            option.value = value;
+            status.appendChild(option);
+        });
+        status.value = existing ? existing.status : 'open';
+        editor.appendChild(status);
+
+        const actions = el('div', 'review-editor-actions');
+        const saveButton = el('button', '', labels.save);
+        saveButton.type = 'submit';
+        const removeButton = el('button', '', labels.remove);
+        removeButton.type = 'button';
+        const cancelButton = el('button', '', labels.cancel);
+        cancelButton.type = 'button';
+        actions.append(saveButton, removeButton, cancelButton);
+        editor.appendChild(actions);
+
+        editor.addEventListener('submit', e => {
+            e.preventDefault();
+            const correction = texts.map(field => field.value.trim());
+            const changed = suggest.checked && correction.every(Boolean) &&
+                correction.some((text, i) => text !== original[i]);
+
+            if (!comment.value.trim() && !changed) {
+                delete store.comments[key];
+            } else {
+                const entry = { key, chapter: row.dataset.chapter, hash: row.dataset.hash };
+                if (original.length > 0) entry.original = original;
+                entry.comment = comment.value.trim();
+                if (changed) entry.correction = correction;
+                entry.status = status.value;
+                entry.updated = new Date().toISOString();
+                store.comments[key] = entry;
+            }
+            save();
+            closeEditor(row);
+        });
+        removeButton.addEventListener('click', () => {
+            delete store.comments[key];
+            save();
+            closeEditor(row);
+        });
+        cancelButton.addEventListener('click', () => closeEditor(row));
+
+        row.appendChild(editor);
+        comment.focus();
+    }
+
+    // Comments in page order, in the format import-review.js reads
+    function exportComments() {
+        const comments = Object.values(store.comments).sort((a, b) => {
+            const rowA = rowsByKey.get(a.key);
+            const rowB = rowsByKey.get(b.key);
+            return (rowA ? rows.indexOf(rowA) : rows.length) - (rowB ? rows.indexOf(rowB) : rows.length);
+        });
+        const data = { lang, reviewer: store.reviewer || '', exported: new Date().toISOString(), comments };
+
+        const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+        const link = el('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'review-' + lang + '-' + data.exported.slice(0, 10) + '.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Merge an export: the newer version of each comment wins
+    function importComments(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                data = null;
+            }
+            if (!data || !Array.isArray(data.comments)) {
+                alert(labels.invalid);
+                return;
+            }
+            if (data.lang !== lang) {
+                alert(labels.wrongLang);
+                return;
+            }
+
+            let imported = 0;
+            data.comments.forEach(comment => {
+                if (!comment || !comment.key || STATUSES.indexOf(comment.status) === -1) return;
+                const current = store.comments[comment.key];
+                if (current && (current.updated || '') >= (comment.updated || '')) return;
+                store.comments[comment.key] = comment;
+                imported++;
+            });
+            if (!store.reviewer && data.reviewer) store.reviewer = data.reviewer;
+
+            save();
+            rows.forEach(renderNote);
+            status.textContent = count(labels.imported, imported);
+            setTimeout(updateStatus, 3000);
+        };
+        reader.readAsText(file);
+    }
+
+    // Toolbar: filters, reviewer, export and import
+    const toolbar = el('div', 'review-toolbar');
+    let filter = 'all';
+
+    function applyFilter() {
+        rows.forEach(row => {
+            const visible = filter === 'all' ||
+                (filter === 'comments' ? row.classList.contains('has-comment') : row.dataset.state === filter);
+            row.classList.toggle('is-hidden', !visible);
+        });
+        main.querySelectorAll('.review-row:not([data-key])').forEach(row => {
+            row.classList.toggle('is-hidden', filter !== 'all');
+        });
+        toolbar.querySelectorAll('.review-filter').forEach(button => {
+            button.classList.toggle('is-active', button.dataset.filter === filter);
+        });
+    }
+
+    function filterButton(value, text) {
+        const button = el('button', 'review-filter', text);
+        button.type = 'button';
+        button.dataset.filter = value;
+        button.addEventListener('click', () => {
+            filter = value;
+            applyFilter();
+        });
+        toolbar.appendChild(button);
+    }
+
+    filterButton('all', labels.all);
+    STATES.forEach(state => {
+        const n = rows.filter(row => row.dataset.state === state).length;
+        if (n > 0) filterButton(state, labels.states[state] + ' (' + n + ')');
+    });
+    filterButton('comments', labels.comments);
+
+    const hideLabel = el('label');
+    const hide = el('input');
+    hide.type = 'checkbox';
+    hide.addEventListener('change', () => main.classList.toggle('review-hide-done', hide.checked));
+    hideLabel.append(hide, ' ' + labels.hideDone);
+    toolbar.appendChild(hideLabel);
+
+    const reviewer = el('input');
+    reviewer.type = 'text';
+    reviewer.placeholder = labels.reviewer;
+    reviewer.value = store.reviewer || '';
+    reviewer.addEventListener('change', () => {
+        store.reviewer = reviewer.value.trim();
+        save();
+    });
+    toolbar.appendChild(reviewer);
+
+    const exportButton = el('button', '', labels.exportJson);
+    exportButton.type = 'button';
+    exportButton.addEventListener('click', exportComments);
+    toolbar.appendChild(exportButton);
+
+    const importLabel = el('label', 'review-import', labels.importJson);
+    const importInput = el('input');
+    importInput.type = 'file';
+    importInput.accept = 'application/json,.json';
+    importInput.addEventListener('change', () => {
+        if (importInput.files[0]) importComments(importInput.files[0]);
+        importInput.value = '';
+    });
+    importLabel.appendChild(importInput);
+    toolbar.appendChild(importLabel);
+
+    const status = el('span', 'review-status');
+    toolbar.appendChild(status);
+
+    function updateStatus() {
+        const n = Object.keys(store.comments).length;
+        status.textContent = count(n === 1 ? labels.countOne : labels.count, n);
+    }
+
+    const header = main.querySelector('.review-header');
+    header.parentNode.insertBefore(toolbar, header.nextSibling);
+
+    // Badge and comment button on every row
+    rows.forEach(row => {
+        row.appendChild(el('span', 'review-state', labels.states[row.dataset.state] || row.dataset.state));
+        const button = el('button', 'review-comment-button', '✎');
+        button.type = 'button';
+        button.title = labels.addComment;
+        button.setAttribute('aria-label', labels.addComment);
+        button.addEventListener('click', () => openEditor(row));
+        row.appendChild(button);
+        renderNote(row);
+    });
+
+    updateStatus();
+    applyFilter();
+})();
@@ -0,0 +1,114 @@
+/**
+ * Search Text Analysis
+ *
+ * How words become index terms, shared by the index builder
+ * (scripts/lib/search.js, via require) and the search box in the browser
+ * (scripts/client/search.js, as window.SearchText), so a query is analysed
+ * exactly like the text it is matched against:
+ *   - lowercase, accents folded ("Sanación" → "sanacion")
+ *   - stopwords dropped
+ *   - a light suffix-stripping stemmer ("healing", "healed", "heals" →
+ *     "heal"; "sanación", "sanar", "sanador" → "san")
+ *
+ * The stopwords and suffixes of each language come from the `search` entry
+ * of i18n/languages.json; the index carries them to the browser. Without
+ * one, words are only folded.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SearchText = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+    const MIN_STEM = 3;
+    const NONE = {};
+
+    /**
+     * @typedef {Object} Analysis
+     * @property {string[]} [stopwords] - Folded words left out of the index
+     * @property {string[]} [suffixes] - Tried longest first; the first that
+     *   leaves a long enough stem wins
+     * @property {Object<string, string>} [endings] - Replace the ending and
+     *   stop there ("ies" → "y": "bodies" → "body")
+     * @property {boolean} [undouble] - "stopped" → "stopp" → "stop"
+     * @property {boolean} [dropFinalE] - "love" and "loving" → "lov"
+     */
+
+    // Stopword sets, built once per analysis
+    const stopwordSets = new WeakMap();
+    function stopwordsOf(analysis) {
+        if (!stopwordSets.has(analysis)) stopwordSets.set(analysis, new Set(analysis.stopwords || []));
+        return stopwordSets.get(analysis);
+    }
+
+    /**
+     * Lowercase without accents ("Sanación" → "sanacion"). Folds one
+     * character at a time, so positions in the result match the input.
+     * @param {string} text
+     * @returns {string}
+     */
+    function fold(text) {
+        let folded = '';
+        for (const ch of text) {
+            const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            folded += base.length === ch.length ? base : ch.toLowerCase();
+        }
+        return folded;
+    }
+
+    /**
+     * Stem of a folded word.
+     * @param {string} word
+     * @param {Analysis} [analysis]
+     * @returns {string}
+     */
+    function stem(word, analysis = NONE) {
+        let w = word.replace(/['’]s$/, '');
+        const endings = analysis.endings || {};
+        for (const ending of Object.keys(endings)) {
+            if (w.endsWith(ending) && w.length > ending.length + 1) return w.slice(0, -ending.length) + endings[ending];
+        }
+        for (const suffix of analysis.suffixes || []) {
+            if (w.endsWith(suffix) && w.length - suffix.length >= MIN_STEM) {
+                w = w.slice(0, -suffix.length);
+                break;
+            }
+        }
+        if (analysis.undouble && /([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+        else if (analysis.dropFinalE && w.endsWith('e') && w.length > MIN_STEM) w = w.slice(0, -1);
+        return w;
+    }
+
+    /**
+     * Words of a text with their position, folded form and stem (stopwords
+     * get a null stem).
+     * @param {string} text
+     * @param {Analysis} [analysis]
+     * @returns {Array<{word: string, index: number, folded: string, stem: string|null}>}
+     */
+    function words(text, analysis = NONE) {
+        const stops = stopwordsOf(analysis);
+        const found = [];
+        for (const match of text.matchAll(WORD)) {
+            const folded = fold(match[0]);
+            found.push({
+                word: match[0],
+                index: match.index,
+                folded,
+                stem: stops.has(folded) ? null : stem(folded, analysis)
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Index terms of a text, stopwords removed.
+     * @param {string} text
+     * @param {Analysis} [analysis]
+     * @returns {string[]}
+     */
+    function terms(text, analysis) {
+        return words(text, analysis).map(w => w.stem).filter(Boolean);
+    }
+
+    return { fold, stem, words, terms };
+});
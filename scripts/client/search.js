@@ -0,0 +1,224 @@
+/**
+ * Book Search
+ *
+ * Browser script for chapter pages and the index page (copied to dist/js/
+ * and injected by scripts/build-search.js, after search-text.js). Adds a
+ * search box to the sidebar that queries the language's prebuilt index:
+ *   - every word of the query must match (the last one as a prefix, so
+ *     results come while typing), accents and word endings ignored
+ *   - results show the chapter and a snippet with the matches highlighted
+ *     and link to the paragraph, e.g. /es/ch3/#ch3-main-p4
+ *   - on arrival, a paragraph link is scrolled to and highlighted even on
+ *     pages whose paragraphs carry no ids (n-th block of the section)
+ */
+(function () {
+    const script = document.currentScript;
+    const indexUrl = script && script.dataset.index;
+    const SearchText = window.SearchText;
+    const MAX_RESULTS = 20;
+    const SNIPPET = 160; // characters around the first match
+    const TARGET = 'search-target';
+
+    // The "search" strings of the language's ui.json
+    const labels = JSON.parse((script && script.dataset.labels) || '{}');
+
+    // Block a "#<section>-p<N>" link points at, by id or by position
+    function findTarget(hash) {
+        const id = decodeURIComponent(hash.replace(/^#/, ''));
+        if (!id) return null;
+        const byId = document.getElementById(id);
+        if (byId) return byId;
+        const match = id.match(/^(.+)-p(\d+)$/);
+        const section = match && document.getElementById(match[1]);
+        if (!section) return null;
+        const blocks = section.querySelectorAll(':scope > p, :scope > blockquote, :scope > .subheading, :scope > ul, :scope > ol, :scope > hr, :scope > .meditation');
+        return blocks[parseInt(match[2]) - 1] || null;
+    }
+
+    function showTarget() {
+        const el = findTarget(location.hash);
+        if (!el) return;
+        document.querySelectorAll('.' + TARGET).forEach(other => other.classList.remove(TARGET));
+        el.classList.add(TARGET);
+        if (!el.id) el.scrollIntoView({ block: 'center' });
+        setTimeout(() => el.classList.remove(TARGET), 4000);
+    }
+
+    window.addEventListener('hashchange', showTarget);
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', showTarget);
+    else showTarget();
+
+    if (!indexUrl || !SearchText) return;
+
+    let index = null;
+    let loading = null;
+
+    function loadIndex() {
+        if (!loading) {
+            loading = fetch(indexUrl)
+                .then(response => (response.ok ? response.json() : null))
+                .then(data => { index = data; })
+                .catch(() => {});
+        }
+        return loading;
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+    }
+
+    // Query stems; the last word also matches as a prefix while typing
+    function parseQuery(query) {
+        const words = SearchText.words(query, index.analysis).filter(w => w.stem);
+        if (words.length === 0) return null;
+        const last = words[words.length - 1];
+        return {
+            stems: words.map(w => w.stem),
+            prefix: /\s$/.test(query) ? null : last.folded
+        };
+    }
+
+    // Postings of every term a query word matches. A word still being
+    // typed also matches the terms it starts ("sanac" → "sanacion") and
+    // the stems of the words it is part of ("healin" → "heal")
+    let termList = null;
+    function postingsFor(stem, prefix) {
+        const lists = [];
+        if (index.terms[stem]) lists.push(index.terms[stem]);
+        if (prefix && prefix.length >= 2) {
+            termList = termList || Object.keys(index.terms);
+            termList.forEach(term => {
+                if (term === stem) return;
+                if (term.startsWith(prefix) ||
+                    (prefix.startsWith(term) && term.length >= Math.max(3, prefix.length - 3))) {
+                    lists.push(index.terms[term]);
+                }
+            });
+        }
+        return lists;
+    }
+
+    function search(query) {
+        const parsed = parseQuery(query);
+        if (!parsed) return [];
+
+        const total = index.docs.length;
+        let scores = null;
+
+        parsed.stems.forEach((stem, i) => {
+            const isLast = i === parsed.stems.length - 1;
+            const lists = postingsFor(stem, isLast ? parsed.prefix : null);
+            const wordScores = new Map();
+            lists.forEach(list => {
+                const idf = Math.log(1 + total / (list.length / 2));
+                for (let j = 0; j < list.length; j += 2) {
+                    const score = (1 + Math.log(list[j + 1])) * idf;
+                    wordScores.set(list[j], Math.max(wordScores.get(list[j]) || 0, score));
+                }
+            });
+
+            // Every word must match
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, doc) => {
+                    if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+                });
+                scores = combined;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .map(([doc]) => doc);
+    }
+
+    // Snippet around the first match, matches wrapped in <mark>
+    function snippet(text, parsed) {
+        const matches = SearchText.words(text, index.analysis).filter(w => w.stem && (
+            parsed.stems.includes(w.stem) || (parsed.prefix && w.folded.startsWith(parsed.prefix))
+        ));
+        const first = matches.length ? matches[0].index : 0;
+        let start = Math.max(0, first - SNIPPET / 3);
+        let end = Math.min(text.length, start + SNIPPET);
+        if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+        if (end < text.length) end = Math.max(text.indexOf(' ', end), end);
+
+        let html = start > 0 ? '… ' : '';
+        let at = start;
+        matches.filter(m => m.index >= start && m.index + m.word.length <= end).forEach(m => {
+            html += escapeHtml(text.slice(at, m.index)) + '<mark>' + escapeHtml(m.word) + '</mark>';
+            at = m.index + m.word.length;
+        });
+        html += escapeHtml(text.slice(at, end)) + (end < text.length ? ' …' : '');
+        return html;
+    }
+
+    function renderResults(list, query) {
+        if (!query.trim()) {
+            list.innerHTML = '';
+            return;
+        }
+        const parsed = parseQuery(query);
+        const docs = parsed ? search(query) : [];
+        if (docs.length === 0) {
+            list.innerHTML = '<li class="search-empty">' + labels.none + '</li>';
+            return;
+        }
+
+        const items = docs.slice(0, MAX_RESULTS).map(doc => {
+            const [chapterIndex, anchor, text] = index.docs[doc];
+            const chapter = index.chapters[chapterIndex];
+            return '<li><a href="' + escapeHtml(chapter.href + '#' + anchor) + '">' +
+                '<span class="search-chapter">' + chapter.number + '. ' + escapeHtml(chapter.title) + '</span>' +
+                '<span class="search-snippet">' + snippet(text, parsed) + '</span></a></li>';
+        });
+        if (docs.length > MAX_RESULTS) {
+            items.push('<li class="search-empty">' + labels.more.replace('{n}', MAX_RESULTS) + '</li>');
+        }
+        list.innerHTML = items.join('');
+    }
+
+    function init() {
+        const sidebar = document.getElementById('sidebar');
+        if (!sidebar) return;
+
+        const box = document.createElement('div');
+        box.className = 'search';
+        box.setAttribute('role', 'search');
+        box.innerHTML = '<input type="search" class="search-input" autocomplete="off" spellcheck="false">' +
+            '<ol class="search-results" aria-live="polite"></ol>';
+        const input = box.querySelector('.search-input');
+        const list = box.querySelector('.search-results');
+        input.placeholder = labels.placeholder;
+        input.setAttribute('aria-label', labels.placeholder);
+
+        const back = sidebar.querySelector('.nav-back');
+        if (back) back.after(box);
+        else sidebar.prepend(box);
+
+        let timer = null;
+        const update = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                loadIndex().then(() => { if (index) renderResults(list, input.value); });
+            }, 120);
+        };
+
+        input.addEventListener('focus', loadIndex, { once: true });
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                list.innerHTML = '';
+            } else if (e.key === 'Enter') {
+                const first = list.querySelector('a');
+                if (first) first.click();
+            }
+        });
+    }
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+    else init();
+})();
@@ -4,156 +4,234 @@
  * Concatenate Chapter Audio Script
  *
  * Takes generated audio chunks and concatenates them with silences
- * Creates the final chapter audiobook MP3
+ * Creates the final chapter audiobook MP3, plus a timing map
+ * (chN-lang.timing.json) and SMIL media overlay (chN-lang.smil) recording
+ * where each chunk starts and ends in it
+ *
+ * Before rendering, every chunk goes through the audio QA check
+ * (check-chapter-audio.js, results in chN/qa.json). The render then:
+ *   1. converts each chunk to one format (44.1 kHz mono), with a gain that
+ *      brings it to the target loudness, so levels do not jump
+ *   2. joins chunks and silences (generated in the same format), and the
+ *      chime between meditation steps (audio/cues/chime.wav, generated on
+ *      first use; replace it with any recording to change the sound)
+ *   3. normalizes the chapter to EBU R128 (two-pass loudnorm) and encodes
+ *      the MP3
  *
  * Usage:
- *   node scripts/concat-chapter-audio.js <chapter-number> <lang>
+ *   node scripts/concat-chapter-audio.js <chapter-number> <lang> [--strict]
  *   node scripts/concat-chapter-audio.js 1 en
+ *   node scripts/concat-chapter-audio.js 1 en --strict   # Stop if QA flags chunks
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const { AUDIO_DIR, assertLanguage, resolveChapterArg } = require('./lib/book');
+const { probeDuration, buildTimingMap, renderSmil } = require('./lib/audio-timing');
+const { OUTPUT_FORMAT, measureLoudness, loudnormFilter } = require('./lib/audio-qa');
+const { checkChapterAudio } = require('./check-chapter-audio');
+
+function ffmpeg(args) {
+  execFileSync('ffmpeg', ['-v', 'error', '-y', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+}
 
-function concatChapterAudio(chapterNum, lang) {
-  const audioDir = path.join(__dirname, '..', 'audio', lang, `ch${chapterNum}`);
-  const chunksFile = path.join(audioDir, 'chunks.json');
-  const chunksDir = path.join(audioDir, 'chunks');
-  const silencesDir = path.join(__dirname, '..', 'audio', 'silences');
+const formatArgs = ['-ar', String(OUTPUT_FORMAT.sampleRate), '-ac', String(OUTPUT_FORMAT.channels)];
+
+// Silence in the render format, created once and shared by all chapters
+function silenceFile(seconds, silencesDir) {
+  const file = path.join(silencesDir, `silence-${seconds}s.wav`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(silencesDir, { recursive: true });
+    const layout = OUTPUT_FORMAT.channels === 1 ? 'mono' : 'stereo';
+    ffmpeg(['-f', 'lavfi', '-i', `anullsrc=r=${OUTPUT_FORMAT.sampleRate}:cl=${layout}`,
+      '-t', String(seconds), '-c:a', 'pcm_s16le', file]);
+    console.log(`   🔇 Created ${path.basename(file)}`);
+  }
+  return file;
+}
 
-  if (!fs.existsSync(chunksFile)) {
-    console.error(`❌ Chunks file not found: ${chunksFile}`);
-    console.error(`   Run: node scripts/prepare-audio-chunks.js ${chapterNum} ${lang}`);
-    process.exit(1);
+// Chime between meditation steps, conformed to the render format. A
+// generated bell tone stands in until audio/cues/chime.wav is replaced.
+function chimeFile(cuesDir, renderDir) {
+  const source = path.join(cuesDir, 'chime.wav');
+  if (!fs.existsSync(source)) {
+    fs.mkdirSync(cuesDir, { recursive: true });
+    const tone = 'aevalsrc=0.5*sin(2*PI*528*t)*exp(-2*t)+0.25*sin(2*PI*1056*t)*exp(-3*t)';
+    ffmpeg(['-f', 'lavfi', '-i', `${tone}:s=${OUTPUT_FORMAT.sampleRate}:d=3`, '-c:a', 'pcm_s16le', source]);
+    console.log(`   🔔 Created ${path.relative(AUDIO_DIR, source)}`);
   }
 
-  if (!fs.existsSync(chunksDir)) {
-    console.error(`❌ Chunks directory not found: ${chunksDir}`);
-    console.error(`   Run: node scripts/generate-chapter-audio.js ${chapterNum} ${lang}`);
-    process.exit(1);
+  const conformed = path.join(renderDir, 'chime.wav');
+  if (!fs.existsSync(conformed)) {
+    ffmpeg(['-i', source, ...formatArgs, '-c:a', 'pcm_s16le', conformed]);
   }
+  return conformed;
+}
 
-  const chunksData = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
+// Write the timing map and SMIL overlay next to the chapter MP3
+function writeTiming(chunksData, renderDir, silencesDir, outputFile) {
+  const timing = buildTimingMap(chunksData, {
+    chunkDuration: chunk => probeDuration(path.join(renderDir, `${chunk.id}.wav`)),
+    silenceDuration: seconds => probeDuration(path.join(silencesDir, `silence-${seconds}s.wav`)),
+    chimeDuration: () => probeDuration(path.join(renderDir, 'chime.wav'))
+  });
+
+  const base = outputFile.replace(/\.mp3$/, '');
+  fs.writeFileSync(`${base}.timing.json`, JSON.stringify(timing, null, 2), 'utf8');
+  fs.writeFileSync(`${base}.smil`, renderSmil(timing, {
+    textHref: `ch${chunksData.chapter}.xhtml`,
+    audioHref: path.basename(outputFile)
+  }), 'utf8');
+
+  console.log(`   🕒 Timing map: ${path.basename(base)}.timing.json, ${path.basename(base)}.smil`);
+  return timing;
+}
 
-  console.log(`📖 Concatenating audio for Chapter ${chapterNum}: ${chunksData.title}`);
-  console.log(`   📊 Total chunks: ${chunksData.totalChunks}`);
+function concatChapterAudio(chapterNum, lang, options = {}) {
+  const audioDir = path.join(AUDIO_DIR, lang, `ch${chapterNum}`);
+  const chunksFile = path.join(audioDir, 'chunks.json');
+  const chunksDir = path.join(audioDir, 'chunks');
+  const renderDir = path.join(audioDir, 'render');
+  const silencesDir = path.join(AUDIO_DIR, 'silences');
+  const cuesDir = path.join(AUDIO_DIR, 'cues');
+
+  // QA first: also fails on missing chunks
+  const report = checkChapterAudio(chapterNum, lang);
+  if (options.strict && report.flagged.length > 0) {
+    throw new Error(`${report.flagged.length} chunk(s) flagged by audio QA (--strict)`);
+  }
+  const gains = Object.fromEntries(report.chunks.map(result => [result.id, result.gain]));
 
-  // Create concat list
-  const concatListPath = path.join(audioDir, 'concat-list.txt');
-  let concatList = '';
-  let missingChunks = [];
+  const chunksData = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
 
-  for (const chunk of chunksData.chunks) {
-    const chunkFile = path.join(chunksDir, `${chunk.id}.mp3`);
+  console.log(`\n📖 Concatenating audio for Chapter ${chapterNum}: ${chunksData.title}`);
+  console.log(`   📊 Total chunks: ${chunksData.totalChunks}`);
 
-    if (!fs.existsSync(chunkFile)) {
-      missingChunks.push(chunk.id);
-      continue;
-    }
+  fs.rmSync(renderDir, { recursive: true, force: true });
+  fs.mkdirSync(renderDir, { recursive: true });
 
-    // Add chunk audio
-    concatList += `file '${chunkFile}'\n`;
+  try {
+    // Same format and level for every chunk
+    console.log(`   🎚️  Levelling chunks to ${OUTPUT_FORMAT.sampleRate} Hz, ${OUTPUT_FORMAT.channels} channel(s)...`);
+    const concatListPath = path.join(audioDir, 'concat-list.txt');
+    let concatList = '';
+
+    for (const chunk of chunksData.chunks) {
+      const levelled = path.join(renderDir, `${chunk.id}.wav`);
+      try {
+        ffmpeg(['-i', path.join(chunksDir, `${chunk.id}.mp3`), '-af', `volume=${gains[chunk.id]}dB`,
+          ...formatArgs, '-c:a', 'pcm_s16le', levelled]);
+      } catch (error) {
+        throw new Error(`ffmpeg error on ${chunk.id}.mp3: ${error.message}`);
+      }
 
-    // Add silence after chunk
-    if (chunk.pauseAfter > 0) {
-      const silenceFile = path.join(silencesDir, `silence-${chunk.pauseAfter}s.mp3`);
+      // Add chunk audio
+      concatList += `file '${levelled}'\n`;
 
-      if (!fs.existsSync(silenceFile)) {
-        console.error(`❌ Silence file not found: ${silenceFile}`);
-        console.error(`   This should have been created by generate-chapter-audio.js`);
-        process.exit(1);
+      // Add silence after chunk
+      if (chunk.pauseAfter > 0) {
+        concatList += `file '${silenceFile(chunk.pauseAfter, silencesDir)}'\n`;
       }
 
-      concatList += `file '${silenceFile}'\n`;
+      // Chime into the next meditation step
+      if (chunk.chime) {
+        concatList += `file '${chimeFile(cuesDir, renderDir)}'\n`;
+      }
     }
-  }
 
-  if (missingChunks.length > 0) {
-    console.error(`\n❌ Missing ${missingChunks.length} audio chunks:`);
-    missingChunks.forEach(id => console.error(`   - ${id}.mp3`));
-    console.error(`\n   Run: node scripts/generate-chapter-audio.js ${chapterNum} ${lang}`);
-    process.exit(1);
-  }
+    // Save concat list
+    fs.writeFileSync(concatListPath, concatList, 'utf8');
+    console.log(`   ✅ Created concat list: ${concatList.split('\n').length - 1} entries`);
 
-  // Save concat list
-  fs.writeFileSync(concatListPath, concatList, 'utf8');
-  console.log(`   ✅ Created concat list: ${chunksData.chunks.length * 2} entries`);
+    const outputFile = path.join(audioDir, `ch${chapterNum}-${lang}.mp3`);
+    const input = ['-f', 'concat', '-safe', '0', '-i', concatListPath];
 
-  // Concatenate with ffmpeg
-  const outputFile = path.join(audioDir, `ch${chapterNum}-${lang}.mp3`);
+    console.log(`\n🎵 Rendering with EBU R128 normalization...`);
+    console.log(`   Output: ${path.basename(outputFile)}`);
 
-  console.log(`\n🎵 Concatenating audio with ffmpeg...`);
-  console.log(`   Output: ${path.basename(outputFile)}`);
+    try {
+      const measured = measureLoudness(input);
+      console.log(`   📏 Measured ${measured.integrated} LUFS, ${measured.truePeak} dBTP, LRA ${measured.range} LU`);
 
-  try {
-    const command = `ffmpeg -f concat -safe 0 -i "${concatListPath}" -c copy "${outputFile}" -y 2>&1`;
-    const output = execSync(command, { encoding: 'utf8' });
-
-    // Parse duration from ffmpeg output
-    const durationMatch = output.match(/Duration: (\d{2}):(\d{2}):(\d{2})/);
-    if (durationMatch) {
-      const hours = parseInt(durationMatch[1]);
-      const minutes = parseInt(durationMatch[2]);
-      const seconds = parseInt(durationMatch[3]);
-      const totalMinutes = hours * 60 + minutes + (seconds / 60);
-      console.log(`   ⏱️  Duration: ${hours}h ${minutes}m ${seconds}s (${totalMinutes.toFixed(1)} min)`);
+      ffmpeg([...input, '-af', loudnormFilter(measured), ...formatArgs,
+        '-c:a', 'libmp3lame', '-b:a', OUTPUT_FORMAT.bitrate, outputFile]);
+    } catch (error) {
+      throw new Error(`ffmpeg error: ${error.message}`);
     }
 
+    const duration = probeDuration(outputFile);
+    const minutes = Math.floor(duration / 60);
+    const seconds = Math.round(duration % 60);
+    console.log(`   ⏱️  Duration: ${minutes}m ${seconds}s (${(duration / 60).toFixed(1)} min)`);
+
     const sizeKB = (fs.statSync(outputFile).size / 1024).toFixed(1);
     const sizeMB = (fs.statSync(outputFile).size / 1024 / 1024).toFixed(2);
 
     console.log(`   📦 File size: ${sizeMB} MB (${sizeKB} KB)`);
     console.log(`\n   ✅ Final audio saved: ${outputFile}`);
 
-  } catch (error) {
-    console.error(`\n❌ ffmpeg error: ${error.message}`);
-    process.exit(1);
-  }
+    try {
+      writeTiming(chunksData, renderDir, silencesDir, outputFile);
+    } catch (error) {
+      throw new Error(`Could not build timing map: ${error.message}`);
+    }
 
-  console.log('');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('✅ Concatenation complete!');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    console.log('');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('✅ Concatenation complete!');
+    if (report.flagged.length > 0) {
+      console.log(`⚠️  ${report.flagged.length} chunk(s) flagged by audio QA, see qa.json`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-  // Optional: Ask if user wants to clean up chunks
-  console.log('💡 Tip: You can now delete the chunks/ directory to save space:');
-  console.log(`   rm -rf "${chunksDir}"`);
-  console.log('');
+    // Optional: Ask if user wants to clean up chunks
+    console.log('💡 Tip: You can now delete the chunks/ directory to save space:');
+    console.log(`   rm -rf "${chunksDir}"`);
+    console.log('');
 
-  return outputFile;
+    return outputFile;
+  } finally {
+    fs.rmSync(renderDir, { recursive: true, force: true });
+  }
 }
 
 function main() {
-  const args = process.argv.slice(2);
+  const args = process.argv.slice(2).filter(arg => arg !== '--strict');
+  const strict = process.argv.includes('--strict');
 
   if (args.length < 2) {
-    console.log('Usage: node scripts/concat-chapter-audio.js <chapter-number> <lang>');
+    console.log('Usage: node scripts/concat-chapter-audio.js <chapter-number> <lang> [--strict]');
     console.log('Example: node scripts/concat-chapter-audio.js 1 en');
     process.exit(1);
   }
 
-  const chapterNum = parseInt(args[0]);
   const lang = args[1];
 
-  if (isNaN(chapterNum) || chapterNum < 1 || chapterNum > 11) {
-    console.error('❌ Chapter number must be between 1 and 11');
-    process.exit(1);
-  }
-
-  if (!['en', 'es'].includes(lang)) {
-    console.error('❌ Language must be "en" or "es"');
+  let chapterNum;
+  try {
+    assertLanguage(lang);
+    [chapterNum] = resolveChapterArg(args[0], lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
   console.log(`\n🎬 Audio Concatenation\n`);
 
   try {
-    concatChapterAudio(chapterNum, lang);
+    concatChapterAudio(chapterNum, lang, { strict });
     console.log('🎉 Done! Your audiobook is ready.');
   } catch (error) {
-    console.error('❌ Fatal error:', error.message);
+    console.error(`\n❌ ${error.message}`);
     process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  concatChapterAudio
+};
@@ -3,230 +3,287 @@
 /**
  * Generate Chapter Audio Script
  *
- * Takes prepared chunks and generates audio files using Fish Audio API
- * Also creates silence MP3 files for concatenation
+ * Takes prepared chunks and generates audio files with a TTS provider
+ * (Fish Audio, Cartesia or a local engine, see scripts/lib/tts.js)
+ *
+ * Audio is cached in audio/cache/ by a hash of text, language, provider,
+ * voice and settings (scripts/lib/audio-cache.js): only new or edited
+ * text is synthesized, and chunks/<id>.mp3 is refreshed from the cache on
+ * every run so renumbered chunks never keep stale audio.
+ *
+ * Chunks are synthesized in parallel (--concurrency, TTS_CONCURRENCY,
+ * default 3) with exponential backoff on rate limits and server errors
+ * (scripts/lib/jobs.js). Per-chunk status and cache key go to
+ * chN/journal.json, so an interrupted run picks up where it stopped, and
+ * build-reiki-audiobook.js skips chapters whose final MP3 is up to date
+ * with it (isChapterAudioCurrent).
+ *
+ * The voice is --voice, else the language's voice for the provider in
+ * i18n/languages.json ("voices": {"local": "pt-br"}), else the provider's
+ * default.
+ *
+ * --regenerate synthesizes again the chunks the audio QA check flagged in
+ * chN/qa.json (check-chapter-audio.js), replacing their cached audio.
  *
  * Usage:
- *   node scripts/generate-chapter-audio.js <chapter-number> <lang>
+ *   node scripts/generate-chapter-audio.js <chapter-number> <lang> [--provider <name>] [--voice <id>] [--concurrency <n>]
  *   node scripts/generate-chapter-audio.js 1 en
+ *   node scripts/generate-chapter-audio.js 1 en --provider local     # Offline draft
+ *   TTS_PROVIDER=cartesia node scripts/generate-chapter-audio.js 1 es
+ *   node scripts/generate-chapter-audio.js 1 en --regenerate   # Redo chunks flagged by QA
+ *   node scripts/generate-chapter-audio.js 1 en --prune    # Then delete orphaned cache files
+ *   node scripts/generate-chapter-audio.js --prune         # Only prune
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const { encode } = require('@msgpack/msgpack');
-const { execSync } = require('child_process');
-
-const API_URL = 'https://api.fish.audio/v1/tts';
-const DELAY_BETWEEN_REQUESTS = 500; // ms
-
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function generateSilence(duration, outputPath) {
-  if (fs.existsSync(outputPath)) {
-    console.log(`   ⏭️  Silence file exists: ${duration}s`);
-    return;
-  }
-
-  console.log(`   🔇 Generating silence: ${duration}s`);
-
-  const command = `ffmpeg -f lavfi -i anullsrc=r=44100:cl=stereo -t ${duration} -q:a 9 -acodec libmp3lame "${outputPath}" -y 2>/dev/null`;
-
-  try {
-    execSync(command);
-    console.log(`   ✅ Created: ${path.basename(outputPath)}`);
-  } catch (error) {
-    console.error(`   ❌ Failed to create silence file: ${error.message}`);
-    throw error;
+const { AUDIO_DIR, assertLanguage, languageInfo, resolveChapterArg } = require('./lib/book');
+const { createProvider } = require('./lib/tts');
+const { chunkKey, openCache } = require('./lib/audio-cache');
+const { createJournal, runJobs } = require('./lib/jobs');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_RETRIES = 5;
+
+// Chunk ids the last audio QA check flagged for regeneration
+function flaggedChunks(audioDir) {
+  const qaFile = path.join(audioDir, 'qa.json');
+  if (!fs.existsSync(qaFile)) {
+    throw new Error(`No audio QA report: ${qaFile}\n   Run: node scripts/check-chapter-audio.js <chapter> <lang>`);
   }
+  return JSON.parse(fs.readFileSync(qaFile, 'utf8')).flagged || [];
 }
 
-async function generateAllSilences(audioDir) {
-  const silencesDir = path.join(audioDir, 'silences');
-  if (!fs.existsSync(silencesDir)) {
-    fs.mkdirSync(silencesDir, { recursive: true });
-  }
-
-  console.log('\n🔇 Creating silence files...');
-
-  const durations = [0.8, 1.5, 2.0, 2.5, 3.0];
-
-  for (const duration of durations) {
-    const outputPath = path.join(silencesDir, `silence-${duration}s.mp3`);
-    await generateSilence(duration, outputPath);
-  }
-
-  console.log('');
+// --voice, else the language's voice for the provider, else its default
+function resolveVoice(lang, provider, options) {
+  const voices = languageInfo(lang).voices || {};
+  return options.voice || voices[provider.name] || provider.defaultVoice;
 }
 
-async function textToSpeech(text, outputPath, voiceId) {
-  const apiKey = process.env.FISH_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('FISH_API_KEY environment variable is required');
-  }
-
-  const requestData = {
-    text: text,
-    reference_id: voiceId,
-    format: 'mp3',
-    mp3_bitrate: 128,
-    chunk_length: 200,
-    latency: 'normal',
-    normalize: true
-  };
-
-  const body = Buffer.from(encode(requestData));
-
-  return new Promise((resolve, reject) => {
-    const url = new URL(API_URL);
-
-    const req = https.request({
-      hostname: url.hostname,
-      path: url.pathname,
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/msgpack',
-        'Content-Length': body.length
-      }
-    }, (res) => {
-      if (res.statusCode !== 200) {
-        let errorData = '';
-        res.on('data', chunk => errorData += chunk);
-        res.on('end', () => {
-          reject(new Error(`API Error ${res.statusCode}: ${errorData}`));
-        });
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', chunk => chunks.push(chunk));
-      res.on('end', () => {
-        const audioBuffer = Buffer.concat(chunks);
-        fs.writeFileSync(outputPath, audioBuffer);
-        resolve(outputPath);
-      });
-    });
+// What a chunk is synthesized from with this provider and voice, and the
+// cache key of that audio
+function chunkSource(chunk, lang, provider, voiceId) {
+  // Phoneme hints from the pronunciation lexicon, when this provider has them
+  const text = (chunk.variants && chunk.variants[provider.name]) || chunk.text;
+  const key = chunkKey({
+    text,
+    lang,
+    provider: provider.name,
+    voice: voiceId,
+    settings: provider.settings
+  });
+  return { text, key };
+}
 
-    req.on('error', reject);
-    req.write(body);
-    req.end();
+/**
+ * Whether a chapter's final MP3 is up to date: the journal has every chunk
+ * of chunks.json done with the cache key it has now (same text, provider,
+ * voice and settings), and the MP3 is newer than both files. Chunks left
+ * "running" by a crash, or a render that failed after synthesis, make it
+ * false.
+ * @param {number} chapterNum
+ * @param {string} lang
+ * @param {{provider?: string, voice?: string}} [options]
+ * @returns {boolean}
+ */
+function isChapterAudioCurrent(chapterNum, lang, options = {}) {
+  const audioDir = path.join(AUDIO_DIR, lang, `ch${chapterNum}`);
+  const chunksFile = path.join(audioDir, 'chunks.json');
+  const journalFile = path.join(audioDir, 'journal.json');
+  const outputFile = path.join(audioDir, `ch${chapterNum}-${lang}.mp3`);
+
+  if (![chunksFile, journalFile, outputFile].every(file => fs.existsSync(file))) return false;
+  const rendered = fs.statSync(outputFile).mtimeMs;
+  if ([chunksFile, journalFile].some(file => fs.statSync(file).mtimeMs > rendered)) return false;
+
+  const { chunks } = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
+  const journal = createJournal(journalFile);
+  const provider = createProvider(options.provider);
+  const voiceId = resolveVoice(lang, provider, options);
+
+  return Object.keys(journal.entries).length === chunks.length && chunks.every(chunk => {
+    const entry = journal.get(chunk.id);
+    return Boolean(entry) && entry.status === 'done' && entry.key === chunkSource(chunk, lang, provider, voiceId).key;
   });
 }
 
-async function generateChapterAudio(chapterNum, lang) {
-  const chunksFile = path.join(__dirname, '..', 'audio', lang, `ch${chapterNum}`, 'chunks.json');
+async function generateChapterAudio(chapterNum, lang, options = {}) {
+  const chunksFile = path.join(AUDIO_DIR, lang, `ch${chapterNum}`, 'chunks.json');
 
   if (!fs.existsSync(chunksFile)) {
-    console.error(`❌ Chunks file not found: ${chunksFile}`);
-    console.error(`   Run: node scripts/prepare-audio-chunks.js ${chapterNum} ${lang}`);
-    process.exit(1);
+    throw new Error(`Chunks file not found: ${chunksFile}\n   Run: node scripts/prepare-audio-chunks.js ${chapterNum} ${lang}`);
   }
 
   const chunksData = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
-  const voiceId = process.env.FISH_VOICE_ID || 'f53102becdf94a51af6d64010bc658f2';
+  const provider = createProvider(options.provider);
+  const voiceId = resolveVoice(lang, provider, options);
+  const concurrency = options.concurrency || parseInt(process.env.TTS_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const total = chunksData.chunks.length;
 
   console.log(`📖 Generating audio for Chapter ${chapterNum}: ${chunksData.title}`);
-  console.log(`   🎤 Voice ID: ${voiceId}`);
-  console.log(`   📊 Total chunks: ${chunksData.totalChunks}`);
+  console.log(`   🔊 Provider: ${provider.name}`);
+  console.log(`   🎤 Voice ID: ${voiceId || '(engine default)'}`);
+  console.log(`   📊 Total chunks: ${total}`);
 
   const audioDir = path.dirname(chunksFile);
   const chunksDir = path.join(audioDir, 'chunks');
+  const cache = openCache();
+  const scope = `${lang}/ch${chapterNum}`;
+  const journal = createJournal(path.join(audioDir, 'journal.json'));
 
   if (!fs.existsSync(chunksDir)) {
     fs.mkdirSync(chunksDir, { recursive: true });
   }
 
-  // Generate silence files first
-  await generateAllSilences(path.join(__dirname, '..', 'audio'));
+  const regenerate = new Set(options.regenerate ? flaggedChunks(audioDir) : []);
+  if (options.regenerate) {
+    console.log(`   🔁 Regenerating ${regenerate.size} chunk(s) flagged by audio QA`);
+  }
 
   console.log('\n🎙️  Generating audio chunks...\n');
 
-  let successCount = 0;
-  let errorCount = 0;
+  const refs = {};
+  const jobs = [];
+  let cachedCount = 0;
 
-  for (let i = 0; i < chunksData.chunks.length; i++) {
-    const chunk = chunksData.chunks[i];
+  chunksData.chunks.forEach((chunk, i) => {
+    const { text, key } = chunkSource(chunk, lang, provider, voiceId);
     const outputPath = path.join(chunksDir, `${chunk.id}.mp3`);
 
-    // Skip if already exists
-    if (fs.existsSync(outputPath)) {
-      console.log(`   ⏭️  [${i + 1}/${chunksData.totalChunks}] Skipping (exists): ${chunk.id}`);
-      successCount++;
-      continue;
+    // Reuse cached audio for unchanged text, wherever the chunk now sits
+    if (cache.has(key) && !regenerate.has(chunk.id)) {
+      fs.copyFileSync(cache.file(key), outputPath);
+      (refs[key] = refs[key] || []).push(chunk.id);
+      journal.entries[chunk.id] = { status: 'done', key, attempts: 0, error: null };
+      cachedCount++;
+      return;
     }
 
-    console.log(`   🎵 [${i + 1}/${chunksData.totalChunks}] Generating: ${chunk.id}`);
-    console.log(`      Text: ${chunk.text.substring(0, 60)}...`);
-
-    try {
-      await textToSpeech(chunk.text, outputPath, voiceId);
-      const sizeKB = (fs.statSync(outputPath).size / 1024).toFixed(1);
-      console.log(`      ✅ Saved: ${sizeKB} KB`);
-      successCount++;
-
-      // Delay to avoid rate limits
-      if (i < chunksData.totalChunks - 1) {
-        await sleep(DELAY_BETWEEN_REQUESTS);
+    // Never leave the previous audio of this id in place
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    journal.entries[chunk.id] = { ...journal.entries[chunk.id], status: 'pending', key };
+    jobs.push({ id: chunk.id, index: i, chunk, text, key, outputPath });
+  });
+  journal.retain(chunksData.chunks.map(chunk => chunk.id));
+
+  console.log(`   ♻️  ${cachedCount}/${total} chunks from cache, ${jobs.length} to synthesize (${concurrency} at a time)\n`);
+
+  const { failed } = await runJobs(jobs, async job => {
+    const audio = await provider.synthesize(job.text, voiceId, { lang });
+    cache.put(job.key, audio, { provider: provider.name, voice: voiceId, text: job.text, scope, id: job.id });
+    cache.save();
+    fs.copyFileSync(cache.file(job.key), job.outputPath);
+    (refs[job.key] = refs[job.key] || []).push(job.id);
+    return audio.length;
+  }, {
+    concurrency,
+    retries: MAX_RETRIES,
+    journal,
+    onEvent(type, job, info) {
+      const label = `[${job.index + 1}/${total}] ${job.id}`;
+      if (type === 'start' && info.attempt === 1) {
+        console.log(`   🎵 ${label}: ${job.chunk.text.substring(0, 50)}...`);
+      } else if (type === 'retry') {
+        console.log(`   ⏳ ${label}: ${info.error.message} — retry ${info.attempt}/${MAX_RETRIES} in ${(info.delay / 1000).toFixed(1)}s`);
+      } else if (type === 'done') {
+        console.log(`   ✅ ${label}: ${(info.result / 1024).toFixed(1)} KB`);
+      } else if (type === 'fail') {
+        console.error(`   ❌ ${label}: ${info.error.message} (after ${info.attempts} attempt(s))`);
       }
+    }
+  });
 
-    } catch (error) {
-      console.error(`      ❌ Error: ${error.message}`);
-      errorCount++;
+  // Record which chunks use which cache entries, drop files of removed chunks
+  cache.setRefs(scope, refs);
+  cache.save();
 
-      // If rate limited, wait longer and retry
-      if (error.message.includes('429')) {
-        console.log(`      ⏳ Rate limited, waiting 5 seconds...`);
-        await sleep(5000);
-        i--; // Retry this chunk
-        continue;
-      }
-    }
+  const currentIds = new Set(chunksData.chunks.map(chunk => `${chunk.id}.mp3`));
+  fs.readdirSync(chunksDir)
+    .filter(name => name.endsWith('.mp3') && !currentIds.has(name))
+    .forEach(name => fs.unlinkSync(path.join(chunksDir, name)));
 
-    console.log('');
-  }
+  const successCount = total - failed.length;
 
   console.log('');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`✅ Success: ${successCount}/${chunksData.totalChunks}`);
-  if (errorCount > 0) {
-    console.log(`❌ Errors: ${errorCount}`);
+  console.log(`✅ Success: ${successCount}/${total} (${cachedCount} from cache)`);
+  if (failed.length > 0) {
+    console.log(`❌ Failed permanently: ${failed.length}`);
+    failed.forEach(f => console.log(`   - ${f.id}: ${f.error.message}`));
   }
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-  return { successCount, errorCount, total: chunksData.totalChunks };
+  return {
+    successCount,
+    errorCount: failed.length,
+    total,
+    failed: failed.map(f => ({ id: f.id, attempts: f.attempts, error: f.error.message }))
+  };
+}
+
+function parseArgs(argv) {
+  const options = { positional: [], provider: undefined, voice: undefined, concurrency: undefined, prune: false, regenerate: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--provider') {
+      options.provider = argv[++i];
+    } else if (arg === '--voice') {
+      options.voice = argv[++i];
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(argv[++i]);
+    } else if (arg === '--prune') {
+      options.prune = true;
+    } else if (arg === '--regenerate') {
+      options.regenerate = true;
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Delete cached audio no chunk uses any more
+function pruneCache() {
+  const { files, bytes } = openCache().prune();
+  console.log(`🧹 Pruned ${files} orphaned cache file(s), ${(bytes / 1024 / 1024).toFixed(2)} MB freed`);
 }
 
 function main() {
-  const args = process.argv.slice(2);
+  const options = parseArgs(process.argv.slice(2));
+  const args = options.positional;
+
+  if (args.length === 0 && options.prune) {
+    pruneCache();
+    return;
+  }
 
   if (args.length < 2) {
-    console.log('Usage: node scripts/generate-chapter-audio.js <chapter-number> <lang>');
+    console.log('Usage: node scripts/generate-chapter-audio.js <chapter-number> <lang> [--provider fish|cartesia|local] [--voice <id>] [--concurrency <n>] [--regenerate] [--prune]');
+    console.log('       node scripts/generate-chapter-audio.js --prune');
     console.log('Example: node scripts/generate-chapter-audio.js 1 en');
     process.exit(1);
   }
 
-  const chapterNum = parseInt(args[0]);
   const lang = args[1];
 
-  if (isNaN(chapterNum) || chapterNum < 1 || chapterNum > 11) {
-    console.error('❌ Chapter number must be between 1 and 11');
-    process.exit(1);
-  }
-
-  if (!['en', 'es'].includes(lang)) {
-    console.error('❌ Language must be "en" or "es"');
+  let chapterNum;
+  try {
+    assertLanguage(lang);
+    [chapterNum] = resolveChapterArg(args[0], lang);
+    createProvider(options.provider);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
   console.log(`\n🎬 Audio Generation\n`);
 
-  generateChapterAudio(chapterNum, lang)
+  generateChapterAudio(chapterNum, lang, options)
     .then((result) => {
+      if (options.prune) pruneCache();
       if (result.errorCount === 0) {
         console.log('🎉 All chunks generated successfully!');
         console.log('\n➡️  Next step: node scripts/concat-chapter-audio.js ' + chapterNum + ' ' + lang);
@@ -241,4 +298,12 @@ function main() {
     });
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  generateChapterAudio,
+  isChapterAudioCurrent,
+  pruneCache
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Import Review
+ *
+ * Applies the corrections accepted in a review export (the JSON file saved
+ * from the review edition, see scripts/build-review-version.js and
+ * scripts/lib/review.js) to the translated chapters, and records them in
+ * the translation memory as approved.
+ *
+ * A correction is only applied when nothing moved under it: the source
+ * text must still have the hash the reviewer saw, and the translation must
+ * still be the one they corrected. Corrections that would break the
+ * block's structure ({term:...}/{ref:...} markers, number of texts) are
+ * skipped; glossary misses are reported but applied, the reviewer has the
+ * last word. Open and rejected comments are only counted.
+ *
+ * Exits with an error when an accepted correction could not be applied.
+ *
+ * Usage:
+ *   node scripts/import-review.js review-es-2026-10-18.json
+ *   node scripts/import-review.js review-es-2026-10-18.json --dry-run   # Report only, write nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT_DIR, SOURCE_LANG, loadJSON, languageInfo, loadBook, loadChapter, chapterPath
+} = require('./lib/book');
+const { validateContent } = require('./lib/schema');
+const { openMemory, chapterUnits, sourceHash } = require('./lib/translation-memory');
+const { loadTranslationGlossary, checkTranslation, buildTargetChapter, chapterProblems } = require('./lib/translate');
+
+function parseArgs(argv) {
+  const options = { file: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!options.file) {
+      options.file = arg;
+    }
+  }
+
+  return options;
+}
+
+function sameTexts(a, b) {
+  return a.length === b.length && a.every((text, i) => text === b[i]);
+}
+
+// Decide what to do with one accepted correction: a reason to skip it, or null
+function checkCorrection(comment, unit, current, context) {
+  if (!unit) return `no such block in ${SOURCE_LANG}/${comment.chapter}`;
+  if (sourceHash(unit) !== comment.hash) return `${languageInfo(SOURCE_LANG).name} changed since the review`;
+  if (!sameTexts(current || [], comment.original || [])) return 'translation changed since the review';
+
+  const structure = checkTranslation(unit, comment.correction, context).filter(problem => problem.kind === 'structure');
+  return structure.length > 0 ? structure.map(problem => problem.message).join('; ') : null;
+}
+
+// Apply the accepted corrections of one chapter; returns how many were applied
+function importChapter(chapterId, comments, context, options) {
+  const number = parseInt(chapterId.slice(2));
+  const source = loadChapter(SOURCE_LANG, number);
+  const target = loadChapter(context.lang, number);
+  const { memory, skipped } = context;
+
+  console.log(`\n📖 ${chapterId}${source ? `: ${source.title}` : ''}`);
+  if (!source) {
+    comments.forEach(comment => skipped.push(`${comment.key}: no chapter ${chapterId} in ${SOURCE_LANG}`));
+    console.error(`   ❌ No such chapter in ${SOURCE_LANG}`);
+    return 0;
+  }
+
+  const units = new Map(chapterUnits(source).map(unit => [unit.key, unit]));
+  const currentTexts = new Map((target ? chapterUnits(target) : []).map(unit => [unit.key, unit.texts]));
+  const texts = new Map();
+
+  comments.forEach(comment => {
+    const unit = units.get(comment.key);
+    const current = currentTexts.get(comment.key) || null;
+
+    if (current && sameTexts(current, comment.correction)) {
+      console.log(`   ✓ ${comment.key}: already applied`);
+      return;
+    }
+
+    const reason = checkCorrection(comment, unit, current, context);
+    if (reason) {
+      console.error(`   ⏭️  ${comment.key}: ${reason}`);
+      skipped.push(`${comment.key}: ${reason}`);
+      return;
+    }
+
+    checkTranslation(unit, comment.correction, context)
+      .filter(problem => problem.kind === 'glossary')
+      .forEach(problem => console.log(`   ⚠️  ${comment.key}: ${problem.message}`));
+    texts.set(comment.key, comment.correction);
+    console.log(`   ✏️  ${comment.key}: ${comment.correction[0].slice(0, 70)}${comment.correction[0].length > 70 ? '…' : ''}`);
+  });
+
+  if (texts.size === 0) return 0;
+
+  // Never write a chapter the build would reject or that lost the source's shape
+  const chapter = buildTargetChapter(source, target, texts);
+  const problems = chapterProblems(source, chapter);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`      ${problem}`));
+    console.error(`   ❌ Not saved (${problems.length} problem(s))`);
+    texts.forEach((_, key) => skipped.push(`${key}: ${chapterId} would not be valid`));
+    return 0;
+  }
+
+  if (options.dryRun) return texts.size;
+
+  const targetFile = chapterPath(context.lang, number);
+  fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+  fs.writeFileSync(targetFile, JSON.stringify(chapter, null, 2) + '\n', 'utf8');
+  texts.forEach((correction, key) => {
+    memory.set(key, { hash: sourceHash(units.get(key)), status: 'approved', target: correction });
+  });
+  console.log(`   ✅ Saved: ${path.relative(ROOT_DIR, targetFile)}`);
+  return texts.size;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file) {
+    console.log('Usage: node scripts/import-review.js <review-export.json> [--dry-run]');
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = loadJSON(path.resolve(options.file));
+    const errors = validateContent(data, 'review-comments');
+    if (errors.length > 0) {
+      throw new Error(`Not a valid review export:\n${errors.map(e => `   ${e.path}: ${e.message}`).join('\n')}`);
+    }
+    languageInfo(data.lang);
+    if (data.lang === SOURCE_LANG) throw new Error(`${data.lang} is the source language`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const byStatus = status => data.comments.filter(comment => comment.status === status);
+  const corrections = byStatus('accepted').filter(comment => comment.correction);
+
+  console.log(`📥 Review of ${languageInfo(data.lang).name} (${data.lang})` +
+    `${data.reviewer ? ` by ${data.reviewer}` : ''}${data.exported ? `, ${data.exported.slice(0, 10)}` : ''}` +
+    `${options.dryRun ? ' - dry run, nothing is written' : ''}`);
+
+  const context = {
+    lang: data.lang,
+    memory: openMemory(data.lang),
+    glossary: loadTranslationGlossary(data.lang),
+    sourceGlossary: loadBook(SOURCE_LANG).glossary,
+    targetGlossary: loadBook(data.lang).glossary,
+    skipped: []
+  };
+
+  // Corrections by chapter, in chapter order
+  const chapters = new Map();
+  corrections.forEach(comment => {
+    if (!chapters.has(comment.chapter)) chapters.set(comment.chapter, []);
+    chapters.get(comment.chapter).push(comment);
+  });
+
+  let applied = 0;
+  [...chapters.keys()].sort((a, b) => parseInt(a.slice(2)) - parseInt(b.slice(2))).forEach(chapterId => {
+    try {
+      applied += importChapter(chapterId, chapters.get(chapterId), context, options);
+    } catch (error) {
+      console.error(`   ❌ Error importing ${chapterId}: ${error.message}`);
+      chapters.get(chapterId).forEach(comment => context.skipped.push(`${comment.key}: ${error.message}`));
+    }
+  });
+  if (!options.dryRun && applied > 0) context.memory.save();
+
+  console.log(`\n📊 ${applied} correction(s) ${options.dryRun ? 'to apply' : 'applied'}, ${context.skipped.length} skipped, ` +
+    `${byStatus('accepted').length - corrections.length} accepted comment(s) without correction, ` +
+    `${byStatus('open').length} open, ${byStatus('rejected').length} rejected`);
+
+  if (context.skipped.length > 0) {
+    console.error(`\n❌ ${context.skipped.length} accepted correction(s) not applied:`);
+    context.skipped.forEach(reason => console.error(`   ${reason}`));
+    process.exit(1);
+  }
+  console.log(options.dryRun ? '\n✨ Dry run done' : '\n✨ Done');
+}
+
+main();
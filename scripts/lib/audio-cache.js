@@ -0,0 +1,266 @@
+/**
+ * Audio Chunk Cache
+ *
+ * Synthesized chunks are stored once in audio/cache/, keyed by a hash of
+ * everything that changes the audio: cleaned text, language, provider,
+ * voice and provider settings. Editing a paragraph changes only its key;
+ * moving or renumbering paragraphs keeps the keys, so their audio is
+ * reused.
+ *
+ * manifest.json records, per key, the provider/voice it was made with and
+ * which chunk ids use it ("en/ch3/ch3-5e0c9a1f-1"). Keys no chunk uses any
+ * more are orphans, removed by prune(). put() records the chunk that made
+ * the audio right away, so a prune while a run is still going keeps it.
+ * Several runs may share the cache: save() and prune() take a lock file
+ * and merge with the manifest on disk, so each run writes only what it
+ * changed (the entries it put, the scopes it set refs for).
+ *
+ * Usage:
+ *   const cache = openCache();
+ *   const key = chunkKey({ text, lang, provider: 'fish', voice, settings });
+ *   if (!cache.has(key)) cache.put(key, await tts.synthesize(...), { provider: 'fish', voice, text, scope: 'en/ch3', id: 'ch3-5e0c9a1f-1' });
+ *   cache.setRefs('en/ch3', { [key]: ['ch3-5e0c9a1f-1'] });
+ *   cache.save();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AUDIO_DIR } = require('./book');
+
+const CACHE_DIR = path.join(AUDIO_DIR, 'cache');
+const MANIFEST_VERSION = 1;
+const LOCK_WAIT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+// JSON with object keys sorted, so equal settings always hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Cache key of a chunk.
+ * @param {{text: string, lang: string, provider: string, voice: string, settings: Object}} input
+ * @returns {string} 24 hex characters
+ */
+function chunkKey({ text, lang, provider, voice, settings }) {
+  return crypto.createHash('sha256')
+    .update(canonical({ text, lang, provider, voice: voice || '', settings: settings || {} }))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+// Write through a temporary file so an interrupted run never leaves half a file
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Run fn holding `${file}.lock`. A lock older than LOCK_STALE_MS is left
+// by a run that died, and is taken over.
+function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      let stale = false;
+      try {
+        stale = Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS;
+      } catch (statError) {
+        continue; // Released meanwhile
+      }
+      if (stale) {
+        fs.rmSync(lock, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lock} (remove it if no other run is going)`);
+      } else {
+        sleep(50);
+      }
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+function readManifest(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Opens (creating if needed) the cache directory and its manifest.
+ * @param {string} [dir]
+ */
+function openCache(dir = CACHE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const manifestFile = path.join(dir, 'manifest.json');
+
+  let manifest = { version: MANIFEST_VERSION, entries: {} };
+  // Files written after this may belong to a run whose manifest we have not seen
+  let loadedAt = Date.now();
+  if (fs.existsSync(manifestFile)) {
+    loadedAt = fs.statSync(manifestFile).mtimeMs;
+    manifest = readManifest(manifestFile);
+  }
+
+  const file = key => path.join(dir, `${key}.mp3`);
+
+  // What this run changed since its last save; the rest of the manifest
+  // on disk may have been changed by other runs meanwhile
+  const putKeys = new Set();
+  const setScopes = new Set();
+
+  // Replace the manifest with the one on disk plus this run's changes
+  function merge() {
+    if (!fs.existsSync(manifestFile)) return;
+    const entries = readManifest(manifestFile).entries;
+
+    putKeys.forEach(key => {
+      const refs = { ...(entries[key] ? entries[key].refs : {}) };
+      Object.entries(manifest.entries[key].refs).forEach(([scope, ids]) => {
+        refs[scope] = [...new Set([...(refs[scope] || []), ...ids])];
+      });
+      entries[key] = { ...manifest.entries[key], refs };
+    });
+
+    setScopes.forEach(scope => {
+      Object.entries(entries).forEach(([key, entry]) => {
+        const mine = manifest.entries[key] && manifest.entries[key].refs[scope];
+        if (mine) entry.refs[scope] = mine;
+        else delete entry.refs[scope];
+      });
+    });
+
+    manifest.entries = entries;
+  }
+
+  // Merge, apply `change`, write, all under the lock
+  function update(change) {
+    return withLock(manifestFile, () => {
+      merge();
+      const result = change ? change() : undefined;
+      writeAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+      putKeys.clear();
+      setScopes.clear();
+      return result;
+    });
+  }
+
+  return {
+    dir,
+    manifest,
+
+    file,
+
+    // Cached audio in the manifest and on disk (a file alone may be a
+    // stray that prune() deletes, a manifest entry alone has lost its audio)
+    has(key) {
+      return Boolean(manifest.entries[key]) && fs.existsSync(file(key));
+    },
+
+    /**
+     * Stores audio under a key, referenced by the chunk it was made for.
+     * @param {string} key
+     * @param {Buffer} buffer
+     * @param {{provider: string, voice: string, text: string, scope?: string, id?: string}} info
+     */
+    put(key, buffer, { provider, voice, text, scope, id }) {
+      writeAtomic(file(key), buffer);
+      const previous = manifest.entries[key];
+      const refs = previous ? previous.refs : {};
+      if (scope && id && !(refs[scope] || []).includes(id)) {
+        refs[scope] = [...(refs[scope] || []), id];
+      }
+      manifest.entries[key] = {
+        provider,
+        voice: voice || '',
+        text: text.length > 80 ? text.slice(0, 80) + '…' : text,
+        bytes: buffer.length,
+        created: new Date().toISOString(),
+        refs
+      };
+      putKeys.add(key);
+    },
+
+    /**
+     * Replaces the chunk ids a scope (e.g. "en/ch3") uses, dropping
+     * whatever that scope referenced before.
+     * @param {string} scope
+     * @param {Object<string, string[]>} refsByKey
+     */
+    setRefs(scope, refsByKey) {
+      setScopes.add(scope);
+      Object.values(manifest.entries).forEach(entry => {
+        delete entry.refs[scope];
+      });
+      Object.entries(refsByKey).forEach(([key, ids]) => {
+        if (manifest.entries[key]) manifest.entries[key].refs[scope] = ids;
+      });
+    },
+
+    /**
+     * Writes this run's changes to the manifest, keeping what other runs
+     * saved since it was opened.
+     */
+    save() {
+      update();
+    },
+
+    /**
+     * Deletes cached audio no chunk refers to, and stray files the manifest
+     * does not know about. Stray files newer than the manifest that was
+     * loaded are kept: they belong to a run whose manifest we have not seen.
+     * @returns {{files: number, bytes: number}}
+     */
+    prune() {
+      return update(() => {
+        let files = 0;
+        let bytes = 0;
+        const remove = name => {
+          const target = path.join(dir, name);
+          bytes += fs.statSync(target).size;
+          fs.unlinkSync(target);
+          files++;
+        };
+
+        Object.entries(manifest.entries).forEach(([key, entry]) => {
+          if (Object.keys(entry.refs).length > 0) return;
+          if (fs.existsSync(file(key))) remove(`${key}.mp3`);
+          delete manifest.entries[key];
+        });
+
+        fs.readdirSync(dir)
+          .filter(name => name.endsWith('.mp3') && !manifest.entries[name.slice(0, -4)])
+          .filter(name => fs.statSync(path.join(dir, name)).mtimeMs < loadedAt)
+          .forEach(remove);
+
+        return { files, bytes };
+      });
+    }
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  chunkKey,
+  openCache
+};
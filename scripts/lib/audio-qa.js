@@ -0,0 +1,274 @@
+/**
+ * Audio QA
+ *
+ * TTS chunks come back with their own level, format and occasional
+ * failures (a near-silent response, a clipped take, a sentence cut short
+ * or read twice). Before a chapter is rendered every chunk is measured:
+ *
+ *   - integrated loudness and true peak (EBU R128, ffmpeg loudnorm)
+ *   - duration versus the duration expected from the text length
+ *   - sample rate and channels
+ *
+ * analyzeChunks() turns the measurements into problems. Problems with
+ * severity "regenerate" mean the audio itself is bad and the chunk should
+ * be synthesized again; "warn" problems (level jumps, odd formats) are
+ * evened out by the render, which brings every chunk to the target level
+ * and format before the chapter gets a final two-pass loudnorm.
+ *
+ * Usage:
+ *   const measurement = measureChunk('chunks/ch1-5e0c9a1f-2.mp3');
+ *   const report = analyzeChunks(chunksData.chunks, measurements, lang);
+ *   report.flagged  // ids to regenerate
+ */
+
+const { execFileSync, spawnSync } = require('child_process');
+const { configuredLanguages, languageInfo } = require('./book');
+
+// Format of the rendered chapter (and of the silences between chunks)
+const OUTPUT_FORMAT = {
+  sampleRate: 44100,
+  channels: 1,
+  bitrate: '128k'
+};
+
+// EBU R128 loudness targets for the rendered chapter
+const LOUDNESS = {
+  target: -18,      // LUFS integrated
+  truePeak: -1.5,   // dBTP ceiling
+  range: 11         // LU loudness range
+};
+
+// Limits for flagging chunks
+const LIMITS = {
+  silent: -50,          // LUFS: quieter than this is a failed response
+  clipped: -0.1,        // dBTP: true peak at or above this is clipped
+  levelJump: 6,         // LU away from the chapter median
+  maxGain: 12,          // dB: largest correction applied to one chunk
+  minDuration: 0.3,     // seconds
+  durationRatio: [0.6, 1.8],  // actual / expected
+  minExpected: 2        // seconds: shorter texts are not checked for duration
+};
+
+// Speaking rate of the TTS voices, in characters per second, for a language
+// without a speechRate in i18n/languages.json
+const DEFAULT_CHARS_PER_SECOND = 15;
+
+/**
+ * Seconds a text is expected to take when read aloud.
+ * @param {string} text
+ * @param {string} lang
+ * @returns {number}
+ */
+function expectedDuration(text, lang) {
+  const info = configuredLanguages().includes(lang) ? languageInfo(lang) : {};
+  return text.length / (info.speechRate || DEFAULT_CHARS_PER_SECOND);
+}
+
+/**
+ * Sample rate, channels and duration of an audio file, read with ffprobe.
+ * @param {string} file
+ * @returns {{sampleRate: number, channels: number, duration: number}}
+ */
+function probeFormat(file) {
+  const output = execFileSync('ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'a:0',
+    '-show_entries', 'stream=sample_rate,channels:format=duration',
+    '-of', 'json',
+    file
+  ], { encoding: 'utf8' });
+
+  const data = JSON.parse(output);
+  const stream = (data.streams || [])[0];
+  if (!stream) throw new Error(`No audio stream in ${file}`);
+
+  return {
+    sampleRate: parseInt(stream.sample_rate),
+    channels: stream.channels,
+    duration: parseFloat(data.format.duration)
+  };
+}
+
+// loudnorm prints its measurements as a JSON object at the end of stderr
+function parseLoudnorm(stderr) {
+  const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) throw new Error('ffmpeg printed no loudnorm measurements');
+  return JSON.parse(match[0]);
+}
+
+// "-inf" and friends become -Infinity
+function level(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? -Infinity : number;
+}
+
+/**
+ * Loudness of a file (or of an ffmpeg concat list, with `inputArgs`),
+ * measured with the first pass of loudnorm.
+ * @param {string[]} inputArgs - e.g. ['-i', 'chunk.mp3']
+ * @param {typeof LOUDNESS} [targets]
+ * @returns {{integrated: number, truePeak: number, range: number, threshold: number, raw: Object}}
+ */
+function measureLoudness(inputArgs, targets = LOUDNESS) {
+  const filter = `loudnorm=I=${targets.target}:TP=${targets.truePeak}:LRA=${targets.range}:print_format=json`;
+  // The measurements go to stderr, which execFileSync does not return
+  const result = spawnSync('ffmpeg', [
+    '-hide_banner', '-nostats', ...inputArgs, '-af', filter, '-f', 'null', '-'
+  ], { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 });
+
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`ffmpeg exited with code ${result.status}: ${(result.stderr || '').trim().slice(-300)}`);
+  }
+
+  const raw = parseLoudnorm(result.stderr);
+  return {
+    integrated: level(raw.input_i),
+    truePeak: level(raw.input_tp),
+    range: level(raw.input_lra),
+    threshold: level(raw.input_thresh),
+    raw
+  };
+}
+
+/**
+ * Everything QA needs to know about one chunk file.
+ * @param {string} file
+ */
+function measureChunk(file) {
+  const format = probeFormat(file);
+  const loudness = measureLoudness(['-i', file]);
+  return {
+    duration: format.duration,
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    integrated: loudness.integrated,
+    truePeak: loudness.truePeak
+  };
+}
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Round for reports
+function round(value, digits = 1) {
+  if (!Number.isFinite(value)) return value === -Infinity ? null : value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Gain (dB) that brings a chunk to the target level without pushing its
+ * true peak over the ceiling.
+ * @param {{integrated: number, truePeak: number}} measurement
+ * @param {typeof LOUDNESS} [targets]
+ * @returns {number}
+ */
+function chunkGain(measurement, targets = LOUDNESS) {
+  if (!Number.isFinite(measurement.integrated)) return 0;
+  let gain = targets.target - measurement.integrated;
+  if (Number.isFinite(measurement.truePeak)) {
+    gain = Math.min(gain, targets.truePeak - measurement.truePeak);
+  }
+  return round(Math.max(-LIMITS.maxGain, Math.min(LIMITS.maxGain, gain)), 2);
+}
+
+/**
+ * Problems of every chunk, judged against the chapter as a whole.
+ * @param {Array<{id: string, text: string}>} chunks
+ * @param {Object<string, ReturnType<typeof measureChunk>>} measurements - By chunk id
+ * @param {string} lang
+ * @returns {{median: number|null, chunks: Object[], flagged: string[], warnings: number}}
+ */
+function analyzeChunks(chunks, measurements, lang) {
+  const chapterMedian = median(chunks.map(chunk => measurements[chunk.id].integrated));
+
+  const results = chunks.map(chunk => {
+    const m = measurements[chunk.id];
+    const expected = expectedDuration(chunk.text, lang);
+    const problems = [];
+    const problem = (type, severity, message) => problems.push({ type, severity, message });
+
+    if (!Number.isFinite(m.integrated) || m.integrated < LIMITS.silent || m.duration < LIMITS.minDuration) {
+      problem('silent', 'regenerate', `near-silent (${round(m.integrated)} LUFS, ${round(m.duration, 2)}s)`);
+    } else if (chapterMedian !== null && Math.abs(m.integrated - chapterMedian) > LIMITS.levelJump) {
+      problem('level', 'warn', `${round(m.integrated)} LUFS, chapter median ${round(chapterMedian)} LUFS`);
+    }
+
+    if (Number.isFinite(m.truePeak) && m.truePeak >= LIMITS.clipped) {
+      problem('clipped', 'regenerate', `true peak ${round(m.truePeak)} dBTP`);
+    }
+
+    if (expected >= LIMITS.minExpected) {
+      const ratio = m.duration / expected;
+      const [min, max] = LIMITS.durationRatio;
+      if (ratio < min) {
+        problem('duration', 'regenerate', `too short: ${round(m.duration)}s for ~${round(expected)}s of text (cut off?)`);
+      } else if (ratio > max) {
+        problem('duration', 'regenerate', `too long: ${round(m.duration)}s for ~${round(expected)}s of text (repeated?)`);
+      }
+    }
+
+    if (m.sampleRate !== OUTPUT_FORMAT.sampleRate || m.channels !== OUTPUT_FORMAT.channels) {
+      problem('format', 'warn', `${m.sampleRate} Hz, ${m.channels} channel(s); rendered as ` +
+        `${OUTPUT_FORMAT.sampleRate} Hz, ${OUTPUT_FORMAT.channels} channel(s)`);
+    }
+
+    return {
+      id: chunk.id,
+      duration: round(m.duration, 3),
+      expected: round(expected, 1),
+      sampleRate: m.sampleRate,
+      channels: m.channels,
+      integrated: round(m.integrated),
+      truePeak: round(m.truePeak),
+      gain: chunkGain(m),
+      problems
+    };
+  });
+
+  return {
+    median: round(chapterMedian),
+    chunks: results,
+    flagged: results.filter(r => r.problems.some(p => p.severity === 'regenerate')).map(r => r.id),
+    warnings: results.filter(r => r.problems.some(p => p.severity === 'warn')).length
+  };
+}
+
+/**
+ * Second-pass loudnorm filter for a render measured with measureLoudness().
+ * @param {ReturnType<typeof measureLoudness>} measured
+ * @param {typeof LOUDNESS} [targets]
+ * @returns {string}
+ */
+function loudnormFilter(measured, targets = LOUDNESS) {
+  const { raw } = measured;
+  return [
+    `loudnorm=I=${targets.target}`,
+    `TP=${targets.truePeak}`,
+    `LRA=${targets.range}`,
+    `measured_I=${raw.input_i}`,
+    `measured_TP=${raw.input_tp}`,
+    `measured_LRA=${raw.input_lra}`,
+    `measured_thresh=${raw.input_thresh}`,
+    `offset=${raw.target_offset}`,
+    'linear=true'
+  ].join(':');
+}
+
+module.exports = {
+  OUTPUT_FORMAT,
+  LOUDNESS,
+  LIMITS,
+  expectedDuration,
+  probeFormat,
+  measureLoudness,
+  measureChunk,
+  chunkGain,
+  analyzeChunks,
+  loudnormFilter
+};
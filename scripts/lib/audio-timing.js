@@ -0,0 +1,183 @@
+/**
+ * Audio Timing Maps
+ *
+ * Where each chunk of a chapter lands in the final chapter MP3. The
+ * concatenation step probes the duration of every chunk and silence file,
+ * then writes a timing map (chunk id → section/block → start/end seconds)
+ * and a SMIL media overlay next to the MP3. The EPUB export and the web
+ * reader use them to highlight the block being spoken. A chunk that reads
+ * several short blocks (its `blocks`) gets one entry per block, its time
+ * shared out by their length.
+ *
+ * Usage:
+ *   const { probeDuration, buildTimingMap, renderSmil } = require('./lib/audio-timing');
+ *   const timing = buildTimingMap(chunksData, {
+ *     chunkDuration: chunk => probeDuration(`render/${chunk.id}.wav`),
+ *     silenceDuration: seconds => probeDuration(`silence-${seconds}s.wav`),
+ *     chimeDuration: () => probeDuration('render/chime.wav')
+ *   });
+ *   fs.writeFileSync('ch1-en.smil', renderSmil(timing, { textHref: 'ch1.xhtml', audioHref: 'ch1-en.mp3' }));
+ */
+
+const { execFileSync } = require('child_process');
+const { blockAnchor, stepAnchor, titleAnchor } = require('./book');
+
+/**
+ * @typedef {Object} TimingEntry
+ * @property {string} id - Chunk id, e.g. "ch1-5e0c9a1f-2", with "-b<n>" for the nth
+ *   block of a chunk that reads several
+ * @property {string} type - Chunk type ("intro", "section-title", or the block type)
+ * @property {string|null} section - Section id (null for the intro)
+ * @property {number|null} block - Index in section.content (null for the intro and section titles)
+ * @property {string} anchor - Element id in the rendered chapter (the step's, for meditation steps)
+ * @property {number} start - Seconds from the start of the chapter MP3
+ * @property {number} end - End of the speech, before the pause that follows
+ */
+
+/**
+ * @typedef {Object} TimingMap
+ * @property {number} chapter
+ * @property {string} lang
+ * @property {string} audio - File name of the chapter MP3
+ * @property {number} duration - Total seconds, trailing pause included
+ * @property {TimingEntry[]} entries
+ */
+
+// Round to milliseconds
+function ms(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Duration of an audio file in seconds, read with ffprobe.
+ * @param {string} file
+ * @returns {number}
+ */
+function probeDuration(file) {
+  const output = execFileSync('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    file
+  ], { encoding: 'utf8' });
+
+  const duration = parseFloat(output);
+  if (isNaN(duration)) {
+    throw new Error(`ffprobe returned no duration for ${file}`);
+  }
+  return duration;
+}
+
+/**
+ * Lays the chunks out end to end, in the order they are concatenated:
+ * chunk, silence, then the chime when the chunk has one.
+ * @param {Object} chunksData - Contents of chunks.json
+ * @param {{chunkDuration: function(Object): number, silenceDuration: function(number): number,
+ *   chimeDuration?: function(): number}} durations
+ * @returns {TimingMap}
+ */
+function buildTimingMap(chunksData, durations) {
+  const silences = new Map();
+  const silence = seconds => {
+    if (!silences.has(seconds)) silences.set(seconds, durations.silenceDuration(seconds));
+    return silences.get(seconds);
+  };
+  let chimeSeconds;
+  const chime = () => {
+    if (chimeSeconds === undefined) chimeSeconds = durations.chimeDuration();
+    return chimeSeconds;
+  };
+
+  let offset = 0;
+  const entries = chunksData.chunks.flatMap(chunk => {
+    const start = offset;
+    const end = start + durations.chunkDuration(chunk);
+    offset = end + (chunk.pauseAfter > 0 ? silence(chunk.pauseAfter) : 0);
+    if (chunk.chime) offset += chime();
+
+    if (chunk.blocks) {
+      const chars = chunk.blocks.reduce((sum, part) => sum + part.chars, 0);
+      let at = start;
+      return chunk.blocks.map((part, i) => {
+        const partStart = at;
+        at = i === chunk.blocks.length - 1 ? end : at + (end - start) * part.chars / chars;
+        return {
+          id: `${chunk.id}-b${i + 1}`,
+          type: part.type,
+          section: chunk.section,
+          block: part.block,
+          anchor: blockAnchor(chunk.section, part.block, part.blockId),
+          start: ms(partStart),
+          end: ms(at)
+        };
+      });
+    }
+
+    const hasBlock = chunk.section !== undefined && chunk.block !== undefined;
+    let anchor = `ch${chunksData.chapter}`;
+    if (hasBlock) {
+      anchor = blockAnchor(chunk.section, chunk.block, chunk.blockId);
+      if (chunk.step !== undefined) anchor = stepAnchor(anchor, chunk.step);
+    } else if (chunk.section !== undefined) {
+      anchor = titleAnchor(chunk.section);
+    }
+    return {
+      id: chunk.id,
+      type: chunk.type,
+      section: chunk.section !== undefined ? chunk.section : null,
+      block: hasBlock ? chunk.block : null,
+      anchor,
+      start: ms(start),
+      end: ms(end)
+    };
+  });
+
+  return {
+    chapter: chunksData.chapter,
+    lang: chunksData.lang,
+    audio: `ch${chunksData.chapter}-${chunksData.lang}.mp3`,
+    duration: ms(offset),
+    entries
+  };
+}
+
+/**
+ * Seconds as a SMIL clock value, e.g. "0:04:12.345".
+ * @param {number} seconds
+ */
+function formatClock(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${h}:${String(m).padStart(2, '0')}:${s}`;
+}
+
+/**
+ * EPUB 3 media overlay for a chapter.
+ * @param {TimingMap} timing
+ * @param {{textHref: string, audioHref: string}} hrefs - Chapter document and MP3, relative to the SMIL file
+ * @returns {string}
+ */
+function renderSmil(timing, { textHref, audioHref }) {
+  const pars = timing.entries.map(entry => `            <par id="${entry.id}">
+                <text src="${textHref}#${entry.anchor}"/>
+                <audio src="${audioHref}" clipBegin="${formatClock(entry.start)}" clipEnd="${formatClock(entry.end)}"/>
+            </par>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+    <body>
+        <seq id="seq-ch${timing.chapter}" epub:textref="${textHref}" epub:type="chapter">
+${pars.join('\n')}
+        </seq>
+    </body>
+</smil>
+`;
+}
+
+module.exports = {
+  probeDuration,
+  buildTimingMap,
+  formatClock,
+  renderSmil
+};
@@ -0,0 +1,99 @@
+/**
+ * Full-Book Audiobook
+ *
+ * Chapter markers and metadata for the single-file audiobook built from
+ * the chapter MP3s: a chapter list laid out end to end from the probed
+ * durations, and the FFMETADATA file ffmpeg turns into M4B chapter atoms
+ * or ID3 CHAP/CTOC frames.
+ *
+ * Usage:
+ *   const chapters = layoutChapters(book.chapters, durations);
+ *   fs.writeFileSync('metadata.txt', renderFfmetadata(bookMetadata(book), chapters));
+ */
+
+/**
+ * @typedef {Object} AudiobookChapter
+ * @property {number} number
+ * @property {string} title - e.g. "Chapter One: The Love That Creates"
+ * @property {number} start - Milliseconds from the start of the book
+ * @property {number} end
+ */
+
+/**
+ * Chapters placed one after another.
+ * @param {import('./book').Chapter[]} chapters
+ * @param {number[]} durations - Seconds, same order as `chapters`
+ * @returns {AudiobookChapter[]}
+ */
+function layoutChapters(chapters, durations) {
+  let offset = 0;
+  return chapters.map((chapter, i) => {
+    const start = offset;
+    offset += Math.round(durations[i] * 1000);
+    return {
+      number: chapter.number,
+      title: chapter.numberText ? `${chapter.numberText}: ${chapter.title}` : chapter.title,
+      start,
+      end: offset
+    };
+  });
+}
+
+/**
+ * Book-level tags from ui.json.
+ * @param {import('./book').Book} book
+ * @returns {Object<string, string>}
+ */
+function bookMetadata(book) {
+  const { ui } = book;
+  return {
+    title: ui.bookTitle,
+    album: ui.bookTitle,
+    artist: ui.siteTitle,
+    album_artist: ui.siteTitle,
+    genre: 'Audiobook',
+    date: (ui.footer && ui.footer.date) || '',
+    copyright: (ui.footer && ui.footer.derivedFrom) || '',
+    comment: [ui.description, ui.meta && ui.meta.version].filter(Boolean).join(' — '),
+    language: book.lang
+  };
+}
+
+// FFMETADATA values escape '=', ';', '#', '\' and newlines with a backslash
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+}
+
+/**
+ * FFMETADATA1 document with global tags and one [CHAPTER] per chapter.
+ * @param {Object<string, string>} tags
+ * @param {AudiobookChapter[]} chapters
+ * @returns {string}
+ */
+function renderFfmetadata(tags, chapters) {
+  const lines = [';FFMETADATA1'];
+
+  Object.entries(tags)
+    .filter(([, value]) => value)
+    .forEach(([key, value]) => lines.push(`${key}=${escapeMetadata(value)}`));
+
+  chapters.forEach(chapter => {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${chapter.start}`,
+      `END=${chapter.end}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  layoutChapters,
+  bookMetadata,
+  escapeMetadata,
+  renderFfmetadata
+};
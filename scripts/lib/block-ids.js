@@ -0,0 +1,128 @@
+/**
+ * Block Ids
+ *
+ * Every block in a chapter carries a stable `id` in the chapter JSON
+ * ("k3x9qa"), so a passage keeps its anchor (#p-k3x9qa), its short link
+ * (/p/k3x9qa) and its audio chunk ids when blocks are added, moved or
+ * edited around it. Translations carry the id of the source block they
+ * translate, found with the same block alignment the parity check uses.
+ *
+ * Ids are made once, by scripts/assign-block-ids.js, and never derived
+ * from position or text again; hand-written ids ("five-principles") work
+ * too.
+ *
+ * Usage:
+ *   const used = collectIds(chapters);
+ *   assignIds(chapter, used);                      // source language
+ *   copyIds(sourceChapter, targetChapter, used);   // a translation
+ */
+
+const crypto = require('crypto');
+const { alignBlocks, blockSignature, chapterRatio, DEFAULTS } = require('./parity');
+
+// Generated ids: lowercase letters and digits
+const ID_LENGTH = 6;
+const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Ids already used by the blocks of some chapters.
+ * @param {import('./book').Chapter[]} chapters
+ * @returns {Set<string>}
+ */
+function collectIds(chapters) {
+  const used = new Set();
+  chapters.forEach(chapter => chapter.sections.forEach(section => section.content.forEach(block => {
+    if (block.id) used.add(block.id);
+  })));
+  return used;
+}
+
+/**
+ * A random id not in `used` (and added to it). Always starts with a letter.
+ * @param {Set<string>} used
+ * @returns {string}
+ */
+function newBlockId(used) {
+  let id;
+  do {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    id = Array.from(bytes, (byte, i) => ID_ALPHABET[byte % (i === 0 ? 26 : ID_ALPHABET.length)]).join('');
+  } while (used.has(id));
+  used.add(id);
+  return id;
+}
+
+// The block with `id` as its second key, after "type"
+function withId(block, id) {
+  const { type, ...rest } = block;
+  return { type, id, ...rest };
+}
+
+/**
+ * Gives every block without an id a new one. Changes `chapter` in place.
+ * @param {import('./book').Chapter} chapter
+ * @param {Set<string>} used
+ * @returns {number} Ids added
+ */
+function assignIds(chapter, used) {
+  let added = 0;
+  chapter.sections.forEach(section => {
+    section.content = section.content.map(block => {
+      if (block.id) return block;
+      added++;
+      return withId(block, newBlockId(used));
+    });
+  });
+  return added;
+}
+
+/**
+ * Gives the blocks of a translation without an id the id of the source
+ * block they are aligned with; blocks that only exist in the translation
+ * get a new id. Changes `target` in place.
+ * @param {import('./book').Chapter} source
+ * @param {import('./book').Chapter} target
+ * @param {Set<string>} used - Ids of the target language
+ * @param {Set<string>} [taken] - Ids a new id must not repeat (every language)
+ * @returns {{copied: number, added: number}}
+ */
+function copyIds(source, target, used, taken = used) {
+  const ratio = chapterRatio(source, target);
+  let copied = 0;
+  let added = 0;
+
+  target.sections.forEach(targetSection => {
+    const sourceSection = source.sections.find(s => s.id === targetSection.id);
+    const content = targetSection.content.slice();
+    const pairs = sourceSection
+      ? alignBlocks(sourceSection.content.map(blockSignature), content.map(blockSignature), ratio, DEFAULTS)
+      : content.map((block, t) => [null, t]);
+
+    pairs.forEach(([s, t]) => {
+      if (t === null || content[t].id) return;
+      const sourceId = s !== null && sourceSection.content[s].id;
+      if (sourceId && !used.has(sourceId)) {
+        used.add(sourceId);
+        taken.add(sourceId);
+        content[t] = withId(content[t], sourceId);
+        copied++;
+      } else {
+        const id = newBlockId(taken);
+        used.add(id);
+        content[t] = withId(content[t], id);
+        added++;
+      }
+    });
+
+    targetSection.content = content;
+  });
+
+  return { copied, added };
+}
+
+module.exports = {
+  collectIds,
+  newBlockId,
+  assignIds,
+  copyIds
+};
@@ -0,0 +1,425 @@
+/**
+ * Book Content Library
+ *
+ * Single entry point for everything under i18n/: reads the languages of the
+ * book from i18n/languages.json, loads chapters ordered by their `number`
+ * field and resolves the per-language glossary, references, media, ui,
+ * about, pronunciation and practice files.
+ *
+ * i18n/languages.json lists every language with its locale, text direction
+ * and names; the `source` language is the one translations are made from:
+ *
+ *   {
+ *     "source": "en",
+ *     "languages": {
+ *       "es": {
+ *         "name": "Spanish",
+ *         "nativeName": "Español",
+ *         "locale": "es_ES",
+ *         "dir": "ltr",
+ *         "translationStyle": "Use the formal \"usted\" form",
+ *         "voices": { "local": "es" },
+ *         "speechRate": 15.5,
+ *         "abbreviations": ["sr", "dr", "p. ej"],
+ *         "search": { "stopwords": ["de", "la"], "suffixes": ["amiento", "ar", "s"] }
+ *       }
+ *     }
+ *   }
+ *
+ *   translationStyle  Extra instruction for machine translation into it
+ *   voices            TTS voice per provider, before the provider's default
+ *   speechRate        Characters per second the voices read (audio QA, default 15)
+ *   abbreviations     Words a period does not end a sentence after (lowercase)
+ *   search            Stopwords and stemming rules of the search index
+ *                     (scripts/client/search-text.js); without it words are
+ *                     only folded
+ *
+ * A configured language is published once i18n/<lang>/chapters/ exists, so
+ * adding one is a content task (scripts/validate.js then requires its
+ * ui.json and glossary.json).
+ *
+ * Usage:
+ *   const { listLanguages, loadBook } = require('./lib/book');
+ *   const book = loadBook('es');
+ *   book.chapters.forEach(ch => console.log(ch.number, ch.title));
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const I18N_DIR = path.join(ROOT_DIR, 'i18n');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const AUDIO_DIR = path.join(ROOT_DIR, 'audio');
+const LANGUAGES_FILE = path.join(I18N_DIR, 'languages.json');
+
+const LANGUAGES = loadJSON(LANGUAGES_FILE);
+
+// Language the translations are made from
+const SOURCE_LANG = LANGUAGES.source;
+
+/**
+ * @typedef {Object} Language
+ * @property {string} code - e.g. "es": the i18n/ directory and URL prefix
+ * @property {string} name - English name, e.g. "Spanish"
+ * @property {string} nativeName - e.g. "Español"
+ * @property {string} locale - e.g. "es_ES"
+ * @property {'ltr'|'rtl'} dir - Text direction
+ * @property {string} [translationStyle] - Extra machine translation instruction
+ * @property {Object<string, string>} [voices] - TTS voice by provider name
+ * @property {number} [speechRate] - Characters per second read aloud
+ * @property {string[]} [abbreviations] - Lowercase, without the final period
+ * @property {import('../client/search-text').Analysis} [search] - Search word analysis
+ */
+
+/**
+ * @typedef {Object} MeditationStep
+ * @property {string} text - Inline text, as in Block.text
+ * @property {number} hold - Seconds of silence after the step
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {string} type - Block type ("paragraph", "quote", "heading", "list",
+ *   "epigraph", "break", "meditation")
+ * @property {string} [id] - Stable id, the same in every language (see lib/block-ids.js)
+ * @property {string} [text] - Inline text with {term:...}, {ref:...} and <em> markup
+ * @property {number} [level] - Heading only: 1 (default) or 2
+ * @property {string[]} [items] - List only, inline text each
+ * @property {boolean} [ordered] - List only: numbered list
+ * @property {string} [attribution] - Epigraph only
+ * @property {string} [title] - Meditation only
+ * @property {MeditationStep[]} [steps] - Meditation only
+ * @property {boolean} [chime] - Meditation only: chime between steps in the audiobook
+ * @property {number} [pause] - Audiobook pause after the block, in seconds
+ */
+
+/**
+ * @typedef {Object} Section
+ * @property {string} id
+ * @property {string} [title]
+ * @property {Block[]} content
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} id - e.g. "ch1"
+ * @property {number} number
+ * @property {string} numberText - e.g. "Chapter One"
+ * @property {string} title
+ * @property {Section[]} sections
+ */
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} title
+ * @property {string} definition
+ */
+
+/**
+ * @typedef {Object} Book
+ * @property {string} lang
+ * @property {Object} ui - Contents of ui.json
+ * @property {Object|null} about - Contents of about.json
+ * @property {Object<string, GlossaryEntry>} glossary
+ * @property {Object<string, Object>} references
+ * @property {Object<string, Object>} media - Keyed by chapter number and "all"
+ * @property {Object<string, Object>} pronunciation - TTS lexicon (see lib/pronunciation.js)
+ * @property {Object|null} practice - Session timer positions (practice.json)
+ * @property {Chapter[]} chapters - Ordered by chapter number
+ */
+
+// Load JSON file (throws with the file name so a broken file stops the build)
+function loadJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not load ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Every language in i18n/languages.json, source language first, whether
+ * it has content yet or not.
+ * @returns {string[]}
+ */
+function configuredLanguages() {
+  const codes = Object.keys(LANGUAGES.languages);
+  return [SOURCE_LANG, ...codes.filter(code => code !== SOURCE_LANG)];
+}
+
+/**
+ * Configured languages with a chapters/ directory under i18n/, source
+ * language first.
+ * @returns {string[]}
+ */
+function listLanguages() {
+  return configuredLanguages()
+    .filter(lang => fs.existsSync(path.join(I18N_DIR, lang, 'chapters')));
+}
+
+/**
+ * Settings of a configured language.
+ * @param {string} lang
+ * @returns {Language}
+ */
+function languageInfo(lang) {
+  const info = LANGUAGES.languages[lang];
+  if (!info) {
+    throw new Error(`Language "${lang}" is not in ${path.relative(ROOT_DIR, LANGUAGES_FILE)} (${configuredLanguages().join(', ')})`);
+  }
+  return { code: lang, ...info };
+}
+
+/**
+ * Throws if `lang` has no content under i18n/.
+ * @param {string} lang
+ */
+function assertLanguage(lang) {
+  const languages = listLanguages();
+  if (!languages.includes(lang)) {
+    throw new Error(`Language must be one of: ${languages.join(', ')}`);
+  }
+}
+
+/**
+ * Absolute paths of every chapter file for a language, in no particular order.
+ * @param {string} lang
+ * @returns {string[]}
+ */
+function listChapterFiles(lang) {
+  const dir = path.join(I18N_DIR, lang, 'chapters');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.join(dir, f));
+}
+
+/**
+ * All chapters for a language, ordered by their `number` field.
+ * @param {string} lang
+ * @returns {Chapter[]}
+ */
+function loadChapters(lang) {
+  return listChapterFiles(lang)
+    .map(file => loadJSON(file))
+    .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * A single chapter looked up by its `number` field (not its file name).
+ * @param {string} lang
+ * @param {number} number
+ * @returns {Chapter|null}
+ */
+function loadChapter(lang, number) {
+  return loadChapters(lang).find(ch => ch.number === number) || null;
+}
+
+/**
+ * Chapter numbers available for a language, ascending.
+ * @param {string} lang
+ * @returns {number[]}
+ */
+function chapterNumbers(lang) {
+  return loadChapters(lang).map(ch => ch.number);
+}
+
+/**
+ * Turns a CLI chapter argument ("3" or "all") into chapter numbers,
+ * checked against the chapters that actually exist for `lang`.
+ * @param {string} arg
+ * @param {string} lang
+ * @returns {number[]}
+ */
+function resolveChapterArg(arg, lang) {
+  const available = chapterNumbers(lang);
+
+  if (arg === 'all') return available;
+
+  const num = parseInt(arg);
+  if (isNaN(num) || !available.includes(num)) {
+    const range = available.length
+      ? `${available[0]} and ${available[available.length - 1]}`
+      : 'the available chapters';
+    throw new Error(`Chapter number must be between ${range}`);
+  }
+  return [num];
+}
+
+// Load an optional per-language file, falling back to `fallback` if missing
+function loadLangFile(lang, name, fallback) {
+  const file = path.join(I18N_DIR, lang, name);
+  return fs.existsSync(file) ? loadJSON(file) : fallback;
+}
+
+/**
+ * Full book model for a language.
+ * @param {string} lang
+ * @returns {Book}
+ */
+function loadBook(lang) {
+  assertLanguage(lang);
+
+  return {
+    lang,
+    ui: loadLangFile(lang, 'ui.json', {}),
+    about: loadLangFile(lang, 'about.json', null),
+    glossary: loadLangFile(lang, 'glossary.json', {}),
+    references: loadLangFile(lang, 'references.json', {}),
+    media: loadLangFile(lang, 'media.json', {}),
+    pronunciation: loadLangFile(lang, 'pronunciation.json', {}),
+    practice: loadLangFile(lang, 'practice.json', null),
+    chapters: loadChapters(lang)
+  };
+}
+
+/**
+ * Path of the chapter file for a language, e.g. i18n/es/chapters/ch3.json.
+ * @param {string} lang
+ * @param {number} number
+ * @returns {string}
+ */
+function chapterPath(lang, number) {
+  return path.join(I18N_DIR, lang, 'chapters', `ch${number}.json`);
+}
+
+/**
+ * Inline texts of a block, each with its JSON path inside the block
+ * (".text"; ".items[N]" for a list; ".text" and ".attribution" for an
+ * epigraph; ".title" and ".steps[N].text" for a meditation; none for a
+ * break).
+ * @param {Block} block
+ * @returns {Array<{path: string, text: string}>}
+ */
+function blockTexts(block) {
+  switch (block.type) {
+    case 'meditation':
+      return [
+        ...(block.title ? [{ path: '.title', text: block.title }] : []),
+        ...block.steps.map((step, i) => ({ path: `.steps[${i}].text`, text: step.text }))
+      ];
+    case 'list':
+      return block.items.map((text, i) => ({ path: `.items[${i}]`, text }));
+    case 'epigraph':
+      return [
+        { path: '.text', text: block.text },
+        ...(block.attribution ? [{ path: '.attribution', text: block.attribution }] : [])
+      ];
+    case 'break':
+      return [];
+    default:
+      return [{ path: '.text', text: block.text }];
+  }
+}
+
+/**
+ * Copy of a block with its inline texts replaced, in blockTexts() order
+ * (e.g. the texts of a translation).
+ * @param {Block} block
+ * @param {string[]} texts
+ * @returns {Block}
+ */
+function withBlockTexts(block, texts) {
+  const copy = JSON.parse(JSON.stringify(block));
+  blockTexts(block).forEach(({ path: textPath }, i) => {
+    // ".steps[2].text" → ['steps', 2, 'text']
+    const keys = [...textPath.matchAll(/\.(\w+)|\[(\d+)\]/g)].map(m => (m[1] !== undefined ? m[1] : Number(m[2])));
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], copy);
+    parent[keys[keys.length - 1]] = texts[i];
+  });
+  return copy;
+}
+
+/**
+ * Title to show for a section: its own title, unless it only repeats the
+ * chapter title (the single section of most chapters).
+ * @param {{title: string}} chapter - Chapter, or any page with a title
+ * @param {Section} section
+ * @returns {string|null}
+ */
+function sectionTitle(chapter, section) {
+  return section.title && section.title !== chapter.title ? section.title : null;
+}
+
+/**
+ * Anchor id of a section title, e.g. "ch3-main-title".
+ * @param {string} sectionId
+ * @returns {string}
+ */
+function titleAnchor(sectionId) {
+  return `${sectionId}-title`;
+}
+
+/**
+ * Anchor id of a block: "p-<id>" for a block with a stable id, e.g.
+ * "p-k3x9qa", otherwise its position, e.g. "ch3-main-p4". Renderers put it
+ * on the block element and the audio timing maps point at it, so both
+ * agree on which element a chunk of audio belongs to.
+ * @param {string} sectionId
+ * @param {number} index - Position of the block in section.content
+ * @param {string} [blockId] - The block's `id`
+ * @returns {string}
+ */
+function blockAnchor(sectionId, index, blockId) {
+  return blockId ? `p-${blockId}` : `${sectionId}-p${index + 1}`;
+}
+
+/**
+ * Anchor id of a meditation step, e.g. "ch3-main-p4-s2".
+ * @param {string} anchor - The block's anchor
+ * @param {number} index - Position of the step in block.steps
+ * @returns {string}
+ */
+function stepAnchor(anchor, index) {
+  return `${anchor}-s${index + 1}`;
+}
+
+/**
+ * Finds the chapter, section and block an anchor points at: a section id
+ * ("ch8-main"), a block anchor ("p-k3x9qa") or a block position
+ * ("ch8-main-p10", which keeps working for blocks that have an id).
+ * @param {Chapter[]} chapters
+ * @param {string} anchor
+ * @returns {{chapter: Chapter, section: Section, block: number|null}|null}
+ */
+function resolveAnchor(chapters, anchor) {
+  for (const chapter of chapters) {
+    for (const section of chapter.sections) {
+      if (section.id === anchor) return { chapter, section, block: null };
+      const index = section.content.findIndex((block, i) =>
+        blockAnchor(section.id, i, block.id) === anchor || blockAnchor(section.id, i) === anchor);
+      if (index !== -1) return { chapter, section, block: index };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ROOT_DIR,
+  I18N_DIR,
+  DIST_DIR,
+  AUDIO_DIR,
+  LANGUAGES_FILE,
+  SOURCE_LANG,
+  loadJSON,
+  configuredLanguages,
+  listLanguages,
+  languageInfo,
+  assertLanguage,
+  listChapterFiles,
+  loadChapters,
+  loadChapter,
+  chapterNumbers,
+  resolveChapterArg,
+  loadBook,
+  chapterPath,
+  blockTexts,
+  withBlockTexts,
+  sectionTitle,
+  titleAnchor,
+  blockAnchor,
+  stepAnchor,
+  resolveAnchor
+};
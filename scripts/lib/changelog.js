@@ -0,0 +1,342 @@
+/**
+ * Edition Changelog
+ *
+ * What changed in one language between two editions (see lib/editions.js):
+ * chapters added or removed, titles renamed, and every block added,
+ * removed or revised, with a word-level diff of the revised texts.
+ *
+ * Blocks are matched by their stable id. Editions from before the ids
+ * (or blocks without one) are matched by identical text, and what is left
+ * between two matches is paired up when the texts are similar enough to
+ * be a revision rather than a replacement.
+ *
+ * Usage:
+ *   const changes = diffChapters(before.chapters, after.chapters);
+ *   const stats = summarize(changes);
+ *   diffWords('the old text', 'the new text')
+ *   // → [{op: 'same', text: 'the '}, {op: 'del', text: 'old'}, {op: 'ins', text: 'new'}, {op: 'same', text: ' text'}]
+ */
+
+const { blockTexts, blockAnchor } = require('./book');
+const { chapterUnits } = require('./translation-memory');
+const { cleanText } = require('./text');
+
+// Words, runs of whitespace and single punctuation marks
+const TOKEN = /\s+|[\p{L}\p{N}\p{M}'’-]+|[^\s\p{L}\p{N}\p{M}]/gu;
+
+// Largest LCS table worth computing; longer rewrites are shown as replaced
+const MAX_CELLS = 4e6;
+
+// Two blocks this alike (shared words, 0-1) are a revision of each other
+const SIMILARITY = 0.5;
+
+function tokenize(text) {
+  return text.match(TOKEN) || [];
+}
+
+function countWords(text) {
+  return tokenize(text).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// Longest common subsequence of two lists, as pairs of matched indexes
+function lcs(a, b, same) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = same(a[i], b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (same(a[i], b[j])) {
+      pairs.push([i++, j++]);
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// Changed words next to each other read as one change: whitespace between
+// two changes joins them, and each change lists what went before what came
+function groupChanges(ops) {
+  const grouped = [];
+  let change = null;
+
+  const flush = () => {
+    if (!change) return;
+    if (change.del) grouped.push({ op: 'del', text: change.del });
+    if (change.ins) grouped.push({ op: 'ins', text: change.ins });
+    change = null;
+  };
+
+  ops.forEach((op, i) => {
+    const next = ops[i + 1];
+    if (op.op === 'same' && change && /^\s+$/.test(op.text) && next && next.op !== 'same') {
+      change.del += op.text;
+      change.ins += op.text;
+    } else if (op.op === 'same') {
+      flush();
+      const last = grouped[grouped.length - 1];
+      if (last && last.op === 'same') last.text += op.text;
+      else grouped.push({ op: 'same', text: op.text });
+    } else {
+      change = change || { del: '', ins: '' };
+      change[op.op] += op.text;
+    }
+  });
+  flush();
+
+  return grouped;
+}
+
+/**
+ * Word-level diff of two texts.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{op: 'same'|'del'|'ins', text: string}>}
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Only the part between the common start and end needs the LCS
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const ops = [{ op: 'same', text: a.slice(0, start).join('') }];
+  const pairs = midA.length * midB.length > MAX_CELLS ? [] : lcs(midA, midB, (x, y) => x === y);
+  let i = 0;
+  let j = 0;
+  [...pairs, [midA.length, midB.length]].forEach(([pi, pj]) => {
+    while (i < pi) ops.push({ op: 'del', text: midA[i++] });
+    while (j < pj) ops.push({ op: 'ins', text: midB[j++] });
+    if (pi < midA.length) {
+      ops.push({ op: 'same', text: midA[pi] });
+      i++;
+      j++;
+    }
+  });
+  ops.push({ op: 'same', text: a.slice(endA).join('') });
+
+  return groupChanges(ops.filter(op => op.text));
+}
+
+// Share of words two texts have in common (0-1)
+function similarity(a, b) {
+  const words = text => new Set(tokenize(text.toLowerCase()).filter(token => /[\p{L}\p{N}]/u.test(token)));
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 && wb.size === 0) return 1;
+  let shared = 0;
+  wa.forEach(word => { if (wb.has(word)) shared++; });
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+// Blocks of a chapter in reading order, with where they live
+function chapterBlocks(chapter) {
+  const blocks = [];
+  chapter.sections.forEach(section => {
+    section.content.forEach((block, index) => {
+      blocks.push({
+        block,
+        section: section.id,
+        anchor: blockAnchor(section.id, index, block.id),
+        texts: blockTexts(block).map(part => part.text)
+      });
+    });
+  });
+  return blocks;
+}
+
+function sameBlock(a, b) {
+  if (a.block.id && b.block.id) return a.block.id === b.block.id;
+  return a.block.type === b.block.type && sameList(a.texts, b.texts);
+}
+
+/**
+ * Blocks of two versions of a chapter side by side, in reading order:
+ * {before, after} for a kept or revised block, {before, after: null} for a
+ * removed one and {before: null, after} for a new one.
+ */
+function alignBlocks(before, after) {
+  const rows = [];
+  let i = 0;
+  let j = 0;
+
+  [...lcs(before, after, sameBlock), [before.length, after.length]].forEach(([pi, pj]) => {
+    // Between two matches: pair up the blocks that were revised
+    const removed = before.slice(i, pi);
+    const added = after.slice(j, pj);
+    let next = 0;
+    removed.forEach(old => {
+      const k = added.findIndex((block, index) => index >= next && block.block.type === old.block.type &&
+        similarity(old.texts.join(' '), block.texts.join(' ')) >= SIMILARITY);
+      if (k === -1) {
+        rows.push({ before: old, after: null });
+        return;
+      }
+      added.slice(next, k).forEach(block => rows.push({ before: null, after: block }));
+      rows.push({ before: old, after: added[k] });
+      next = k + 1;
+    });
+    added.slice(next).forEach(block => rows.push({ before: null, after: block }));
+
+    if (pi < before.length) rows.push({ before: before[pi], after: after[pj] });
+    i = pi + 1;
+    j = pj + 1;
+  });
+
+  return rows;
+}
+
+// Diff of each text of a block, compared as plain text
+function diffTexts(before, after) {
+  const length = Math.max(before.length, after.length);
+  return Array.from({ length }, (_, i) => diffWords(cleanText(before[i] || ''), cleanText(after[i] || '')));
+}
+
+/**
+ * @typedef {Object} BlockChange
+ * @property {'added'|'removed'|'changed'} status
+ * @property {string} type - Block type
+ * @property {string|null} id - Stable block id
+ * @property {string} anchor - Anchor of the block (in the newer edition when it is there)
+ * @property {string[]|null} before - Texts in the older edition
+ * @property {string[]|null} after - Texts in the newer edition
+ * @property {Array<Array<{op: string, text: string}>>|null} diff - Word diff per text (changed only)
+ * @property {boolean} formatting - Only markup changed, the words are the same
+ */
+
+/**
+ * @typedef {Object} ChapterChange
+ * @property {'added'|'removed'|'changed'} status
+ * @property {number} number
+ * @property {string} id
+ * @property {string} title - Title in the newer edition (the older one when removed)
+ * @property {number} blockCount - Blocks of the chapter
+ * @property {Array<{key: string, before: string|null, after: string|null}>} titles - Renamed titles
+ * @property {BlockChange[]} blocks
+ */
+
+/**
+ * Changes of one chapter, or null when it is the same.
+ * @param {import('./book').Chapter} before
+ * @param {import('./book').Chapter} after
+ * @returns {ChapterChange|null}
+ */
+function diffChapter(before, after) {
+  const beforeTitles = new Map(chapterUnits(before).filter(unit => unit.type === 'title').map(unit => [unit.key, unit.texts[0]]));
+  const afterTitles = new Map(chapterUnits(after).filter(unit => unit.type === 'title').map(unit => [unit.key, unit.texts[0]]));
+  const titles = [...new Set([...beforeTitles.keys(), ...afterTitles.keys()])]
+    .map(key => ({ key, before: beforeTitles.get(key) || null, after: afterTitles.get(key) || null }))
+    .filter(title => title.before !== title.after);
+
+  const afterBlocks = chapterBlocks(after);
+  const blocks = [];
+  alignBlocks(chapterBlocks(before), afterBlocks).forEach(({ before: old, after: block }) => {
+    const current = block || old;
+    const change = {
+      status: !old ? 'added' : !block ? 'removed' : 'changed',
+      type: current.block.type,
+      id: current.block.id || null,
+      anchor: current.anchor,
+      before: old ? old.texts : null,
+      after: block ? block.texts : null,
+      diff: null,
+      formatting: false
+    };
+    if (old && block) {
+      if (old.block.type === block.block.type && sameList(old.texts, block.texts)) return;
+      change.diff = diffTexts(old.texts, block.texts);
+      change.formatting = change.diff.every(ops => ops.every(op => op.op === 'same'));
+    }
+    blocks.push(change);
+  });
+
+  if (titles.length === 0 && blocks.length === 0) return null;
+  return { status: 'changed', number: after.number, id: after.id, title: after.title, blockCount: afterBlocks.length, titles, blocks };
+}
+
+/**
+ * Changes between two editions of a language, chapter by chapter (matched
+ * by number). Chapters without changes are left out.
+ * @param {import('./book').Chapter[]} before
+ * @param {import('./book').Chapter[]} after
+ * @returns {ChapterChange[]}
+ */
+function diffChapters(before, after) {
+  const numbers = [...new Set([...before, ...after].map(chapter => chapter.number))].sort((a, b) => a - b);
+
+  return numbers.map(number => {
+    const old = before.find(chapter => chapter.number === number);
+    const chapter = after.find(ch => ch.number === number);
+    if (old && chapter) return diffChapter(old, chapter);
+
+    const only = chapter || old;
+    return {
+      status: chapter ? 'added' : 'removed',
+      number,
+      id: only.id,
+      title: only.title,
+      blockCount: chapterBlocks(only).length,
+      titles: [],
+      blocks: []
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Totals of a changelog: chapters added, removed and revised, blocks added,
+ * removed and revised, and words added and removed.
+ * @param {ChapterChange[]} changes
+ */
+function summarize(changes) {
+  const stats = {
+    chapters: { added: 0, removed: 0, changed: 0 },
+    blocks: { added: 0, removed: 0, changed: 0 },
+    words: { added: 0, removed: 0 }
+  };
+  const words = texts => texts.reduce((sum, text) => sum + countWords(cleanText(text)), 0);
+
+  changes.forEach(chapter => {
+    stats.chapters[chapter.status]++;
+    chapter.blocks.forEach(block => {
+      stats.blocks[block.status]++;
+      if (block.status === 'added') stats.words.added += words(block.after);
+      if (block.status === 'removed') stats.words.removed += words(block.before);
+      (block.diff || []).forEach(ops => ops.forEach(op => {
+        if (op.op === 'ins') stats.words.added += countWords(op.text);
+        if (op.op === 'del') stats.words.removed += countWords(op.text);
+      }));
+    });
+  });
+
+  return stats;
+}
+
+module.exports = {
+  diffWords,
+  diffChapter,
+  diffChapters,
+  summarize
+};
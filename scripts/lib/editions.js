@@ -0,0 +1,176 @@
+/**
+ * Book Editions
+ *
+ * A snapshot freezes the chapters of every language at an edition, so later
+ * editions can be compared with it (scripts/build-changelog.js). Snapshots
+ * are written by scripts/snapshot-edition.js to editions/<tag>.json:
+ *
+ *   {
+ *     "tag": "v1.0",
+ *     "version": "v1.0 · January 2026",
+ *     "edition": "First Edition",
+ *     "created": "2026-10-18T09:30:00.000Z",
+ *     "commit": "374fd63...",
+ *     "versions": { "en": "v1.0 · January 2026", "es": "v1.0 · Enero 2026" },
+ *     "languages": { "en": [<chapter>, ...], "es": [...] }
+ *   }
+ *
+ *   tag      Short name used on the command line, taken from ui.json
+ *            meta.version ("v1.0 · January 2026" → "v1.0") unless given
+ *   version  meta.version of the source language's ui.json (edition is its
+ *            footer.draft, versions the meta.version of every language)
+ *   commit   Git commit the snapshot was taken at, when there is one
+ *
+ * An edition to compare is named by a reference:
+ *   current  The chapters in i18n/ as they are now
+ *   <tag>    A snapshot in editions/
+ *   <rev>    Any git revision (HEAD~5, a commit, a git tag), read from git
+ *
+ * Usage:
+ *   const snapshot = createSnapshot('v1.1');
+ *   const { label, chapters } = loadEdition('v1.0', 'es');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT_DIR, SOURCE_LANG, loadJSON, listLanguages, loadBook, loadChapters } = require('./book');
+const { validateContent } = require('./schema');
+
+const EDITIONS_DIR = path.join(ROOT_DIR, 'editions');
+const CURRENT = 'current';
+
+/**
+ * Tag of an edition version: "v1.0 · January 2026" → "v1.0".
+ * @param {string} version
+ * @returns {string}
+ */
+function editionTag(version) {
+  return version.split('·')[0].trim().replace(/\s+/g, '-');
+}
+
+function snapshotPath(tag) {
+  return path.join(EDITIONS_DIR, `${tag}.json`);
+}
+
+// Run git in the repository, returning its output (throws when git fails)
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// meta.version of a language, the source language's when it has none
+function versionOf(lang) {
+  const { ui } = loadBook(lang);
+  return (ui.meta && ui.meta.version) || loadBook(SOURCE_LANG).ui.meta.version;
+}
+
+function currentCommit() {
+  try {
+    return git(['rev-parse', 'HEAD']).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The current edition, as a snapshot.
+ * @param {string} [tag] - Defaults to the tag of meta.version
+ * @returns {Object}
+ */
+function createSnapshot(tag) {
+  const { ui } = loadBook(SOURCE_LANG);
+  const versions = {};
+  const languages = {};
+  listLanguages().forEach(lang => {
+    versions[lang] = versionOf(lang);
+    languages[lang] = loadChapters(lang);
+  });
+
+  const snapshot = {
+    tag: tag || editionTag(ui.meta.version),
+    version: ui.meta.version,
+    edition: ui.footer.draft || '',
+    created: new Date().toISOString()
+  };
+  const commit = currentCommit();
+  if (commit) snapshot.commit = commit;
+  snapshot.versions = versions;
+  snapshot.languages = languages;
+  return snapshot;
+}
+
+/**
+ * Snapshots in editions/, oldest first.
+ * @returns {Array<{tag: string, version: string, created: string, file: string}>}
+ */
+function listSnapshots() {
+  if (!fs.existsSync(EDITIONS_DIR)) return [];
+  return fs.readdirSync(EDITIONS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const file = path.join(EDITIONS_DIR, name);
+      const { tag, version, created } = loadJSON(file);
+      return { tag, version, created, file };
+    })
+    .sort((a, b) => a.created.localeCompare(b.created));
+}
+
+function loadSnapshot(tag) {
+  const file = snapshotPath(tag);
+  const snapshot = loadJSON(file);
+  const errors = validateContent(snapshot, 'edition');
+  if (errors.length > 0) {
+    throw new Error(`${path.relative(ROOT_DIR, file)}: ${errors[0].path} ${errors[0].message}`);
+  }
+  return snapshot;
+}
+
+// Chapters of a language at a git revision
+function chaptersAtRevision(rev, lang) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]);
+  } catch (error) {
+    throw new Error(`"${rev}" is not "${CURRENT}", a snapshot in editions/ or a git revision`);
+  }
+
+  const dir = `i18n/${lang}/chapters/`;
+  return git(['ls-tree', '--name-only', rev, dir]).split('\n')
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(git(['show', `${rev}:${name}`]));
+      } catch (error) {
+        throw new Error(`Could not load ${name} at ${rev}: ${error.message}`);
+      }
+    })
+    .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Chapters of a language in an edition. A language the edition has no
+ * chapters for gives an empty list (everything is new).
+ * @param {string} ref - "current", a snapshot tag or a git revision
+ * @param {string} lang
+ * @returns {{ref: string, label: string, chapters: import('./book').Chapter[]}}
+ */
+function loadEdition(ref, lang) {
+  if (ref === CURRENT) {
+    return { ref, label: versionOf(lang), chapters: loadChapters(lang) };
+  }
+  if (fs.existsSync(snapshotPath(ref))) {
+    const snapshot = loadSnapshot(ref);
+    return { ref, label: (snapshot.versions && snapshot.versions[lang]) || snapshot.version, chapters: snapshot.languages[lang] || [] };
+  }
+  const chapters = chaptersAtRevision(ref, lang);
+  return { ref, label: ref, chapters };
+}
+
+module.exports = {
+  EDITIONS_DIR,
+  CURRENT,
+  editionTag,
+  snapshotPath,
+  createSnapshot,
+  listSnapshots,
+  loadEdition
+};
@@ -0,0 +1,462 @@
+/**
+ * EPUB 3 Packaging
+ *
+ * Turns a loaded book (lib/book.js) into an EPUB 3 archive: one XHTML
+ * document per chapter, a navigation document, the glossary as linked
+ * notes, the about page, and the site fonts embedded. Chapters with a
+ * recorded audiobook get a SMIL media overlay built from their timing map
+ * (lib/audio-timing.js). checkEpub() reads an archive back and verifies
+ * the structure e-readers rely on.
+ *
+ * Usage:
+ *   const { buildEpub, checkEpub } = require('./lib/epub');
+ *   const buffer = buildEpub(loadBook('es'), { fontsDir: 'dist/fonts' });
+ *   const problems = checkEpub(buffer);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createZip, readZip } = require('./zip');
+const { createNotes, renderBlock, renderFootnotes, renderGlossary } = require('./text');
+const { escapeText, escapeAttr } = require('./inline');
+const { languageInfo, blockAnchor, sectionTitle, titleAnchor } = require('./book');
+const { formatClock, renderSmil } = require('./audio-timing');
+
+const OPF_PATH = 'OEBPS/content.opf';
+
+const BOOK_CSS = `body {
+  font-family: 'Spectral', Georgia, serif;
+  font-weight: 300;
+  line-height: 1.6;
+  margin: 0 5%;
+}
+
+h1, h2, .sec-title {
+  font-family: 'Cormorant Garamond', Georgia, serif;
+  font-weight: 400;
+  line-height: 1.2;
+}
+
+.ch-num {
+  display: block;
+  font-size: 0.8em;
+  letter-spacing: 0.1em;
+  text-transform: uppercase;
+}
+
+.title-page {
+  text-align: center;
+  margin-top: 30%;
+}
+
+p { text-indent: 1.5em; margin: 0; }
+p:first-of-type, h2 + p, .subheading + p, hr.break + p { text-indent: 0; }
+
+blockquote { font-style: italic; margin: 1em 2em; }
+blockquote.epigraph { margin: 1em 0 2em 30%; }
+.epigraph p { text-indent: 0; }
+.epigraph-attribution { text-align: right; font-style: normal; font-size: 0.9em; margin-top: 0.5em; }
+.subheading { font-weight: 500; margin: 1.5em 0 0.5em; page-break-after: avoid; }
+h2.sec-title { page-break-after: avoid; }
+ul, ol { margin: 0.75em 0 0.75em 1.5em; padding: 0; }
+hr.break { border: 0; margin: 1.5em 0; text-align: center; }
+hr.break::after { content: "✧"; }
+
+.meditation { margin: 1em 0; padding-left: 1em; border-left: 2px solid #d4af37; }
+.meditation-title { font-weight: 500; text-indent: 0; }
+.meditation-steps { margin: 0.5em 0; }
+.meditation-hold { font-size: 0.85em; opacity: 0.7; white-space: nowrap; }
+
+a.term { color: inherit; text-decoration: none; border-bottom: 1px dotted; }
+
+.footnotes { font-size: 0.85em; margin-top: 2em; border-top: 1px solid; padding-top: 1em; }
+.footnote-back { text-decoration: none; }
+
+.glossary dt { font-weight: 500; margin-top: 1em; }
+.glossary dd { margin: 0.25em 0 0 0; }
+
+.-epub-media-overlay-active { background-color: rgba(212, 175, 55, 0.25); }
+`;
+
+// Stable identifier per site and language, so re-exports update the same book
+function bookIdentifier(domain, lang) {
+  const hex = crypto.createHash('sha1').update(`${domain}/${lang}`).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 3) | 8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// XHTML document shell
+function xhtmlPage(lang, title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}" dir="${languageInfo(lang).dir}">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeText(title)}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+// Rendered blocks of a chapter's (or page's) sections, with section titles
+// that do not just repeat the chapter title
+function renderSections(page, notes) {
+  let html = '';
+  page.sections.forEach(section => {
+    html += `    <section class="section" id="${escapeAttr(section.id)}">\n`;
+    const title = sectionTitle(page, section);
+    if (title) {
+      html += `        <h2 class="sec-title" id="${escapeAttr(titleAnchor(section.id))}">${escapeText(title)}</h2>\n`;
+    }
+    section.content.forEach((block, index) => {
+      try {
+        html += `        ${renderBlock(block, notes, blockAnchor(section.id, index, block.id), { sectionLevel: 2 })}\n`;
+      } catch (error) {
+        throw new Error(`${page.id} › ${section.id}: ${error.message}`);
+      }
+    });
+    html += `    </section>\n`;
+  });
+  return html;
+}
+
+// Site fonts (dist/fonts) rewritten for the package: font-face rules plus files
+function loadFonts(fontsDir) {
+  const cssFile = fontsDir && path.join(fontsDir, 'fonts.css');
+  if (!cssFile || !fs.existsSync(cssFile)) return { css: '', files: [] };
+
+  const css = fs.readFileSync(cssFile, 'utf8').replace(/url\((['"]?)\/fonts\//g, 'url($1fonts/');
+  const files = fs.readdirSync(fontsDir)
+    .filter(name => name.endsWith('.woff2'))
+    .sort()
+    .map(name => ({ name, data: fs.readFileSync(path.join(fontsDir, name)) }));
+
+  return { css, files };
+}
+
+/**
+ * Builds the EPUB for one language.
+ * @param {import('./book').Book} book
+ * @param {Object} [options]
+ * @param {string} [options.fontsDir] - Directory with fonts.css and .woff2 files
+ * @param {string} [options.domain] - Site domain, used for the book identifier
+ * @param {Date} [options.modified] - dcterms:modified timestamp
+ * @param {Object<number, {timing: Object, audioFile: string}>} [options.overlays]
+ *   Timing map and chapter MP3 per chapter number, for media overlays
+ * @returns {Buffer}
+ */
+function buildEpub(book, options = {}) {
+  const { lang, ui, about, glossary, references, chapters } = book;
+  const modified = options.modified || new Date();
+  const fonts = loadFonts(options.fontsDir);
+  const notes = createNotes(glossary, references, { glossaryHref: 'glossary.xhtml', epub: true });
+  const notesTitle = ui.nav.notesPanel || ui.nav.notes;
+  const overlays = chapters
+    .filter(chapter => options.overlays && options.overlays[chapter.number])
+    .map(chapter => ({ chapter, ...options.overlays[chapter.number] }));
+
+  // Documents in reading order: [id, href, title, xhtml]
+  const documents = [];
+
+  documents.push(['title', 'title.xhtml', ui.bookTitle, xhtmlPage(lang, ui.bookTitle, `    <section class="title-page" epub:type="titlepage">
+        <h1>${escapeText(ui.bookTitle)}</h1>
+        <p>${escapeText(ui.footer.derivedFrom || '')}</p>
+        <p>${escapeText(ui.meta.version)}</p>
+    </section>
+`)]);
+
+  chapters.forEach(chapter => {
+    notes.startChapter(chapter.id);
+    const heading = `${chapter.numberText || chapter.number}`;
+    let body = `    <section epub:type="chapter" id="${chapter.id}">\n`;
+    body += `    <h1><span class="ch-num">${escapeText(heading)}</span> ${escapeText(chapter.title)}</h1>\n`;
+    body += renderSections(chapter, notes);
+    body += renderFootnotes(notes, '    ');
+    body += `    </section>\n`;
+    documents.push([chapter.id, `${chapter.id}.xhtml`, chapter.title, xhtmlPage(lang, chapter.title, body)]);
+  });
+
+  // The about page comes after the glossary but is rendered first, so the
+  // terms it uses get glossary entries too
+  let aboutDocument = null;
+  if (about) {
+    notes.startChapter('about');
+    let body = `    <section epub:type="afterword" id="about">\n`;
+    body += `    <h1>${escapeText(about.title)}</h1>\n`;
+    if (about.subtitle) body += `    <p><em>${escapeText(about.subtitle)}</em></p>\n`;
+    body += renderSections(about, notes);
+    body += renderFootnotes(notes, '    ');
+    body += `    </section>\n`;
+    aboutDocument = ['about', 'about.xhtml', about.title, xhtmlPage(lang, about.title, body)];
+  }
+
+  // Glossary last among the text, once every page has registered its terms
+  const glossaryHtml = renderGlossary(notes, notesTitle, '    ');
+  if (glossaryHtml) {
+    documents.push(['glossary', 'glossary.xhtml', notesTitle, xhtmlPage(lang, notesTitle, glossaryHtml)]);
+  }
+  if (aboutDocument) documents.push(aboutDocument);
+
+  const nav = xhtmlPage(lang, ui.nav.tableOfContents, `    <nav epub:type="toc" id="toc">
+        <h1>${escapeText(ui.nav.tableOfContents)}</h1>
+        <ol>
+${documents.filter(([id]) => id !== 'title').map(([, href, title]) => `            <li><a href="${href}">${escapeText(title)}</a></li>`).join('\n')}
+        </ol>
+    </nav>
+    <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+        <ol>
+            <li><a epub:type="bodymatter" href="${chapters[0].id}.xhtml">${escapeText(chapters[0].title)}</a></li>
+        </ol>
+    </nav>
+`);
+
+  const timestamp = modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const manifest = [
+    `        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+    `        <item id="css" href="styles.css" media-type="text/css"/>`,
+    ...documents.map(([id, href]) => {
+      const overlay = overlays.some(({ chapter }) => chapter.id === id) ? ` media-overlay="${id}-overlay"` : '';
+      return `        <item id="${id}" href="${href}" media-type="application/xhtml+xml"${overlay}/>`;
+    }),
+    ...fonts.files.map(({ name }, i) => `        <item id="font${i + 1}" href="fonts/${name}" media-type="font/woff2"/>`),
+    ...overlays.flatMap(({ chapter }) => [
+      `        <item id="${chapter.id}-overlay" href="${chapter.id}.smil" media-type="application/smil+xml"/>`,
+      `        <item id="${chapter.id}-audio" href="audio/${chapter.id}.mp3" media-type="audio/mpeg"/>`
+    ])
+  ];
+
+  // Media overlay durations: one per chapter plus the total
+  const overlayMeta = overlays.length === 0 ? [] : [
+    ...overlays.map(({ chapter, timing }) =>
+      `        <meta property="media:duration" refines="#${chapter.id}-overlay">${formatClock(timing.duration)}</meta>`),
+    `        <meta property="media:duration">${formatClock(overlays.reduce((sum, { timing }) => sum + timing.duration, 0))}</meta>`,
+    `        <meta property="media:active-class">-epub-media-overlay-active</meta>`
+  ];
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">${bookIdentifier(options.domain || '', lang)}</dc:identifier>
+        <dc:title>${escapeText(ui.bookTitle)}</dc:title>
+        <dc:language>${lang}</dc:language>
+        <dc:description>${escapeText(ui.description)}</dc:description>
+        <dc:rights>${escapeText(ui.footer.derivedFrom || '')}</dc:rights>
+        <meta property="dcterms:modified">${timestamp}</meta>
+        <meta property="schema:version">${escapeText(ui.meta.version)}</meta>
+${overlayMeta.map(line => `${line}\n`).join('')}    </metadata>
+    <manifest>
+${manifest.join('\n')}
+    </manifest>
+    <spine page-progression-direction="${languageInfo(lang).dir}">
+${documents.map(([id]) => `        <itemref idref="${id}"/>`).join('\n')}
+    </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="${OPF_PATH}" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: OPF_PATH, data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/styles.css', data: `${fonts.css}\n${BOOK_CSS}` },
+    ...documents.map(([, href, , xhtml]) => ({ name: `OEBPS/${href}`, data: xhtml })),
+    // Fonts are already compressed
+    ...fonts.files.map(({ name, data }) => ({ name: `OEBPS/fonts/${name}`, data, store: true })),
+    ...overlays.flatMap(({ chapter, timing, audioFile }) => [
+      {
+        name: `OEBPS/${chapter.id}.smil`,
+        data: renderSmil(timing, { textHref: `${chapter.id}.xhtml`, audioHref: `audio/${chapter.id}.mp3` })
+      },
+      { name: `OEBPS/audio/${chapter.id}.mp3`, data: fs.readFileSync(audioFile), store: true }
+    ])
+  ], modified);
+}
+
+// Unbalanced or mis-nested tags in an XML document (comments, PIs and
+// the doctype are skipped; this is a well-formedness smoke test, not a parser)
+function checkTags(xml) {
+  const problems = [];
+  const stack = [];
+  const re = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<[?!][^>]*>|&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)|<(?![\/!?A-Za-z])/g;
+  let m;
+
+  while ((m = re.exec(xml))) {
+    if (m[0] === '&') {
+      problems.push('unescaped "&"');
+    } else if (m[0] === '<') {
+      problems.push('unescaped "<"');
+    } else if (!m[2]) {
+      continue;
+    } else if (m[4]) {
+      continue;
+    } else if (!m[1]) {
+      stack.push(m[2]);
+    } else if (stack[stack.length - 1] === m[2]) {
+      stack.pop();
+    } else {
+      problems.push(`</${m[2]}> closes <${stack[stack.length - 1] || 'nothing'}>`);
+      break;
+    }
+  }
+  if (stack.length > 0 && problems.length === 0) {
+    problems.push(`unclosed <${stack[stack.length - 1]}>`);
+  }
+  return problems;
+}
+
+// Value of an attribute in a tag string
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+/**
+ * Structural check of an EPUB archive: mimetype first and stored, a
+ * container pointing at the package document, required metadata, manifest
+ * items present in the archive, a single nav document, a valid spine,
+ * well-formed XHTML, internal links that resolve and media overlays that
+ * point at existing elements.
+ * @param {Buffer} buffer
+ * @returns {string[]} Problems found (empty when the structure is sound)
+ */
+function checkEpub(buffer) {
+  const problems = [];
+  let entries;
+
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const files = new Map(entries.map(e => [e.name, e]));
+  const text = name => files.get(name).data.toString('utf8');
+
+  const first = entries[0];
+  if (!first || first.name !== 'mimetype') problems.push('mimetype is not the first entry');
+  else if (first.method !== 0) problems.push('mimetype is compressed');
+  else if (text('mimetype') !== 'application/epub+zip') problems.push('mimetype has wrong content');
+
+  if (!files.has('META-INF/container.xml')) {
+    problems.push('META-INF/container.xml is missing');
+    return problems;
+  }
+  const rootfile = text('META-INF/container.xml').match(/<rootfile\s[^>]*full-path="([^"]+)"/);
+  if (!rootfile || !files.has(rootfile[1])) {
+    problems.push('container.xml does not point at a package document in the archive');
+    return problems;
+  }
+
+  const opfPath = rootfile[1];
+  const opfDir = path.posix.dirname(opfPath);
+  const opf = text(opfPath);
+  problems.push(...checkTags(opf).map(p => `${opfPath}: ${p}`));
+
+  ['dc:identifier', 'dc:title', 'dc:language'].forEach(element => {
+    if (!new RegExp(`<${element}[^>]*>[^<]+</${element}>`).test(opf)) {
+      problems.push(`${opfPath}: missing <${element}>`);
+    }
+  });
+  if (!/<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/.test(opf)) {
+    problems.push(`${opfPath}: missing or malformed dcterms:modified`);
+  }
+
+  // Manifest
+  const items = new Map();
+  (opf.match(/<item\s[^>]*>/g) || []).forEach(tag => {
+    const id = attr(tag, 'id');
+    const href = attr(tag, 'href');
+    if (items.has(id)) problems.push(`${opfPath}: duplicate manifest id "${id}"`);
+    items.set(id, {
+      href,
+      type: attr(tag, 'media-type'),
+      properties: attr(tag, 'properties') || '',
+      overlay: attr(tag, 'media-overlay')
+    });
+    if (!files.has(path.posix.join(opfDir, href))) {
+      problems.push(`${opfPath}: manifest item "${href}" is not in the archive`);
+    }
+  });
+
+  const navItems = [...items.values()].filter(item => item.properties.split(/\s+/).includes('nav'));
+  if (navItems.length !== 1) problems.push(`${opfPath}: expected one nav item, found ${navItems.length}`);
+
+  // Spine
+  const spine = (opf.match(/<itemref\s[^>]*>/g) || []).map(tag => attr(tag, 'idref'));
+  if (spine.length === 0) problems.push(`${opfPath}: empty spine`);
+  spine.filter(id => !items.has(id)).forEach(id => {
+    problems.push(`${opfPath}: spine refers to unknown item "${id}"`);
+  });
+
+  // XHTML documents: well-formed, internal links resolve
+  const documents = [...items.values()]
+    .filter(item => item.type === 'application/xhtml+xml')
+    .map(item => path.posix.join(opfDir, item.href))
+    .filter(name => files.has(name));
+  const ids = new Map(documents.map(name => [name, new Set(
+    (text(name).match(/\sid="[^"]+"/g) || []).map(a => a.slice(5, -1))
+  )]));
+
+  documents.forEach(name => {
+    const xhtml = text(name);
+    problems.push(...checkTags(xhtml).map(p => `${name}: ${p}`));
+
+    (xhtml.match(/<a\s[^>]*href="[^"]*"/g) || []).forEach(tag => {
+      const href = attr(tag, 'href');
+      if (/^[a-z]+:/i.test(href)) return;
+      const [file, fragment] = href.split('#');
+      const target = file ? path.posix.join(path.posix.dirname(name), file) : name;
+      if (!ids.has(target)) {
+        problems.push(`${name}: link to "${href}" leaves the book`);
+      } else if (fragment && !ids.get(target).has(fragment)) {
+        problems.push(`${name}: link to "${href}" has no target`);
+      }
+    });
+  });
+
+  // Media overlays: referenced from the manifest, text targets resolve
+  items.forEach((item, id) => {
+    if (!item.overlay) return;
+    const smil = items.get(item.overlay);
+    if (!smil || smil.type !== 'application/smil+xml') {
+      problems.push(`${opfPath}: item "${id}" has media overlay "${item.overlay}" that is not a SMIL item`);
+      return;
+    }
+    const name = path.posix.join(opfDir, smil.href);
+    if (!files.has(name)) return;
+    const xml = text(name);
+    problems.push(...checkTags(xml).map(p => `${name}: ${p}`));
+
+    (xml.match(/<text\s[^>]*>/g) || []).forEach(tag => {
+      const [file, fragment] = attr(tag, 'src').split('#');
+      const target = path.posix.join(path.posix.dirname(name), file);
+      if (!ids.has(target) || (fragment && !ids.get(target).has(fragment))) {
+        problems.push(`${name}: text "${attr(tag, 'src')}" has no target`);
+      }
+    });
+    (xml.match(/<audio\s[^>]*>/g) || []).forEach(tag => {
+      if (!files.has(path.posix.join(path.posix.dirname(name), attr(tag, 'src')))) {
+        problems.push(`${name}: audio "${attr(tag, 'src')}" is not in the archive`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  bookIdentifier,
+  buildEpub,
+  checkEpub
+};
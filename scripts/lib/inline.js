@@ -0,0 +1,301 @@
+/**
+ * Inline Markup Parser
+ *
+ * Tokenizes and parses the inline syntax used in chapter blocks into a small
+ * AST, then renders it to HTML (everything not markup is escaped) or to plain
+ * text for TTS. Other targets can walk the AST with render().
+ *
+ * Syntax:
+ *   **strong**, <strong>…</strong>     → strong
+ *   *emphasis*, <em>…</em>             → emphasis
+ *   "…", “…”, «…»                      → quote
+ *   {term:id} / {term:id|custom text}  → term
+ *   {ref:id}                           → ref
+ *   <a href="…">…</a>                  → link
+ *
+ * Anything that does not pair up (a lone asterisk, an unclosed <em>, a
+ * stray quote) stays as literal text instead of swallowing the rest of the
+ * block, and unknown tags are escaped rather than passed through.
+ *
+ * Usage:
+ *   const { parseInline, renderHtml, renderText } = require('./lib/inline');
+ *   const ast = parseInline('He said: <em>"Be still"</em> — {term:healing}');
+ *   renderHtml(ast);   // He said: <em>"Be still"</em> — <span class="term" ...
+ *   renderText(ast);   // He said: "Be still" — healing
+ */
+
+/**
+ * @typedef {Object} InlineNode
+ * @property {'root'|'text'|'strong'|'emphasis'|'quote'|'term'|'ref'|'link'} type
+ * @property {string} [value]     - text
+ * @property {string} [id]        - term, ref
+ * @property {string} [href]      - link
+ * @property {string} [open]      - quote: opening character
+ * @property {string} [close]     - quote: closing character
+ * @property {InlineNode[]} [children]
+ */
+
+const QUOTE_PAIRS = { '"': '"', '“': '”', '«': '»' };
+const CLOSING_QUOTES = new Set(Object.values(QUOTE_PAIRS));
+
+function isSpace(ch) {
+  return ch === undefined || /\s/.test(ch);
+}
+
+/**
+ * Splits text into tokens. Delimiter tokens carry whether they can open
+ * and/or close a span, decided from the characters around them.
+ * @param {string} text
+ */
+function tokenize(text) {
+  const tokens = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) tokens.push({ kind: 'text', value: buffer });
+    buffer = '';
+  };
+  const push = token => {
+    flush();
+    tokens.push(token);
+  };
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let m;
+
+    if ((m = rest.match(/^\{term:([^}|]+)(?:\|([^}]+))?\}/))) {
+      push({ kind: 'term', id: m[1].trim(), text: m[2] });
+    } else if ((m = rest.match(/^\{ref:([^}]+)\}/))) {
+      push({ kind: 'ref', id: m[1].trim() });
+    } else if ((m = rest.match(/^<(\/?)(em|strong)>/i))) {
+      push({ kind: m[1] ? 'close' : 'open', tag: m[2].toLowerCase() });
+    } else if ((m = rest.match(/^<a\s+[^>]*?href\s*=\s*"([^"]*)"[^>]*>/i))) {
+      push({ kind: 'open', tag: 'a', href: m[1] });
+    } else if ((m = rest.match(/^<\/a>/i))) {
+      push({ kind: 'close', tag: 'a' });
+    } else if ((m = rest.match(/^\*{1,3}(?!\*)/))) {
+      const canOpen = !isSpace(text[i + m[0].length]);
+      const canClose = !isSpace(text[i - 1]);
+      // A run of three opens as strong+emphasis and closes as emphasis+strong
+      const sizes = m[0].length === 3 ? (canClose ? [1, 2] : [2, 1]) : [m[0].length];
+      sizes.forEach(size => push({ kind: 'delim', char: '*'.repeat(size), canOpen, canClose }));
+    } else if (QUOTE_PAIRS[text[i]] || CLOSING_QUOTES.has(text[i])) {
+      const ch = text[i];
+      m = [ch];
+      push({
+        kind: 'delim',
+        char: ch,
+        canOpen: Boolean(QUOTE_PAIRS[ch]) && !isSpace(text[i + 1]),
+        canClose: CLOSING_QUOTES.has(ch) && !isSpace(text[i - 1])
+      });
+    } else if ((m = rest.match(/^\*+/))) {
+      buffer += m[0];
+    } else {
+      m = [text[i]];
+      buffer += text[i];
+    }
+
+    i += m[0].length;
+  }
+
+  flush();
+  return tokens;
+}
+
+// Literal source text of an opening token, used when it never closes
+function openerText(frame) {
+  if (frame.tag === 'a') return `<a href="${frame.node.href}">`;
+  if (frame.tag) return `<${frame.tag}>`;
+  return frame.char;
+}
+
+const NODE_TYPES = { em: 'emphasis', strong: 'strong', a: 'link', '*': 'emphasis', '**': 'strong' };
+
+/**
+ * Parses inline markup into an AST.
+ * @param {string} text
+ * @returns {InlineNode} Root node
+ */
+function parseInline(text) {
+  const root = { type: 'root', children: [] };
+  const stack = [{ node: root }];
+  const top = () => stack[stack.length - 1].node;
+
+  const appendText = value => {
+    const children = top().children;
+    const last = children[children.length - 1];
+    if (last && last.type === 'text') last.value += value;
+    else children.push({ type: 'text', value });
+  };
+
+  // Pop frames down to (and including) `index`; unclosed frames in between
+  // turn back into literal text
+  const closeFrame = index => {
+    while (stack.length - 1 > index) unwind();
+    const frame = stack.pop();
+    top().children.push(frame.node);
+  };
+
+  const unwind = () => {
+    const frame = stack.pop();
+    appendText(openerText(frame));
+    frame.node.children.forEach(child => {
+      if (child.type === 'text') appendText(child.value);
+      else top().children.push(child);
+    });
+  };
+
+  const findFrame = match => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (match(stack[i])) return i;
+    }
+    return -1;
+  };
+
+  tokenize(text || '').forEach(token => {
+    switch (token.kind) {
+      case 'text':
+        appendText(token.value);
+        break;
+
+      case 'term':
+        top().children.push({
+          type: 'term',
+          id: token.id,
+          children: token.text ? parseInline(token.text).children : []
+        });
+        break;
+
+      case 'ref':
+        top().children.push({ type: 'ref', id: token.id });
+        break;
+
+      case 'open': {
+        const node = { type: NODE_TYPES[token.tag], children: [] };
+        if (token.href !== undefined) node.href = token.href;
+        stack.push({ node, tag: token.tag });
+        break;
+      }
+
+      case 'close': {
+        const index = findFrame(f => f.tag === token.tag);
+        if (index === -1) appendText(`</${token.tag}>`);
+        else closeFrame(index);
+        break;
+      }
+
+      case 'delim': {
+        const index = token.canClose ? findFrame(f => f.close === token.char) : -1;
+
+        if (index !== -1) {
+          closeFrame(index);
+        } else if (token.canOpen && QUOTE_PAIRS[token.char]) {
+          const close = QUOTE_PAIRS[token.char];
+          stack.push({ node: { type: 'quote', open: token.char, close, children: [] }, char: token.char, close });
+        } else if (token.canOpen && token.char[0] === '*') {
+          stack.push({ node: { type: NODE_TYPES[token.char], children: [] }, char: token.char, close: token.char });
+        } else {
+          appendText(token.char);
+        }
+        break;
+      }
+    }
+  });
+
+  while (stack.length > 1) unwind();
+  return root;
+}
+
+/**
+ * Generic renderer: `visitors[type](node, renderChildren)` per node type.
+ * @param {InlineNode} node
+ * @param {Object<string, Function>} visitors
+ * @returns {string}
+ */
+function render(node, visitors) {
+  const renderChildren = () => (node.children || []).map(child => render(child, visitors)).join('');
+  const visit = visitors[node.type];
+  return visit ? visit(node, renderChildren) : renderChildren();
+}
+
+// Escape text content for HTML
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Escape an attribute value for HTML
+function escapeAttr(text) {
+  return escapeText(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML output. `hooks.term` and `hooks.ref` replace the default markup for
+ * markers (the builders use them for glossary links and footnotes).
+ * @param {InlineNode} ast
+ * @param {{term?: Function, ref?: Function}} [hooks]
+ */
+function renderHtml(ast, hooks = {}) {
+  return render(ast, {
+    text: node => escapeText(node.value),
+    strong: (node, children) => `<strong>${children()}</strong>`,
+    emphasis: (node, children) => `<em>${children()}</em>`,
+    quote: (node, children) => `${escapeText(node.open)}${children()}${escapeText(node.close)}`,
+    link: (node, children) => `<a href="${escapeAttr(node.href)}" target="_blank" rel="noopener">${children()}</a>`,
+    term: (node, children) => hooks.term
+      ? hooks.term(node, children())
+      : `<span class="term" data-note="${escapeAttr(node.id)}">${children() || escapeText(node.id)}</span>`,
+    ref: node => hooks.ref ? hooks.ref(node) : ''
+  });
+}
+
+/**
+ * Plain text for TTS: markup removed, refs dropped, whitespace collapsed.
+ * Terms without custom text read as their glossary title when given one.
+ * @param {InlineNode} ast
+ * @param {Object<string, {title: string}>} [glossary]
+ */
+function renderText(ast, glossary) {
+  return render(ast, {
+    text: node => node.value,
+    quote: (node, children) => `${node.open}${children()}${node.close}`,
+    term: (node, children) => children() || (glossary && glossary[node.id] ? glossary[node.id].title : node.id),
+    ref: () => ''
+  })
+    // Tags that never paired up are dropped rather than read aloud (after
+    // joining: a quote in an attribute splits the tag over several nodes)
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Term ids, ref ids and emphasis count in an AST, in document order.
+ * @param {InlineNode} ast
+ * @returns {{terms: string[], refs: string[], emphasis: number}}
+ */
+function collectMarkers(ast) {
+  const markers = { terms: [], refs: [], emphasis: 0 };
+  const walk = node => {
+    if (node.type === 'term') markers.terms.push(node.id);
+    if (node.type === 'ref') markers.refs.push(node.id);
+    if (node.type === 'emphasis') markers.emphasis++;
+    (node.children || []).forEach(walk);
+  };
+  walk(ast);
+  return markers;
+}
+
+module.exports = {
+  tokenize,
+  parseInline,
+  render,
+  renderHtml,
+  renderText,
+  collectMarkers,
+  escapeText,
+  escapeAttr
+};
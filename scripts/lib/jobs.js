@@ -0,0 +1,154 @@
+/**
+ * Job Runner
+ *
+ * Runs async jobs through a bounded pool with retries. Retryable failures
+ * (rate limits, 5xx, network errors) wait with exponential backoff plus
+ * jitter, up to a retry cap; anything else fails the job at once. Each
+ * job's status is written to a journal file as it changes, so a run that
+ * is interrupted can be resumed by skipping the jobs already done.
+ *
+ * Usage:
+ *   const journal = createJournal('audio/en/ch1/journal.json');
+ *   const { done, failed } = await runJobs(chunks, chunk => synthesize(chunk), {
+ *     concurrency: 3,
+ *     journal,
+ *     onEvent: (type, job, info) => console.log(type, job.id)
+ *   });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+  concurrency: 3,
+  retries: 5,
+  baseDelay: 1000,  // ms before the first retry
+  maxDelay: 30000   // ms cap for a single wait
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait before retry number `attempt` (1-based): exponential, capped, with
+ * "equal jitter" so parallel workers do not retry in lockstep.
+ * @param {number} attempt
+ * @param {{baseDelay: number, maxDelay: number}} options
+ * @param {function(): number} [random]
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+// Errors worth retrying unless the caller decides otherwise
+function defaultIsRetryable(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Job statuses persisted to a JSON file after every change.
+ * @param {string} file
+ */
+function createJournal(file) {
+  let entries = {};
+  if (fs.existsSync(file)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8')).jobs || {};
+    } catch (error) {
+      throw new Error(`Could not load ${file}: ${error.message}`);
+    }
+  }
+
+  return {
+    file,
+    entries,
+    get(id) {
+      return entries[id] || null;
+    },
+    set(id, patch) {
+      entries[id] = { ...entries[id], ...patch, updated: new Date().toISOString() };
+      this.save();
+    },
+    // Forget jobs that are no longer part of the run (e.g. removed chunks)
+    retain(ids) {
+      const keep = new Set(ids);
+      Object.keys(entries).filter(id => !keep.has(id)).forEach(id => delete entries[id]);
+      this.save();
+    },
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ jobs: entries }, null, 2));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+/**
+ * Runs `worker(job)` for every job, at most `concurrency` at a time.
+ * Events passed to `onEvent(type, job, info)`:
+ *   start   { attempt }
+ *   retry   { attempt, delay, error }
+ *   done    { attempts, result }
+ *   fail    { attempts, error }
+ * @param {Array<{id: string}>} jobs
+ * @param {function(Object): Promise<*>} worker
+ * @param {Object} [options] - Overrides for DEFAULTS, plus journal, isRetryable, onEvent
+ * @returns {Promise<{done: string[], failed: Array<{id: string, attempts: number, error: Error}>}>}
+ */
+async function runJobs(jobs, worker, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const isRetryable = settings.isRetryable || defaultIsRetryable;
+  const onEvent = settings.onEvent || (() => {});
+  const journal = settings.journal;
+  const done = [];
+  const failed = [];
+  let next = 0;
+
+  async function runOne(job) {
+    for (let attempt = 1; ; attempt++) {
+      onEvent('start', job, { attempt });
+      if (journal) journal.set(job.id, { status: 'running', attempts: attempt });
+
+      try {
+        const result = await worker(job);
+        if (journal) journal.set(job.id, { status: 'done', attempts: attempt, error: null });
+        done.push(job.id);
+        onEvent('done', job, { attempts: attempt, result });
+        return;
+      } catch (error) {
+        if (attempt <= settings.retries && isRetryable(error)) {
+          const delay = backoffDelay(attempt, settings);
+          onEvent('retry', job, { attempt, delay, error });
+          await sleep(delay);
+          continue;
+        }
+        if (journal) journal.set(job.id, { status: 'failed', attempts: attempt, error: error.message });
+        failed.push({ id: job.id, attempts: attempt, error });
+        onEvent('fail', job, { attempts: attempt, error });
+        return;
+      }
+    }
+  }
+
+  async function workerLoop() {
+    while (next < jobs.length) {
+      await runOne(jobs[next++]);
+    }
+  }
+
+  const poolSize = Math.max(1, Math.min(settings.concurrency, jobs.length));
+  await Promise.all(Array.from({ length: poolSize }, workerLoop));
+
+  return { done, failed };
+}
+
+module.exports = {
+  DEFAULTS,
+  backoffDelay,
+  createJournal,
+  runJobs
+};
@@ -0,0 +1,111 @@
+/**
+ * JSON Line Locator
+ *
+ * Maps every value in a JSON document to the line it starts on, keyed by
+ * the same JSON path notation the schema validator reports
+ * ($.sections[0].content[3].type), so violations can point at a line.
+ */
+
+// Path segment for an object key
+function keySegment(key) {
+  return /^[A-Za-z_$][\w$-]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @param {string} source - Valid JSON text
+ * @returns {Map<string, number>} JSON path → 1-based line number
+ */
+function locateLines(source) {
+  const lines = new Map();
+  let i = 0;
+  let line = 1;
+
+  function skipWhitespace() {
+    while (i < source.length) {
+      const c = source[i];
+      if (c === '\n') {
+        line++;
+        i++;
+      } else if (c === ' ' || c === '\t' || c === '\r') {
+        i++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readString() {
+    const start = i;
+    i++; // opening quote
+    while (i < source.length && source[i] !== '"') {
+      if (source[i] === '\\') i++;
+      i++;
+    }
+    i++; // closing quote
+    return JSON.parse(source.slice(start, i));
+  }
+
+  function readValue(p) {
+    skipWhitespace();
+    lines.set(p, line);
+    const c = source[i];
+
+    if (c === '{') {
+      i++;
+      skipWhitespace();
+      if (source[i] === '}') {
+        i++;
+        return;
+      }
+      while (i < source.length) {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        i++; // colon
+        readValue(p + keySegment(key));
+        skipWhitespace();
+        if (source[i++] !== ',') return;
+      }
+    } else if (c === '[') {
+      i++;
+      skipWhitespace();
+      if (source[i] === ']') {
+        i++;
+        return;
+      }
+      for (let index = 0; i < source.length; index++) {
+        readValue(`${p}[${index}]`);
+        skipWhitespace();
+        if (source[i++] !== ',') return;
+      }
+    } else if (c === '"') {
+      readString();
+    } else {
+      while (i < source.length && !/[\s,\]}]/.test(source[i])) i++;
+    }
+  }
+
+  readValue('$');
+  return lines;
+}
+
+/**
+ * Line of a JSON.parse error, from the position in its message.
+ * @param {string} source
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function parseErrorLine(source, error) {
+  const lineMatch = error.message.match(/line (\d+)/);
+  if (lineMatch) return parseInt(lineMatch[1]);
+
+  const posMatch = error.message.match(/position (\d+)/);
+  if (!posMatch) return null;
+  return source.slice(0, parseInt(posMatch[1])).split('\n').length;
+}
+
+module.exports = {
+  keySegment,
+  locateLines,
+  parseErrorLine
+};
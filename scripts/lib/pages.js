@@ -0,0 +1,310 @@
+/**
+ * Built Pages
+ *
+ * Helpers for the post-build steps that add scripts and styles to the
+ * chapter pages in dist/ (build-read-along.js, build-meditation.js) or
+ * change their blocks (build-anchors.js), and for the pages they generate:
+ * where each language lives on the site and the links between a page's
+ * languages.
+ *
+ * Usage:
+ *   copyClientFiles(['read-along.js', 'read-along.css']);
+ *   const tag = `<script src="/js/search.js"${labelsAttr('es', 'search')} defer></script>`;
+ *   const html = setTags(page, { head: STYLE_TAG, body: SCRIPT_TAG }, enabled);
+ *   sectionBlocks(html, 'ch3-main').forEach(block => console.log(block.tag, block.id));
+ *   const { html: withIds, problems } = setBlockIds(renderMissingBlocks(html, chapter).html, chapter);
+ *   const links = alternateLinks(SITE_URL, 'practice/');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIST_DIR, I18N_DIR, SOURCE_LANG, loadJSON, listLanguages, blockAnchor } = require('./book');
+const { escapeAttr } = require('./inline');
+const { renderBlock } = require('./text');
+
+const CLIENT_DIR = path.join(__dirname, '..', 'client');
+
+/**
+ * Site root of a language: "/" for the source language, "/es/" for the others.
+ * @param {string} lang
+ * @returns {string}
+ */
+function langRoot(lang) {
+  return lang === SOURCE_LANG ? '/' : `/${lang}/`;
+}
+
+/**
+ * <link rel="alternate" hreflang> tags for a page in every published
+ * language, plus x-default for the source language.
+ * @param {string} siteUrl - e.g. "https://example.com"
+ * @param {string} page - Path below the language root, e.g. "practice/"
+ * @returns {string}
+ */
+function alternateLinks(siteUrl, page) {
+  return [
+    ...listLanguages().map(lang => `    <link rel="alternate" hreflang="${lang}" href="${siteUrl}${langRoot(lang)}${page}">`),
+    `    <link rel="alternate" hreflang="x-default" href="${siteUrl}${langRoot(SOURCE_LANG)}${page}">`
+  ].join('\n');
+}
+
+/**
+ * Chapter page directory in dist/ (source language at the root).
+ * @param {string} lang
+ * @param {string} chapterId - e.g. "ch3"
+ * @returns {string}
+ */
+function pageDir(lang, chapterId) {
+  return lang === SOURCE_LANG
+    ? path.join(DIST_DIR, chapterId)
+    : path.join(DIST_DIR, lang, chapterId);
+}
+
+/**
+ * Add or remove tags at the end of <head> and <body>; returns the updated
+ * HTML. Running it twice changes nothing.
+ * @param {string} html
+ * @param {{head?: string, body?: string}} tags
+ * @param {boolean} enabled
+ * @returns {string}
+ */
+function setTags(html, tags, enabled) {
+  let clean = html;
+  if (tags.head) clean = clean.replace(`    ${tags.head}\n`, '');
+  if (tags.body) clean = clean.replace(`    ${tags.body}\n`, '');
+  if (!enabled) return clean;
+
+  if (tags.head) clean = clean.replace('</head>', `    ${tags.head}\n</head>`);
+  if (tags.body) clean = clean.replace('</body>', `    ${tags.body}\n</body>`);
+  return clean;
+}
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Start tags (attribute values may hold ">"), end tags and comments
+const TAG = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+
+// Elements the page scripts treat as blocks (scripts/client/anchors.js)
+function isBlock(tag, attrs) {
+  const className = (attrs.match(/\sclass="([^"]*)"/) || [])[1] || '';
+  return ['p', 'blockquote', 'ul', 'ol', 'hr'].includes(tag) ||
+    className.split(/\s+/).some(name => name === 'subheading' || name === 'meditation');
+}
+
+// Block types the page generator (../core/scripts/build.js) renders;
+// renderMissingBlocks() puts the others in the chapter pages
+const PAGE_BLOCK_TYPES = ['paragraph', 'quote'];
+
+// Blocks of a section and where its closing tag starts, null when the page
+// has no such section (see sectionBlocks)
+function scanSection(html, sectionId) {
+  const open = new RegExp(`<([a-zA-Z][\\w-]*)\\s[^>]*\\bid="${sectionId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*>`).exec(html);
+  if (!open) return null;
+
+  const blocks = [];
+  let depth = 0;
+  let current = null;
+  TAG.lastIndex = open.index + open[0].length;
+
+  for (let m = TAG.exec(html); m; m = TAG.exec(html)) {
+    const [text, closing, name, attrs = '', selfClosing] = m;
+    if (!name) continue;
+    const tag = name.toLowerCase();
+
+    if (closing) {
+      depth--;
+      if (depth < 0) return { blocks, end: m.index };
+      if (depth === 0 && current) {
+        current.end = m.index + text.length;
+        blocks.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    const empty = selfClosing || VOID_ELEMENTS.has(tag);
+    if (depth === 0 && isBlock(tag, attrs)) {
+      const block = { tag, id: (attrs.match(/\sid="([^"]*)"/) || [])[1] || null, start: m.index, openEnd: m.index + text.length, end: null };
+      if (empty) {
+        block.end = block.openEnd;
+        blocks.push(block);
+      } else {
+        current = block;
+      }
+    }
+    if (!empty) depth++;
+  }
+
+  return { blocks, end: html.length };
+}
+
+/**
+ * Blocks of a section in a built page, in order: the block elements
+ * directly inside the element with id `sectionId`, which match the
+ * section's content one to one. Offsets are into `html`.
+ * @param {string} html
+ * @param {string} sectionId
+ * @returns {Array<{tag: string, id: ?string, start: number, openEnd: number, end: number}>|null}
+ *   null when the page has no such section
+ */
+function sectionBlocks(html, sectionId) {
+  const section = scanSection(html, sectionId);
+  return section && section.blocks;
+}
+
+// Whitespace that starts the line of `position`, '' if text comes first
+function indentAt(html, position) {
+  const indent = html.slice(html.lastIndexOf('\n', position - 1) + 1, position);
+  return /^\s*$/.test(indent) ? indent : '';
+}
+
+// Apply {start, end, text} edits to html, last first so the offsets stay
+// valid; `order` keeps insertions at the same spot in content order
+function applyEdits(html, edits) {
+  edits.sort((a, b) => b.start - a.start || (b.order || 0) - (a.order || 0)).forEach(({ start, end, text }) => {
+    html = html.slice(0, start) + text + html.slice(end);
+  });
+  return html;
+}
+
+/**
+ * Renders the blocks the page generator does not know (sub-headings,
+ * lists, epigraphs, breaks, meditations) into a chapter page, with their
+ * anchors. A section whose elements match its content one to one gets
+ * those elements replaced; one with an element for every other block (the
+ * generator dropped them) gets them inserted next to their neighbours.
+ * Anything else is left alone and reported. Running it twice changes
+ * nothing.
+ * @param {string} html
+ * @param {import('./book').Chapter} chapter
+ * @returns {{html: string, problems: string[]}}
+ */
+function renderMissingBlocks(html, chapter) {
+  const edits = [];
+  const problems = [];
+
+  chapter.sections.forEach(section => {
+    const missing = section.content
+      .map((block, i) => ({ block, i }))
+      .filter(({ block }) => !PAGE_BLOCK_TYPES.includes(block.type));
+    if (missing.length === 0) return;
+
+    const found = scanSection(html, section.id);
+    if (!found) return;
+    const { blocks } = found;
+    // Section titles are <h2> in the chapter pages
+    const render = ({ block, i }) => renderBlock(block, undefined, blockAnchor(section.id, i, block.id), { sectionLevel: 2 });
+
+    if (blocks.length === section.content.length) {
+      missing.forEach(item => {
+        const element = blocks[item.i];
+        edits.push({ start: element.start, end: element.end, text: render(item) });
+      });
+      return;
+    }
+
+    if (blocks.length !== section.content.length - missing.length) {
+      problems.push(`${section.id}: ${blocks.length} block(s) in the page, ${section.content.length} in the chapter`);
+      return;
+    }
+
+    // Elements of the blocks the page has, by content index
+    const present = [];
+    let next = 0;
+    section.content.forEach((block, i) => {
+      if (PAGE_BLOCK_TYPES.includes(block.type)) present[i] = blocks[next++];
+    });
+    missing.forEach(item => {
+      // Right before the next block, else right after the previous one,
+      // else at the end of the section
+      const after = present.slice(item.i).find(Boolean);
+      const before = present.slice(0, item.i).reverse().find(Boolean);
+      if (after) {
+        edits.push({ start: after.start, end: after.start, text: `${render(item)}\n${indentAt(html, after.start)}`, order: item.i });
+      } else if (before) {
+        edits.push({ start: before.end, end: before.end, text: `\n${indentAt(html, before.start)}${render(item)}`, order: item.i });
+      } else {
+        const indent = indentAt(html, found.end);
+        edits.push({ start: found.end, end: found.end, text: `    ${render(item)}\n${indent}`, order: item.i });
+      }
+    });
+  });
+
+  return { html: applyEdits(html, edits), problems };
+}
+
+/**
+ * Puts each block's anchor on its element in a chapter page. Elements that
+ * already have an id keep it; a section whose blocks do not match its
+ * content one to one is left alone and reported.
+ * @param {string} html
+ * @param {import('./book').Chapter} chapter
+ * @returns {{html: string, problems: string[]}}
+ */
+function setBlockIds(html, chapter) {
+  const edits = [];
+  const problems = [];
+
+  chapter.sections.forEach(section => {
+    const blocks = sectionBlocks(html, section.id);
+    if (!blocks) return;
+    if (blocks.length !== section.content.length) {
+      problems.push(`${section.id}: ${blocks.length} block(s) in the page, ${section.content.length} in the chapter`);
+      return;
+    }
+    blocks.forEach((element, i) => {
+      if (element.id) return;
+      const at = element.start + 1 + element.tag.length;
+      edits.push({ start: at, end: at, text: ` id="${blockAnchor(section.id, i, section.content[i].id)}"` });
+    });
+  });
+
+  return { html: applyEdits(html, edits), problems };
+}
+
+// ui.json by language, read once
+const uiFiles = new Map();
+function loadUi(lang) {
+  if (!uiFiles.has(lang)) {
+    const file = path.join(I18N_DIR, lang, 'ui.json');
+    uiFiles.set(lang, fs.existsSync(file) ? loadJSON(file) : {});
+  }
+  return uiFiles.get(lang);
+}
+
+/**
+ * data-labels attribute for a browser script: the `section` of the
+ * language's ui.json (e.g. "search"), with the source language's labels
+ * for any it lacks. Returns it with a leading space, ready for the tag.
+ * @param {string} lang
+ * @param {string} section
+ * @returns {string}
+ */
+function labelsAttr(lang, section) {
+  const labels = { ...loadUi(SOURCE_LANG)[section], ...loadUi(lang)[section] };
+  return ` data-labels="${escapeAttr(JSON.stringify(labels))}"`;
+}
+
+/**
+ * Copy browser files from scripts/client/ to dist/js/ and dist/css/.
+ * @param {string[]} files - File names, e.g. ['read-along.js', 'read-along.css']
+ */
+function copyClientFiles(files) {
+  files.forEach(file => {
+    const dir = path.join(DIST_DIR, path.extname(file) === '.css' ? 'css' : 'js');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(path.join(CLIENT_DIR, file), path.join(dir, file));
+  });
+}
+
+module.exports = {
+  langRoot,
+  alternateLinks,
+  pageDir,
+  setTags,
+  sectionBlocks,
+  renderMissingBlocks,
+  setBlockIds,
+  labelsAttr,
+  copyClientFiles
+};
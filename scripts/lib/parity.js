@@ -0,0 +1,270 @@
+/**
+ * Cross-Language Parity
+ *
+ * Compares a translated chapter with its source chapter section by section
+ * and block by block. Blocks are aligned with a small sequence alignment
+ * (type, markers and relative length) so one missing paragraph shows up as
+ * one missing block instead of shifting every comparison after it.
+ */
+
+const { cleanText } = require('./text');
+const { parseInline, collectMarkers } = require('./inline');
+const { blockTexts } = require('./book');
+
+// Default thresholds, relative to the chapter-wide length ratio
+const DEFAULTS = {
+  minLengthRatio: 0.6,
+  maxLengthRatio: 1.6
+};
+
+/**
+ * Markers and length of a block, the parts that must survive translation.
+ * @param {import('./book').Block} block
+ */
+function blockSignature(block) {
+  const texts = blockTexts(block).map(({ text }) => text);
+  const markers = texts.map(text => collectMarkers(parseInline(text)));
+
+  return {
+    type: block.type,
+    id: block.id || null,
+    terms: markers.flatMap(m => m.terms).sort(),
+    refs: markers.flatMap(m => m.refs).sort(),
+    em: markers.reduce((sum, m) => sum + m.emphasis, 0),
+    length: blockLength(block),
+    // Meditation steps must keep their count and timing, lists their items
+    holds: (block.steps || []).map(step => step.hold),
+    items: block.items ? block.items.length : 0
+  };
+}
+
+// Plain-text length of a block, all of its texts together
+function blockLength(block) {
+  return blockTexts(block).reduce((sum, { text }) => sum + cleanText(text).length, 0);
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// Signature key used to recognise the same block at another position
+function markerKey(sig) {
+  if (sig.terms.length === 0 && sig.refs.length === 0 && sig.em === 0) return null;
+  return `${sig.type}|${sig.terms.join(',')}|${sig.refs.join(',')}|${sig.em}`;
+}
+
+// How alike two blocks look, for the alignment below
+function similarity(a, b, ratio, options) {
+  // Blocks with ids are the same block exactly when the ids are equal
+  if (a.id && b.id) return a.id === b.id ? 10 : -10;
+
+  let score = a.type === b.type ? 1 : -1;
+
+  if (a.terms.length || b.terms.length) score += sameList(a.terms, b.terms) ? 2 : -1;
+  if (a.refs.length || b.refs.length) score += sameList(a.refs, b.refs) ? 2 : -1;
+  if (a.em || b.em) score += a.em === b.em ? 1 : -1;
+
+  const relative = a.length ? (b.length / a.length) / ratio : 1;
+  score += relative >= options.minLengthRatio && relative <= options.maxLengthRatio ? 1 : -2;
+
+  return score;
+}
+
+/**
+ * Global alignment of two signature lists.
+ * @returns {Array<[number|null, number|null]>} Pairs of source/target indexes
+ */
+function alignBlocks(source, target, ratio, options) {
+  const GAP = -1;
+  const n = source.length;
+  const m = target.length;
+  const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = 1; i <= n; i++) score[i][0] = i * GAP;
+  for (let j = 1; j <= m; j++) score[0][j] = j * GAP;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      score[i][j] = Math.max(
+        score[i - 1][j - 1] + similarity(source[i - 1], target[j - 1], ratio, options),
+        score[i - 1][j] + GAP,
+        score[i][j - 1] + GAP
+      );
+    }
+  }
+
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 &&
+        score[i][j] === score[i - 1][j - 1] + similarity(source[i - 1], target[j - 1], ratio, options)) {
+      pairs.unshift([i - 1, j - 1]);
+      i--;
+      j--;
+    } else if (i > 0 && score[i][j] === score[i - 1][j] + GAP) {
+      pairs.unshift([i - 1, null]);
+      i--;
+    } else {
+      pairs.unshift([null, j - 1]);
+      j--;
+    }
+  }
+  return pairs;
+}
+
+// Total plain-text length of a chapter
+function chapterLength(chapter) {
+  return chapter.sections.reduce((sum, section) =>
+    sum + section.content.reduce((s, block) => s + blockLength(block), 0), 0);
+}
+
+/**
+ * Length of a translated chapter relative to its source.
+ * @param {import('./book').Chapter} sourceChapter
+ * @param {import('./book').Chapter} targetChapter
+ * @returns {number}
+ */
+function chapterRatio(sourceChapter, targetChapter) {
+  const sourceLength = chapterLength(sourceChapter);
+  return sourceLength ? chapterLength(targetChapter) / sourceLength : 1;
+}
+
+function excerpt(block) {
+  const texts = blockTexts(block);
+  if (texts.length === 0) return `(${block.type})`;
+  const text = cleanText(texts[0].text);
+  return text.length > 60 ? text.slice(0, 60) + '…' : text;
+}
+
+// Compare the blocks of one section pair
+function compareSection(sourceSection, targetSection, ratio, options, issues) {
+  const sectionId = sourceSection.id;
+  const source = sourceSection.content.map(blockSignature);
+  const target = targetSection.content.map(blockSignature);
+  const issue = (severity, kind, message, sourceIndex = null, targetIndex = null) =>
+    issues.push({ severity, kind, section: sectionId, sourceIndex, targetIndex, message });
+
+  if (source.length !== target.length) {
+    issue('warning', 'block-count', `${source.length} source blocks, ${target.length} target blocks`);
+  }
+
+  const pairs = alignBlocks(source, target, ratio, options);
+
+  // Unpaired blocks with the same markers on both sides were moved, not lost
+  const missing = pairs.filter(([s, t]) => t === null).map(([s]) => s);
+  const extra = pairs.filter(([s]) => s === null).map(([, t]) => t);
+  const moved = new Map();
+  missing.forEach(s => {
+    const key = markerKey(source[s]);
+    if (!key) return;
+    const t = extra.find(e => !moved.has(e) && markerKey(target[e]) === key);
+    if (t !== undefined) moved.set(t, s);
+  });
+  const movedSources = new Set(moved.values());
+
+  pairs.forEach(([s, t]) => {
+    if (t === null) {
+      if (!movedSources.has(s)) {
+        issue('error', 'missing-block', `block missing in target: "${excerpt(sourceSection.content[s])}"`, s, null);
+      }
+      return;
+    }
+    if (s === null) {
+      if (moved.has(t)) {
+        issue('error', 'reordered-block', `source block ${moved.get(t)} appears at target position ${t}`, moved.get(t), t);
+      } else {
+        issue('error', 'extra-block', `block not in source: "${excerpt(targetSection.content[t])}"`, null, t);
+      }
+      return;
+    }
+
+    const a = source[s];
+    const b = target[t];
+
+    if (a.id !== b.id) {
+      issue(a.id && b.id ? 'error' : 'warning', 'id-mismatch',
+        `block id "${a.id || '(none)'}" became "${b.id || '(none)'}" (run: node scripts/assign-block-ids.js)`, s, t);
+    }
+    if (a.type !== b.type) {
+      issue('error', 'type-mismatch', `type "${a.type}" became "${b.type}"`, s, t);
+    }
+    if (!sameList(a.terms, b.terms)) {
+      issue('error', 'term-mismatch', `terms [${a.terms.join(', ')}] vs [${b.terms.join(', ')}]`, s, t);
+    }
+    if (!sameList(a.refs, b.refs)) {
+      issue('error', 'ref-mismatch', `refs [${a.refs.join(', ')}] vs [${b.refs.join(', ')}]`, s, t);
+    }
+    if (!sameList(a.holds, b.holds)) {
+      issue('error', 'step-mismatch', `steps held [${a.holds.join(', ')}]s vs [${b.holds.join(', ')}]s`, s, t);
+    }
+    if (a.items !== b.items) {
+      issue('error', 'item-mismatch', `${a.items} list items in source, ${b.items} in target`, s, t);
+    }
+    if (a.em !== b.em) {
+      issue('warning', 'em-mismatch', `${a.em} <em> in source, ${b.em} in target`, s, t);
+    }
+    if (a.length > 0) {
+      const relative = (b.length / a.length) / ratio;
+      if (relative < options.minLengthRatio || relative > options.maxLengthRatio) {
+        issue('warning', 'length-ratio',
+          `length ratio ${(b.length / a.length).toFixed(2)} (chapter ${ratio.toFixed(2)})`, s, t);
+      }
+    }
+  });
+}
+
+/**
+ * Compares a target chapter against its source chapter.
+ * @param {import('./book').Chapter} sourceChapter
+ * @param {import('./book').Chapter|null} targetChapter
+ * @param {Object} [options] - Overrides for DEFAULTS
+ * @returns {{lengthRatio: number|null, issues: Object[]}}
+ */
+function compareChapters(sourceChapter, targetChapter, options = {}) {
+  options = { ...DEFAULTS, ...options };
+  const issues = [];
+
+  if (!targetChapter) {
+    issues.push({ severity: 'error', kind: 'missing-chapter', section: null, sourceIndex: null, targetIndex: null,
+      message: `chapter ${sourceChapter.number} has no translation` });
+    return { lengthRatio: null, issues };
+  }
+
+  const ratio = chapterRatio(sourceChapter, targetChapter);
+
+  const sourceIds = sourceChapter.sections.map(s => s.id);
+  const targetIds = targetChapter.sections.map(s => s.id);
+  const sectionIssue = (severity, kind, section, message) =>
+    issues.push({ severity, kind, section, sourceIndex: null, targetIndex: null, message });
+
+  sourceIds.filter(id => !targetIds.includes(id))
+    .forEach(id => sectionIssue('error', 'missing-section', id, `section "${id}" missing in target`));
+  targetIds.filter(id => !sourceIds.includes(id))
+    .forEach(id => sectionIssue('error', 'extra-section', id, `section "${id}" not in source`));
+
+  const shared = sourceIds.filter(id => targetIds.includes(id));
+  const sharedInTarget = targetIds.filter(id => sourceIds.includes(id));
+  if (!sameList(shared, sharedInTarget)) {
+    sectionIssue('error', 'reordered-section', null,
+      `section order [${shared.join(', ')}] became [${sharedInTarget.join(', ')}]`);
+  }
+
+  shared.forEach(id => {
+    compareSection(
+      sourceChapter.sections.find(s => s.id === id),
+      targetChapter.sections.find(s => s.id === id),
+      ratio, options, issues
+    );
+  });
+
+  return { lengthRatio: Number(ratio.toFixed(3)), issues };
+}
+
+module.exports = {
+  DEFAULTS,
+  blockSignature,
+  alignBlocks,
+  chapterRatio,
+  compareChapters
+};
@@ -0,0 +1,128 @@
+/**
+ * Pronunciation Lexicon
+ *
+ * i18n/<lang>/pronunciation.json maps words as written to how the
+ * narrator should say them, so every chapter reads a name the same way:
+ *
+ *   {
+ *     "Reiki": { "spoken": "Ray-kee" },
+ *     "Usui": { "spoken": "Oo-soo-ee", "phonemes": { "local": "[[u:s'u:i]]" } },
+ *     "Ruaj": { "spoken": "Roo-ahj", "note": "Hebrew: spirit, breath" },
+ *     "Jesus": {}
+ *   }
+ *
+ *   spoken    Respelling sent to every provider
+ *   phonemes  Provider-specific replacement, inserted verbatim (e.g. espeak
+ *             [[...]] phonemes, Cartesia <<...>> IPA); wins over `spoken`
+ *   note      Free text for the narrator or reviewer
+ *
+ * An entry with neither field marks a word as reviewed and fine as written.
+ *
+ * Matching is whole-word and case-sensitive; longer entries win ("Mikao
+ * Usui" before "Usui").
+ *
+ * Usage:
+ *   const lexicon = createLexicon(book.pronunciation);
+ *   lexicon.apply('Reiki is…')                // "Ray-kee is…"
+ *   lexicon.apply('Reiki is…', 'local')       // with local phoneme hints
+ *   findUncovered(book, lexicon)              // glossary terms and names to add
+ */
+
+const { parseInline, renderText } = require('./inline');
+const { blockTexts } = require('./book');
+
+// Letters and digits in any script
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {Object<string, {spoken?: string, phonemes?: Object<string, string>, note?: string}>} entries
+ */
+function createLexicon(entries = {}) {
+  const words = Object.keys(entries).sort((a, b) => b.length - a.length);
+  const pattern = words.length > 0
+    ? new RegExp(`(?<!${WORD_CHAR})(${words.map(escapeRegExp).join('|')})(?!${WORD_CHAR})`, 'gu')
+    : null;
+
+  return {
+    entries,
+
+    /**
+     * Text with every lexicon word replaced by its spoken form, or by the
+     * phoneme hint for `provider` when there is one.
+     * @param {string} text
+     * @param {string} [provider]
+     * @returns {string}
+     */
+    apply(text, provider) {
+      if (!pattern) return text;
+      return text.replace(pattern, word => {
+        const entry = entries[word];
+        if (provider && entry.phonemes && entry.phonemes[provider]) return entry.phonemes[provider];
+        return entry.spoken || word;
+      });
+    },
+
+    // Providers with phoneme hints in any entry
+    providers() {
+      return [...new Set(Object.values(entries).flatMap(entry => Object.keys(entry.phonemes || {})))];
+    },
+
+    /**
+     * Whether `text` is fully listed: either an entry itself, or made only
+     * of words that are.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    covers(text) {
+      if (entries[text]) return true;
+      return text.split(/\s+/).every(word => Boolean(entries[word]));
+    }
+  };
+}
+
+// Capitalized words that do not start a sentence: names and terms
+const CAPITALIZED = /(?<=[^\s.!?:;"“«¿¡—(]\s+)\p{Lu}[\p{L}'’-]*/gu;
+
+/**
+ * Glossary terms and capitalized words in the book that the lexicon does
+ * not cover, with where they appear.
+ * @param {import('./book').Book} book
+ * @param {ReturnType<typeof createLexicon>} lexicon
+ * @returns {{glossary: Array<{id: string, title: string}>,
+ *   words: Array<{word: string, count: number, chapters: number[]}>}}
+ */
+function findUncovered(book, lexicon) {
+  const glossary = Object.entries(book.glossary)
+    .filter(([, entry]) => !lexicon.covers(entry.title))
+    .map(([id, entry]) => ({ id, title: entry.title }));
+
+  const found = new Map();
+  book.chapters.forEach(chapter => {
+    chapter.sections.forEach(section => {
+      section.content.flatMap(blockTexts).forEach(({ text: source }) => {
+        const text = renderText(parseInline(source), book.glossary);
+        for (const match of text.matchAll(CAPITALIZED)) {
+          // "God's" is covered by "God"
+          const word = match[0].replace(/['’]s$/, '').replace(/['’-]+$/, '');
+          if (word.length < 2 || lexicon.covers(word)) continue;
+          const entry = found.get(word) || { word, count: 0, chapters: [] };
+          entry.count++;
+          if (!entry.chapters.includes(chapter.number)) entry.chapters.push(chapter.number);
+          found.set(word, entry);
+        }
+      });
+    });
+  });
+
+  const words = [...found.values()].sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+  return { glossary, words };
+}
+
+module.exports = {
+  createLexicon,
+  findUncovered
+};
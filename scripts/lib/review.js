@@ -0,0 +1,104 @@
+/**
+ * Translation Review
+ *
+ * What the side-by-side review edition (scripts/build-review-version.js)
+ * shows and what comes back from it (scripts/import-review.js).
+ *
+ * Every translatable unit gets a review state from the translation memory
+ * (see lib/translation-memory.js):
+ *   approved  approved for the current source text, nothing to review
+ *   machine   machine translation nobody has approved yet
+ *   changed   the source changed since the translation was approved
+ *   edited    edited by hand since it was recorded, not approved yet
+ *   missing   not translated
+ *
+ * Reviewers leave comments and corrections in the browser and export them
+ * as JSON (scripts/client/review.js):
+ *
+ *   {
+ *     "lang": "es",
+ *     "reviewer": "Ana",
+ *     "exported": "2026-10-18T09:30:00.000Z",
+ *     "comments": [
+ *       {
+ *         "key": "k3x9qa",
+ *         "chapter": "ch3",
+ *         "hash": "5e0c9a1f2b7d",
+ *         "original": ["Antes de que existiera el tiempo..."],
+ *         "comment": "Mejor \"antes del tiempo\"",
+ *         "correction": ["Antes del tiempo..."],
+ *         "status": "accepted",
+ *         "updated": "2026-10-18T09:12:00.000Z"
+ *       }
+ *     ]
+ *   }
+ *
+ *   hash        Source hash the reviewer saw (a correction of an older
+ *               source is not applied)
+ *   original    Translation the reviewer saw (left out when there was none)
+ *   correction  New texts, in blockTexts() order (left out for a plain
+ *               comment)
+ *   status      "open", "accepted" or "rejected"; only accepted
+ *               corrections are applied
+ *
+ * Usage:
+ *   const states = unitStates(source, target, memory);
+ *   sectionRows(sourceSection, targetSection).forEach(({ source, target }) => ...);
+ */
+
+const { planUnits } = require('./translation-memory');
+
+const STATES = ['approved', 'machine', 'changed', 'edited', 'missing'];
+
+/**
+ * Review state of every source unit of a chapter, by unit key.
+ * @param {import('./book').Chapter} source
+ * @param {import('./book').Chapter|null} target
+ * @param {ReturnType<import('./translation-memory').openMemory>} memory
+ * @returns {Map<string, {unit: import('./translation-memory').Unit, hash: string, state: string, target: string[]|null}>}
+ */
+function unitStates(source, target, memory) {
+  return new Map(planUnits(source, target, memory).map(p => {
+    let state;
+    if (p.action === 'current') state = p.entry.status === 'approved' ? 'approved' : 'machine';
+    else if (p.action === 'review') state = 'changed';
+    else if (p.action === 'record') state = 'edited';
+    else if (p.target) state = 'machine';
+    else state = 'missing';
+    return [p.unit.key, { unit: p.unit, hash: p.hash, state, target: p.target }];
+  }));
+}
+
+/**
+ * Blocks of a section side by side, matched by id: every source block with
+ * its translation (or null), and blocks only in the translation right
+ * after the block they follow there.
+ * @param {import('./book').Section} sourceSection
+ * @param {import('./book').Section|null} targetSection
+ * @returns {Array<{source: import('./book').Block|null, target: import('./book').Block|null}>}
+ */
+function sectionRows(sourceSection, targetSection) {
+  const targetBlocks = targetSection ? targetSection.content : [];
+  const byId = new Map(targetBlocks.filter(block => block.id).map(block => [block.id, block]));
+  const sourceIds = new Set(sourceSection.content.map(block => block.id).filter(Boolean));
+
+  const rows = sourceSection.content.map(block => ({ source: block, target: (block.id && byId.get(block.id)) || null }));
+
+  let at = 0;
+  targetBlocks.forEach(block => {
+    if (block.id && sourceIds.has(block.id)) {
+      const index = rows.findIndex(row => row.source && row.source.id === block.id);
+      if (index !== -1) at = index + 1;
+    } else {
+      rows.splice(at++, 0, { source: null, target: block });
+    }
+  });
+
+  return rows;
+}
+
+module.exports = {
+  STATES,
+  unitStates,
+  sectionRows
+};
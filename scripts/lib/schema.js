@@ -0,0 +1,562 @@
+/**
+ * Content Schemas
+ *
+ * Formal schemas for every file under i18n/<lang>/ and a small validator
+ * for the subset of JSON Schema they use, plus two keywords of our own:
+ *   uniqueBy      - array items must have distinct values for a property
+ *   discriminator - pick the item schema from a property (block "type")
+ *
+ * Usage:
+ *   const { validateFile } = require('./lib/schema');
+ *   validateFile('i18n/es/chapters/ch3.json')
+ *     .forEach(v => console.log(`${v.file}:${v.line} ${v.path} ${v.message}`));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { keySegment, locateLines, parseErrorLine } = require('./json-lines');
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+// Audiobook pause after a block, overriding the default (seconds)
+const pauseSeconds = { type: 'number', minimum: 0 };
+
+// Stable block id (scripts/lib/block-ids.js), the block's anchor is "p-<id>"
+const blockId = { type: 'string', pattern: '^[a-z][a-z0-9-]*$' };
+
+// Block types the renderers and the audio pipeline understand
+const BLOCK_SCHEMAS = {
+  paragraph: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { type: 'string' }, id: blockId, text: nonEmptyString, pause: pauseSeconds },
+    additionalProperties: false
+  },
+  quote: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { type: 'string' }, id: blockId, text: nonEmptyString, pause: pauseSeconds },
+    additionalProperties: false
+  },
+  // Sub-heading inside a section; level 2 nests under a level 1 heading
+  heading: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { type: 'string' }, id: blockId, text: nonEmptyString, level: { enum: [1, 2] }, pause: pauseSeconds },
+    additionalProperties: false
+  },
+  list: {
+    type: 'object',
+    required: ['type', 'items'],
+    properties: {
+      type: { type: 'string' },
+      id: blockId,
+      ordered: { type: 'boolean' },
+      items: { type: 'array', minItems: 1, items: nonEmptyString },
+      pause: pauseSeconds
+    },
+    additionalProperties: false
+  },
+  // Quotation opening a chapter or section, with who said it
+  epigraph: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: { type: { type: 'string' }, id: blockId, text: nonEmptyString, attribution: nonEmptyString, pause: pauseSeconds },
+    additionalProperties: false
+  },
+  // Scene break (a rule on the page, a longer silence in the audiobook)
+  break: {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { type: 'string' }, id: blockId, pause: pauseSeconds },
+    additionalProperties: false
+  },
+  // Guided exercise: steps read one by one, each followed by a silent hold
+  meditation: {
+    type: 'object',
+    required: ['type', 'steps'],
+    properties: {
+      type: { type: 'string' },
+      id: blockId,
+      title: nonEmptyString,
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['text', 'hold'],
+          properties: { text: nonEmptyString, hold: pauseSeconds },
+          additionalProperties: false
+        }
+      },
+      chime: { type: 'boolean' },
+      pause: pauseSeconds
+    },
+    additionalProperties: false
+  }
+};
+
+const BLOCK_TYPES = Object.keys(BLOCK_SCHEMAS);
+
+const blockSchema = {
+  type: 'object',
+  discriminator: { property: 'type', mapping: BLOCK_SCHEMAS }
+};
+
+const sectionSchema = {
+  type: 'object',
+  required: ['id', 'content'],
+  properties: {
+    id: nonEmptyString,
+    title: { type: 'string' },
+    content: { type: 'array', minItems: 1, uniqueBy: 'id', items: blockSchema }
+  },
+  additionalProperties: false
+};
+
+const SCHEMAS = {
+  chapter: {
+    type: 'object',
+    required: ['id', 'number', 'numberText', 'title', 'sections'],
+    properties: {
+      id: { type: 'string', pattern: '^ch\\d+$' },
+      number: { type: 'integer', minimum: 1 },
+      numberText: nonEmptyString,
+      title: nonEmptyString,
+      sections: { type: 'array', minItems: 1, uniqueBy: 'id', items: sectionSchema }
+    },
+    additionalProperties: false
+  },
+
+  about: {
+    type: 'object',
+    required: ['id', 'title', 'sections'],
+    properties: {
+      id: nonEmptyString,
+      title: nonEmptyString,
+      subtitle: { type: 'string' },
+      sections: { type: 'array', uniqueBy: 'id', items: sectionSchema },
+      footer: { type: 'object', additionalProperties: { type: 'string' } }
+    },
+    additionalProperties: false
+  },
+
+  glossary: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      required: ['title', 'definition'],
+      properties: { title: nonEmptyString, definition: nonEmptyString },
+      additionalProperties: false
+    }
+  },
+
+  references: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: nonEmptyString,
+        text: { type: 'string' },
+        url: { type: 'string', pattern: '^https?://' }
+      },
+      additionalProperties: false
+    }
+  },
+
+  pronunciation: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        spoken: nonEmptyString,
+        // Keyed by TTS provider (scripts/lib/tts.js)
+        phonemes: {
+          type: 'object',
+          propertyNames: { pattern: '^(fish|cartesia|local)$' },
+          additionalProperties: nonEmptyString
+        },
+        note: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  },
+
+  // Session timer page (scripts/build-practice.js)
+  practice: {
+    type: 'object',
+    required: ['title', 'positions'],
+    properties: {
+      title: nonEmptyString,
+      description: { type: 'string' },
+      intro: { type: 'string' },
+      positions: {
+        type: 'array',
+        minItems: 1,
+        uniqueBy: 'id',
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'minutes', 'text'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+            title: nonEmptyString,
+            minutes: { type: 'number', minimum: 0.5 },
+            text: nonEmptyString,
+            // Section id or block anchor in the chapters, e.g. "p-adbvaf"
+            see: nonEmptyString
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+
+  // Source term to translation, "/" between alternatives (scripts/lib/translate.js)
+  'translation-glossary': {
+    type: 'object',
+    additionalProperties: nonEmptyString
+  },
+
+  // Comments exported from the review edition (scripts/lib/review.js)
+  'review-comments': {
+    type: 'object',
+    required: ['lang', 'comments'],
+    properties: {
+      lang: nonEmptyString,
+      reviewer: { type: 'string' },
+      exported: { type: 'string' },
+      comments: {
+        type: 'array',
+        uniqueBy: 'key',
+        items: {
+          type: 'object',
+          required: ['key', 'chapter', 'hash', 'status'],
+          properties: {
+            key: nonEmptyString,
+            chapter: { type: 'string', pattern: '^ch\\d+$' },
+            hash: { type: 'string', pattern: '^[0-9a-f]{12}$' },
+            original: { type: 'array', items: { type: 'string' } },
+            comment: { type: 'string' },
+            correction: { type: 'array', minItems: 1, items: { type: 'string' } },
+            status: { enum: ['open', 'accepted', 'rejected'] },
+            updated: { type: 'string' }
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+
+  // Edition snapshots in editions/ (scripts/lib/editions.js); chapters are
+  // kept as they were, older editions may predate the current chapter schema
+  edition: {
+    type: 'object',
+    required: ['tag', 'version', 'created', 'languages'],
+    properties: {
+      tag: { type: 'string', pattern: '^[A-Za-z0-9._-]+$' },
+      version: nonEmptyString,
+      edition: { type: 'string' },
+      created: nonEmptyString,
+      commit: { type: 'string', pattern: '^[0-9a-f]{40}$' },
+      versions: { type: 'object', propertyNames: { pattern: '^[a-z]{2,3}$' }, additionalProperties: nonEmptyString },
+      languages: {
+        type: 'object',
+        propertyNames: { pattern: '^[a-z]{2,3}$' },
+        additionalProperties: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'number', 'title', 'sections'],
+            properties: { number: { type: 'integer', minimum: 1 }, sections: { type: 'array' } }
+          }
+        }
+      }
+    },
+    additionalProperties: false
+  },
+
+  // i18n/languages.json: the languages of the book (scripts/lib/book.js)
+  languages: {
+    type: 'object',
+    required: ['source', 'languages'],
+    properties: {
+      source: { type: 'string', pattern: '^[a-z]{2,3}$' },
+      languages: {
+        type: 'object',
+        propertyNames: { pattern: '^[a-z]{2,3}$' },
+        additionalProperties: {
+          type: 'object',
+          required: ['name', 'nativeName', 'locale', 'dir'],
+          properties: {
+            name: nonEmptyString,
+            nativeName: nonEmptyString,
+            locale: { type: 'string', pattern: '^[a-z]{2,3}_[A-Z]{2}$' },
+            dir: { enum: ['ltr', 'rtl'] },
+            translationStyle: nonEmptyString,
+            voices: { type: 'object', additionalProperties: nonEmptyString },
+            speechRate: { type: 'number', minimum: 1 },
+            abbreviations: { type: 'array', items: nonEmptyString },
+            search: {
+              type: 'object',
+              properties: {
+                stopwords: { type: 'array', items: nonEmptyString },
+                suffixes: { type: 'array', items: nonEmptyString },
+                endings: { type: 'object', additionalProperties: { type: 'string' } },
+                undouble: { type: 'boolean' },
+                dropFinalE: { type: 'boolean' }
+              },
+              additionalProperties: false
+            }
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+
+  // Translations by unit key (scripts/lib/translation-memory.js)
+  'translation-memory': {
+    type: 'object',
+    required: ['units'],
+    properties: {
+      source: nonEmptyString,
+      units: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['hash', 'status', 'target'],
+          properties: {
+            hash: { type: 'string', pattern: '^[0-9a-f]{12}$' },
+            status: { enum: ['machine', 'approved'] },
+            target: { type: 'array', minItems: 1, items: { type: 'string' } }
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+
+  media: {
+    type: 'object',
+    propertyNames: { pattern: '^(all|\\d+)$' },
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        pdf: { type: 'string' },
+        audio: { type: 'string' },
+        youtube: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  },
+
+  ui: {
+    type: 'object',
+    required: ['siteTitle', 'bookTitle', 'description', 'nav', 'media', 'footer', 'meta'],
+    properties: {
+      siteTitle: nonEmptyString,
+      bookTitle: nonEmptyString,
+      description: { type: 'string' },
+      nav: { type: 'object', additionalProperties: { type: 'string' } },
+      media: { type: 'object', additionalProperties: { type: 'string' } },
+      footer: { type: 'object', additionalProperties: { type: 'string' } },
+      changelog: { type: 'object', additionalProperties: { type: 'string' } },
+      // Labels of the browser scripts (scripts/client/), passed in data-labels
+      anchors: { type: 'object', additionalProperties: { type: 'string' } },
+      meditation: { type: 'object', additionalProperties: { type: 'string' } },
+      practice: { type: 'object', additionalProperties: { type: 'string' } },
+      search: { type: 'object', additionalProperties: { type: 'string' } },
+      review: {
+        type: 'object',
+        properties: {
+          states: { type: 'object', additionalProperties: { type: 'string' } },
+          statuses: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        additionalProperties: { type: 'string' }
+      },
+      meta: {
+        type: 'object',
+        required: ['version'],
+        properties: { version: nonEmptyString }
+      }
+    }
+  }
+};
+
+// Type check for a single "type" keyword value
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number';
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validates `value` against `schema`.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [p] - JSON path of `value`
+ * @returns {{path: string, message: string}[]}
+ */
+function validate(value, schema, p = '$') {
+  const errors = [];
+  const fail = (at, message) => errors.push({ path: at, message });
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(p, `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(p, `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      fail(p, 'must not be empty');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(p, `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(p, `must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      fail(p, `must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueBy) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item && item[schema.uniqueBy];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          fail(`${p}[${index}]${keySegment(schema.uniqueBy)}`,
+            `duplicate ${schema.uniqueBy} "${key}" (first used at ${p}[${seen.get(key)}])`);
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${p}[${index}]`));
+      });
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) fail(p, `missing required property "${key}"`);
+    });
+
+    Object.keys(value).forEach(key => {
+      const at = p + keySegment(key);
+
+      if (schema.propertyNames && schema.propertyNames.pattern &&
+          !new RegExp(schema.propertyNames.pattern).test(key)) {
+        fail(at, `property name must match ${schema.propertyNames.pattern}`);
+      }
+
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validate(value[key], schema.properties[key], at));
+      } else if (schema.additionalProperties === false) {
+        fail(at, 'unknown property');
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(value[key], schema.additionalProperties, at));
+      }
+    });
+
+    if (schema.discriminator) {
+      const { property, mapping } = schema.discriminator;
+      const tag = value[property];
+      if (!Object.prototype.hasOwnProperty.call(mapping, tag)) {
+        fail(p + keySegment(property), `must be one of: ${Object.keys(mapping).join(', ')}`);
+      } else {
+        errors.push(...validate(value, mapping[tag], p));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Schema name for a content file, from its location under i18n/<lang>/.
+ * @param {string} file
+ * @returns {string|null}
+ */
+function schemaNameFor(file) {
+  if (path.basename(path.dirname(file)) === 'chapters') return 'chapter';
+  const name = path.basename(file, '.json');
+  return SCHEMAS[name] ? name : null;
+}
+
+/**
+ * Validates parsed content against a named schema, including the rules a
+ * schema cannot express (chapter id must match its number).
+ * @param {*} data
+ * @param {string} schemaName
+ * @returns {{path: string, message: string}[]}
+ */
+function validateContent(data, schemaName) {
+  const errors = validate(data, SCHEMAS[schemaName]);
+
+  if (schemaName === 'chapter' && errors.length === 0 && data.id !== `ch${data.number}`) {
+    errors.push({ path: '$.id', message: `must be "ch${data.number}" to match number` });
+  }
+
+  return errors;
+}
+
+/**
+ * Reads, parses and validates a content file.
+ * @param {string} file
+ * @returns {{file: string, line: number|null, path: string, message: string}[]}
+ */
+function validateFile(file) {
+  const schemaName = schemaNameFor(file);
+  if (!schemaName) return [];
+
+  const source = fs.readFileSync(file, 'utf8');
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (e) {
+    return [{ file, line: parseErrorLine(source, e), path: '$', message: `invalid JSON: ${e.message}` }];
+  }
+
+  const errors = validateContent(data, schemaName);
+
+  if (schemaName === 'chapter' && errors.length === 0 &&
+      path.basename(file, '.json') !== data.id) {
+    errors.push({ path: '$.id', message: `must match file name ${path.basename(file)}` });
+  }
+
+  if (errors.length === 0) return [];
+
+  const lines = locateLines(source);
+  return errors
+    .map(e => ({ file, line: lines.get(e.path) || null, ...e }))
+    .sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  SCHEMAS,
+  validate,
+  validateContent,
+  validateFile,
+  schemaNameFor
+};
@@ -0,0 +1,76 @@
+/**
+ * Search Index
+ *
+ * Paragraph-level full-text index of a language's chapters, built at
+ * deploy time and loaded by the search box (scripts/client/search.js).
+ * Words are folded and stemmed by scripts/client/search-text.js, the same
+ * code the browser runs on the query, with the `search` settings of the
+ * language in i18n/languages.json (stored in the index for the browser).
+ *
+ * Index format (one JSON file per language):
+ *   {
+ *     "lang": "es",
+ *     "analysis": { "stopwords": ["de", …], "suffixes": ["amiento", …] },
+ *     "chapters": [{ "number": 1, "title": "…", "href": "/es/ch1/" }],
+ *     "docs": [[0, "ch1-main-p3", "Plain text of the paragraph…"]],
+ *     "terms": { "san": [4, 2, 17, 1] }
+ *   }
+ *
+ * `docs` holds [chapter index, anchor, text]; `terms` maps each stem to a
+ * flat list of doc index / occurrence count pairs.
+ *
+ * Usage:
+ *   const index = buildSearchIndex(loadBook('es'), '/es/');
+ */
+
+const { languageInfo, blockTexts, blockAnchor, sectionTitle, titleAnchor } = require('./book');
+const { cleanText } = require('./text');
+const SearchText = require('../client/search-text');
+
+/**
+ * @param {import('./book').Book} book
+ * @param {string} root - Site path of the language, e.g. "/" or "/es/"
+ */
+function buildSearchIndex(book, root) {
+  const chapters = [];
+  const docs = [];
+  const postings = new Map();
+  const analysis = languageInfo(book.lang).search || {};
+
+  const addDoc = (chapterIndex, anchor, text) => {
+    if (!text) return;
+    const doc = docs.length;
+    docs.push([chapterIndex, anchor, text]);
+
+    const counts = new Map();
+    SearchText.terms(text, analysis).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(doc, count);
+    });
+  };
+
+  book.chapters.forEach(chapter => {
+    const chapterIndex = chapters.length;
+    chapters.push({ number: chapter.number, title: chapter.title, href: `${root}${chapter.id}/` });
+
+    chapter.sections.forEach(section => {
+      const title = sectionTitle(chapter, section);
+      if (title) addDoc(chapterIndex, titleAnchor(section.id), cleanText(title));
+
+      section.content.forEach((block, index) => {
+        const text = blockTexts(block).map(part => cleanText(part.text)).join(' ');
+        addDoc(chapterIndex, blockAnchor(section.id, index, block.id), text);
+      });
+    });
+  });
+
+  const terms = {};
+  [...postings.keys()].sort().forEach(term => { terms[term] = postings.get(term); });
+
+  return { lang: book.lang, analysis, chapters, docs, terms };
+}
+
+module.exports = {
+  buildSearchIndex
+};
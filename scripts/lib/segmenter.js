@@ -0,0 +1,152 @@
+/**
+ * Text Segmenter
+ *
+ * Splits the plain text of a block into pieces a TTS request can take:
+ * at sentence boundaries first (aware of the abbreviations of the language
+ * in i18n/languages.json, initials, ¿…? and ¡…!, and never inside a quotation),
+ * then at clause punctuation, then between words, so no piece is longer
+ * than `maxChars`. Sentences are packed back together up to the limit, and
+ * a piece shorter than `minChars` takes a sentence from a neighbouring
+ * piece that can spare one, so the voice rarely reads a lone "Amen." with
+ * a cold start.
+ *
+ * Usage:
+ *   splitSentences('Dr. Usui taught in Kyoto. He said: "Just for today."', 'en')
+ *     // ['Dr. Usui taught in Kyoto.', 'He said: "Just for today."']
+ *   segment(paragraph, 'es', { maxChars: 500, minChars: 40 })
+ */
+
+const { configuredLanguages, languageInfo } = require('./book');
+
+const DEFAULTS = {
+  maxChars: 500,
+  minChars: 40
+};
+
+// Words that end with a period without ending the sentence (lowercase), from
+// i18n/languages.json; none for a language not listed there
+function abbreviationsOf(lang) {
+  const info = configuredLanguages().includes(lang) ? languageInfo(lang) : {};
+  return info.abbreviations || [];
+}
+
+const OPENING_QUOTES = '“«‘';
+const CLOSING_QUOTES = '”»’';
+const TERMINATORS = '.!?…';
+
+// Characters that can start a new sentence
+const SENTENCE_START = /[\p{Lu}\p{N}¿¡“«‘"'(]/u;
+
+function isAbbreviation(text, dotIndex, lang) {
+  const before = text.slice(0, dotIndex).toLowerCase();
+  if (abbreviationsOf(lang).some(abbr => before.endsWith(abbr) && !/[\p{L}]/u.test(before.charAt(before.length - abbr.length - 1)))) {
+    return true;
+  }
+  // Initials: "J. Smith", "C. S. Lewis"
+  return /(^|[\s(])\p{Lu}$/u.test(text.slice(0, dotIndex));
+}
+
+/**
+ * Sentences of a text, punctuation and closing quotes kept with them.
+ * @param {string} text
+ * @param {string} lang
+ * @returns {string[]}
+ */
+function splitSentences(text, lang) {
+  const sentences = [];
+  let depth = 0;          // Curly/angle quotes open
+  let straight = false;   // Inside "..."
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (!TERMINATORS.includes(ch)) {
+      if (OPENING_QUOTES.includes(ch)) depth++;
+      else if (CLOSING_QUOTES.includes(ch)) depth = Math.max(0, depth - 1);
+      else if (ch === '"') straight = !straight;
+      continue;
+    }
+
+    // Take the whole run of punctuation and the quotes/parentheses closing it
+    let end = i + 1;
+    while (end < text.length && TERMINATORS.includes(text[end])) end++;
+    for (; end < text.length; end++) {
+      const closer = text[end];
+      if (CLOSING_QUOTES.includes(closer)) depth = Math.max(0, depth - 1);
+      else if (closer === '"' && straight) straight = false;
+      else if (closer !== ')') break;
+    }
+
+    const next = text.slice(end).match(/^\s+(\S)/);
+    const boundary = depth === 0 && !straight && next && SENTENCE_START.test(next[1]) &&
+      !(ch === '.' && end === i + 1 && isAbbreviation(text, i, lang));
+
+    if (boundary) {
+      sentences.push(text.slice(start, end).trim());
+      start = end;
+    }
+    i = end - 1;
+  }
+
+  const last = text.slice(start).trim();
+  if (last) sentences.push(last);
+  return sentences;
+}
+
+// Break a text longer than `maxChars` at clause punctuation, then at spaces
+function splitLong(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const window = text.slice(0, maxChars + 1);
+  const clause = Math.max(...[';', ':', ',', '—', ' –'].map(mark => window.lastIndexOf(mark)));
+  let cut = clause > maxChars / 3 ? clause + 1 : window.lastIndexOf(' ');
+  if (cut <= 0) cut = maxChars;
+
+  return [text.slice(0, cut).trim(), ...splitLong(text.slice(cut).trim(), maxChars)];
+}
+
+/**
+ * Pieces of a block's text, each at most `maxChars` long.
+ * @param {string} text
+ * @param {string} lang
+ * @param {{maxChars?: number, minChars?: number}} [options]
+ * @returns {string[]}
+ */
+function segment(text, lang, options = {}) {
+  const { maxChars, minChars } = { ...DEFAULTS, ...options };
+  if (text.length <= maxChars) return [text];
+
+  const sentences = splitSentences(text, lang).flatMap(sentence => splitLong(sentence, maxChars));
+
+  // Pack sentences up to the limit
+  const pieces = [];
+  const length = piece => piece.join(' ').length;
+  sentences.forEach(sentence => {
+    const last = pieces[pieces.length - 1];
+    if (last && length([...last, sentence]) <= maxChars) last.push(sentence);
+    else pieces.push([sentence]);
+  });
+
+  // Packing left no room next to a piece that is still too short, so it
+  // takes the closest sentence of a neighbour that can spare one
+  const spare = (piece, rest) => Boolean(piece) && piece.length > 1 && length(rest(piece)) >= minChars;
+  pieces.forEach((piece, i) => {
+    if (length(piece) >= minChars) return;
+    const previous = pieces[i - 1];
+    const next = pieces[i + 1];
+    if (spare(previous, p => p.slice(0, -1)) && length([previous[previous.length - 1], ...piece]) <= maxChars) {
+      piece.unshift(previous.pop());
+    } else if (spare(next, p => p.slice(1)) && length([...piece, next[0]]) <= maxChars) {
+      piece.push(next.shift());
+    }
+  });
+
+  return pieces.map(piece => piece.join(' '));
+}
+
+module.exports = {
+  DEFAULTS,
+  splitSentences,
+  segment
+};
@@ -0,0 +1,189 @@
+/**
+ * Inline Text Helpers
+ *
+ * What the builders and the audio pipeline call to turn block text into
+ * HTML or plain text. Parsing lives in lib/inline.js; this module adds the
+ * glossary links, footnotes and glossary listing on top of it.
+ */
+
+const { parseInline, renderHtml, renderText, escapeText, escapeAttr } = require('./inline');
+const { stepAnchor } = require('./book');
+
+/**
+ * Collects the glossary terms and footnotes a build refers to, so the
+ * builder can list them after the text. Footnote numbers restart with
+ * every call to startChapter().
+ * @param {Object<string, {title: string, definition: string}>} glossary
+ * @param {Object<string, {title: string, text?: string, url?: string}>} references
+ * @param {Object} [options]
+ * @param {string} [options.glossaryHref] - Page the glossary lives on ('' = same page)
+ * @param {boolean} [options.epub] - Add epub:type semantics for e-readers
+ */
+function createNotes(glossary, references, options = {}) {
+  return {
+    glossary,
+    references,
+    glossaryHref: options.glossaryHref || '',
+    epub: Boolean(options.epub),
+    terms: new Set(),
+    footnotes: [],
+    startChapter(chapterId) {
+      this.chapterId = chapterId;
+      this.footnotes = [];
+    }
+  };
+}
+
+// Rendering hooks that turn markers into glossary links and footnotes,
+// throwing on ids missing from glossary.json / references.json
+function noteHooks(notes) {
+  return {
+    term(node, children) {
+      const entry = notes.glossary[node.id];
+      if (!entry) {
+        throw new Error(`{term:${node.id}} has no entry in glossary.json`);
+      }
+      notes.terms.add(node.id);
+      const epubType = notes.epub ? ' epub:type="glossref"' : '';
+      return `<a href="${notes.glossaryHref}#term-${escapeAttr(node.id)}" class="term"${epubType} data-note="${escapeAttr(node.id)}" title="${escapeAttr(entry.definition)}">${children || escapeText(entry.title)}</a>`;
+    },
+    ref(node) {
+      if (!notes.references[node.id]) {
+        throw new Error(`{ref:${node.id}} has no entry in references.json`);
+      }
+      notes.footnotes.push(node.id);
+      const n = notes.footnotes.length;
+      const id = `${notes.chapterId}-fn${n}`;
+      const epubType = notes.epub ? ' epub:type="noteref"' : '';
+      return `<sup class="footnote-ref"><a href="#${id}" id="${id}-ref" class="ref"${epubType} data-ref="${escapeAttr(node.id)}">${n}</a></sup>`;
+    }
+  };
+}
+
+/**
+ * Inline markup to HTML. With `notes` the term and ref markers become
+ * glossary links and numbered footnotes.
+ * @param {string} text
+ * @param {ReturnType<typeof createNotes>} [notes]
+ */
+function processText(text, notes) {
+  return renderHtml(parseInline(text), notes ? noteHooks(notes) : {});
+}
+
+// Hold time as m:ss, e.g. "1:30"
+function formatHold(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Guided meditation: numbered steps, each with its hold time. The reader's
+// meditation script (scripts/client/meditation.js) turns it into a timed
+// exercise; without it the steps read as a plain list.
+function renderMeditation(block, notes, anchor) {
+  const id = anchor ? ` id="${escapeAttr(anchor)}"` : '';
+  const chime = block.chime ? ' data-chime="true"' : '';
+  const title = block.title ? `<p class="meditation-title">${processText(block.title, notes)}</p>` : '';
+  const steps = block.steps.map((step, i) => {
+    const stepId = anchor ? ` id="${escapeAttr(stepAnchor(anchor, i))}"` : '';
+    return `<li class="meditation-step"${stepId} data-hold="${step.hold}">` +
+      `${processText(step.text, notes)} <time class="meditation-hold" datetime="PT${step.hold}S">${formatHold(step.hold)}</time></li>`;
+  });
+  return `<div class="meditation"${id}${chime}>${title}<ol class="meditation-steps">${steps.join('')}</ol></div>`;
+}
+
+/**
+ * One content block as HTML (<p>, <blockquote>, <hN>, <ul>/<ol>, <hr />,
+ * meditation <div>), valid XHTML for the EPUB. Throws on block types the
+ * schema does not know.
+ * @param {import('./book').Block} block
+ * @param {ReturnType<typeof createNotes>} [notes]
+ * @param {string} [anchor] - Element id (see blockAnchor in lib/book.js)
+ * @param {Object} [options]
+ * @param {number} [options.sectionLevel=3] - Heading level of section titles; sub-headings go below it
+ */
+function renderBlock(block, notes, anchor, options = {}) {
+  const id = anchor ? ` id="${escapeAttr(anchor)}"` : '';
+  switch (block.type) {
+    case 'paragraph':
+      return `<p${id}>${processText(block.text, notes)}</p>`;
+    case 'quote':
+      return `<blockquote${id}>${processText(block.text, notes)}</blockquote>`;
+    case 'heading': {
+      const level = Math.min(6, (options.sectionLevel || 3) + (block.level || 1));
+      return `<h${level} class="subheading"${id}>${processText(block.text, notes)}</h${level}>`;
+    }
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = block.items.map(item => `<li>${processText(item, notes)}</li>`);
+      return `<${tag}${id}>${items.join('')}</${tag}>`;
+    }
+    case 'epigraph': {
+      const attribution = block.attribution
+        ? `<p class="epigraph-attribution">— ${processText(block.attribution, notes)}</p>`
+        : '';
+      return `<blockquote class="epigraph"${id}><p>${processText(block.text, notes)}</p>${attribution}</blockquote>`;
+    }
+    case 'break':
+      return `<hr class="break"${id} />`;
+    case 'meditation':
+      return renderMeditation(block, notes, anchor);
+    default:
+      throw new Error(`Unknown block type "${block.type}" (run: npm run validate)`);
+  }
+}
+
+// Footnote list for the chapter currently being rendered
+function renderFootnotes(notes, indent = '') {
+  if (notes.footnotes.length === 0) return '';
+
+  const items = notes.footnotes.map((refId, i) => {
+    const ref = notes.references[refId];
+    const id = `${notes.chapterId}-fn${i + 1}`;
+    const title = ref.url
+      ? `<a href="${escapeAttr(ref.url)}" target="_blank" rel="noopener">${escapeText(ref.title)}</a>`
+      : escapeText(ref.title);
+    const text = ref.text ? ` — ${processText(ref.text)}` : '';
+    const epubType = notes.epub ? ' epub:type="footnote"' : '';
+    return `${indent}    <li id="${id}"${epubType}>${title}${text} <a href="#${id}-ref" class="footnote-back" aria-label="↩">↩</a></li>`;
+  });
+
+  const epubType = notes.epub ? ' epub:type="footnotes"' : '';
+  return `${indent}<ol class="footnotes"${epubType}>\n${items.join('\n')}\n${indent}</ol>\n`;
+}
+
+// Glossary entries for every term used so far, in glossary.json order
+function renderGlossary(notes, title, indent = '') {
+  const ids = Object.keys(notes.glossary).filter(id => notes.terms.has(id));
+  if (ids.length === 0) return '';
+
+  const entries = ids.map(id => {
+    const entry = notes.glossary[id];
+    const [termType, defType] = notes.epub ? [' epub:type="glossterm"', ' epub:type="glossdef"'] : ['', ''];
+    return `${indent}        <dt id="term-${escapeAttr(id)}"${termType}>${escapeText(entry.title)}</dt>\n` +
+      `${indent}        <dd${defType}>${escapeText(entry.definition)}</dd>`;
+  });
+
+  const epubType = notes.epub ? ' epub:type="glossary"' : '';
+  return `${indent}<section class="section glossary" id="glossary"${epubType}>
+${indent}    <h2 class="sec-title">${escapeText(title)}</h2>
+${indent}    <dl>
+${entries.join('\n')}
+${indent}    </dl>
+${indent}</section>
+`;
+}
+
+// Strip all markup for TTS (plain text output)
+function cleanText(text) {
+  if (!text) return '';
+  return renderText(parseInline(text));
+}
+
+module.exports = {
+  createNotes,
+  processText,
+  renderBlock,
+  renderFootnotes,
+  renderGlossary,
+  cleanText
+};
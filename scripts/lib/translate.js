@@ -0,0 +1,390 @@
+/**
+ * Block Translation
+ *
+ * The parts of machine translation that do not depend on who translates
+ * (see lib/translators.js): the prompt for a batch of units (see
+ * lib/translation-memory.js), batches sized to fit the reply limit, reading
+ * the JSON out of the reply, and checking every translated unit before it
+ * is accepted:
+ *
+ *   - the same number of texts as the source, none empty
+ *   - the same {term:...} and {ref:...} markers and <em> count in each text
+ *   - the translation glossary respected: a source text that uses a
+ *     glossary term must use its translation
+ *
+ * The glossary is i18n/<lang>/translation-glossary.json, source term to
+ * translation, with "/" between accepted alternatives:
+ *
+ *   { "healing": "sanación", "healer": "sanador/sanadora", "Source": "la Fuente" }
+ *
+ * A lowercase term matches any case, a capitalized one only as written
+ * ("Source" but not "source"). A translation matches at the start of a
+ * word, ignoring case and accents, so "sanación" accepts "Sanaciones".
+ *
+ * Usage:
+ *   const glossary = loadTranslationGlossary('es');
+ *   const batches = batchUnits(units, 8000);
+ *   const prompt = buildPrompt(batches[0], glossary, 'es', 'en');
+ *   const replies = extractJson(text);
+ *   const problems = checkTranslation(unit, replies[0].texts, { glossary, sourceGlossary, targetGlossary });
+ *   const blockers = chapterProblems(source, buildTargetChapter(source, target, texts));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { I18N_DIR, loadJSON, languageInfo, blockTexts, withBlockTexts } = require('./book');
+const { parseInline, renderText, collectMarkers } = require('./inline');
+const { validateContent } = require('./schema');
+const { compareChapters } = require('./parity');
+
+const GLOSSARY_FILE = 'translation-glossary.json';
+
+// Parity errors that mean a chapter no longer has the source's shape
+const STRUCTURE_ERRORS = new Set([
+  'missing-section', 'extra-section', 'reordered-section', 'missing-block', 'reordered-block',
+  'type-mismatch', 'step-mismatch', 'item-mismatch', 'id-mismatch'
+]);
+
+// Units per request, source characters per request, and the share of the
+// reply limit a batch's estimated reply may fill
+const BATCH = {
+  maxUnits: 25,
+  maxChars: 6000,
+  replyShare: 0.6
+};
+
+// Rough token estimates: characters per token, and reply tokens per token
+// of the source JSON (translations run longer than English)
+const CHARS_PER_TOKEN = 3.5;
+const REPLY_RATIO = 1.3;
+
+/**
+ * @typedef {Object} GlossaryRule
+ * @property {string} term - Source term
+ * @property {string[]} translations - Accepted translations
+ */
+
+/**
+ * Translation glossary of a language, longest terms first.
+ * @param {string} lang
+ * @returns {GlossaryRule[]}
+ */
+function loadTranslationGlossary(lang) {
+  const file = path.join(I18N_DIR, lang, GLOSSARY_FILE);
+  if (!fs.existsSync(file)) return [];
+  return Object.entries(loadJSON(file))
+    .map(([term, translation]) => ({ term, translations: translation.split('/').map(t => t.trim()).filter(Boolean) }))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+// Lowercase without accents
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Glossary rules whose term appears in a plain text.
+ * @param {string} text
+ * @param {GlossaryRule[]} glossary
+ * @returns {GlossaryRule[]}
+ */
+function rulesIn(text, glossary) {
+  return glossary.filter(rule => {
+    const flags = rule.term === rule.term.toLowerCase() ? 'iu' : 'u';
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(rule.term)}(?![\\p{L}\\p{N}])`, flags).test(text);
+  });
+}
+
+// Whether a translation appears at the start of a word in `text`
+function hasTranslation(text, translation) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(fold(translation))}`, 'u').test(fold(text));
+}
+
+/**
+ * Prompt asking for the translation of a batch of units, answered as a
+ * JSON array in the same order.
+ * @param {import('./translation-memory').Unit[]} units
+ * @param {GlossaryRule[]} glossary
+ * @param {string} lang - Target language
+ * @param {string} sourceLang
+ * @param {Object<string, string[]>} [feedback] - Problems of a previous attempt, by unit key
+ * @returns {string}
+ */
+function buildPrompt(units, glossary, lang, sourceLang, feedback = {}) {
+  const used = glossary.filter(rule => units.some(unit => unit.texts.some(text => rulesIn(text, [rule]).length > 0)));
+  const glossaryLines = used.length > 0
+    ? `GLOSSARY (always use these translations):\n${used.map(rule => `- ${rule.term} → ${rule.translations.join(' / ')}`).join('\n')}\n\n`
+    : '';
+  const input = units.map(unit => ({ key: unit.key, texts: unit.texts }));
+  const retries = units.filter(unit => feedback[unit.key]);
+  const feedbackLines = retries.length > 0
+    ? `A PREVIOUS ATTEMPT HAD THESE PROBLEMS, AVOID THEM:\n${retries.map(unit =>
+      feedback[unit.key].map(message => `- ${unit.key}: ${message}`).join('\n')).join('\n')}\n\n`
+    : '';
+  const target = languageInfo(lang);
+  const instructions = [
+    'Translate every string in "texts"; keep "key" unchanged and return the same number of texts, in the same order',
+    'Use reverent, spiritual language appropriate for a healing/spiritual text',
+    'Maintain the poetic and contemplative tone of the original',
+    'Keep {term:...} and {ref:...} markers exactly as they are (don\'t translate the ids; translate only the text after "|")',
+    'Keep HTML tags like <em> unchanged, around the translated words',
+    ...(target.translationStyle ? [target.translationStyle] : [])
+  ];
+
+  return `You are translating a spiritual book about Reiki and healing from ${languageInfo(sourceLang).name} to ${target.name}.
+
+${glossaryLines}INSTRUCTIONS:
+${instructions.map((line, i) => `${i + 1}. ${line}`).join('\n')}
+
+${feedbackLines}Here are the texts to translate, as a JSON array:
+
+${JSON.stringify(input, null, 2)}
+
+Return ONLY a JSON array of {"key", "texts"} objects, no explanations.`;
+}
+
+/**
+ * Estimated token count of a text.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimated tokens of the reply to a batch: the same JSON, translated.
+ * @param {import('./translation-memory').Unit[]} units
+ * @returns {number}
+ */
+function estimateReplyTokens(units) {
+  const json = JSON.stringify(units.map(unit => ({ key: unit.key, texts: unit.texts })), null, 2);
+  return Math.ceil(estimateTokens(json) * REPLY_RATIO);
+}
+
+/**
+ * Units split into requests of at most BATCH.maxUnits units, roughly
+ * BATCH.maxChars source characters, and an estimated reply well inside
+ * `maxTokens`, so long chapters are not cut off. A unit too long for any
+ * batch goes alone.
+ * @param {import('./translation-memory').Unit[]} units
+ * @param {number} [maxTokens] - Reply limit of the backend
+ * @returns {Array<import('./translation-memory').Unit[]>}
+ */
+function batchUnits(units, maxTokens = 8000) {
+  const maxReply = maxTokens * BATCH.replyShare;
+  const batches = [];
+  let current = [];
+  let chars = 0;
+  units.forEach(unit => {
+    const size = unit.texts.reduce((sum, text) => sum + text.length, 0);
+    if (current.length > 0 && (current.length >= BATCH.maxUnits || chars + size > BATCH.maxChars ||
+      estimateReplyTokens([...current, unit]) > maxReply)) {
+      batches.push(current);
+      current = [];
+      chars = 0;
+    }
+    current.push(unit);
+    chars += size;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// Index just past the JSON value starting at `start`, or -1
+function jsonEnd(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      stack.push(ch === '[' ? ']' : '}');
+    } else if (ch === ']' || ch === '}') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * The first JSON array or object in a model reply, ignoring code fences
+ * and any text around it.
+ * @param {string} text
+ * @returns {*}
+ * @throws {Error} When the reply holds no complete JSON value
+ */
+function extractJson(text) {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    // Look for the value inside the text below
+  }
+
+  for (let start = 0; start < trimmed.length; start++) {
+    if (trimmed[start] !== '[' && trimmed[start] !== '{') continue;
+    const end = jsonEnd(trimmed, start);
+    if (end === -1) continue;
+    try {
+      return JSON.parse(trimmed.slice(start, end));
+    } catch (e) {
+      // Not JSON after all (e.g. "[sic]"), keep looking
+    }
+  }
+  throw new Error('Reply contains no complete JSON value');
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+/**
+ * Problems of one translated unit; none means it can be used.
+ * @param {import('./translation-memory').Unit} unit - Source unit
+ * @param {*} texts - Translated texts, as received
+ * @param {{glossary: GlossaryRule[], sourceGlossary?: Object, targetGlossary?: Object}} options -
+ *   The book glossaries render {term:...} markers for the glossary check
+ * @returns {Array<{kind: 'structure'|'glossary', message: string}>}
+ */
+function checkTranslation(unit, texts, { glossary, sourceGlossary = {}, targetGlossary = {} }) {
+  const problems = [];
+  const problem = (kind, message) => problems.push({ kind, message });
+
+  if (!Array.isArray(texts) || texts.length !== unit.texts.length) {
+    problem('structure', `expected ${unit.texts.length} text(s), got ${Array.isArray(texts) ? texts.length : typeof texts}`);
+    return problems;
+  }
+
+  unit.texts.forEach((source, i) => {
+    const target = texts[i];
+    if (typeof target !== 'string' || !target.trim()) {
+      problem('structure', `text ${i + 1} is empty`);
+      return;
+    }
+
+    const sourceAst = parseInline(source);
+    const targetAst = parseInline(target);
+    const a = collectMarkers(sourceAst);
+    const b = collectMarkers(targetAst);
+    if (!sameList([...a.terms].sort(), [...b.terms].sort())) {
+      problem('structure', `text ${i + 1}: terms [${a.terms.join(', ')}] became [${b.terms.join(', ')}]`);
+    }
+    if (!sameList([...a.refs].sort(), [...b.refs].sort())) {
+      problem('structure', `text ${i + 1}: refs [${a.refs.join(', ')}] became [${b.refs.join(', ')}]`);
+    }
+    if (a.emphasis !== b.emphasis) {
+      problem('structure', `text ${i + 1}: ${a.emphasis} <em> became ${b.emphasis}`);
+    }
+
+    const sourcePlain = renderText(sourceAst, sourceGlossary);
+    const targetPlain = renderText(targetAst, targetGlossary);
+    rulesIn(sourcePlain, glossary)
+      .filter(rule => !rule.translations.some(translation => hasTranslation(targetPlain, translation)))
+      .forEach(rule => {
+        problem('glossary', `text ${i + 1}: "${rule.term}" must be translated as "${rule.translations.join('" or "')}"`);
+      });
+  });
+
+  return problems;
+}
+
+/**
+ * The translated chapter: the source's structure with translated texts.
+ * Units in `texts` get their new translation; every other block, title and
+ * number text stays as it is in `target`, and blocks that only exist in
+ * the translation stay after the block they followed. A source block with
+ * neither is left out (the structure check then refuses the chapter).
+ * @param {import('./book').Chapter} source
+ * @param {import('./book').Chapter|null} target
+ * @param {Map<string, string[]>} texts - New translations, by unit key
+ * @returns {import('./book').Chapter}
+ */
+function buildTargetChapter(source, target, texts) {
+  const text = (key, current) => (texts.has(key) ? texts.get(key)[0] : current);
+  const sourceIds = new Set(source.sections.flatMap(section => section.content.map(block => block.id)));
+
+  const chapter = {
+    id: source.id,
+    number: source.number,
+    numberText: text(`${source.id}.numberText`, target && target.numberText),
+    title: text(`${source.id}.title`, target && target.title),
+    sections: source.sections.map(section => {
+      const old = target && target.sections.find(s => s.id === section.id);
+      const oldBlocks = new Map(old ? old.content.filter(block => block.id).map(block => [block.id, block]) : []);
+      const result = { id: section.id };
+      if (section.title) result.title = text(`${section.id}.title`, old && old.title);
+
+      const content = [];
+      section.content.forEach(block => {
+        const current = oldBlocks.get(block.id);
+        const translated = texts.get(block.id);
+        if (translated) {
+          // Keep the translation's own fields unless its structure changed
+          const fits = current && current.type === block.type && blockTexts(current).length === translated.length;
+          content.push(withBlockTexts(fits ? current : block, translated));
+        } else if (current) {
+          content.push(current);
+        } else if (blockTexts(block).length === 0) {
+          content.push(block);
+        }
+      });
+
+      // Blocks only in the translation, after the block they followed
+      let at = 0;
+      (old ? old.content : []).forEach(block => {
+        if (block.id && sourceIds.has(block.id)) {
+          const index = content.findIndex(b => b.id === block.id);
+          if (index !== -1) at = index + 1;
+        } else {
+          content.splice(at++, 0, block);
+        }
+      });
+
+      result.content = content;
+      return result;
+    })
+  };
+
+  return chapter;
+}
+
+/**
+ * Why a translated chapter may not be written: schema violations, and
+ * parity errors that mean it lost the source's structure. None means it
+ * can be saved.
+ * @param {import('./book').Chapter} source
+ * @param {import('./book').Chapter} chapter
+ * @returns {string[]}
+ */
+function chapterProblems(source, chapter) {
+  return [
+    ...validateContent(chapter, 'chapter').map(v => `${v.path}  ${v.message}`),
+    ...compareChapters(source, chapter).issues
+      .filter(issue => issue.severity === 'error' && STRUCTURE_ERRORS.has(issue.kind))
+      .map(issue => `[${issue.kind}] ${issue.message}`)
+  ];
+}
+
+module.exports = {
+  GLOSSARY_FILE,
+  BATCH,
+  loadTranslationGlossary,
+  buildPrompt,
+  estimateTokens,
+  estimateReplyTokens,
+  batchUnits,
+  extractJson,
+  checkTranslation,
+  buildTargetChapter,
+  chapterProblems
+};
@@ -0,0 +1,189 @@
+/**
+ * Translation Memory
+ *
+ * i18n/<lang>/translation-memory.json records, for every translated unit
+ * of the book (a block by its id, or a chapter or section title), a hash
+ * of the source text it was translated from, the translation and who made
+ * it:
+ *
+ *   {
+ *     "source": "en",
+ *     "units": {
+ *       "k3x9qa": {
+ *         "hash": "5e0c9a1f2b7d",
+ *         "status": "approved",
+ *         "target": ["Antes de que existiera el tiempo..."]
+ *       }
+ *     }
+ *   }
+ *
+ *   hash    Hash of the source texts the translation belongs to
+ *   status  "machine" (made by scripts/translate-reiki.js) or "approved"
+ *           (written or edited by a person, never replaced by a machine)
+ *
+ * Comparing the memory with the chapters tells what a unit needs: nothing
+ * when source and translation are as recorded, a machine translation when
+ * it is new or its source changed, and a human review when the source of
+ * an approved translation changed. A translation that differs from the
+ * recorded one was edited by hand and becomes approved.
+ *
+ * Usage:
+ *   const memory = openMemory('es');
+ *   const unit = memory.get('k3x9qa');
+ *   memory.set('k3x9qa', { hash, status: 'machine', target });
+ *   memory.findByHash(hash)   // a translation of the same source text
+ *   const texts = applyPlan(planUnits(source, target, memory), memory);
+ *   memory.save();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { I18N_DIR, SOURCE_LANG, loadJSON, blockTexts } = require('./book');
+
+const FILE_NAME = 'translation-memory.json';
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} key - Block id, "<chapter>.title", "<chapter>.numberText"
+ *   or "<section>.title"
+ * @property {string} type - Block type, or "title"
+ * @property {string[]} texts - Inline texts, in blockTexts() order
+ */
+
+/**
+ * Hash of a unit's source, the memory's key for "same source text".
+ * @param {{type: string, texts: string[]}} unit
+ * @returns {string}
+ */
+function sourceHash(unit) {
+  return crypto.createHash('sha1').update(JSON.stringify([unit.type, unit.texts])).digest('hex').slice(0, 12);
+}
+
+/**
+ * Translatable units of a chapter, in reading order: chapter number text
+ * and title, then each section's title and blocks. Blocks without texts
+ * (breaks) and without an id are left out.
+ * @param {import('./book').Chapter} chapter
+ * @returns {Unit[]}
+ */
+function chapterUnits(chapter) {
+  const units = [
+    { key: `${chapter.id}.numberText`, type: 'title', texts: [chapter.numberText] },
+    { key: `${chapter.id}.title`, type: 'title', texts: [chapter.title] }
+  ];
+  chapter.sections.forEach(section => {
+    if (section.title) units.push({ key: `${section.id}.title`, type: 'title', texts: [section.title] });
+    section.content.forEach(block => {
+      const texts = blockTexts(block).map(part => part.text);
+      if (block.id && texts.length > 0) units.push({ key: block.id, type: block.type, texts });
+    });
+  });
+  return units;
+}
+
+function sameTexts(a, b) {
+  return a.length === b.length && a.every((text, i) => text === b[i]);
+}
+
+/**
+ * What every source unit of a chapter needs, from the translated chapter
+ * and the memory:
+ *   current    translation recorded for this source, nothing to do
+ *   record     translation not in the memory yet, or edited by hand since
+ *              it was recorded: recorded as approved for this source
+ *   review     source changed under an approved translation: a person
+ *              has to update it (it is never replaced)
+ *   reuse      no translation yet, but the memory has one of the same text
+ *   translate  no translation yet, or a machine translation of an older
+ *              source
+ * @param {import('./book').Chapter} source
+ * @param {import('./book').Chapter|null} target
+ * @param {ReturnType<typeof openMemory>} memory
+ * @returns {Array<{unit: Unit, hash: string, action: string, target: string[]|null, entry: Object|null}>}
+ */
+function planUnits(source, target, memory) {
+  const translated = new Map((target ? chapterUnits(target) : []).map(unit => [unit.key, unit.texts]));
+
+  return chapterUnits(source).map(unit => {
+    const hash = sourceHash(unit);
+    const texts = translated.get(unit.key) || null;
+    const entry = memory.get(unit.key);
+    let action;
+
+    if (texts && (!entry || !sameTexts(texts, entry.target))) action = 'record';
+    else if (texts && entry.hash === hash) action = 'current';
+    else if (texts && entry.status === 'approved') action = 'review';
+    else if (!texts && memory.findByHash(hash)) action = 'reuse';
+    else action = 'translate';
+
+    return { unit, hash, action, target: texts, entry };
+  });
+}
+
+/**
+ * Records what a plan takes as it is: translations not in the memory yet
+ * or edited by hand become approved, and reused ones are copied with the
+ * status they had. Returns the reused translations, by unit key, for the
+ * chapter.
+ * @param {ReturnType<typeof planUnits>} plan
+ * @param {ReturnType<typeof openMemory>} memory
+ * @returns {Map<string, string[]>}
+ */
+function applyPlan(plan, memory) {
+  const texts = new Map();
+  plan.forEach(p => {
+    if (p.action === 'record') {
+      memory.set(p.unit.key, { hash: p.hash, status: 'approved', target: p.target });
+    } else if (p.action === 'reuse') {
+      const found = memory.findByHash(p.hash);
+      memory.set(p.unit.key, { hash: p.hash, status: found.status, target: found.target });
+      texts.set(p.unit.key, found.target);
+    }
+  });
+  return texts;
+}
+
+/**
+ * The translation memory of a language.
+ * @param {string} lang
+ */
+function openMemory(lang) {
+  const file = path.join(I18N_DIR, lang, FILE_NAME);
+  const units = fs.existsSync(file) ? loadJSON(file).units || {} : {};
+
+  return {
+    file,
+    units,
+
+    get(key) {
+      return units[key] || null;
+    },
+
+    set(key, entry) {
+      units[key] = { hash: entry.hash, status: entry.status, target: entry.target };
+    },
+
+    // An approved translation of the same source text, else a machine one
+    findByHash(hash) {
+      const matches = Object.values(units).filter(unit => unit.hash === hash);
+      return matches.find(unit => unit.status === 'approved') || matches[0] || null;
+    },
+
+    save() {
+      const sorted = {};
+      Object.keys(units).sort().forEach(key => { sorted[key] = units[key]; });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ source: SOURCE_LANG, units: sorted }, null, 2) + '\n', 'utf8');
+    }
+  };
+}
+
+module.exports = {
+  FILE_NAME,
+  sourceHash,
+  chapterUnits,
+  planUnits,
+  applyPlan,
+  openMemory
+};
@@ -0,0 +1,281 @@
+/**
+ * Machine Translation Backends
+ *
+ * One interface for every engine scripts/translate-reiki.js can use:
+ *
+ *   backend.translate(request) → Promise<{text, truncated, usage}>
+ *
+ *   request    { prompt, units, lang, sourceLang, maxTokens }
+ *   text       The reply, expected to hold the JSON array asked for
+ *   truncated  The reply stopped at maxTokens (the caller splits the batch)
+ *   usage      { input, output } tokens, as reported by the engine
+ *
+ * Backends:
+ *   anthropic  Anthropic Messages API             ANTHROPIC_API_KEY, ANTHROPIC_MODEL
+ *   openai     Any OpenAI-compatible endpoint     OPENAI_API_KEY, OPENAI_MODEL, OPENAI_API_URL
+ *              (/v1/chat/completions: OpenAI, a local llama.cpp/Ollama/vLLM server, ...)
+ *   mock       No network: replies from a fixtures file (TRANSLATE_MOCK_FIXTURES), echoing
+ *              the source for units it has no fixture for
+ *
+ * The backend is picked with --backend <name> or TRANSLATE_BACKEND (default:
+ * anthropic), the model with --model or the backend's variable. The
+ * Anthropic base URL can be overridden with ANTHROPIC_API_URL, e.g. to
+ * point at a local mock server. OPENAI_API_KEY is optional, local servers
+ * do not ask for one.
+ *
+ * The fixtures file maps a unit key, or a source text, to its translation:
+ *
+ *   { "k3x9qa": ["Antes de que existiera el tiempo..."], "Healing": "Sanación" }
+ *
+ * Replies are capped at TRANSLATE_MAX_TOKENS (default 8000), lower it for
+ * local models with a small context. Prices (USD per million tokens) are
+ * for cost estimates; set TRANSLATE_PRICE_INPUT and TRANSLATE_PRICE_OUTPUT
+ * for models not listed. A request that stalls for TRANSLATE_TIMEOUT seconds
+ * (default 300, long replies from local models are slow) fails as retryable.
+ *
+ * Usage:
+ *   const { createBackend } = require('./lib/translators');
+ *   const backend = createBackend('openai');
+ *   const { text } = await backend.translate({ prompt, units, lang: 'es', sourceLang: 'en', maxTokens: 8000 });
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BACKEND = 'anthropic';
+
+// Largest reply we ask for; batches are sized to fit well inside it
+const MAX_TOKENS = parseInt(process.env.TRANSLATE_MAX_TOKENS) || 8000;
+
+// Seconds a request may stall before it is abandoned
+const DEFAULT_TIMEOUT = 300;
+
+// USD per million tokens, input and output
+const PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+};
+
+/**
+ * Error from a backend. `status` is the HTTP status when there is one,
+ * `retryable` tells the caller whether trying again can help.
+ */
+class TranslationError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function requestTimeout() {
+  return (parseFloat(process.env.TRANSLATE_TIMEOUT) || DEFAULT_TIMEOUT) * 1000;
+}
+
+// POST a JSON body and resolve with the parsed JSON response
+function postJson(urlString, headers, payload, timeout = requestTimeout()) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlString);
+    const client = url.protocol === 'http:' ? http : https;
+    const body = Buffer.from(JSON.stringify(payload));
+    const fail = error => reject(error instanceof TranslationError
+      ? error
+      : new TranslationError(`Request failed: ${error.message}`, { retryable: true }));
+
+    const req = client.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': body.length }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', fail);
+      res.on('end', () => {
+        const data = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode !== 200) {
+          reject(new TranslationError(`API Error ${res.statusCode}: ${data.slice(0, 300)}`, {
+            status: res.statusCode,
+            // Rate limits and server errors (Anthropic's "overloaded" is 529)
+            retryable: res.statusCode === 429 || res.statusCode >= 500
+          }));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new TranslationError(`API returned invalid JSON: ${data.slice(0, 200)}`, { retryable: true }));
+        }
+      });
+    });
+
+    // A stalled connection would otherwise never settle
+    req.setTimeout(timeout, () => {
+      req.destroy(new TranslationError(`Request timed out after ${timeout / 1000}s`, { retryable: true }));
+    });
+    req.on('error', fail);
+    req.write(body);
+    req.end();
+  });
+}
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new TranslationError(`${name} environment variable is required`);
+  }
+  return process.env[name];
+}
+
+// Price of a model: the environment overrides the table
+function priceOf(model) {
+  const input = parseFloat(process.env.TRANSLATE_PRICE_INPUT);
+  const output = parseFloat(process.env.TRANSLATE_PRICE_OUTPUT);
+  if (!isNaN(input) && !isNaN(output)) return { input, output };
+  return PRICES[model] || null;
+}
+
+// Anthropic: Messages API
+function anthropicBackend(model) {
+  const baseUrl = (process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+  model = model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+
+  return {
+    name: 'anthropic',
+    model,
+    maxTokens: MAX_TOKENS,
+    price: priceOf(model),
+    requireKey() {
+      requireEnv('ANTHROPIC_API_KEY');
+    },
+    async translate({ prompt, maxTokens = MAX_TOKENS }) {
+      const apiKey = requireEnv('ANTHROPIC_API_KEY');
+      const message = await postJson(`${baseUrl}/v1/messages`, {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      }, {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      });
+
+      const usage = message.usage || {};
+      return {
+        text: (message.content || []).filter(part => part.type === 'text').map(part => part.text).join(''),
+        truncated: message.stop_reason === 'max_tokens',
+        usage: { input: usage.input_tokens || 0, output: usage.output_tokens || 0 }
+      };
+    }
+  };
+}
+
+// OpenAI-compatible: /v1/chat/completions
+function openaiBackend(model) {
+  const baseUrl = (process.env.OPENAI_API_URL || 'https://api.openai.com').replace(/\/$/, '');
+  model = model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  return {
+    name: 'openai',
+    model,
+    maxTokens: MAX_TOKENS,
+    price: priceOf(model),
+    requireKey() {
+      // Only the hosted API needs a key
+      if (!process.env.OPENAI_API_URL) requireEnv('OPENAI_API_KEY');
+    },
+    async translate({ prompt, maxTokens = MAX_TOKENS }) {
+      const apiKey = process.env.OPENAI_API_KEY;
+      const completion = await postJson(`${baseUrl}/v1/chat/completions`, apiKey ? {
+        'Authorization': `Bearer ${apiKey}`
+      } : {}, {
+        model,
+        max_tokens: maxTokens,
+        temperature: 0.3,
+        messages: [{ role: 'user', content: prompt }]
+      });
+
+      const choice = (completion.choices || [])[0];
+      if (!choice || !choice.message) {
+        throw new TranslationError('API returned no choices', { retryable: true });
+      }
+      const usage = completion.usage || {};
+      return {
+        text: choice.message.content || '',
+        truncated: choice.finish_reason === 'length',
+        usage: { input: usage.prompt_tokens || 0, output: usage.completion_tokens || 0 }
+      };
+    }
+  };
+}
+
+// Mock: fixtures by unit key or source text, else the source unchanged
+function mockBackend() {
+  const file = process.env.TRANSLATE_MOCK_FIXTURES;
+  let fixtures = {};
+  if (file) {
+    if (!fs.existsSync(file)) throw new TranslationError(`Mock fixtures not found: ${file}`);
+    try {
+      fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new TranslationError(`Could not load ${file}: ${error.message}`);
+    }
+  }
+
+  const lookup = unit => {
+    const found = fixtures[unit.key] || fixtures[unit.texts.join('\n')];
+    if (found === undefined) return unit.texts;
+    return Array.isArray(found) ? found : [found];
+  };
+
+  return {
+    name: 'mock',
+    model: file ? `fixtures:${file}` : 'echo',
+    maxTokens: MAX_TOKENS,
+    price: { input: 0, output: 0 },
+    requireKey() {},
+    async translate({ units }) {
+      return {
+        text: JSON.stringify(units.map(unit => ({ key: unit.key, texts: lookup(unit) })), null, 2),
+        truncated: false,
+        usage: { input: 0, output: 0 }
+      };
+    }
+  };
+}
+
+const BACKENDS = {
+  anthropic: anthropicBackend,
+  openai: openaiBackend,
+  mock: mockBackend
+};
+
+/**
+ * Creates a backend by name.
+ * @param {string} [name] - anthropic, openai or mock (default: TRANSLATE_BACKEND or anthropic)
+ * @param {string} [model] - Overrides the backend's model
+ * @returns {{name: string, model: string, maxTokens: number, price: ?{input: number, output: number},
+ *   requireKey: function(): void, translate: function(Object): Promise<{text: string, truncated: boolean,
+ *   usage: {input: number, output: number}}>}}
+ */
+function createBackend(name = process.env.TRANSLATE_BACKEND || DEFAULT_BACKEND, model = null) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Translation backend must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory(model);
+}
+
+module.exports = {
+  BACKENDS,
+  MAX_TOKENS,
+  PRICES,
+  TranslationError,
+  createBackend
+};
@@ -0,0 +1,246 @@
+/**
+ * Text-to-Speech Providers
+ *
+ * One interface for every TTS engine the audio pipeline can use:
+ *
+ *   provider.synthesize(text, voice, options) → Promise<Buffer>  (MP3 data)
+ *
+ * Providers:
+ *   fish      Fish Audio (msgpack API)              FISH_API_KEY, FISH_VOICE_ID
+ *   cartesia  Cartesia (/tts/bytes)                 CARTESIA_API_KEY, CARTESIA_VOICE_ID
+ *   local     Command-line engine, offline drafts   TTS_LOCAL_ENGINE (espeak-ng|piper), TTS_LOCAL_VOICE
+ *
+ * The provider is picked with --provider <name> or TTS_PROVIDER (default:
+ * fish). API base URLs can be overridden with FISH_API_URL and
+ * CARTESIA_API_URL, e.g. to point at a local mock server. A request that
+ * stalls for TTS_TIMEOUT seconds (default 120) fails as retryable.
+ *
+ * Usage:
+ *   const { createProvider } = require('./lib/tts');
+ *   const tts = createProvider('cartesia');
+ *   const mp3 = await tts.synthesize('Hello', tts.defaultVoice, { lang: 'en' });
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+
+const DEFAULT_PROVIDER = 'fish';
+
+// Seconds a vendor request may stall before it is abandoned
+const DEFAULT_TIMEOUT = 120;
+
+/**
+ * Error from a provider. `status` is the HTTP status when there is one,
+ * `retryable` tells the caller whether trying again can help.
+ */
+class TTSError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'TTSError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// MP3 data starts with an ID3 tag or an MPEG frame sync
+function isMp3(data) {
+  return data.slice(0, 3).toString('latin1') === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0);
+}
+
+function requestTimeout() {
+  return (parseFloat(process.env.TTS_TIMEOUT) || DEFAULT_TIMEOUT) * 1000;
+}
+
+// POST a body and resolve with the MP3 response body as a Buffer
+function postBinary(urlString, headers, body, timeout = requestTimeout()) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlString);
+    const client = url.protocol === 'http:' ? http : https;
+    const fail = error => reject(error instanceof TTSError
+      ? error
+      : new TTSError(`Request failed: ${error.message}`, { retryable: true }));
+
+    const req = client.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': body.length }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', fail);
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode !== 200) {
+          reject(new TTSError(`API Error ${res.statusCode}: ${data.toString('utf8').slice(0, 300)}`, {
+            status: res.statusCode,
+            retryable: res.statusCode === 429 || res.statusCode >= 500
+          }));
+          return;
+        }
+        if (data.length === 0) {
+          reject(new TTSError('API returned no audio', { retryable: true }));
+          return;
+        }
+        // A 200 with an error page or JSON instead of the MP3
+        if (!isMp3(data)) {
+          const type = res.headers['content-type'] || 'unknown type';
+          reject(new TTSError(`API returned no audio (${type}): ${data.toString('utf8').slice(0, 200)}`, { retryable: true }));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    // A stalled connection would otherwise never settle
+    req.setTimeout(timeout, () => {
+      req.destroy(new TTSError(`Request timed out after ${timeout / 1000}s`, { retryable: true }));
+    });
+    req.on('error', fail);
+    req.write(body);
+    req.end();
+  });
+}
+
+// Run a command, feeding `input` on stdin; rejects with its stderr on failure
+function run(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('error', error => reject(new TTSError(`${command}: ${error.message}`)));
+    child.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new TTSError(`${command} exited with code ${code}: ${stderr.trim().slice(0, 300)}`));
+    });
+    child.stdin.end(input || '');
+  });
+}
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new TTSError(`${name} environment variable is required`);
+  }
+  return process.env[name];
+}
+
+// Fish Audio: msgpack request, MP3 response
+function fishProvider() {
+  const baseUrl = (process.env.FISH_API_URL || 'https://api.fish.audio').replace(/\/$/, '');
+  const settings = { format: 'mp3', mp3_bitrate: 128, chunk_length: 200, latency: 'normal', normalize: true };
+
+  return {
+    name: 'fish',
+    defaultVoice: process.env.FISH_VOICE_ID || 'f53102becdf94a51af6d64010bc658f2',
+    settings,
+    async synthesize(text, voice) {
+      const apiKey = requireEnv('FISH_API_KEY');
+      // Only needed for this provider, so loaded lazily
+      const { encode } = require('@msgpack/msgpack');
+      const body = Buffer.from(encode({ text, reference_id: voice, ...settings }));
+
+      return postBinary(`${baseUrl}/v1/tts`, {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/msgpack'
+      }, body);
+    }
+  };
+}
+
+// Cartesia: JSON request to /tts/bytes, MP3 response
+function cartesiaProvider() {
+  const baseUrl = (process.env.CARTESIA_API_URL || 'https://api.cartesia.ai').replace(/\/$/, '');
+  const settings = {
+    model_id: process.env.CARTESIA_MODEL || 'sonic-2',
+    output_format: { container: 'mp3', sample_rate: 44100, bit_rate: 128000 }
+  };
+
+  return {
+    name: 'cartesia',
+    defaultVoice: process.env.CARTESIA_VOICE_ID || '',
+    settings,
+    async synthesize(text, voice, options = {}) {
+      const apiKey = requireEnv('CARTESIA_API_KEY');
+      if (!voice) throw new TTSError('CARTESIA_VOICE_ID environment variable (or --voice) is required');
+
+      const body = Buffer.from(JSON.stringify({
+        model_id: settings.model_id,
+        transcript: text,
+        voice: { mode: 'id', id: voice },
+        output_format: settings.output_format,
+        ...(options.lang ? { language: options.lang } : {})
+      }));
+
+      return postBinary(`${baseUrl}/tts/bytes`, {
+        'X-API-Key': apiKey,
+        'Cartesia-Version': '2024-06-10',
+        'Content-Type': 'application/json'
+      }, body);
+    }
+  };
+}
+
+// Local engine: espeak-ng or piper write a WAV, ffmpeg turns it into MP3
+function localProvider() {
+  const engine = process.env.TTS_LOCAL_ENGINE || 'espeak-ng';
+  if (!['espeak-ng', 'piper'].includes(engine)) {
+    throw new TTSError(`TTS_LOCAL_ENGINE must be one of: espeak-ng, piper`);
+  }
+  const settings = { engine, format: 'mp3', sample_rate: 44100, bitrate: '128k' };
+
+  return {
+    name: 'local',
+    defaultVoice: process.env.TTS_LOCAL_VOICE || '',
+    settings,
+    async synthesize(text, voice, options = {}) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+      const wav = path.join(dir, 'speech.wav');
+      const mp3 = path.join(dir, 'speech.mp3');
+
+      try {
+        if (engine === 'piper') {
+          if (!voice) throw new TTSError('piper needs a voice model (TTS_LOCAL_VOICE or --voice)');
+          await run('piper', ['--model', voice, '--output_file', wav], text);
+        } else {
+          await run('espeak-ng', ['-v', voice || options.lang || 'en', '-w', wav, '--stdin'], text);
+        }
+        await run('ffmpeg', ['-v', 'error', '-i', wav, '-ar', String(settings.sample_rate),
+          '-ac', '2', '-b:a', settings.bitrate, '-y', mp3]);
+        return fs.readFileSync(mp3);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+const PROVIDERS = {
+  fish: fishProvider,
+  cartesia: cartesiaProvider,
+  local: localProvider
+};
+
+/**
+ * Creates a provider by name.
+ * @param {string} [name] - fish, cartesia or local (default: TTS_PROVIDER or fish)
+ * @returns {{name: string, defaultVoice: string, settings: Object,
+ *   synthesize: function(string, string, Object=): Promise<Buffer>}}
+ */
+function createProvider(name = process.env.TTS_PROVIDER || DEFAULT_PROVIDER) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`TTS provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  PROVIDERS,
+  TTSError,
+  createProvider
+};
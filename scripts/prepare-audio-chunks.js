@@ -4,16 +4,61 @@
  * Prepare Audio Chunks Script
  *
  * Reads a chapter JSON and divides it into chunks for TTS generation
- * Each chunk has metadata about pause duration after it
+ * Each chunk has metadata about pause duration after it and the section
+ * id / block index it was read from (used by the audio timing maps)
+ *
+ * Blocks longer than the character limit (--max-chars, TTS_MAX_CHARS,
+ * default 500) are split at sentence boundaries (scripts/lib/segmenter.js),
+ * with a short pause between the pieces. A block can set its own pause
+ * with "pause": <seconds> in the chapter JSON.
+ *
+ * Short neighbours are read together: a paragraph, quote, list item or
+ * epigraph chunk shorter than --min-chars (default 40) joins the chunk
+ * before it in the same section when no more than a paragraph's pause
+ * separates them and the two fit the character limit. The joined chunk
+ * lists its blocks in `blocks`, with their share of the text, so the
+ * timing map still finds each one (--min-chars 0 turns this off).
+ *
+ * Each block type has its own pause and spoken form: sub-headings and
+ * section titles get a longer silence before and after them, list items
+ * are read one by one (numbered for ordered lists), an epigraph's
+ * attribution follows a short pause, and a break is a longer silence with
+ * nothing read.
+ *
+ * Meditation blocks become one chunk per step (plus the title), each
+ * followed by a silence of exactly the step's "hold" seconds. With
+ * "chime": true a chime (audio/cues/chime.wav) sounds after every hold
+ * but the last, marking the next step; chunks carry `step` and `chime` so
+ * the concatenation and the timing map know about both.
+ *
+ * Chunk ids come from the block's stable id ("ch3-k3x9qa-1" is the first
+ * piece of one paragraph, see scripts/lib/block-ids.js), or for a block
+ * without one from its section and text ("ch3-5e0c9a1f-1"), never from its
+ * position, so adding or moving paragraphs leaves the ids of all other
+ * chunks unchanged. A joined chunk is named after the chunks it joins
+ * ("ch3-k3x9qa-1_m2p7xd-1"). Chunks of a block with an id carry it as
+ * `blockId`.
+ *
+ * Names and terms are respelled with the language's pronunciation lexicon
+ * (i18n/<lang>/pronunciation.json, see scripts/lib/pronunciation.js).
+ * Providers with phoneme hints in the lexicon get their own version of the
+ * text in `chunk.variants[provider]`.
  *
  * Usage:
  *   node scripts/prepare-audio-chunks.js <chapter-number> <lang>
  *   node scripts/prepare-audio-chunks.js 1 en
  *   node scripts/prepare-audio-chunks.js all en
+ *   node scripts/prepare-audio-chunks.js 3 es --max-chars 300
+ *   node scripts/prepare-audio-chunks.js 3 es --min-chars 0     # Every block on its own
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AUDIO_DIR, assertLanguage, loadBook, blockTexts, sectionTitle, resolveChapterArg } = require('./lib/book');
+const { cleanText } = require('./lib/text');
+const { createLexicon } = require('./lib/pronunciation');
+const { DEFAULTS: SEGMENT_DEFAULTS, segment } = require('./lib/segmenter');
 
 // Pause durations in seconds
 const PAUSES = {
@@ -21,74 +66,235 @@ const PAUSES = {
   afterParagraph: 0.8,
   afterQuote: 1.5,
   afterSection: 2.5,
-  endChapter: 3.0
+  endChapter: 3.0,
+  betweenPieces: 0.4,    // Between the pieces of a split block
+  beforeHeading: 1.5,    // At least this before a sub-heading or section title
+  afterHeading: 1.2,
+  betweenItems: 0.6,     // Between list items
+  beforeAttribution: 0.6,
+  afterEpigraph: 2.0,
+  atBreak: 2.5           // Scene break: silence only
+};
+
+// Block types whose chunks may be read together with a neighbour
+const JOINABLE = new Set(['paragraph', 'quote', 'list', 'epigraph']);
+
+// Default pause after each block type
+const BLOCK_PAUSES = {
+  quote: PAUSES.afterQuote,
+  heading: PAUSES.afterHeading,
+  epigraph: PAUSES.afterEpigraph,
+  break: PAUSES.atBreak
 };
 
-function cleanText(text) {
-  if (!text) return '';
+// A list item as it is read: numbered when the list is, and ending in
+// punctuation so the voice closes it
+function listItemText(text, index, ordered) {
+  const closed = /[.!?…:;]$/.test(text) ? text : `${text}.`;
+  return ordered ? `${index + 1}. ${closed}` : closed;
+}
+
+// Id part for a block: its stable id, or else its section and text with a
+// counter for repeats
+function blockIdFactory() {
+  const used = new Set();
+  const hash = value => crypto.createHash('sha1').update(value).digest('hex').slice(0, 8);
+
+  return (section, block) => {
+    if (block.id) return block.id;
+    const text = blockTexts(block).map(part => part.text).join('\n');
+    let id = hash(`${section.id}\n${text}`);
+    for (let n = 2; used.has(id); n++) {
+      id = hash(`${section.id}\n${text}\n${n}`);
+    }
+    used.add(id);
+    return id;
+  };
+}
+
+// Spoken parts of a block, each with the pause after it; `pauseAfter`
+// follows the whole block. A meditation holds the exact silence of every
+// step; a break has nothing to say.
+function blockParts(block, pauseAfter) {
+  switch (block.type) {
+    case 'break':
+      return [];
+    case 'list':
+      return block.items.map((item, i) => ({
+        text: listItemText(cleanText(item), i, block.ordered),
+        pauseAfter: i === block.items.length - 1 ? pauseAfter : PAUSES.betweenItems
+      }));
+    case 'epigraph':
+      return block.attribution
+        ? [
+          { text: cleanText(block.text), pauseAfter: PAUSES.beforeAttribution },
+          { text: cleanText(block.attribution), pauseAfter }
+        ]
+        : [{ text: cleanText(block.text), pauseAfter }];
+    case 'meditation':
+      return meditationParts(block, pauseAfter);
+    default:
+      return [{ text: cleanText(block.text), pauseAfter }];
+  }
+}
+
+// Title, then every step followed by its hold (and a chime into the next)
+function meditationParts(block, pauseAfter) {
+  const parts = [];
+  if (block.title) {
+    parts.push({ text: cleanText(block.title), pauseAfter: PAUSES.afterParagraph });
+  }
+  block.steps.forEach((step, stepIndex) => {
+    const isLastStep = stepIndex === block.steps.length - 1;
+    parts.push({
+      text: cleanText(step.text),
+      pauseAfter: isLastStep ? step.hold + pauseAfter : step.hold,
+      step: stepIndex,
+      chime: Boolean(block.chime) && !isLastStep
+    });
+  });
+  return parts;
+}
 
-  // Remove {term:...} markers
-  text = text.replace(/\{term:([^}|]+)(?:\|([^}]+))?\}/g, (match, termId, customText) => {
-    return customText || termId;
+// Chunk text with the lexicon applied, plus per-provider phoneme variants
+function speak(text, lexicon) {
+  const spoken = { text: lexicon.apply(text) };
+  lexicon.providers().forEach(provider => {
+    const variant = lexicon.apply(text, provider);
+    if (variant !== spoken.text) {
+      spoken.variants = { ...spoken.variants, [provider]: variant };
+    }
   });
+  return spoken;
+}
 
-  // Remove {ref:...} markers
-  text = text.replace(/\{ref:([^}]+)\}/g, '');
+// Where a chunk's text comes from: the block, and how much of the text
+function chunkBlocks(chunk) {
+  if (chunk.blocks) return chunk.blocks;
+  const part = { block: chunk.block };
+  if (chunk.blockId) part.blockId = chunk.blockId;
+  return [{ ...part, type: chunk.type, chars: chunk.text.length }];
+}
 
-  // Remove HTML tags but keep the content
-  text = text.replace(/<em>/g, '');
-  text = text.replace(/<\/em>/g, '');
-  text = text.replace(/<strong>/g, '');
-  text = text.replace(/<\/strong>/g, '');
+// One chunk reading `a` then `b`; provider variants fall back to the text
+function joinChunks(a, b, chapterNum) {
+  const blocks = [];
+  [...chunkBlocks(a), ...chunkBlocks(b)].forEach(part => {
+    const last = blocks[blocks.length - 1];
+    if (last && last.block === part.block) last.chars += 1 + part.chars;
+    else blocks.push({ ...part });
+  });
 
-  // Clean up extra whitespace
-  text = text.replace(/\s+/g, ' ').trim();
+  const joined = {
+    id: `${a.id}_${b.id.slice(`ch${chapterNum}-`.length)}`,
+    type: a.type,
+    text: `${a.text} ${b.text}`,
+    pauseAfter: b.pauseAfter,
+    section: a.section,
+    block: a.block
+  };
+  if (a.blockId) joined.blockId = a.blockId;
+  if (blocks.length > 1) joined.blocks = blocks;
 
-  return text;
+  const providers = new Set([...Object.keys(a.variants || {}), ...Object.keys(b.variants || {})]);
+  providers.forEach(provider => {
+    const variant = chunk => (chunk.variants && chunk.variants[provider]) || chunk.text;
+    joined.variants = { ...joined.variants, [provider]: `${variant(a)} ${variant(b)}` };
+  });
+  return joined;
 }
 
-function prepareChapterChunks(chapterNum, lang) {
-  const chapterFile = path.join(__dirname, '..', 'i18n', lang, 'chapters', `ch${chapterNum}.json`);
+/**
+ * Reads short neighbours together: a chunk joins the one before it when
+ * both come from joinable blocks of the same section, one of them is
+ * shorter than `minChars`, the pause between them is no longer than a
+ * paragraph's and the joined text fits `maxChars`.
+ * @param {Object[]} chunks
+ * @param {number} chapterNum
+ * @param {{maxChars: number, minChars: number}} limits
+ * @returns {Object[]}
+ */
+function joinShortChunks(chunks, chapterNum, limits) {
+  const joinable = chunk => JOINABLE.has(chunk.type) && chunk.block !== undefined &&
+    chunk.step === undefined && !chunk.chime;
+
+  return chunks.reduce((result, chunk) => {
+    const last = result[result.length - 1];
+    const fits = last && joinable(last) && joinable(chunk) &&
+      last.section === chunk.section &&
+      last.pauseAfter <= PAUSES.afterParagraph &&
+      (last.text.length < limits.minChars || chunk.text.length < limits.minChars) &&
+      last.text.length + 1 + chunk.text.length <= limits.maxChars;
+
+    if (fits) result[result.length - 1] = joinChunks(last, chunk, chapterNum);
+    else result.push(chunk);
+    return result;
+  }, []);
+}
 
-  if (!fs.existsSync(chapterFile)) {
-    console.error(`❌ Chapter file not found: ${chapterFile}`);
-    process.exit(1);
-  }
+function prepareChapterChunks(chapterNum, lang, options = {}) {
+  const limits = {
+    maxChars: options.maxChars || parseInt(process.env.TTS_MAX_CHARS) || SEGMENT_DEFAULTS.maxChars,
+    minChars: options.minChars !== undefined ? options.minChars : SEGMENT_DEFAULTS.minChars
+  };
+  const book = loadBook(lang);
+  const chapter = book.chapters.find(ch => ch.number === chapterNum);
+  const lexicon = createLexicon(book.pronunciation);
+  let respelled = 0;
+  const say = text => {
+    const spoken = speak(text, lexicon);
+    if (spoken.text !== text || spoken.variants) respelled++;
+    return spoken;
+  };
 
-  const chapter = JSON.parse(fs.readFileSync(chapterFile, 'utf8'));
+  if (!chapter) {
+    throw new Error(`Chapter ${chapterNum} not found for language: ${lang}`);
+  }
 
   console.log(`📖 Preparing chunks for Chapter ${chapterNum}: ${chapter.title}`);
 
-  const chunks = [];
+  let chunks = [];
 
   // Chunk 0: Chapter intro (number + title)
   chunks.push({
-    id: `ch${chapterNum}-chunk-000`,
+    id: `ch${chapterNum}-intro`,
     type: 'intro',
-    text: `${chapter.numberText}. ${chapter.title}`,
+    ...say(`${chapter.numberText}. ${chapter.title}`),
     pauseAfter: PAUSES.afterTitle
   });
 
-  let chunkIndex = 1;
+  const blockId = blockIdFactory();
+  let splitBlocks = 0;
+
+  // Lengthen the silence after the last chunk so far
+  const pauseBefore = seconds => {
+    const last = chunks[chunks.length - 1];
+    last.pauseAfter = Math.max(last.pauseAfter, seconds);
+  };
 
   // Process each section
   chapter.sections.forEach((section, sectionIndex) => {
     const isLastSection = sectionIndex === chapter.sections.length - 1;
 
+    // Section title, when it is not just the chapter title again
+    const title = sectionTitle(chapter, section);
+    if (title) {
+      pauseBefore(PAUSES.afterSection);
+      chunks.push({
+        id: `ch${chapterNum}-${blockId(section, { type: 'heading', text: title })}-1`,
+        type: 'section-title',
+        ...say(cleanText(title)),
+        pauseAfter: PAUSES.afterTitle,
+        section: section.id
+      });
+    }
+
     // Process each content block in the section
     section.content.forEach((block, blockIndex) => {
       const isLastBlock = blockIndex === section.content.length - 1;
 
-      const cleanedText = cleanText(block.text);
-
-      if (!cleanedText) return; // Skip empty blocks
-
-      let pauseAfter = PAUSES.afterParagraph;
-
       // Determine pause based on block type and position
-      if (block.type === 'quote') {
-        pauseAfter = PAUSES.afterQuote;
-      }
+      let pauseAfter = BLOCK_PAUSES[block.type] || PAUSES.afterParagraph;
 
       if (isLastBlock && isLastSection) {
         pauseAfter = PAUSES.endChapter;
@@ -96,19 +302,54 @@ function prepareChapterChunks(chapterNum, lang) {
         pauseAfter = PAUSES.afterSection;
       }
 
-      chunks.push({
-        id: `ch${chapterNum}-chunk-${String(chunkIndex).padStart(3, '0')}`,
-        type: block.type,
-        text: cleanedText,
-        pauseAfter: pauseAfter
-      });
+      // Explicit pause from the chapter JSON wins
+      if (typeof block.pause === 'number') {
+        pauseAfter = block.pause;
+      }
+
+      // A break only lengthens the silence before the next block
+      if (block.type === 'break') {
+        const last = chunks[chunks.length - 1];
+        last.pauseAfter = typeof block.pause === 'number' ? block.pause : Math.max(last.pauseAfter, pauseAfter);
+        return;
+      }
 
-      chunkIndex++;
+      const parts = blockParts(block, pauseAfter).filter(part => part.text);
+      if (parts.length === 0) return; // Skip empty blocks
+
+      if (block.type === 'heading') pauseBefore(PAUSES.beforeHeading);
+
+      const id = blockId(section, block);
+      let pieceNumber = 0;
+
+      parts.forEach(part => {
+        const pieces = segment(part.text, lang, limits);
+        if (pieces.length > 1) splitBlocks++;
+
+        pieces.forEach((piece, pieceIndex) => {
+          const isLastPiece = pieceIndex === pieces.length - 1;
+          const chunk = {
+            id: `ch${chapterNum}-${id}-${++pieceNumber}`,
+            type: block.type,
+            ...say(piece),
+            pauseAfter: isLastPiece ? part.pauseAfter : PAUSES.betweenPieces,
+            section: section.id,
+            block: blockIndex
+          };
+          if (block.id) chunk.blockId = block.id;
+          if (part.step !== undefined) chunk.step = part.step;
+          if (part.chime && isLastPiece) chunk.chime = true;
+          chunks.push(chunk);
+        });
+      });
     });
   });
 
+  const separate = chunks.length;
+  chunks = joinShortChunks(chunks, chapterNum, limits);
+
   // Save chunks JSON
-  const outputDir = path.join(__dirname, '..', 'audio', lang, `ch${chapterNum}`);
+  const outputDir = path.join(AUDIO_DIR, lang, `ch${chapterNum}`);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
@@ -122,26 +363,50 @@ function prepareChapterChunks(chapterNum, lang) {
     chunks: chunks
   };
 
-  fs.writeFileSync(chunksFile, JSON.stringify(chunksData, null, 2), 'utf8');
+  // Written only when it changes: its date tells build-reiki-audiobook.js
+  // whether the chapter MP3 is older than its chunks
+  const json = JSON.stringify(chunksData, null, 2);
+  const unchanged = fs.existsSync(chunksFile) && fs.readFileSync(chunksFile, 'utf8') === json;
+  if (!unchanged) fs.writeFileSync(chunksFile, json, 'utf8');
 
-  console.log(`   ✅ Created ${chunks.length} chunks`);
-  console.log(`   💾 Saved: ${chunksFile}`);
+  console.log(`   ✅ Created ${chunks.length} chunks (${splitBlocks} block(s) split at ${limits.maxChars} characters, ` +
+    `${separate - chunks.length} short chunk(s) joined to a neighbour)`);
+  console.log(`   💾 ${unchanged ? 'Unchanged' : 'Saved'}: ${chunksFile}`);
 
   // Calculate estimated characters and duration
   const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
   const estimatedMinutes = Math.ceil(totalChars / 1000 * 0.8); // Rough estimate: 1000 chars ≈ 0.8 min
 
+  console.log(`   🗣️  Lexicon: ${respelled} chunk(s) respelled (${Object.keys(lexicon.entries).length} entries)`);
   console.log(`   📊 Total characters: ${totalChars.toLocaleString()}`);
   console.log(`   ⏱️  Estimated duration: ~${estimatedMinutes} minutes`);
 
   return chunksData;
 }
 
+function parseArgs(argv) {
+  const options = { positional: [], maxChars: undefined, minChars: undefined };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--max-chars') {
+      options.maxChars = parseInt(argv[++i]);
+    } else if (arg === '--min-chars') {
+      options.minChars = parseInt(argv[++i]);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
 function main() {
-  const args = process.argv.slice(2);
+  const options = parseArgs(process.argv.slice(2));
+  const args = options.positional;
 
   if (args.length < 2) {
-    console.log('Usage: node scripts/prepare-audio-chunks.js <chapter-number> <lang>');
+    console.log('Usage: node scripts/prepare-audio-chunks.js <chapter-number> <lang> [--max-chars <n>] [--min-chars <n>]');
     console.log('Example: node scripts/prepare-audio-chunks.js 1 en');
     console.log('         node scripts/prepare-audio-chunks.js all en');
     process.exit(1);
@@ -150,28 +415,39 @@ function main() {
   const chapterArg = args[0];
   const lang = args[1];
 
-  if (!['en', 'es'].includes(lang)) {
-    console.error('❌ Language must be "en" or "es"');
+  let chapterNums;
+  try {
+    assertLanguage(lang);
+    chapterNums = resolveChapterArg(chapterArg, lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
 
   console.log(`\n🎬 Audio Chunks Preparation\n`);
 
-  if (chapterArg === 'all') {
-    console.log('📚 Processing all 11 chapters...\n');
-    for (let i = 1; i <= 11; i++) {
-      prepareChapterChunks(i, lang);
-      console.log('');
-    }
-    console.log('✨ All chapters prepared!\n');
-  } else {
-    const chapterNum = parseInt(chapterArg);
-    if (isNaN(chapterNum) || chapterNum < 1 || chapterNum > 11) {
-      console.error('❌ Chapter number must be between 1 and 11');
-      process.exit(1);
+  try {
+    if (chapterArg === 'all') {
+      console.log(`📚 Processing all ${chapterNums.length} chapters...\n`);
+      for (const chapterNum of chapterNums) {
+        prepareChapterChunks(chapterNum, lang, options);
+        console.log('');
+      }
+      console.log('✨ All chapters prepared!\n');
+    } else {
+      prepareChapterChunks(chapterNums[0], lang, options);
     }
-    prepareChapterChunks(chapterNum, lang);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  prepareChapterChunks,
+  joinShortChunks
+};
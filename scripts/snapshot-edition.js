@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Edition
+ *
+ * Freezes the chapters of every language at the current edition into
+ * editions/<tag>.json (see scripts/lib/editions.js), so the next edition's
+ * changelog can be built against it (scripts/build-changelog.js). The tag
+ * defaults to the version in the English ui.json meta.version
+ * ("v1.0 · January 2026" → v1.0). Bump meta.version for the new edition
+ * after taking the snapshot of the old one.
+ *
+ * An existing snapshot is only replaced with --force.
+ *
+ * Usage:
+ *   node scripts/snapshot-edition.js              # Tag from meta.version
+ *   node scripts/snapshot-edition.js v1.1
+ *   node scripts/snapshot-edition.js v1.0 --force
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/book');
+const { EDITIONS_DIR, CURRENT, snapshotPath, createSnapshot, listSnapshots } = require('./lib/editions');
+const { validateContent } = require('./lib/schema');
+
+function parseArgs(argv) {
+  const options = { tag: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (!options.tag) {
+      options.tag = arg;
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let snapshot;
+  try {
+    snapshot = createSnapshot(options.tag);
+    if (snapshot.tag === CURRENT) throw new Error(`"${CURRENT}" names the working tree, pick another tag`);
+    const errors = validateContent(snapshot, 'edition');
+    if (errors.length > 0) throw new Error(`${errors[0].path} ${errors[0].message}`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const file = snapshotPath(snapshot.tag);
+  if (fs.existsSync(file) && !options.force) {
+    console.error(`❌ ${path.relative(ROOT_DIR, file)} already exists (use --force to replace it)`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(EDITIONS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n', 'utf8');
+
+  const counts = Object.entries(snapshot.languages).map(([lang, chapters]) => `${lang}: ${chapters.length} chapters`);
+  console.log(`📸 ${snapshot.version}${snapshot.edition ? ` (${snapshot.edition})` : ''}`);
+  console.log(`   ${counts.join(', ')}`);
+  console.log(`✅ Saved: ${path.relative(ROOT_DIR, file)} (${(fs.statSync(file).size / 1024).toFixed(1)} KB)`);
+  console.log(`   Snapshots: ${listSnapshots().map(s => s.tag).join(', ')}`);
+}
+
+main();
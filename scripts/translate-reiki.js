@@ -1,136 +1,408 @@
 #!/usr/bin/env node
 
 /**
- * Translate Reiki Book chapters from English to Spanish
- * Using Anthropic Claude API
+ * Translate Reiki Book chapters from English into the other languages
+ *
+ * Target languages come from i18n/languages.json: by default every one
+ * that already has chapters, or those given with --lang (which also starts
+ * a new language, e.g. --lang pt). Block by block, with a translation
+ * memory per language (i18n/<lang>/translation-memory.json, see
+ * scripts/lib/translation-memory.js): only blocks and titles that are
+ * new, or whose English text changed under a machine translation, are sent
+ * to the translation backend (scripts/lib/translators.js: anthropic, an
+ * openai-compatible endpoint, or an offline mock). Translations made or
+ * edited by a person are recorded as approved and never replaced; when
+ * their English text changes they are listed for review instead.
+ *
+ * Blocks are sent in batches sized to fit the backend's reply limit; a
+ * reply that is cut off anyway is asked for again in two halves. Rate
+ * limits and server errors are retried with backoff. --dry-run shows the
+ * batches that would be sent, their estimated tokens and cost, and writes
+ * nothing.
+ *
+ * Every translated block is checked before it is used (scripts/lib/translate.js):
+ * same number of texts, {term:...}/{ref:...} markers and <em> kept, and the
+ * glossary in i18n/<lang>/translation-glossary.json respected. Failing blocks
+ * are sent once more with the problems listed; blocks that still break the
+ * structure are dropped, glossary misses are reported (and dropped with
+ * --strict). The chapter is only written when it matches the English
+ * structure and passes the schema; the memory is saved either way, so a
+ * rerun does not pay for the same blocks again.
+ *
+ * Blocks need their stable ids (npm run ids).
+ *
+ * Usage:
+ *   node scripts/translate-reiki.js <chapter-number>
+ *   node scripts/translate-reiki.js all
+ *   node scripts/translate-reiki.js 3 --strict      # Drop blocks that miss the glossary
+ *   node scripts/translate-reiki.js all --approve   # Record the translated text as reviewed
+ *   node scripts/translate-reiki.js all --lang pt   # Only Portuguese (created if missing)
+ *   node scripts/translate-reiki.js all --dry-run   # Batches, tokens and cost, nothing sent
+ *   node scripts/translate-reiki.js 3 --dry-run --prompts  # ... with the full prompts
+ *   node scripts/translate-reiki.js 3 --backend openai --model gpt-4o
+ *   TRANSLATE_MOCK_FIXTURES=fixtures.json node scripts/translate-reiki.js 3 --backend mock
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const {
+  ROOT_DIR, SOURCE_LANG, configuredLanguages, listLanguages, languageInfo, loadBook, loadChapter, chapterPath,
+  resolveChapterArg
+} = require('./lib/book');
+const { openMemory, planUnits, applyPlan } = require('./lib/translation-memory');
+const {
+  loadTranslationGlossary, buildPrompt, estimateTokens, estimateReplyTokens, batchUnits, extractJson,
+  checkTranslation, buildTargetChapter, chapterProblems
+} = require('./lib/translate');
+const { createBackend } = require('./lib/translators');
+const { runJobs } = require('./lib/jobs');
 
-const GLOSSARY = {
-  'healing': 'sanación',
-  'healer': 'sanador/sanadora',
-  'forgiveness': 'perdón',
-  'awakening': 'despertar',
-  'channel': 'canal',
-  'Reiki': 'Reiki', // Keep as is
-  'Jesus': 'Jesús',
-  'God': 'Dios',
-  'Source': 'la Fuente',
-  'Infinite': 'el Infinito',
-  'love': 'amor',
-  'light': 'luz'
-};
+const MAX_RETRIES = 3;
 
-async function translateChapter(chapterNum) {
-  const enPath = path.join(__dirname, '..', 'i18n', 'en', 'chapters', `ch${chapterNum}.json`);
-  const esPath = path.join(__dirname, '..', 'i18n', 'es', 'chapters', `ch${chapterNum}.json`);
+function parseArgs(argv) {
+  const options = {
+    chapter: null, languages: [], strict: false, approve: false, dryRun: false, prompts: false, backend: undefined, model: null
+  };
 
-  // Load English chapter
-  const enChapter = JSON.parse(fs.readFileSync(enPath, 'utf8'));
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--approve') {
+      options.approve = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--prompts') {
+      options.prompts = true;
+    } else if (arg === '--lang' && argv[i + 1]) {
+      options.languages.push(argv[++i]);
+    } else if (arg === '--backend' && argv[i + 1]) {
+      options.backend = argv[++i];
+    } else if (arg === '--model' && argv[i + 1]) {
+      options.model = argv[++i];
+    } else if (!options.chapter) {
+      options.chapter = arg;
+    }
+  }
 
-  console.log(`\n📖 Translating Chapter ${chapterNum}: ${enChapter.title}`);
+  return options;
+}
+
+// Cost in USD of a token count, or null when the model has no price
+function cost(price, input, output) {
+  return price ? (input * price.input + output * price.output) / 1e6 : null;
+}
 
-  // Create API key from environment or use a placeholder
-  const apiKey = process.env.ANTHROPIC_API_KEY || 'DEMO_MODE';
+function formatCost(price, input, output) {
+  const usd = cost(price, input, output);
+  return usd === null ? 'cost unknown (set TRANSLATE_PRICE_INPUT/OUTPUT)' : `~$${usd >= 1 || usd === 0 ? usd.toFixed(2) : usd.toPrecision(2)}`;
+}
+
+/**
+ * Sends one batch and returns the replies it parsed. A reply cut off at
+ * the token limit is asked for again in two halves.
+ * @returns {Promise<Object[]>}
+ */
+async function requestBatch(batch, context, feedback) {
+  const { backend, usage } = context;
+  const prompt = buildPrompt(batch, context.glossary, context.lang, SOURCE_LANG, feedback);
+  const reply = await backend.translate({
+    prompt, units: batch, lang: context.lang, sourceLang: SOURCE_LANG, maxTokens: backend.maxTokens
+  });
+  usage.input += reply.usage.input;
+  usage.output += reply.usage.output;
 
-  if (apiKey === 'DEMO_MODE') {
-    console.log('⚠️  No ANTHROPIC_API_KEY found - skipping translation');
-    return null;
+  if (reply.truncated) {
+    if (batch.length === 1) {
+      console.error(`   ❌ ${batch[0].key}: reply cut off at ${backend.maxTokens} tokens`);
+      return [];
+    }
+    const half = Math.ceil(batch.length / 2);
+    console.log(`   ✂️  Reply cut off at ${backend.maxTokens} tokens, splitting ${batch.length} blocks in two`);
+    return [
+      ...await requestBatch(batch.slice(0, half), context, feedback),
+      ...await requestBatch(batch.slice(half), context, feedback)
+    ];
+  }
+
+  try {
+    const parsed = extractJson(reply.text);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error(`   ❌ ${error.message}`);
+    return [];
   }
+}
+
+/**
+ * Translates units in batches, checks every reply and retries failing
+ * units once with their problems.
+ * @returns {Promise<{accepted: Map<string, string[]>, rejected: Array<{key: string, problems: Object[]}>,
+ *   warnings: Array<{key: string, problems: Object[]}>}>}
+ */
+async function translateUnits(units, context, options) {
+  const accepted = new Map();
+  const rejected = [];
+  const warnings = [];
+  let pending = units;
+  let feedback = {};
 
-  const client = new Anthropic({ apiKey });
+  for (let attempt = 1; attempt <= 2 && pending.length > 0; attempt++) {
+    const retry = [];
+    const lastAttempt = attempt === 2;
 
-  // Prepare translation prompt
-  const contentToTranslate = JSON.stringify(enChapter, null, 2);
+    const batches = batchUnits(pending, context.backend.maxTokens);
+    const results = new Map();
+    const jobs = batches.map((batch, i) => ({ id: `batch-${i + 1}`, batch }));
 
-  const prompt = `You are translating a spiritual book about Reiki and healing from English to Spanish.
+    await runJobs(jobs, async job => {
+      results.set(job.id, await requestBatch(job.batch, context, feedback));
+    }, {
+      concurrency: 1,
+      retries: MAX_RETRIES,
+      onEvent: (type, job, info) => {
+        if (type === 'retry') console.log(`   ⏳ ${job.id}: ${info.error.message} (retry in ${Math.round(info.delay / 1000)}s)`);
+        if (type === 'fail') console.error(`   ❌ ${job.id}: request failed: ${info.error.message}`);
+      }
+    });
 
-GLOSSARY (use these translations consistently):
-${Object.entries(GLOSSARY).map(([en, es]) => `- ${en} → ${es}`).join('\n')}
+    for (const { id, batch } of jobs) {
+      const replies = results.get(id) || [];
+      const byKey = new Map(replies.filter(r => r && typeof r.key === 'string').map(r => [r.key, r.texts]));
 
-IMPORTANT INSTRUCTIONS:
-1. Translate the JSON structure maintaining the exact same format
-2. Translate: "title", "numberText", and all "text" fields in sections
-3. Keep "id", "number", "type" fields unchanged
-4. Use reverent, spiritual language appropriate for a healing/spiritual text
-5. Maintain the poetic and contemplative tone of the original
-6. When you see {term:...} markers, keep them exactly as they are (don't translate the term ID)
-7. Keep HTML tags like <em> unchanged
-8. Use formal "usted" form in Spanish
+      batch.forEach(unit => {
+        const problems = byKey.has(unit.key)
+          ? checkTranslation(unit, byKey.get(unit.key), context)
+          : [{ kind: 'structure', message: 'missing from the reply' }];
+        const broken = problems.some(p => p.kind === 'structure') || (options.strict && problems.length > 0);
 
-Here's the English chapter JSON to translate:
+        if (problems.length === 0 || (!broken && lastAttempt)) {
+          accepted.set(unit.key, byKey.get(unit.key));
+          if (problems.length > 0) warnings.push({ key: unit.key, problems });
+        } else if (lastAttempt) {
+          rejected.push({ key: unit.key, problems });
+        } else {
+          retry.push({ unit, problems });
+        }
+      });
+    }
 
-${contentToTranslate}
+    pending = retry.map(r => r.unit);
+    feedback = {};
+    retry.forEach(r => { feedback[r.unit.key] = r.problems.map(p => p.message); });
+    if (pending.length > 0 && !lastAttempt) console.log(`   🔁 Retrying ${pending.length} block(s)`);
+  }
 
-Return ONLY the translated JSON, no explanations.`;
+  return { accepted, rejected, warnings };
+}
 
-  try {
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+function printProblems(icon, list) {
+  list.forEach(({ key, problems }) => {
+    problems.forEach(p => console.log(`      ${icon} ${key}: ${p.message}`));
+  });
+}
 
-    const translatedText = message.content[0].text;
+// What a run would send for these units: batches, tokens and cost
+function printBatches(units, context, options) {
+  const { backend, estimate } = context;
+  batchUnits(units, backend.maxTokens).forEach((batch, i) => {
+    const prompt = buildPrompt(batch, context.glossary, context.lang, SOURCE_LANG);
+    const input = estimateTokens(prompt);
+    const output = estimateReplyTokens(batch);
+    estimate.batches++;
+    estimate.input += input;
+    estimate.output += output;
 
-    // Extract JSON from response (in case there's extra text)
-    const jsonMatch = translatedText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Could not find JSON in response');
+    console.log(`   📦 Batch ${i + 1}: ${batch.length} block(s), ~${input} tokens in, ~${output} out, ` +
+      formatCost(backend.price, input, output));
+    if (options.prompts) {
+      console.log(prompt.replace(/^/gm, '      │ '));
+    } else {
+      batch.forEach(unit => console.log(`      ${unit.key}: ${unit.texts[0].slice(0, 60)}${unit.texts[0].length > 60 ? '…' : ''}`));
     }
+  });
+}
 
-    const translatedChapter = JSON.parse(jsonMatch[0]);
+async function translateChapter(chapterNum, context, options) {
+  const source = loadChapter(SOURCE_LANG, chapterNum);
+  const target = loadChapter(context.lang, chapterNum);
+  const targetFile = chapterPath(context.lang, chapterNum);
+  const { memory } = context;
 
-    // Save Spanish translation
-    fs.writeFileSync(esPath, JSON.stringify(translatedChapter, null, 2), 'utf8');
+  console.log(`\n📖 Chapter ${chapterNum}: ${source.title}`);
 
-    console.log(`   ✅ Saved: ${esPath}`);
+  const withoutId = source.sections.reduce((sum, section) => sum + section.content.filter(block => !block.id).length, 0);
+  if (withoutId > 0) {
+    throw new Error(`${withoutId} block(s) without id (run: npm run ids)`);
+  }
 
-    return translatedChapter;
+  const plan = planUnits(source, target, memory);
+  const count = action => plan.filter(p => p.action === action).length;
 
-  } catch (error) {
-    console.error(`   ❌ Error translating chapter ${chapterNum}:`, error.message);
-    return null;
+  if (options.approve) {
+    plan.filter(p => p.target).forEach(p => {
+      memory.set(p.unit.key, { hash: p.hash, status: 'approved', target: p.target });
+    });
+    memory.save();
+    console.log(`   ✅ ${plan.filter(p => p.target).length} translation(s) approved` +
+      (count('translate') + count('reuse') ? `, ${count('translate') + count('reuse')} block(s) still untranslated` : ''));
+    return { requested: false, ok: true };
+  }
+
+  // Translations not in the memory yet are taken as they are
+  const texts = applyPlan(plan, memory);
+
+  console.log(`   📊 ${count('current')} current, ${count('record')} recorded, ${count('reuse')} from memory, ` +
+    `${count('translate')} to translate, ${count('review')} to review`);
+
+  const toTranslate = plan.filter(p => p.action === 'translate').map(p => p.unit);
+  let ok = true;
+
+  if (options.dryRun) {
+    printBatches(toTranslate, context, options);
+    return { requested: false, ok: true };
+  }
+
+  if (toTranslate.length > 0) {
+    const { accepted, rejected, warnings } = await translateUnits(toTranslate, context, options);
+    toTranslate.filter(unit => accepted.has(unit.key)).forEach(unit => {
+      const p = plan.find(item => item.unit === unit);
+      memory.set(unit.key, { hash: p.hash, status: 'machine', target: accepted.get(unit.key) });
+      texts.set(unit.key, accepted.get(unit.key));
+    });
+    console.log(`   🌍 ${accepted.size} block(s) translated`);
+    printProblems('⚠️ ', warnings);
+    if (rejected.length > 0) {
+      console.error(`   ❌ ${rejected.length} block(s) rejected:`);
+      printProblems('✗', rejected);
+      ok = false;
+    }
+  }
+  memory.save();
+
+  const review = plan.filter(p => p.action === 'review');
+  if (review.length > 0) {
+    console.log(`   👀 ${languageInfo(SOURCE_LANG).name} changed under approved translations (update them, then run with --approve):`);
+    review.forEach(p => console.log(`      ${p.unit.key}: ${p.unit.texts[0].slice(0, 70)}…`));
+  }
+
+  if (texts.size === 0 && target) {
+    console.log('   ✅ Nothing to write');
+    return { requested: toTranslate.length > 0, ok };
   }
+
+  // Never write a chapter the build would reject or that lost the source's shape
+  const chapter = buildTargetChapter(source, target, texts);
+  const problems = chapterProblems(source, chapter);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`      ${problem}`));
+    console.error(`   ❌ Not saved (${problems.length} problem(s)); translated blocks are kept in the memory`);
+    return { requested: toTranslate.length > 0, ok: false };
+  }
+
+  fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+  fs.writeFileSync(targetFile, JSON.stringify(chapter, null, 2) + '\n', 'utf8');
+  console.log(`   ✅ Saved: ${path.relative(ROOT_DIR, targetFile)}`);
+  return { requested: toTranslate.length > 0, ok };
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const options = parseArgs(process.argv.slice(2));
 
-  if (args.length === 0) {
-    console.log('Usage: node scripts/translate-reiki.js <chapter-number>');
+  if (!options.chapter) {
+    console.log('Usage: node scripts/translate-reiki.js <chapter-number> [--strict] [--approve] [--dry-run [--prompts]]');
+    console.log('       [--lang <code>]... [--backend anthropic|openai|mock] [--model <model>]');
     console.log('Example: node scripts/translate-reiki.js 1');
     console.log('Or: node scripts/translate-reiki.js all');
     process.exit(1);
   }
 
-  const chapterArg = args[0];
+  let chapterNums;
+  let languages;
+  try {
+    chapterNums = resolveChapterArg(options.chapter, SOURCE_LANG);
+    languages = options.languages.length > 0
+      ? options.languages
+      : listLanguages().filter(lang => lang !== SOURCE_LANG);
+    languages.forEach(lang => {
+      languageInfo(lang);
+      if (lang === SOURCE_LANG) throw new Error(`${lang} is the source language`);
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (!chapterNums) console.error('   Chapter must be a number or "all"');
+    process.exit(1);
+  }
+  if (languages.length === 0) {
+    console.error(`❌ No target language has chapters yet; start one with --lang (${configuredLanguages().slice(1).join(', ')})`);
+    process.exit(1);
+  }
+
+  let backend = null;
+  if (!options.approve) {
+    try {
+      backend = createBackend(options.backend, options.model);
+      if (!options.dryRun) backend.requireKey();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.error('   Try --dry-run to see what would be sent, or --backend mock to translate offline');
+      process.exit(1);
+    }
+  }
+
+  // Shared by every language: the backend and what it was sent
+  const shared = {
+    backend,
+    // Term titles, to check the glossary in the rendered text
+    sourceGlossary: loadBook(SOURCE_LANG).glossary,
+    usage: { input: 0, output: 0 },
+    estimate: { batches: 0, input: 0, output: 0 }
+  };
+
+  if (backend) console.log(`🤖 Backend: ${backend.name} (${backend.model})${options.dryRun ? ' - dry run, nothing is sent' : ''}`);
+
+  let failed = 0;
+  for (const lang of languages) {
+    const context = {
+      ...shared,
+      lang,
+      memory: openMemory(lang),
+      glossary: loadTranslationGlossary(lang),
+      // A new language has no glossary yet: terms render with their ids
+      targetGlossary: listLanguages().includes(lang) ? loadBook(lang).glossary : {}
+    };
 
-  if (chapterArg === 'all') {
-    console.log('🌍 Translating all chapters...\n');
-    for (let i = 1; i <= 11; i++) {
-      await translateChapter(i);
-      // Small delay to avoid rate limits
-      if (i < 11) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    console.log(`\n🌍 ${languageInfo(lang).name} (${lang})${chapterNums.length > 1 ? ': all chapters' : ''}`);
+
+    for (let i = 0; i < chapterNums.length; i++) {
+      try {
+        const { requested, ok } = await translateChapter(chapterNums[i], context, options);
+        if (!ok) failed++;
+        // Small delay to avoid rate limits
+        if (requested && i < chapterNums.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+      } catch (error) {
+        console.error(`   ❌ Error translating chapter ${chapterNums[i]}: ${error.message}`);
+        failed++;
       }
     }
-    console.log('\n✨ All chapters translated!');
-  } else {
-    const chapterNum = parseInt(chapterArg);
-    if (isNaN(chapterNum) || chapterNum < 1 || chapterNum > 11) {
-      console.error('❌ Invalid chapter number. Use 1-11 or "all"');
-      process.exit(1);
-    }
-    await translateChapter(chapterNum);
   }
+
+  const { estimate, usage } = shared;
+  if (options.dryRun) {
+    console.log(`\n📊 ${estimate.batches} request(s), ~${estimate.input} tokens in, ~${estimate.output} out, ` +
+      formatCost(backend.price, estimate.input, estimate.output));
+  } else if (usage.input + usage.output > 0) {
+    console.log(`\n📊 ${usage.input} tokens in, ${usage.output} out, ${formatCost(backend.price, usage.input, usage.output)}`);
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} chapter(s) not fully translated`);
+    process.exit(1);
+  }
+  console.log('\n✨ Done');
 }
 
-main().catch(console.error);
+main();
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Content Script
+ *
+ * Checks i18n/languages.json and every chapter, glossary, references,
+ * media, ui, about, pronunciation, practice and translation glossary/memory
+ * file under i18n/ against the schemas in scripts/lib/schema.js and
+ * reports each violation as file:line, JSON path and message. Every
+ * language with chapters must be listed in i18n/languages.json, and needs a
+ * ui.json with every string of the source language's (the builders read
+ * them) and a glossary.json. Practice positions must point at sections or blocks that
+ * exist in the chapters, and a block id may only be used once per language
+ * (it is the block's anchor and short link).
+ * Exits non-zero when anything is invalid so the build stops before dist/.
+ *
+ * Usage:
+ *   node scripts/validate.js          # All languages
+ *   node scripts/validate.js es       # Only Spanish
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT_DIR, I18N_DIR, LANGUAGES_FILE, SOURCE_LANG, configuredLanguages, listLanguages, languageInfo, assertLanguage, listChapterFiles,
+  loadChapters, blockTexts, resolveAnchor
+} = require('./lib/book');
+const { validateFile } = require('./lib/schema');
+const { locateLines } = require('./lib/json-lines');
+const { parseInline, collectMarkers } = require('./lib/inline');
+
+// Content files for a language, chapters last
+function contentFiles(lang) {
+  const files = ['ui.json', 'about.json', 'glossary.json', 'references.json', 'media.json', 'pronunciation.json', 'practice.json',
+    'translation-glossary.json', 'translation-memory.json']
+    .map(name => path.join(I18N_DIR, lang, name))
+    .filter(file => fs.existsSync(file));
+
+  return files.concat(listChapterFiles(lang).sort());
+}
+
+// {term:...} and {ref:...} markers that point at missing glossary/reference ids
+function checkMarkers(file, lang) {
+  // A broken glossary/references file is reported on its own
+  const load = name => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(I18N_DIR, lang, name), 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  };
+  const glossary = load('glossary.json');
+  const references = load('references.json');
+  const source = fs.readFileSync(file, 'utf8');
+  const chapter = JSON.parse(source);
+  const lines = locateLines(source);
+  const violations = [];
+
+  chapter.sections.forEach((section, s) => {
+    section.content.forEach((block, b) => {
+      blockTexts(block).forEach(({ path: textPath, text }) => {
+        const at = `$.sections[${s}].content[${b}]${textPath}`;
+        const { terms, refs } = collectMarkers(parseInline(text));
+        terms.filter(id => !glossary[id]).forEach(id => {
+          violations.push({ line: lines.get(at), path: at, message: `{term:${id}} has no entry in glossary.json` });
+        });
+        refs.filter(id => !references[id]).forEach(id => {
+          violations.push({ line: lines.get(at), path: at, message: `{ref:${id}} has no entry in references.json` });
+        });
+      });
+    });
+  });
+
+  return violations;
+}
+
+// Practice positions whose "see" points at no section or block
+function checkPractice(file, lang) {
+  let chapters;
+  try {
+    chapters = loadChapters(lang);
+  } catch (e) {
+    return []; // Reported with the chapter file
+  }
+  const source = fs.readFileSync(file, 'utf8');
+  const lines = locateLines(source);
+
+  return JSON.parse(source).positions
+    .map((position, i) => ({ position, at: `$.positions[${i}].see` }))
+    .filter(({ position }) => position.see && !resolveAnchor(chapters, position.see))
+    .map(({ position, at }) => ({
+      line: lines.get(at),
+      path: at,
+      message: `"${position.see}" is not a section id or block anchor in the chapters`
+    }));
+}
+
+// Block ids used by more than one chapter of a language (within a chapter
+// the schema catches them); each is reported at its later use
+function checkBlockIds(lang) {
+  const seen = new Map();
+  const violations = [];
+
+  listChapterFiles(lang).sort().forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    let chapter;
+    try {
+      chapter = JSON.parse(source);
+    } catch (e) {
+      return; // Reported with the chapter file
+    }
+    const relative = path.relative(ROOT_DIR, file);
+    const lines = locateLines(source);
+
+    (chapter.sections || []).forEach((section, s) => {
+      (section.content || []).forEach((block, b) => {
+        if (!block || !block.id) return;
+        const at = `$.sections[${s}].content[${b}].id`;
+        const first = seen.get(block.id);
+        if (first && first !== relative) {
+          violations.push({ file, line: lines.get(at), path: at, message: `duplicate block id "${block.id}" (also in ${first})` });
+        } else {
+          seen.set(block.id, relative);
+        }
+      });
+    });
+  });
+
+  return violations;
+}
+
+// Files every published language needs before the builders can run
+const REQUIRED_FILES = ['ui.json', 'glossary.json'];
+
+// Dotted paths of the strings in a ui.json, e.g. "nav.fullBook"
+function uiKeys(ui, prefix = '') {
+  return Object.entries(ui).flatMap(([key, value]) => value && typeof value === 'object' && !Array.isArray(value)
+    ? uiKeys(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]);
+}
+
+// Required files a language lacks, and ui strings the source language has
+// but it does not
+function checkRequiredFiles(lang) {
+  const violations = [];
+
+  REQUIRED_FILES.forEach(name => {
+    const file = path.join(I18N_DIR, lang, name);
+    if (!fs.existsSync(file)) {
+      violations.push({ file, path: '$', message: 'missing, every language with chapters needs one' });
+    }
+  });
+
+  const file = path.join(I18N_DIR, lang, 'ui.json');
+  // A ui.json that breaks the schema is reported on its own
+  if (lang === SOURCE_LANG || !fs.existsSync(file) || validateFile(file).length > 0) return violations;
+  const text = fs.readFileSync(file, 'utf8');
+  let ui;
+  let source;
+  try {
+    ui = JSON.parse(text);
+    source = JSON.parse(fs.readFileSync(path.join(I18N_DIR, SOURCE_LANG, 'ui.json'), 'utf8'));
+  } catch (e) {
+    return violations;
+  }
+
+  // Reported at the object the string is missing from
+  const lines = locateLines(text);
+  const keys = new Set(uiKeys(ui));
+  uiKeys(source).filter(key => !keys.has(key)).forEach(key => {
+    const at = `$.${key}`;
+    violations.push({ file, line: lines.get(at.replace(/\.[^.]+$/, '')), path: at, message: `missing (i18n/${SOURCE_LANG}/ui.json has it)` });
+  });
+  return violations;
+}
+
+// Languages the config does not list or that have chapters it does not know of
+function checkLanguages() {
+  const configured = configuredLanguages();
+  const lines = locateLines(fs.readFileSync(LANGUAGES_FILE, 'utf8'));
+  const violations = [];
+
+  try {
+    languageInfo(SOURCE_LANG);
+  } catch (e) {
+    violations.push({ line: lines.get('$.source'), path: '$.source', message: `"${SOURCE_LANG}" is not in languages` });
+  }
+  fs.readdirSync(I18N_DIR)
+    .filter(name => fs.existsSync(path.join(I18N_DIR, name, 'chapters')) && !configured.includes(name))
+    .forEach(name => {
+      violations.push({ line: lines.get('$.languages'), path: '$.languages', message: `i18n/${name}/ has chapters but is not listed` });
+    });
+
+  return violations;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    args.forEach(assertLanguage);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const languages = args.length > 0 ? args : listLanguages();
+
+  console.log(`\n🔍 Validating content for: ${languages.join(', ')}\n`);
+  const pending = configuredLanguages().filter(lang => !listLanguages().includes(lang));
+  if (pending.length > 0) console.log(`   ⏳ No chapters yet: ${pending.join(', ')}\n`);
+
+  let fileCount = 1;
+  let violationCount = 0;
+
+  const languageViolations = validateFile(LANGUAGES_FILE);
+  if (languageViolations.length === 0) languageViolations.push(...checkLanguages());
+  if (languageViolations.length > 0) {
+    const relative = path.relative(ROOT_DIR, LANGUAGES_FILE);
+    console.error(`❌ ${relative}`);
+    languageViolations.forEach(v => {
+      console.error(`   ${relative}:${v.line || '?'}  ${v.path}  ${v.message}`);
+    });
+    violationCount += languageViolations.length;
+  }
+
+  languages.forEach(lang => {
+    contentFiles(lang).forEach(file => {
+      fileCount++;
+      let violations = validateFile(file);
+      if (violations.length === 0 && path.basename(path.dirname(file)) === 'chapters') {
+        violations = checkMarkers(file, lang);
+      } else if (violations.length === 0 && path.basename(file) === 'practice.json') {
+        violations = checkPractice(file, lang);
+      }
+      const relative = path.relative(ROOT_DIR, file);
+
+      if (violations.length === 0) return;
+
+      console.error(`❌ ${relative}`);
+      violations.forEach(v => {
+        console.error(`   ${relative}:${v.line || '?'}  ${v.path}  ${v.message}`);
+      });
+      violationCount += violations.length;
+    });
+
+    checkRequiredFiles(lang).concat(checkBlockIds(lang)).forEach(v => {
+      const relative = path.relative(ROOT_DIR, v.file);
+      console.error(`❌ ${relative}`);
+      console.error(`   ${relative}:${v.line || '?'}  ${v.path}  ${v.message}`);
+      violationCount++;
+    });
+  });
+
+  console.log('');
+  if (violationCount > 0) {
+    console.error(`❌ ${violationCount} violation(s) in ${fileCount} files`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${fileCount} files valid`);
+}
+
+main();
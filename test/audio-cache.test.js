@@ -0,0 +1,140 @@
+/**
+ * Audio chunk cache (scripts/lib/audio-cache.js): what counts as cached and
+ * what prune() may delete.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkKey, openCache } = require('../scripts/lib/audio-cache');
+
+const AUDIO = Buffer.from('ID3 audio');
+const INFO = { provider: 'fish', voice: 'v', text: 'Hello' };
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-cache-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Set a file's modification time relative to now
+function age(file, seconds) {
+  const time = new Date(Date.now() + seconds * 1000);
+  fs.utimesSync(file, time, time);
+}
+
+test('keys change with the text and settings, not the key order', () => {
+  const base = { text: 'Hello', lang: 'en', provider: 'fish', voice: 'v', settings: { a: 1, b: 2 } };
+  assert.equal(chunkKey(base), chunkKey({ ...base, settings: { b: 2, a: 1 } }));
+  assert.notEqual(chunkKey(base), chunkKey({ ...base, text: 'Hello!' }));
+  assert.match(chunkKey(base), /^[0-9a-f]{24}$/);
+});
+
+test('has() needs both the manifest entry and the file', () => {
+  const cache = openCache(dir);
+  cache.put('k1', AUDIO, INFO);
+  assert.equal(cache.has('k1'), true);
+
+  fs.writeFileSync(cache.file('stray'), AUDIO);
+  assert.equal(cache.has('stray'), false);
+
+  fs.unlinkSync(cache.file('k1'));
+  assert.equal(cache.has('k1'), false);
+});
+
+test('put() records the chunk it was made for', () => {
+  const cache = openCache(dir);
+  cache.put('k1', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-a-1' });
+  cache.put('k1', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-a-1' });
+  cache.put('k1', AUDIO, { ...INFO, scope: 'en/ch2', id: 'ch2-b-1' });
+  assert.deepEqual(cache.manifest.entries.k1.refs, { 'en/ch1': ['ch1-a-1'], 'en/ch2': ['ch2-b-1'] });
+
+  cache.setRefs('en/ch1', {});
+  assert.deepEqual(cache.manifest.entries.k1.refs, { 'en/ch2': ['ch2-b-1'] });
+});
+
+test('prune() removes unreferenced entries and old stray files', () => {
+  const cache = openCache(dir);
+  cache.put('used', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-a-1' });
+  cache.put('orphan', AUDIO, INFO);
+  cache.save();
+  fs.writeFileSync(cache.file('stray'), AUDIO);
+  age(cache.file('stray'), -60);
+
+  const pruner = openCache(dir);
+  assert.deepEqual(pruner.prune(), { files: 2, bytes: 2 * AUDIO.length });
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['manifest.json', 'used.mp3']);
+  assert.deepEqual(Object.keys(pruner.manifest.entries), ['used']);
+});
+
+test('prune() keeps audio another run is still making', () => {
+  const pruner = openCache(dir);
+  pruner.save();
+  age(path.join(dir, 'manifest.json'), -60);
+  const reloaded = openCache(dir);
+
+  // A run that has saved its manifest since: the entry is referenced
+  const run = openCache(dir);
+  run.put('saved', AUDIO, { ...INFO, scope: 'en/ch3', id: 'ch3-a-1' });
+  run.save();
+  // ...and one whose manifest is not saved yet
+  fs.writeFileSync(path.join(dir, 'unsaved.mp3'), AUDIO);
+
+  assert.deepEqual(openCache(dir).prune(), { files: 0, bytes: 0 });
+  assert.equal(reloaded.prune().files, 0);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['manifest.json', 'saved.mp3', 'unsaved.mp3']);
+});
+
+test('runs saving one after the other keep each other\'s entries', () => {
+  const first = openCache(dir);
+  const second = openCache(dir);
+  first.put('k1', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-a-1' });
+  second.put('k2', AUDIO, { ...INFO, scope: 'en/ch2', id: 'ch2-a-1' });
+  second.put('k1', AUDIO, { ...INFO, scope: 'en/ch2', id: 'ch2-b-1' });
+  first.save();
+  second.save();
+
+  const entries = openCache(dir).manifest.entries;
+  assert.deepEqual(Object.keys(entries).sort(), ['k1', 'k2']);
+  assert.deepEqual(entries.k1.refs, { 'en/ch1': ['ch1-a-1'], 'en/ch2': ['ch2-b-1'] });
+
+  // The first run's prune sees the second run's entry
+  assert.deepEqual(first.prune(), { files: 0, bytes: 0 });
+  assert.ok(fs.existsSync(first.file('k2')));
+});
+
+test('setRefs() replaces only its own scope in the saved manifest', () => {
+  const setup = openCache(dir);
+  setup.put('k1', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-a-1' });
+  setup.put('k2', AUDIO, { ...INFO, scope: 'en/ch1', id: 'ch1-b-1' });
+  setup.save();
+
+  const first = openCache(dir);
+  const second = openCache(dir);
+  first.setRefs('en/ch1', { k2: ['ch1-b-1'] });
+  second.setRefs('es/ch1', { k1: ['ch1-a-1'] });
+  first.save();
+  second.save();
+
+  const entries = openCache(dir).manifest.entries;
+  assert.deepEqual(entries.k1.refs, { 'es/ch1': ['ch1-a-1'] });
+  assert.deepEqual(entries.k2.refs, { 'en/ch1': ['ch1-b-1'] });
+});
+
+test('save() waits for the lock and takes over one left by a dead run', () => {
+  const lock = path.join(dir, 'manifest.json.lock');
+  fs.writeFileSync(lock, '');
+  age(lock, -60);
+
+  const cache = openCache(dir);
+  cache.put('k1', AUDIO, INFO);
+  cache.save();
+  assert.equal(fs.existsSync(lock), false);
+  assert.ok(openCache(dir).manifest.entries.k1);
+});
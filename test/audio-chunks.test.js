@@ -0,0 +1,84 @@
+/**
+ * Audio chunks (scripts/prepare-audio-chunks.js): short neighbouring
+ * blocks read as one chunk, and the timing map (scripts/lib/audio-timing.js)
+ * still placing each of their blocks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { joinShortChunks } = require('../scripts/prepare-audio-chunks');
+const { buildTimingMap } = require('../scripts/lib/audio-timing');
+
+const LIMITS = { maxChars: 120, minChars: 40 };
+
+function chunk(blockId, text, extra = {}) {
+  return { id: `ch2-${blockId}-1`, type: 'paragraph', text, pauseAfter: 0.8, section: 'ch2-main', block: 0, blockId, ...extra };
+}
+
+test('short neighbouring blocks become one chunk named after its parts', () => {
+  const chunks = [
+    chunk('aaaaaa', 'I am whole.', { block: 0 }),
+    chunk('bbbbbb', 'I am loved.', { block: 1, variants: { fish: 'I am luvd.' } }),
+    chunk('cccccc', 'I am at peace.', { block: 2, pauseAfter: 2.5 })
+  ];
+
+  const [joined, ...rest] = joinShortChunks(chunks, 2, LIMITS);
+  assert.equal(rest.length, 0);
+  assert.equal(joined.id, 'ch2-aaaaaa-1_bbbbbb-1_cccccc-1');
+  assert.equal(joined.text, 'I am whole. I am loved. I am at peace.');
+  assert.deepEqual(joined.variants, { fish: 'I am whole. I am luvd. I am at peace.' });
+  assert.equal(joined.pauseAfter, 2.5);
+  assert.deepEqual(joined.blocks, [
+    { block: 0, blockId: 'aaaaaa', type: 'paragraph', chars: 11 },
+    { block: 1, blockId: 'bbbbbb', type: 'paragraph', chars: 11 },
+    { block: 2, blockId: 'cccccc', type: 'paragraph', chars: 14 }
+  ]);
+});
+
+test('the ids of a joined chunk do not depend on its position', () => {
+  const chunks = [chunk('aaaaaa', 'I am whole.', { block: 0 }), chunk('bbbbbb', 'I am loved.', { block: 1 })];
+  const moved = chunks.map(item => ({ ...item, block: item.block + 5 }));
+  assert.equal(joinShortChunks(chunks, 2, LIMITS)[0].id, joinShortChunks(moved, 2, LIMITS)[0].id);
+});
+
+test('items of one list stay one block of the joined chunk', () => {
+  const list = [
+    chunk('aaaaaa', 'Crown.', { id: 'ch2-aaaaaa-1', type: 'list', pauseAfter: 0.6 }),
+    chunk('aaaaaa', 'Heart.', { id: 'ch2-aaaaaa-2', type: 'list' })
+  ];
+  const [joined] = joinShortChunks(list, 2, LIMITS);
+  assert.equal(joined.id, 'ch2-aaaaaa-1_aaaaaa-2');
+  assert.equal(joined.blocks, undefined);
+  assert.equal(joined.blockId, 'aaaaaa');
+});
+
+test('long pauses, other sections, headings, meditation steps and the limit keep chunks apart', () => {
+  const short = (blockId, extra) => chunk(blockId, 'Breathe.', extra);
+  const apart = chunks => assert.equal(joinShortChunks(chunks, 2, LIMITS).length, chunks.length);
+
+  apart([short('aaaaaa', { pauseAfter: 1.5 }), short('bbbbbb')]);
+  apart([short('aaaaaa'), short('bbbbbb', { section: 'ch2-other' })]);
+  apart([short('aaaaaa', { type: 'heading' }), short('bbbbbb')]);
+  apart([short('aaaaaa', { type: 'meditation', step: 0, pauseAfter: 0 }), short('bbbbbb', { type: 'meditation', step: 1 })]);
+  apart([chunk('aaaaaa', 'x'.repeat(115)), short('bbbbbb')]);
+  apart([chunk('aaaaaa', 'x'.repeat(60)), chunk('bbbbbb', 'y'.repeat(50))]);
+  assert.equal(joinShortChunks([short('aaaaaa'), short('bbbbbb')], 2, { maxChars: 120, minChars: 0 }).length, 2);
+});
+
+test('the timing map shares a joined chunk out among its blocks', () => {
+  const [joined] = joinShortChunks([
+    chunk('aaaaaa', 'x'.repeat(30), { block: 0 }),
+    chunk('bbbbbb', 'y'.repeat(10), { block: 1, pauseAfter: 1 })
+  ], 2, LIMITS);
+
+  const timing = buildTimingMap({ chapter: 2, lang: 'en', chunks: [joined] }, {
+    chunkDuration: () => 4,
+    silenceDuration: seconds => seconds
+  });
+
+  assert.deepEqual(timing.entries.map(entry => [entry.id, entry.anchor, entry.block, entry.start, entry.end]), [
+    ['ch2-aaaaaa-1_bbbbbb-1-b1', 'p-aaaaaa', 0, 0, 3],
+    ['ch2-aaaaaa-1_bbbbbb-1-b2', 'p-bbbbbb', 1, 3, 4]
+  ]);
+  assert.equal(timing.duration, 5);
+});
@@ -0,0 +1,118 @@
+/**
+ * EPUB packaging (scripts/lib/epub.js): a small fixture book passes
+ * checkEpub(), and each kind of damage to the archive is reported.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEpub, checkEpub } = require('../scripts/lib/epub');
+const { createZip, readZip } = require('../scripts/lib/zip');
+
+const paragraph = (id, text) => ({ type: 'paragraph', id, text });
+
+const BOOK = {
+  lang: 'en',
+  ui: {
+    bookTitle: 'Fixture Book',
+    description: 'A book for tests',
+    nav: { tableOfContents: 'Contents', notes: 'Notes', notesPanel: 'Glossary' },
+    footer: { derivedFrom: 'Derived from nothing' },
+    meta: { version: 'v0.1 · Test' }
+  },
+  glossary: {
+    light: { title: 'Light', definition: 'What is seen by' },
+    unity: { title: 'Unity', definition: 'All as one' }
+  },
+  references: {
+    source: { title: 'The Source', url: 'https://example.org/?a=1&b=2' }
+  },
+  chapters: [
+    {
+      id: 'ch1',
+      number: 1,
+      numberText: 'Chapter One',
+      title: 'Beginnings',
+      sections: [{
+        id: 'ch1-main',
+        title: 'Beginnings',
+        content: [
+          paragraph('aaaaaa', 'There was {term:light} first.{ref:source}'),
+          paragraph('bbbbbb', 'Then *more* & more.')
+        ]
+      }]
+    },
+    {
+      id: 'ch2',
+      number: 2,
+      title: 'Endings',
+      sections: [{ id: 'ch2-main', title: 'After', content: [paragraph('cccccc', 'The end.')] }]
+    }
+  ],
+  about: {
+    id: 'about',
+    title: 'About',
+    subtitle: 'Why',
+    sections: [{ id: 'what', title: '', content: [paragraph(undefined, 'Everything is {term:unity}.{ref:source}')] }]
+  }
+};
+
+const MODIFIED = new Date('2026-01-01T00:00:00Z');
+const build = () => buildEpub(BOOK, { domain: 'example.org', modified: MODIFIED });
+
+// Rebuild the archive after changing its entries
+function rezip(buffer, change) {
+  const entries = readZip(buffer).map(({ name, method, data }) => ({ name, data, store: method === 0 }));
+  return createZip(change(entries), MODIFIED);
+}
+
+function entryText(buffer, name) {
+  return readZip(buffer).find(entry => entry.name === name).data.toString('utf8');
+}
+
+test('a built book passes checkEpub', () => {
+  assert.deepEqual(checkEpub(build()), []);
+});
+
+test('the about page gets its own footnotes and glossary entries', () => {
+  const buffer = build();
+  const about = entryText(buffer, 'OEBPS/about.xhtml');
+  assert.match(about, /<a href="#about-fn1" id="about-fn1-ref"/);
+  assert.match(about, /<li id="about-fn1" epub:type="footnote">/);
+  assert.match(entryText(buffer, 'OEBPS/glossary.xhtml'), /id="term-unity"/);
+  assert.match(entryText(buffer, 'OEBPS/ch1.xhtml'), /<li id="ch1-fn1"/);
+
+  const spine = [...entryText(buffer, 'OEBPS/content.opf').matchAll(/idref="([^"]+)"/g)].map(m => m[1]);
+  assert.deepEqual(spine, ['title', 'ch1', 'ch2', 'glossary', 'about']);
+});
+
+test('a compressed mimetype is reported', () => {
+  const buffer = rezip(build(), entries => entries.map(entry =>
+    entry.name === 'mimetype' ? { ...entry, store: false } : entry));
+  assert.deepEqual(checkEpub(buffer), ['mimetype is compressed']);
+});
+
+test('a mimetype that is not first is reported', () => {
+  const buffer = rezip(build(), ([mimetype, ...rest]) => [...rest, mimetype]);
+  assert.deepEqual(checkEpub(buffer), ['mimetype is not the first entry']);
+});
+
+test('a manifest item missing from the archive is reported', () => {
+  const buffer = rezip(build(), entries => entries.filter(entry => entry.name !== 'OEBPS/styles.css'));
+  assert.deepEqual(checkEpub(buffer), ['OEBPS/content.opf: manifest item "styles.css" is not in the archive']);
+});
+
+test('a broken nav link is reported', () => {
+  const buffer = rezip(build(), entries => entries.map(entry => entry.name === 'OEBPS/nav.xhtml'
+    ? { ...entry, data: entry.data.toString('utf8').replace('href="ch2.xhtml"', 'href="ch9.xhtml"') }
+    : entry));
+  assert.deepEqual(checkEpub(buffer), ['OEBPS/nav.xhtml: link to "ch9.xhtml" leaves the book']);
+
+  const fragment = rezip(build(), entries => entries.map(entry => entry.name === 'OEBPS/nav.xhtml'
+    ? { ...entry, data: entry.data.toString('utf8').replace('href="ch2.xhtml"', 'href="ch2.xhtml#nowhere"') }
+    : entry));
+  assert.deepEqual(checkEpub(fragment), ['OEBPS/nav.xhtml: link to "ch2.xhtml#nowhere" has no target']);
+});
+
+test('a file that is not a ZIP archive is reported', () => {
+  assert.deepEqual(checkEpub(Buffer.from('not an epub at all, just some text')), ['Not a ZIP archive (no end of central directory)']);
+});
@@ -0,0 +1,84 @@
+/**
+ * Inline markup parser (scripts/lib/inline.js): the edge cases that must
+ * stay literal text instead of swallowing the rest of a block.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseInline, renderHtml, renderText } = require('../scripts/lib/inline');
+
+const html = text => renderHtml(parseInline(text));
+const plain = text => renderText(parseInline(text));
+
+test('a lone asterisk stays literal', () => {
+  assert.equal(html('2 * 3 = 6'), '2 * 3 = 6');
+  assert.equal(html('a * b'), 'a * b');
+  assert.equal(html('*not closed'), '*not closed');
+  assert.equal(html('**unclosed strong'), '**unclosed strong');
+});
+
+test('asterisks pair up as emphasis and strong', () => {
+  assert.equal(html('*soft* and **firm**'), '<em>soft</em> and <strong>firm</strong>');
+});
+
+test('*** opens strong+emphasis and closes them in reverse', () => {
+  assert.equal(html('***both***'), '<strong><em>both</em></strong>');
+  assert.deepEqual(tokenize('***x***').filter(t => t.kind === 'delim').map(t => t.char), ['**', '*', '*', '**']);
+});
+
+test('<em> nests inside **', () => {
+  assert.equal(html('**bold <em>and</em> more**'), '<strong>bold <em>and</em> more</strong>');
+  assert.equal(html('<strong>a <em>b</em></strong>'), '<strong>a <em>b</em></strong>');
+});
+
+test('an unclosed <em> unwinds to literal, escaped text', () => {
+  assert.equal(html('<em>never closed'), '&lt;em&gt;never closed');
+  assert.equal(html('<em>a **b** c'), '&lt;em&gt;a <strong>b</strong> c');
+  assert.equal(html('stray </em> close'), 'stray &lt;/em&gt; close');
+});
+
+test('an unclosed quote unwinds to literal text', () => {
+  assert.equal(html('he said "hi'), 'he said "hi');
+  assert.equal(html('“open only'), '“open only');
+  assert.equal(html('«a *b* c'), '«a <em>b</em> c');
+  assert.equal(html('she said “yes” twice'), 'she said “yes” twice');
+  assert.equal(parseInline('“yes”').children[0].type, 'quote');
+});
+
+test('unknown tags are escaped, not passed through', () => {
+  assert.equal(html('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(html('x <b>y</b> & z'), 'x &lt;b&gt;y&lt;/b&gt; &amp; z');
+});
+
+test('{term:id|text} and {term:id} markers', () => {
+  const ast = parseInline('{term:healing|the *healing*} and {term:reiki}');
+  assert.deepEqual(ast.children.map(node => node.type), ['term', 'text', 'term']);
+  assert.equal(ast.children[0].id, 'healing');
+  assert.equal(renderHtml(ast),
+    '<span class="term" data-note="healing">the <em>healing</em></span> and <span class="term" data-note="reiki">reiki</span>');
+  assert.equal(renderHtml(ast, { term: (node, children) => `[${node.id}:${children}]` }), '[healing:the <em>healing</em>] and [reiki:]');
+  assert.equal(renderText(ast, { reiki: { title: 'Reiki' } }), 'the healing and Reiki');
+});
+
+test('{ref:id} markers render through the hook and vanish from text', () => {
+  const ast = parseInline('see{ref:smith}.');
+  assert.deepEqual(ast.children.map(node => node.type), ['text', 'ref', 'text']);
+  assert.equal(ast.children[1].id, 'smith');
+  assert.equal(renderHtml(ast), 'see.');
+  assert.equal(renderHtml(ast, { ref: node => `<sup>${node.id}</sup>` }), 'see<sup>smith</sup>.');
+  assert.equal(renderText(ast), 'see.');
+});
+
+test('<a href> is kept with its href escaped', () => {
+  assert.equal(html('<a href="https://x.org/?a=1&b=2">link</a>'),
+    '<a href="https://x.org/?a=1&amp;b=2" target="_blank" rel="noopener">link</a>');
+  assert.equal(html('<a href="/p?q=<x>">x</a>'), '<a href="/p?q=&lt;x&gt;" target="_blank" rel="noopener">x</a>');
+  assert.equal(html('<a href="/open">never closed'), '&lt;a href="/open"&gt;never closed');
+});
+
+test('renderText drops leftover tags and collapses whitespace', () => {
+  assert.equal(plain('<em>never closed'), 'never closed');
+  assert.equal(plain('x <b>y</b>   z'), 'x y z');
+  assert.equal(plain('<span class="a">kept</span> text'), 'kept text');
+  assert.equal(plain('**bold <em>it</em>** and "quoted"'), 'bold it and "quoted"');
+});
@@ -0,0 +1,105 @@
+/**
+ * Built pages (scripts/lib/pages.js): finding a section's blocks in a
+ * chapter page, rendering the blocks the page generator drops and putting
+ * the block anchors on them, as build-anchors.js does.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sectionBlocks, renderMissingBlocks, setBlockIds } = require('../scripts/lib/pages');
+
+const PAGE = `<main>
+  <section class="section" id="ch1-main">
+    <h2>Title</h2>
+    <p>One <a href="#x" title="a > b">link</a></p>
+    <div class="subheading">Sub</div>
+    <ul><li><p>Nested</p></li></ul>
+    <!-- <p>commented out</p> -->
+    <hr>
+    <blockquote id="p-kept"><p>Quoted</p></blockquote>
+    <div class="meditation"><p class="meditation-step">Breathe</p></div>
+  </section>
+  <section class="section" id="ch1-other"><p>Other</p></section>
+</main>`;
+
+test('lists the blocks directly inside the section, in order', () => {
+  const blocks = sectionBlocks(PAGE, 'ch1-main');
+  assert.deepEqual(blocks.map(block => block.tag), ['p', 'div', 'ul', 'hr', 'blockquote', 'div']);
+  assert.deepEqual(blocks.map(block => block.id), [null, null, null, null, 'p-kept', null]);
+});
+
+test('offsets cover each block element', () => {
+  const [first, , , rule] = sectionBlocks(PAGE, 'ch1-main');
+  assert.equal(PAGE.slice(first.start, first.end), '<p>One <a href="#x" title="a > b">link</a></p>');
+  assert.equal(PAGE.slice(first.start, first.openEnd), '<p>');
+  assert.equal(PAGE.slice(rule.start, rule.end), '<hr>');
+});
+
+test('stops at the end of the section', () => {
+  assert.equal(sectionBlocks(PAGE, 'ch1-other').length, 1);
+  assert.equal(sectionBlocks(PAGE, 'ch9-main'), null);
+});
+
+// A chapter with blocks the page generator knows (paragraphs) and others
+// it drops (a heading and lists), and its page as the generator writes it
+const CHAPTER = {
+  id: 'ch2',
+  sections: [
+    {
+      id: 'ch2-main',
+      content: [
+        { type: 'paragraph', id: 'aaaaaa', text: 'First.' },
+        { type: 'heading', id: 'bbbbbb', text: 'Hands' },
+        { type: 'list', id: 'cccccc', items: ['Crown', 'Heart {term:healing}'] },
+        { type: 'paragraph', id: 'dddddd', text: 'Last.' }
+      ]
+    },
+    {
+      id: 'ch2-list',
+      content: [{ type: 'list', id: 'eeeeee', ordered: true, items: ['One', 'Two'] }]
+    }
+  ]
+};
+
+const GENERATED = `<main>
+    <section class="section" id="ch2-main">
+        <h2 class="sec-title">Main</h2>
+        <p>First.</p>
+        <p>Last.</p>
+    </section>
+    <section class="section" id="ch2-list">
+        <h2 class="sec-title">Positions</h2>
+    </section>
+</main>`;
+
+const build = html => setBlockIds(renderMissingBlocks(html, CHAPTER).html, CHAPTER);
+
+test('renders the dropped blocks in place and writes every anchor', () => {
+  const { html, problems } = build(GENERATED);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(sectionBlocks(html, 'ch2-main').map(block => `${block.tag}#${block.id}`),
+    ['p#p-aaaaaa', 'h3#p-bbbbbb', 'ul#p-cccccc', 'p#p-dddddd']);
+  assert.deepEqual(sectionBlocks(html, 'ch2-list').map(block => `${block.tag}#${block.id}`), ['ol#p-eeeeee']);
+  assert.match(html, /<h3 class="subheading" id="p-bbbbbb">Hands<\/h3>/);
+  assert.match(html, /<li>Heart <span class="term" data-note="healing">healing<\/span><\/li>/);
+});
+
+test('running it again changes nothing', () => {
+  const once = build(GENERATED).html;
+  assert.equal(build(once).html, once);
+});
+
+test('replaces what the generator left for a block it does not know', () => {
+  const page = GENERATED.replace('<p>First.</p>', '<p>First.</p><p></p><p></p>');
+  const { html, problems } = build(page);
+  assert.deepEqual(problems, []);
+  assert.equal(html, build(GENERATED).html.replace(/\n\s*(?=<h3|<ul)/g, ''));
+});
+
+test('reports a section it cannot match and leaves it alone', () => {
+  const page = GENERATED.replace('<p>Last.</p>', '<p>Last.</p><p>Extra.</p><p>More.</p><p>Again.</p>');
+  const { html, problems } = build(page);
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /^ch2-main: 5 block\(s\) in the page, 4 in the chapter$/);
+  assert.ok(html.includes('<p>First.</p>'));
+});
@@ -0,0 +1,72 @@
+/**
+ * Text segmenter (scripts/lib/segmenter.js): sentence boundaries in
+ * English and Spanish, and the pieces a long block is read in.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, segment } = require('../scripts/lib/segmenter');
+
+test('abbreviations from languages.json do not end a sentence', () => {
+  assert.deepEqual(splitSentences('Dr. Usui taught in Kyoto. St. Francis prayed, e.g. at dawn. Read ch. 3 first.', 'en'),
+    ['Dr. Usui taught in Kyoto.', 'St. Francis prayed, e.g. at dawn.', 'Read ch. 3 first.']);
+  assert.deepEqual(splitSentences('El Dr. García llegó. La Sra. Pérez, p. ej. su hija, no vino. EE. UU. es lejos.', 'es'),
+    ['El Dr. García llegó.', 'La Sra. Pérez, p. ej. su hija, no vino.', 'EE. UU. es lejos.']);
+});
+
+test('an abbreviation of another language ends the sentence', () => {
+  assert.deepEqual(splitSentences('Vino el Prof. Luego se fue.', 'es'), ['Vino el Prof.', 'Luego se fue.']);
+});
+
+test('initials do not end a sentence', () => {
+  assert.deepEqual(splitSentences('C. S. Lewis wrote it. J. Smith read it.', 'en'),
+    ['C. S. Lewis wrote it.', 'J. Smith read it.']);
+  assert.deepEqual(splitSentences('J. R. R. Tolkien lo escribió. Fin.', 'es'), ['J. R. R. Tolkien lo escribió.', 'Fin.']);
+});
+
+test('a quotation is never split and keeps its closing quote', () => {
+  assert.deepEqual(splitSentences('He said: "Just for today. Do not worry." Then he left.', 'en'),
+    ['He said: "Just for today. Do not worry."', 'Then he left.']);
+  assert.deepEqual(splitSentences('He said “Be still. Know.” Then silence. (It worked.) Yes!', 'en'),
+    ['He said “Be still. Know.”', 'Then silence.', '(It worked.)', 'Yes!']);
+  assert.deepEqual(splitSentences('Dijo: «Hoy no. Mañana sí». Y se fue… Luego volvió.', 'es'),
+    ['Dijo: «Hoy no. Mañana sí».', 'Y se fue…', 'Luego volvió.']);
+});
+
+test('Spanish questions and exclamations start a sentence', () => {
+  assert.deepEqual(splitSentences('Llegó tarde. ¿Vienes? ¡Claro! Vamos.', 'es'), ['Llegó tarde.', '¿Vienes?', '¡Claro!', 'Vamos.']);
+});
+
+test('a block within the limit stays whole', () => {
+  const text = 'Breathe. Rest. Amen.';
+  assert.deepEqual(segment(text, 'en', { maxChars: 500 }), [text]);
+});
+
+test('sentences are packed up to the limit, then split at clauses', () => {
+  const pieces = segment('One two three four five. Six seven eight nine ten. Eleven, twelve, thirteen, fourteen, fifteen, sixteen, seventeen.', 'en',
+    { maxChars: 55, minChars: 0 });
+  assert.deepEqual(pieces, ['One two three four five. Six seven eight nine ten.', 'Eleven, twelve, thirteen, fourteen, fifteen, sixteen,', 'seventeen.']);
+  assert.ok(pieces.every(piece => piece.length <= 55));
+});
+
+const EN = ['This first sentence is long enough to stand on its own.', 'The second one is just as long as the first one was here.'];
+const ES = ['Esta primera frase es bastante larga para ir sola.', 'La segunda frase es casi tan larga como la primera.'];
+
+test('a short last piece takes the sentence before it (minChars)', () => {
+  assert.deepEqual(segment(`${EN[0]} ${EN[1]} Amen.`, 'en', { maxChars: 115, minChars: 40 }),
+    [EN[0], `${EN[1]} Amen.`]);
+  assert.deepEqual(segment(`${ES[0]} ${ES[1]} Amén.`, 'es', { maxChars: 105, minChars: 40 }),
+    [ES[0], `${ES[1]} Amén.`]);
+});
+
+test('a short first piece takes the sentence after it (minChars)', () => {
+  assert.deepEqual(segment(`Sí. ${ES[0]} ${ES[1]}`, 'es', { maxChars: 103, minChars: 40 }),
+    [`Sí. ${ES[0]}`, ES[1]]);
+});
+
+test('a short piece stays alone rather than leave its neighbour short', () => {
+  assert.deepEqual(segment(`Short one. ${EN[1]} Amen.`, 'en', { maxChars: 70, minChars: 40 }),
+    [`Short one. ${EN[1]}`, 'Amen.']);
+  assert.deepEqual(segment(`${EN[0]} ${EN[1]} Amen.`, 'en', { maxChars: 115, minChars: 0 }),
+    [`${EN[0]} ${EN[1]}`, 'Amen.']);
+});
@@ -0,0 +1,92 @@
+/**
+ * Block translation (scripts/lib/translate.js): the checks a machine
+ * translation must pass, and the chapter built from it, which must keep
+ * what only the translation has.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTranslation, buildTargetChapter } = require('../scripts/lib/translate');
+
+const UNIT = { key: 'aaaaaa', type: 'paragraph', texts: ['Feel the {term:healing} <em>now</em>.{ref:r1}'] };
+const GLOSSARIES = {
+  glossary: [{ term: 'healing', translations: ['sanación'] }],
+  sourceGlossary: { healing: { title: 'Healing' } },
+  targetGlossary: { healing: { title: 'Sanación' } }
+};
+
+const check = texts => checkTranslation(UNIT, texts, GLOSSARIES).map(p => `${p.kind}: ${p.message}`);
+
+test('a translation with the same markers passes', () => {
+  assert.deepEqual(check(['Siente la {term:healing} <em>ahora</em>.{ref:r1}']), []);
+});
+
+test('a lost or changed marker is a structure problem', () => {
+  assert.deepEqual(check(['Siente la sanación <em>ahora</em>.{ref:r1}']),
+    ['structure: text 1: terms [healing] became []']);
+  assert.deepEqual(check(['Siente la {term:healing} <em>ahora</em>.{ref:r2}']),
+    ['structure: text 1: refs [r1] became [r2]']);
+});
+
+test('a lost or added <em> is a structure problem', () => {
+  assert.deepEqual(check(['Siente la {term:healing} ahora.{ref:r1}']),
+    ['structure: text 1: 1 <em> became 0']);
+  assert.deepEqual(check(['<em>Siente</em> la {term:healing} <em>ahora</em>.{ref:r1}']),
+    ['structure: text 1: 1 <em> became 2']);
+});
+
+test('a wrong number of texts or an empty text is a structure problem', () => {
+  assert.deepEqual(check(['Uno.', 'Dos.']), ['structure: expected 1 text(s), got 2']);
+  assert.deepEqual(check('Siente.'), ['structure: expected 1 text(s), got string']);
+  assert.deepEqual(check(['  ']), ['structure: text 1 is empty']);
+});
+
+test('a glossary term translated otherwise is a glossary problem', () => {
+  const unit = { key: 'bbbbbb', type: 'paragraph', texts: ['Healing begins here.'] };
+  const problems = checkTranslation(unit, ['La curación empieza aquí.'], GLOSSARIES);
+  assert.deepEqual(problems, [{ kind: 'glossary', message: 'text 1: "healing" must be translated as "sanación"' }]);
+  assert.deepEqual(checkTranslation(unit, ['La Sanación empieza aquí.'], GLOSSARIES), []);
+});
+
+function chapter(sectionTitle, content) {
+  return { id: 'ch1', number: 1, numberText: 'One', title: 'Light', sections: [{ id: 'ch1-main', title: sectionTitle, content }] };
+}
+
+const paragraph = (id, text) => ({ type: 'paragraph', id, text });
+
+test('new translations replace their blocks, the rest of the translation stays', () => {
+  const source = chapter('Main', [paragraph('aaaaaa', 'One.'), paragraph('bbbbbb', 'Two.'), paragraph('cccccc', 'Three.')]);
+  const target = chapter('Principal', [paragraph('aaaaaa', 'Uno.'), paragraph('bbbbbb', 'Dos (viejo).'), paragraph('cccccc', 'Tres.')]);
+
+  const built = buildTargetChapter(source, target, new Map([['bbbbbb', ['Dos.']], ['ch1.title', ['Luz']]]));
+  assert.equal(built.title, 'Luz');
+  assert.equal(built.numberText, 'One');
+  assert.equal(built.sections[0].title, 'Principal');
+  assert.deepEqual(built.sections[0].content.map(block => block.text), ['Uno.', 'Dos.', 'Tres.']);
+});
+
+test('blocks only in the translation stay after the block they followed', () => {
+  const source = chapter('Main', [paragraph('aaaaaa', 'One.'), paragraph('bbbbbb', 'Two.'), paragraph('cccccc', 'Three.')]);
+  const target = chapter('Principal', [
+    { type: 'quote', text: 'Nota del traductor.' },
+    paragraph('aaaaaa', 'Uno.'),
+    paragraph('bbbbbb', 'Dos.'),
+    paragraph('tttttt', 'Solo en español.'),
+    { type: 'break' },
+    paragraph('cccccc', 'Tres.'),
+    paragraph('uuuuuu', 'Al final.')
+  ]);
+
+  const built = buildTargetChapter(source, target, new Map([['bbbbbb', ['Dos (nuevo).']]]));
+  assert.deepEqual(built.sections[0].content.map(block => block.id || block.type),
+    ['quote', 'aaaaaa', 'bbbbbb', 'tttttt', 'break', 'cccccc', 'uuuuuu']);
+  assert.equal(built.sections[0].content[2].text, 'Dos (nuevo).');
+});
+
+test('a source block with no translation yet is left out', () => {
+  const source = chapter('Main', [paragraph('aaaaaa', 'One.'), paragraph('bbbbbb', 'Two.'), { type: 'break', id: 'cccccc' }]);
+  const target = chapter('Principal', [paragraph('aaaaaa', 'Uno.')]);
+
+  const built = buildTargetChapter(source, target, new Map());
+  assert.deepEqual(built.sections[0].content.map(block => block.id), ['aaaaaa', 'cccccc']);
+});
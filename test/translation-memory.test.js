@@ -0,0 +1,108 @@
+/**
+ * Translation memory (scripts/lib/translation-memory.js): what each unit
+ * of a chapter needs, and that a person's translation is never handed to
+ * the machine again.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sourceHash, chapterUnits, planUnits, applyPlan, openMemory } = require('../scripts/lib/translation-memory');
+
+function chapter(numberText, title, texts) {
+  return {
+    id: 'ch1',
+    number: 1,
+    numberText,
+    title,
+    sections: [{
+      id: 'ch1-main',
+      content: Object.entries(texts).map(([id, text]) => ({ type: 'paragraph', id, text }))
+    }]
+  };
+}
+
+const SOURCE = chapter('Chapter One', 'Light', { aaaaaa: 'Be still.', bbbbbb: 'Breathe.' });
+const TARGET = chapter('Capítulo Uno', 'Luz', { aaaaaa: 'Quédate quieto.', bbbbbb: 'Respira.' });
+
+// An empty memory (no such language on disk), never saved
+function emptyMemory() {
+  return openMemory('test-no-such-language');
+}
+
+// A memory with every unit of SOURCE recorded as TARGET
+function recordedMemory(status) {
+  const memory = emptyMemory();
+  const targets = new Map(chapterUnits(TARGET).map(unit => [unit.key, unit.texts]));
+  chapterUnits(SOURCE).forEach(unit => {
+    memory.set(unit.key, { hash: sourceHash(unit), status, target: targets.get(unit.key) });
+  });
+  return memory;
+}
+
+const actions = plan => Object.fromEntries(plan.map(p => [p.unit.key, p.action]));
+
+test('a recorded translation of the current source is current', () => {
+  const plan = planUnits(SOURCE, TARGET, recordedMemory('machine'));
+  assert.ok(plan.every(p => p.action === 'current'));
+});
+
+test('a translation not in the memory is recorded as approved', () => {
+  const memory = emptyMemory();
+  const plan = planUnits(SOURCE, TARGET, memory);
+  assert.ok(plan.every(p => p.action === 'record'));
+
+  applyPlan(plan, memory);
+  assert.deepEqual(memory.get('aaaaaa'), { hash: plan.find(p => p.unit.key === 'aaaaaa').hash, status: 'approved', target: ['Quédate quieto.'] });
+  assert.ok(planUnits(SOURCE, TARGET, memory).every(p => p.action === 'current'));
+});
+
+test('a hand edit of a machine translation becomes approved', () => {
+  const memory = recordedMemory('machine');
+  const edited = chapter('Capítulo Uno', 'Luz', { aaaaaa: 'Quédate en calma.', bbbbbb: 'Respira.' });
+
+  const plan = planUnits(SOURCE, edited, memory);
+  assert.equal(actions(plan).aaaaaa, 'record');
+  assert.equal(actions(plan).bbbbbb, 'current');
+
+  applyPlan(plan, memory);
+  assert.equal(memory.get('aaaaaa').status, 'approved');
+  assert.deepEqual(memory.get('aaaaaa').target, ['Quédate en calma.']);
+  assert.equal(memory.get('bbbbbb').status, 'machine');
+});
+
+test('a source change under an approved translation needs review, not translation', () => {
+  const changed = chapter('Chapter One', 'Light', { aaaaaa: 'Be still and know.', bbbbbb: 'Breathe.' });
+  const plan = planUnits(changed, TARGET, recordedMemory('approved'));
+  assert.equal(actions(plan).aaaaaa, 'review');
+  assert.equal(actions(plan).bbbbbb, 'current');
+
+  // Review leaves the memory alone
+  const memory = recordedMemory('approved');
+  applyPlan(planUnits(changed, TARGET, memory), memory);
+  assert.deepEqual(memory.get('aaaaaa').target, ['Quédate quieto.']);
+});
+
+test('a source change under a machine translation is translated again', () => {
+  const changed = chapter('Chapter One', 'Light', { aaaaaa: 'Be still and know.', bbbbbb: 'Breathe.' });
+  const plan = planUnits(changed, TARGET, recordedMemory('machine'));
+  assert.equal(actions(plan).aaaaaa, 'translate');
+});
+
+test('a new block with the text of a translated one reuses its translation', () => {
+  const memory = recordedMemory('approved');
+  const grown = chapter('Chapter One', 'Light', { aaaaaa: 'Be still.', bbbbbb: 'Breathe.', cccccc: 'Be still.', dddddd: 'Rest.' });
+
+  const plan = planUnits(grown, TARGET, memory);
+  assert.equal(actions(plan).cccccc, 'reuse');
+  assert.equal(actions(plan).dddddd, 'translate');
+
+  const texts = applyPlan(plan, memory);
+  assert.deepEqual([...texts], [['cccccc', ['Quédate quieto.']]]);
+  assert.equal(memory.get('cccccc').status, 'approved');
+  assert.equal(memory.get('dddddd'), null);
+});
+
+test('a chapter with no translation yet is translated', () => {
+  const plan = planUnits(SOURCE, null, emptyMemory());
+  assert.ok(plan.every(p => p.action === 'translate' && p.target === null));
+});
@@ -0,0 +1,92 @@
+/**
+ * Translation backends (scripts/lib/translators.js) against a local
+ * OpenAI-compatible mock server: what is sent and which failures are
+ * worth retrying.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createBackend, TranslationError } = require('../scripts/lib/translators');
+
+let server;
+let reply;
+let received;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received = { url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks)) };
+      reply(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_API_URL = `http://127.0.0.1:${server.address().port}`;
+  delete process.env.OPENAI_API_KEY;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function respond(status, body) {
+  reply = res => res.writeHead(status, { 'Content-Type': 'application/json' }).end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+async function translateError() {
+  const error = await createBackend('openai', 'local-model').translate({ prompt: 'Translate' }).then(
+    () => assert.fail('expected the request to fail'),
+    error => error
+  );
+  assert.ok(error instanceof TranslationError, error.message);
+  return error;
+}
+
+test('openai sends a chat completion and reads the reply', async () => {
+  respond(200, {
+    choices: [{ message: { content: '["Hola"]' }, finish_reason: 'length' }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 }
+  });
+  const result = await createBackend('openai', 'local-model').translate({ prompt: 'Translate', maxTokens: 100 });
+
+  assert.deepEqual(result, { text: '["Hola"]', truncated: true, usage: { input: 12, output: 3 } });
+  assert.equal(received.url, '/v1/chat/completions');
+  assert.equal(received.headers.authorization, undefined);
+  assert.equal(received.body.model, 'local-model');
+  assert.equal(received.body.max_tokens, 100);
+  assert.deepEqual(received.body.messages, [{ role: 'user', content: 'Translate' }]);
+});
+
+test('429 and 5xx are retryable, other 4xx are not', async () => {
+  for (const [status, retryable] of [[429, true], [500, true], [529, true], [400, false], [401, false]]) {
+    respond(status, { error: 'nope' });
+    const error = await translateError();
+    assert.equal(error.status, status);
+    assert.equal(error.retryable, retryable, `status ${status}`);
+  }
+});
+
+test('invalid JSON and missing choices are retryable', async () => {
+  respond(200, '<html>gateway</html>');
+  assert.match((await translateError()).message, /invalid JSON/);
+
+  respond(200, { choices: [] });
+  const error = await translateError();
+  assert.match(error.message, /no choices/);
+  assert.equal(error.retryable, true);
+});
+
+test('a stalled request times out as retryable', async () => {
+  reply = () => {};
+  process.env.TRANSLATE_TIMEOUT = '0.2';
+  try {
+    const error = await translateError();
+    assert.match(error.message, /timed out after 0\.2s/);
+    assert.equal(error.retryable, true);
+  } finally {
+    delete process.env.TRANSLATE_TIMEOUT;
+  }
+});
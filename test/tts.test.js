@@ -0,0 +1,171 @@
+/**
+ * TTS providers (scripts/lib/tts.js) against a local mock server: what each
+ * vendor is sent and which failures are worth retrying.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { decode } = require('@msgpack/msgpack');
+const { createProvider, TTSError } = require('../scripts/lib/tts');
+
+// A minimal MPEG frame header followed by silence
+const MP3 = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(64)]);
+
+let server;
+let reply;
+let received;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+      reply(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.FISH_API_URL = base;
+  process.env.FISH_API_KEY = 'fish-key';
+  process.env.CARTESIA_API_URL = `${base}/`;
+  process.env.CARTESIA_API_KEY = 'cartesia-key';
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  received = null;
+  reply = res => res.writeHead(200, { 'Content-Type': 'audio/mpeg' }).end(MP3);
+});
+
+function respond(status, body, type = 'application/json') {
+  reply = res => res.writeHead(status, { 'Content-Type': type }).end(body);
+}
+
+async function synthesizeError(provider = createProvider('fish')) {
+  const error = await provider.synthesize('Hello', 'voice-1').then(
+    () => assert.fail('expected the request to fail'),
+    error => error
+  );
+  assert.ok(error instanceof TTSError, error.message);
+  return error;
+}
+
+test('fish sends msgpack with its key and returns the MP3', async () => {
+  const tts = createProvider('fish');
+  const audio = await tts.synthesize('Hello there', 'voice-1');
+
+  assert.deepEqual(audio, MP3);
+  assert.equal(received.method, 'POST');
+  assert.equal(received.url, '/v1/tts');
+  assert.equal(received.headers.authorization, 'Bearer fish-key');
+  assert.equal(received.headers['content-type'], 'application/msgpack');
+  assert.equal(Number(received.headers['content-length']), received.body.length);
+  assert.deepEqual(decode(received.body), {
+    text: 'Hello there',
+    reference_id: 'voice-1',
+    format: 'mp3',
+    mp3_bitrate: 128,
+    chunk_length: 200,
+    latency: 'normal',
+    normalize: true
+  });
+});
+
+test('cartesia sends JSON with its key, version and language', async () => {
+  const tts = createProvider('cartesia');
+  const audio = await tts.synthesize('Hola', 'voice-2', { lang: 'es' });
+
+  assert.deepEqual(audio, MP3);
+  assert.equal(received.url, '/tts/bytes');
+  assert.equal(received.headers['x-api-key'], 'cartesia-key');
+  assert.equal(received.headers['cartesia-version'], '2024-06-10');
+  assert.equal(received.headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(received.body), {
+    model_id: 'sonic-2',
+    transcript: 'Hola',
+    voice: { mode: 'id', id: 'voice-2' },
+    output_format: { container: 'mp3', sample_rate: 44100, bit_rate: 128000 },
+    language: 'es'
+  });
+
+  await tts.synthesize('Hello', 'voice-2');
+  assert.equal('language' in JSON.parse(received.body), false);
+});
+
+test('cartesia needs a voice before sending anything', async () => {
+  await assert.rejects(createProvider('cartesia').synthesize('Hello', ''), /CARTESIA_VOICE_ID/);
+  assert.equal(received, null);
+});
+
+test('429 and 5xx are retryable', async () => {
+  for (const status of [429, 500, 503]) {
+    respond(status, '{"error":"busy"}');
+    const error = await synthesizeError();
+    assert.equal(error.status, status);
+    assert.equal(error.retryable, true, `status ${status}`);
+    assert.match(error.message, /busy/);
+  }
+});
+
+test('other 4xx are not retryable', async () => {
+  for (const status of [400, 401, 404]) {
+    respond(status, '{"error":"bad request"}');
+    const error = await synthesizeError(createProvider('cartesia'));
+    assert.equal(error.status, status);
+    assert.equal(error.retryable, false, `status ${status}`);
+  }
+});
+
+test('an empty body is an error', async () => {
+  respond(200, '', 'audio/mpeg');
+  const error = await synthesizeError();
+  assert.match(error.message, /no audio/);
+  assert.equal(error.retryable, true);
+});
+
+test('a body that is not MP3 is an error', async () => {
+  respond(200, '{"status":"queued"}');
+  const error = await synthesizeError();
+  assert.match(error.message, /no audio \(application\/json\)/);
+  assert.match(error.message, /queued/);
+  assert.equal(error.retryable, true);
+
+  respond(200, '<html>maintenance</html>', 'text/html');
+  assert.match((await synthesizeError(createProvider('cartesia'))).message, /no audio \(text\/html\)/);
+});
+
+test('an ID3-tagged body is accepted', async () => {
+  const tagged = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(16)]);
+  respond(200, tagged, 'audio/mpeg');
+  assert.deepEqual(await createProvider('fish').synthesize('Hello', 'voice-1'), tagged);
+});
+
+test('a stalled request times out as retryable', async () => {
+  reply = () => {};
+  process.env.TTS_TIMEOUT = '0.2';
+  try {
+    const error = await synthesizeError();
+    assert.match(error.message, /timed out after 0\.2s/);
+    assert.equal(error.retryable, true);
+  } finally {
+    delete process.env.TTS_TIMEOUT;
+  }
+});
+
+test('a refused connection is retryable', async () => {
+  process.env.FISH_API_URL = 'http://127.0.0.1:1';
+  try {
+    const error = await synthesizeError();
+    assert.match(error.message, /Request failed/);
+    assert.equal(error.retryable, true);
+  } finally {
+    process.env.FISH_API_URL = `http://127.0.0.1:${server.address().port}`;
+  }
+});